@@ -1,84 +1,271 @@
 const { onSchedule } = require("firebase-functions/v2/scheduler");
-const { defineSecret } = require("firebase-functions/params");
+const { onRequest, onCall, HttpsError } = require("firebase-functions/v2/https");
+const { onTaskDispatched } = require("firebase-functions/v2/tasks");
+const { onDocumentCreated } = require("firebase-functions/v2/firestore");
+const { defineSecret, defineInt } = require("firebase-functions/params");
 const admin = require("firebase-admin");
-const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { getFunctions } = require("firebase-admin/functions");
 const { Client } = require("@googlemaps/google-maps-services-js");
-const TurndownService = require("turndown");
 const crypto = require("crypto");
+const path = require("path");
 const cheerio = require("cheerio");
 const geofire = require("geofire-common");
+const { extractStructuredEvents } = require("./src/structuredData");
+const {
+    GENERIC_PLATFORM,
+    detectPlatform,
+    getAdapter,
+} = require("./src/platforms");
+const {
+    SearchParamError,
+    parseSearchParams,
+    searchActivities,
+} = require("./src/search");
+const {
+    buildCalendar,
+    feedValidators,
+    isNotModified,
+    loadFeed,
+} = require("./src/icalFeed");
+const { collectSeries, expandToEvents, addDays } = require("./src/series");
+const { findCalendarPages, needsCalendarCheck } = require("./src/calendarFinder");
+const {
+    crawlPages,
+    chunkContent,
+    mergeExtractions,
+    pageKey,
+    fillEventDetails,
+} = require("./src/crawler");
+const { validateEvent, scoreConfidence } = require("./src/validation");
+const {
+    PENDING,
+    APPROVED,
+    REJECTED,
+    validateEdits,
+    applyEdits,
+    buildReviewEntry,
+} = require("./src/review");
+const { requireAdmin, registryIdFor, sourceUrlsFor, parseSourceInput } = require("./src/admin");
+const { deriveAttributes, buildAttributeUpdate } = require("./src/attributes");
+const { ageFieldsFor, migrateAgeFields } = require("./src/ages");
+const {
+    MAX_SAVED_SEARCHES,
+    DIGEST_DAYS,
+    validateSavedSearch,
+    normalizeSavedSearch,
+    activityCell,
+    currentAgeMonths,
+    matchesSavedSearch,
+    takeAlertSlot,
+    buildAlertMessage,
+    buildDigest,
+    buildDigestMessage,
+} = require("./src/savedSearches");
+const { createMessenger } = require("./src/messaging");
+const { JINA, JINA_READER_URL, createFetcher } = require("./src/fetcher");
+const {
+    COMMUNITY_SOURCE,
+    VENUE,
+    DEFAULT_MAX_SUBMISSIONS_PER_DAY,
+    DEFAULT_MAX_VENUE_SUBMISSIONS_PER_DAY,
+    requireSubmitter,
+    validateSubmission,
+    normalizeSubmission,
+    screenSubmission,
+    takeSubmissionSlot,
+    submissionSourceUrl,
+    buildSubmissionEntry,
+} = require("./src/submissions");
+const {
+    STATS_WEEKS,
+    buildArchiveDoc,
+    venueKey,
+    buildVenueStats,
+    buildCityStats,
+    isSourceDark,
+    buildPredictions,
+    buildCoverageReport,
+} = require("./src/history");
+const {
+    isSameVenue,
+    hoursFromPlacePeriods,
+    validateVenue,
+    validateLibrarySystem,
+    buildVenueDoc,
+    createVenueDirectory,
+    GeocodingError,
+    createGeocoder,
+    createGeocodeCache,
+} = require("./src/venues");
+const {
+    DEFAULT_REGION,
+    validateRegion,
+    isInRegion,
+    discoveryQueriesFor,
+    cityDocId,
+    createRegionStore,
+} = require("./src/regions");
+const {
+    DEFAULT_TIMEZONE,
+    localDate,
+    resolveEventTimes,
+    toEpochSeconds,
+} = require("./src/dates");
+const {
+    CURRENT_PROMPT_VERSION,
+    createProvider,
+    createTokenBudget,
+    estimateCostUsd,
+    runExtraction,
+    withFetchCassette,
+} = require("./src/extraction");
+const {
+    planReconciliation,
+    buildUpdate,
+    buildCancellation,
+    canCancelMissing,
+} = require("./src/reconcile");
+const {
+    START_TOLERANCE_SECONDS,
+    findDuplicate,
+    sourceTrust,
+    buildSourceEntry,
+    mergeActivity,
+} = require("./src/dedupe");
+const {
+    SCRAPE_QUEUE,
+    CALENDAR_QUEUE,
+    SCRAPE_RETRY_CONFIG,
+    DEAD_LETTERED,
+    DISABLED,
+    isPermanentFailure,
+    shouldDeadLetter,
+    taskIdFor,
+    enqueueTasks,
+    enqueueSources,
+    buildDeadLetter,
+    createRateLimiter,
+    RateLimitExceededError,
+} = require("./src/scrapeQueue");
+const {
+    PAUSED,
+    createSourceStats,
+    classifyOutcome,
+    updateHealth,
+    buildSourceRecord,
+    runTotals,
+} = require("./src/scrapeLedger");
 
 // Define the secrets for API keys
 const GEMINI_API_KEY = defineSecret("GEMINI_API_KEY");
 const GOOGLE_MAPS_API_KEY = defineSecret("GOOGLE_MAPS_API_KEY");
 
+// How far the scraper crawls a calendar: pages, days ahead, and detail pages per page
+// for sources with `fetch_details` (url_registry crawl_max_pages / crawl_horizon_days override)
+const CRAWL_MAX_PAGES = defineInt("CRAWL_MAX_PAGES", { default: 5 });
+const CRAWL_HORIZON_DAYS = defineInt("CRAWL_HORIZON_DAYS", { default: 60 });
+const CRAWL_MAX_DETAIL_PAGES = defineInt("CRAWL_MAX_DETAIL_PAGES", { default: 10 });
+
+// Events scoring below this confidence (percent) wait in pending_review for an admin
+const REVIEW_MIN_CONFIDENCE_PERCENT = defineInt("REVIEW_MIN_CONFIDENCE_PERCENT", { default: 60 });
+
+// Calendar checks crawl a handful of pages; a site that stays down is tried again next check
+const CALENDAR_RETRY_CONFIG = {
+    maxAttempts: 3,
+    minBackoffSeconds: 300,
+    maxBackoffSeconds: 3600,
+};
+
+// Scrape task queue limits and shared API budgets (per minute)
+const SCRAPE_MAX_CONCURRENCY = defineInt("SCRAPE_MAX_CONCURRENCY", { default: 4 });
+const SCRAPE_DISPATCHES_PER_SECOND = defineInt("SCRAPE_DISPATCHES_PER_SECOND", { default: 1 });
+const GEMINI_REQUESTS_PER_MINUTE = defineInt("GEMINI_REQUESTS_PER_MINUTE", { default: 15 });
+const MAPS_REQUESTS_PER_MINUTE = defineInt("MAPS_REQUESTS_PER_MINUTE", { default: 50 });
+
+// Daily Gemini budget (0 = unlimited) and when to pause an unhealthy source
+const GEMINI_DAILY_TOKEN_BUDGET = defineInt("GEMINI_DAILY_TOKEN_BUDGET", { default: 5000000 });
+const GEMINI_DAILY_COST_BUDGET_CENTS = defineInt("GEMINI_DAILY_COST_BUDGET_CENTS", { default: 200 });
+const SOURCE_MAX_CONSECUTIVE_FAILURES = defineInt("SOURCE_MAX_CONSECUTIVE_FAILURES", { default: 3 });
+const SOURCE_MAX_ZERO_YIELD_RUNS = defineInt("SOURCE_MAX_ZERO_YIELD_RUNS", { default: 14 });
+
+// Community event submissions per submitter per day (parents / verified venue accounts)
+const SUBMISSIONS_MAX_PER_DAY = defineInt("SUBMISSIONS_MAX_PER_DAY", { default: DEFAULT_MAX_SUBMISSIONS_PER_DAY });
+const VENUE_SUBMISSIONS_MAX_PER_DAY = defineInt("VENUE_SUBMISSIONS_MAX_PER_DAY", {
+    default: DEFAULT_MAX_VENUE_SUBMISSIONS_PER_DAY,
+});
+
+// Requests in flight per website (robots.txt Crawl-delay spaces them further)
+const FETCH_MAX_PER_DOMAIN = defineInt("FETCH_MAX_PER_DOMAIN", { default: 2 });
+
+// Saved-search push alerts per user per day; the rest wait for the weekly digest
+const ALERTS_MAX_PER_DAY = defineInt("ALERTS_MAX_PER_DAY", { default: 3 });
+
+// Extraction mode: "gemini" (live), "record" (live + save responses) or "replay" (offline)
+const EXTRACTION_MODE = process.env.EXTRACTION_MODE || "gemini";
+const CASSETTE_DIR =
+    process.env.EXTRACTION_CASSETTE_DIR || path.join(__dirname, "cassettes");
+
+// Messaging mode: "fcm" (live), "stub" (local stub at MESSAGING_STUB_URL, for the emulator) or "log"
+const MESSAGING_MODE = process.env.MESSAGING_MODE || "fcm";
+const MESSAGING_STUB_URL = process.env.MESSAGING_STUB_URL || "http://127.0.0.1:9599";
+
 // Initialize the Google Maps Client
 const mapsClient = new Client({});
 
 admin.initializeApp();
 const db = admin.firestore();
 
+const geminiLimiter = createRateLimiter({
+    db,
+    name: "gemini",
+    limit: () => GEMINI_REQUESTS_PER_MINUTE.value(),
+});
+const mapsLimiter = createRateLimiter({
+    db,
+    name: "maps",
+    limit: () => MAPS_REQUESTS_PER_MINUTE.value(),
+});
+const llmBudget = createTokenBudget({
+    db,
+    tokenLimit: () => GEMINI_DAILY_TOKEN_BUDGET.value(),
+    costLimitUsd: () => GEMINI_DAILY_COST_BUDGET_CENTS.value() / 100,
+});
+const regions = createRegionStore({ db });
+const venues = createVenueDirectory({ db });
+// Dynamically fetches coordinates for any venue string using Google Maps
+const getDynamicCoordinates = createGeocoder({ client: mapsClient, limiter: mapsLimiter });
+const geocodeCache = createGeocodeCache({
+    db,
+    geocode: (venueName, region) => getDynamicCoordinates(venueName, mapsApiKey(), region),
+});
+const messenger = createMessenger({
+    mode: MESSAGING_MODE,
+    messaging: () => admin.messaging(),
+    stubUrl: MESSAGING_STUB_URL,
+});
+
 /**
- * Dynamically fetches coordinates for any venue string using Google Maps.
- * @param {string} venueName - The name of the library or place.
- * @param {string} apiKey - Your Google Maps API Key.
- * @returns {Promise<Object>} { lat, lng, formattedAddress }
+ * Geocode on behalf of a callable. A full Maps quota surfaces as a retryable
+ * resource-exhausted error and a failed lookup as unavailable, instead of
+ * INTERNAL; scrapes keep the raw quota error so their task is retried.
+ * @param {Function} geocode - async () => coordinates.
+ * @returns {Promise<Object>}
+ * @throws {HttpsError} resource-exhausted or unavailable.
  */
-async function getDynamicCoordinates(venueName, apiKey) {
+const geocodeForCaller = async (geocode) => {
     try {
-        // First try with California constraint
-        let response = await mapsClient.geocode({
-            params: {
-                address: `${venueName}, California`,
-                key: apiKey,
-            },
-        });
-
-        // If no results with California constraint, try without it (fallback)
-        if (response.data.results.length === 0) {
-            console.warn(
-                `⚠️ No results for "${venueName}, California" - retrying without location constraint`,
-            );
-            response = await mapsClient.geocode({
-                params: {
-                    address: venueName,
-                    key: apiKey,
-                },
-            });
+        return await geocode();
+    } catch (error) {
+        if (error instanceof RateLimitExceededError) {
+            throw new HttpsError("resource-exhausted", "The map lookup is busy; try again in a minute");
         }
-
-        if (response.data.results.length > 0) {
-            const result = response.data.results[0];
-            const address = result.formatted_address;
-
-            // Verify result is in California area (lat between 32.5-42, lng between -124 and -114)
-            const lat = result.geometry.location.lat;
-            const lng = result.geometry.location.lng;
-            const inCaliforniaArea =
-                lat >= 32.5 && lat <= 42 && lng <= -114 && lng >= -124;
-
-            if (!inCaliforniaArea) {
-                console.warn(
-                    `⚠️ Geocoded address is likely outside California: ${address}`,
-                );
-            }
-
-            console.log(`📍 Geocoded ${venueName}: ${address}`);
-            return {
-                lat: lat,
-                lng: lng,
-                address: address,
-            };
+        if (error instanceof GeocodingError) {
+            console.error(`❌ ${error.message}`);
+            throw new HttpsError("unavailable", "The map lookup failed; try again later");
         }
-    } catch (error) {
-        console.error(
-            `[Geocoding Error] Could not find: ${venueName}`,
-            error.message,
-        );
+        throw error;
     }
-
-    return { lat: null, lng: null, address: null };
-}
+};
 
 /**
  * Helper to create a unique, URL-safe ID for each event.
@@ -89,29 +276,11 @@ const generateEventId = (title, venue, date) => {
     return Buffer.from(rawStr).toString("base64").substring(0, 50);
 };
 
-// Normalize various age labels into consistent ranges for the client
-const normalizeAgeRange = (input) => {
-    if (!input) return null;
-    const s = String(input).toLowerCase();
-    if (/baby|babies|infant/.test(s)) return "0-18 months";
-    if (/toddler/.test(s)) return "18-36 months";
-    if (/preschool/.test(s)) return "3-5 years";
-    if (/all ages/.test(s)) return "All";
-    const match = s.match(/(\d+)\s*-\s*(\d+)\s*(months|month|years|year|y)/);
-    if (match) {
-        const start = match[1];
-        const end = match[2];
-        const unit = /month/.test(match[3]) ? "months" : "years";
-        return `${start}-${end} ${unit}`;
-    }
-    return null;
-};
-
-// Helper to check if an ISO date is in the past
-const isPastIsoDate = (iso) => {
-    const t = Date.parse(iso);
-    if (isNaN(t)) return true;
-    return t < Date.now();
+// Helper to check if a local ISO date (venue time) is in the past
+const isPastIsoDate = (iso, timeZone = DEFAULT_TIMEZONE) => {
+    const t = toEpochSeconds(iso, timeZone);
+    if (t === null) return true;
+    return t * 1000 < Date.now();
 };
 
 // Helper to generate SHA-256 hash of content
@@ -149,377 +318,1508 @@ const cleanContentForHashing = (markdown) => {
     return cleaned;
 };
 
+// Maps key from the secret, or the environment when running outside a function
+const mapsApiKey = () =>
+    GOOGLE_MAPS_API_KEY && typeof GOOGLE_MAPS_API_KEY.value === "function"
+        ? GOOGLE_MAPS_API_KEY.value()
+        : process.env.GOOGLE_MAPS_API_KEY;
+
 /**
- * Main Parsing Function: Daily Worker
- * Loops through all registered libraries in url_registry
- * Checks cache and only calls Gemini if content has changed
+ * Coordinates for an event's venue.
+ * The registry entry's own pin is used for its own building only; a branch the
+ * source lists is looked up in `venues`, and anything unknown is geocoded
+ * (once, through geocode_cache). The registry pin stays the last resort, also
+ * when the lookup fails; a full Maps quota still throws so the task is retried.
+ * @param {Object} libraryData - url_registry document data.
+ * @param {string} venue - Venue name from extraction.
+ * @param {Object} [region] - The source's region.
+ * @returns {Promise<Object>} { lat, lng, address, venueId }
  */
-exports.dailyLibraryScraper = onSchedule(
-    {
-        schedule: "every 24 hours",
-        secrets: [GEMINI_API_KEY, GOOGLE_MAPS_API_KEY],
-        timeoutSeconds: 300,
-        memory: "512MiB",
-    },
-    async (event) => {
-        console.log("🚀 Starting Daily Library Scraper...");
-
-        // Get all registered libraries from Discovery step
-        const registrySnap = await db.collection("url_registry").get();
+const resolveCoordinates = async (libraryData, venue, region = DEFAULT_REGION) => {
+    const registryPin =
+        libraryData.latitude && libraryData.longitude
+            ? {
+                lat: libraryData.latitude,
+                lng: libraryData.longitude,
+                address: libraryData.venue_name,
+                venueId: libraryData.venue_id || null,
+            }
+            : null;
+    if (registryPin && (!venue || isSameVenue(venue, libraryData.venue_name))) return registryPin;
 
-        if (registrySnap.empty) {
-            console.log(
-                "ℹ️ No libraries in registry. Run discovery function first.",
-            );
-            return;
+    if (venue) {
+        const known = await venues.match(venue, { regionId: region.id, systemId: libraryData.system_id || null });
+        if (known) {
+            return { lat: known.latitude, lng: known.longitude, address: known.address, venueId: known.id };
         }
+    }
 
-        console.log(
-            `📚 Processing ${registrySnap.size} registered library websites...`,
-        );
-
-        let totalProcessed = 0;
-        let totalEventsAdded = 0;
-
-        for (const registryDoc of registrySnap.docs) {
-            const libraryData = registryDoc.data();
-            const targetUrl = libraryData.url_hash;
-            const venueName = libraryData.venue_name || "Library";
+    let geocoded = { lat: null, lng: null, address: null };
+    try {
+        if (venue) geocoded = await geocodeCache.geocode(venue, region);
+    } catch (error) {
+        if (!(error instanceof GeocodingError)) throw error;
+        // Not cached, so the next scrape asks again
+        console.warn(`⚠️ ${error.message}`);
+    }
+    if (geocoded.lat !== null || !registryPin) return { ...geocoded, venueId: null };
+    return registryPin;
+};
 
-            // Skip only obviously invalid URLs
-            if (!targetUrl) {
-                console.log(`⏭️ Skipping empty URL for ${venueName}`);
-                continue;
-            }
+/**
+ * Build the `activities` document for an extracted event.
+ * @param {Object} act - Event in the extraction shape.
+ * @param {Object} coordinates - { lat, lng, venueId } of the venue.
+ * @param {string} sourceUrl - Registry URL the event came from.
+ * @param {Object} [provenance] - { method, trust } of the source, recorded in `sources`.
+ * @param {Object} [timing] - { timeZone, referenceDate } for resolving local times.
+ * @returns {Object}
+ */
+const buildActivityDoc = (act, coordinates, sourceUrl, provenance = {}, timing = {}) => {
+    const timeZone = timing.timeZone || DEFAULT_TIMEZONE;
+    const times = resolveEventTimes(act, { timeZone, referenceDate: timing.referenceDate });
+    const doc = {
+        title: String(act.title || "").trim(),
+        venue: String(act.venue || "").trim(),
+        description: act.description ?? null,
+        startTime: times.startTime,
+        endTime: times.endTime,
+        endTimeEstimated: times.endTimeEstimated,
+        timeZone,
+        ...ageFieldsFor(act.ageRange),
+        ...deriveAttributes(act),
+        requiresBooking: !!act.isRegistrationRequired,
+        registrationUrl:
+            act.registrationUrl && /^https?:\/\//.test(act.registrationUrl)
+                ? act.registrationUrl
+                : null,
+        latitude: coordinates.lat,
+        longitude: coordinates.lng,
+        venueId: coordinates.venueId ?? null,
+        geohash:
+            coordinates.lat && coordinates.lng
+                ? geofire.geohashForLocation([coordinates.lat, coordinates.lng])
+                : null,
+        seriesId: act.seriesId ?? null,
+        recurrence: act.recurrence ?? null,
+        status: "scheduled",
+        sourceUrl,
+        createdAt: Math.floor(Date.now() / 1000),
+        expireAt: new Date((times.endTime + 24 * 60 * 60) * 1000),
+    };
+    return {
+        ...doc,
+        sourceUrls: [sourceUrl],
+        sources: [buildSourceEntry(doc, { sourceUrl, ...provenance })],
+    };
+};
 
-            totalProcessed++;
-            console.log(
-                `\n🔄 Processing: ${venueName}\n   URL: ${targetUrl.substring(0, 60)}...`,
-            );
+// Activity doc id for an extracted event (title + venue + calendar date)
+const eventIdFor = (act) =>
+    generateEventId(
+        String(act.title),
+        String(act.venue),
+        String(act.isoDate).split("T")[0],
+    );
+
+// Activity doc as a dry run returns it (no Firestore-only or bookkeeping fields)
+const previewDoc = (id, doc) => {
+    const { expireAt, sources, sourceUrls, createdAt, ...fields } = doc;
+    return { id, ...fields };
+};
 
-            try {
-                // 1. Fetch rendered content via Jina Reader
-                const readerUrl = `https://r.jina.ai/${targetUrl}`;
-                const fetchResponse = await fetch(readerUrl);
+// Events in a cached extraction (parsed_json), for the ledger on cache hits
+const countParsedEvents = (parsedJson) => {
+    try {
+        const parsed = JSON.parse(parsedJson || "[]");
+        return Array.isArray(parsed) ? parsed.length : 0;
+    } catch (error) {
+        return 0;
+    }
+};
 
-                if (!fetchResponse.ok) {
-                    console.warn(
-                        `⚠️ Failed to fetch ${venueName}: ${fetchResponse.statusText}`,
-                    );
-                    continue;
+/**
+ * Merge series occurrences into the extracted events.
+ * An occurrence and a one-off copy of the same date share an id; keep the
+ * one-off's details and tag it with the series.
+ */
+const mergeOccurrences = (events, occurrences) => {
+    const merged = new Map();
+    const invalid = [];
+    for (const act of [...events, ...occurrences]) {
+        if (!act || !act.title || !act.venue || !act.isoDate) {
+            invalid.push(act);
+            continue;
+        }
+        const id = eventIdFor(act);
+        const existing = merged.get(id);
+        merged.set(
+            id,
+            existing
+                ? {
+                    ...existing,
+                    seriesId: existing.seriesId ?? act.seriesId ?? null,
+                    recurrence: existing.recurrence ?? act.recurrence ?? null,
                 }
+                : act,
+        );
+    }
+    return [...merged.values(), ...invalid];
+};
 
-                const markdown = await fetchResponse.text();
-                console.log(`✅ Fetched ${venueName}`);
-
-                // 2. Check cache
-                const contentToAnalyze = markdown.substring(0, 40000);
-                const cleanedContent = cleanContentForHashing(contentToAnalyze);
-                const currentHash = generateContentHash(cleanedContent);
-
-                const urlDocId = registryDoc.id;
-                const cacheRef = db.collection("url_registry").doc(urlDocId);
-                const cacheDoc = await cacheRef.get();
-
-                // Cache hit - skip Gemini
-                if (cacheDoc.exists && cacheDoc.data().content_hash === currentHash) {
-                    const lastParsed = new Date(
-                        (cacheDoc.data().last_parsed || 0) * 1000,
-                    ).toLocaleString();
-                    console.log(
-                        `✅ Cache Hit! Skipping Gemini. (Last parsed: ${lastParsed})`,
-                    );
-                    continue;
-                }
+/**
+ * Look for the same event already stored under a different id (another source,
+ * or a reworded title from this one) around the same start time.
+ * @param {Object} doc - Activity doc about to be created.
+ * @param {Array<{ref: DocumentReference, data: Object}>} pending - Docs queued earlier in this run.
+ * @returns {Promise<{ref: DocumentReference, data: Object, score: number}|null>}
+ */
+const findFuzzyDuplicate = async (doc, pending) => {
+    const snap = await db
+        .collection("activities")
+        .where("startTime", ">=", doc.startTime - START_TOLERANCE_SECONDS)
+        .where("startTime", "<=", doc.startTime + START_TOLERANCE_SECONDS)
+        .get();
+    return findDuplicate(doc, [
+        ...pending,
+        ...snap.docs.map((candidate) => ({ ref: candidate.ref, data: candidate.data() })),
+    ]);
+};
 
-                console.log("🔄 Cache Miss - Calling Gemini for analysis...");
+// Firestore batches hold up to 500 writes
+const BATCH_SIZE = 400;
+
+// Apply [ref, data | null, setOptions?] writes in batches; null deletes
+const writeInBatches = async (writes) => {
+    for (let start = 0; start < writes.length; start += BATCH_SIZE) {
+        const batch = db.batch();
+        for (const [ref, data, options] of writes.slice(start, start + BATCH_SIZE)) {
+            if (data === null) batch.delete(ref);
+            else if (options) batch.set(ref, data, options);
+            else batch.set(ref, data);
+        }
+        await batch.commit();
+    }
+};
 
-                // 3. Initialize Gemini
-                const genAI = new GoogleGenerativeAI(GEMINI_API_KEY.value());
-                const model = genAI.getGenerativeModel({
-                    model: "gemini-2.0-flash",
-                    generationConfig: {
-                        responseMimeType: "application/json",
-                    },
-                });
+/**
+ * Save extracted series so occurrences beyond the page's visible window keep coming.
+ * @param {Array<Object>} seriesList - Output of collectSeries.
+ * @param {Object} libraryData - url_registry document data.
+ * @param {string} sourceUrl - Registry URL.
+ * @param {Object} region - The source's region.
+ */
+const saveSeries = async (seriesList, libraryData, sourceUrl, region) => {
+    const writes = [];
+    for (const { id, ...series } of seriesList) {
+        const coordinates = await resolveCoordinates(libraryData, series.venue, region);
+        writes.push([
+            db.collection("series").doc(id),
+            {
+                ...series,
+                sourceUrl,
+                timeZone: libraryData.timezone || region.timeZone,
+                latitude: coordinates.lat,
+                longitude: coordinates.lng,
+                venueId: coordinates.venueId ?? null,
+                endedAt: null,
+                updatedAt: Math.floor(Date.now() / 1000),
+            },
+            { merge: true },
+        ]);
+    }
+    await writeInBatches(writes);
+};
 
-                // 4. AI Analysis
-                const prompt = `
-        You are a specialized data extraction engine for "Toddlego," an app helping parents find activities for children aged 0-4.
-        Your task is to parse the provided markdown text from a library or community website and extract specific toddler-focused events.
-
-        ### 1. TARGET AUDIENCE & FILTERING
-        - ONLY extract events explicitly for: Babies (0-18m), Toddlers (18-36m), or Preschoolers (3-5y).
-        - INCLUSION KEYWORDS: Storytime, Play & Learn, Music & Movement, Baby Bounce, Stay & Play, Tiny Tots.
-        - EXCLUSION RULES: 
-            - Strictly EXCLUDE: Teens, Adults, "School-age", "Grades K-5", or "Tweens".
-            - ONLY include "Family" events if the description explicitly mentions "toddlers", "babies", or "all ages including littles".
-
-        ### 2. DATE & TIME PROCESSING (CRITICAL)
-        - Source text may use relative dates (e.g., "Tomorrow", "Next Wednesday") or specific dates (e.g., "Dec 25").
-        - Assume the current reference year is 2025 unless the text says otherwise.
-        - Convert all dates to valid ISO 8601 format (YYYY-MM-DDTHH:mm:ss).
-        - If multiple sessions exist for one event, create a separate entry for each date/time.
-
-        ### 3. VENUE & LOCATION LOGIC
-        - Library systems often have many branches. Look for the branch name (e.g., "Union City Branch", "Centerville Library").
-        - If the branch name is missing from the event card, look for it in the page headers or site navigation text provided.
-        - Always provide the FULL official name (e.g., "Alameda County Library - Union City Branch") to ensure geocoding works.
-
-        ### 4. DATA MODEL & JSON SCHEMA
-        Return a JSON object with a key "events" containing an array of objects. 
-        Use "null" for missing optional fields.
+/**
+ * Stop expanding series the source no longer lists.
+ * @param {Array<Object>} seriesList - Series found in the current extraction.
+ * @param {string} sourceUrl - Registry URL.
+ * @param {number} nowSeconds - Current time.
+ */
+const endMissingSeries = async (seriesList, sourceUrl, nowSeconds) => {
+    const current = new Set(seriesList.map((series) => series.id));
+    const snap = await db.collection("series").where("sourceUrl", "==", sourceUrl).get();
+    const ended = snap.docs.filter((doc) => !current.has(doc.id) && !doc.data().endedAt);
+    if (ended.length === 0) return;
+
+    await writeInBatches(ended.map((doc) => [doc.ref, { endedAt: nowSeconds, updatedAt: nowSeconds }, { merge: true }]));
+    console.log(`🛑 Ended ${ended.length} series no longer listed`);
+};
 
-        {
-        "events": [
-            {
-            "title": "Short, clear event title",
-            "venue": "Full official library system and branch name",
-            "description": "A warm, helpful 2-sentence summary. Highlight sensory details (bubbles, music, building blocks).",
-            "isoDate": "YYYY-MM-DDTHH:mm:ss",
-            "ageRange": "Identify the target age (e.g., '0-2 years', 'Toddlers', 'All Ages')",
-            "isRegistrationRequired": boolean,
-            "registrationUrl": "Direct link to sign up if found, else null",
-            "isIndoor": true
-            }
-        ]
+// Firestore "in" queries accept at most 30 values
+const IN_QUERY_LIMIT = 30;
+
+/**
+ * Upcoming activities a source contributed to (including cancelled ones), under
+ * any URL it has been scraped from, so moving its calendar page doesn't strand them.
+ * @param {Array<string>} sourceUrls - From sourceUrlsFor.
+ * @param {number} nowSeconds - Current time.
+ * @returns {Promise<Array<{id: string, data: Object}>>}
+ */
+const loadSourceActivities = async (sourceUrls, nowSeconds) => {
+    const stored = new Map();
+    for (let start = 0; start < sourceUrls.length; start += IN_QUERY_LIMIT) {
+        const chunk = sourceUrls.slice(start, start + IN_QUERY_LIMIT);
+        const [bySource, byAnySource] = await Promise.all([
+            db.collection("activities").where("sourceUrl", "in", chunk).get(),
+            db.collection("activities").where("sourceUrls", "array-contains-any", chunk).get(),
+        ]);
+        for (const doc of [...bySource.docs, ...byAnySource.docs]) {
+            const data = doc.data();
+            if (data.startTime >= nowSeconds) stored.set(doc.id, { id: doc.id, data });
         }
+    }
+    return [...stored.values()];
+};
 
-        ### 5. CONTENT TO ANALYZE
-        ${contentToAnalyze}
-    `;
+// One fetcher per instance, so robots.txt and per-domain limits hold across concurrent scrapes
+const fetcher = createFetcher({ maxPerDomain: () => FETCH_MAX_PER_DOMAIN.value() });
 
-                const result = await model.generateContent(prompt);
-                const aiResponse = JSON.parse(result.response.text());
-                const extractedEvents = aiResponse.events || [];
+// Cassettes hold Jina Reader responses, so recording and replaying keep to the Jina path
+const USE_FETCH_CASSETTES = EXTRACTION_MODE === "record" || EXTRACTION_MODE === "replay";
 
-                console.log(
-                    `🤖 Gemini found ${extractedEvents.length} relevant events`,
-                );
+/**
+ * Fetch a URL directly and return its body, throwing on HTTP errors.
+ * @param {string} url - URL to fetch.
+ * @returns {Promise<string>}
+ */
+const fetchText = withFetchCassette(fetcher.fetchText, CASSETTE_DIR, EXTRACTION_MODE);
 
-                if (extractedEvents.length === 0) {
-                    console.log(`ℹ️ No toddler events found for ${venueName}`);
-                    // Update cache
-                    await cacheRef.set(
-                        {
-                            content_hash: currentHash,
-                            last_parsed: Math.floor(Date.now() / 1000),
-                            event_count: 0,
-                            parsed_json: JSON.stringify([]),
-                        },
-                        { merge: true },
-                    );
-                    continue;
-                }
+// Page to scrape: the best calendar page found on the site, else the registered URL
+const scrapeUrlFor = (libraryData) => libraryData.event_urls?.[0] || libraryData.url_hash;
 
-                // 5. Batch Upload with Deduplication
-                const batch = db.batch();
-                let newEventsCount = 0;
+// Fetch a page as markdown (direct + turndown, or Jina Reader for JavaScript-rendered pages)
+const fetchMarkdown = async (url) =>
+    USE_FETCH_CASSETTES
+        ? fetchText(`${JINA_READER_URL}${url}`)
+        : (await fetcher.fetchPage(url)).content;
 
-                for (const act of extractedEvents) {
-                    if (!act || !act.title || !act.venue || !act.isoDate) {
-                        console.warn("⚠️ Skipping invalid event:", act);
-                        continue;
-                    }
+/**
+ * Page fetch for crawling a source's calendar.
+ * Tries the strategy that worked for the source last time and sends the
+ * validators cached with each page, so an unchanged page comes back without a
+ * body, carrying the hash and next page remembered from its last extraction.
+ * @param {DocumentSnapshot} registryDoc - url_registry document.
+ * @param {Object} stats - Source stats (fetchStrategy, pagesNotModified).
+ * @returns {Function} async (url) => page for crawlPages.
+ */
+const createCrawlFetch = (registryDoc, stats) => async (url) => {
+    if (USE_FETCH_CASSETTES) return fetchText(`${JINA_READER_URL}${url}`);
+
+    const pageDoc = await registryDoc.ref.collection("pages").doc(pageKey(url)).get();
+    const cached = pageDoc.exists ? pageDoc.data() : null;
+    // Skipping a page only pays off when its cached extraction is still current
+    const reusable = cached?.content_hash && cached.prompt_version === CURRENT_PROMPT_VERSION;
+    const page = await fetcher.fetchPage(url, {
+        strategy: registryDoc.data().fetch_strategy,
+        validators: reusable ? { etag: cached.etag || null, lastModified: cached.last_modified || null } : {},
+    });
+    stats.fetchStrategy = stats.fetchStrategy || page.strategy;
+    if (!page.notModified) return page;
+
+    stats.pagesNotModified++;
+    return { ...page, hash: cached.content_hash, nextUrl: cached.next_url || null };
+};
 
-                    const parsed = Date.parse(act.isoDate);
-                    if (Number.isNaN(parsed)) {
-                        console.warn("⚠️ Skipping event with invalid isoDate:", act);
-                        continue;
-                    }
+// Fetch a URL and parse its body as JSON (platform adapter APIs)
+const fetchJson = async (url) => JSON.parse(await fetchText(url));
 
-                    // Skip past events
-                    if (isPastIsoDate(act.isoDate)) {
-                        continue;
-                    }
+/**
+ * Look for structured event data in a source page's raw HTML.
+ * Any failure simply means "no structured data" so the Jina path still runs.
+ * @param {string} html - Raw page HTML.
+ * @param {string} targetUrl - Registry URL.
+ * @param {string} venueName - Registry venue, used when a feed has no locations.
+ * @returns {Promise<{events: Array<Object>, method: string|null}>}
+ */
+const findStructuredEvents = async (html, targetUrl, venueName) => {
+    try {
+        return await extractStructuredEvents(html, targetUrl, {
+            fetchText,
+            defaultVenue: venueName,
+        });
+    } catch (error) {
+        console.warn(
+            `⚠️ Structured data lookup failed for ${venueName}:`,
+            error.message,
+        );
+        return { events: [], method: null };
+    }
+};
 
-                    const eventDate = String(act.isoDate).split("T")[0];
-                    const uniqueId = generateEventId(
-                        String(act.title),
-                        String(act.venue),
-                        eventDate,
-                    );
+/**
+ * Pull events through a native calendar platform adapter (LibCal, BiblioCommons, ...).
+ * Detects the platform on first sight and stores it on the registry doc as `platform`.
+ * @param {DocumentSnapshot} registryDoc - url_registry document.
+ * @param {string} html - Raw page HTML, used to detect embedded calendars.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Detect the platform but don't store it.
+ * @returns {Promise<{events: Array<Object>, method: string|null}>}
+ */
+const fetchPlatformEvents = async (registryDoc, html, { dryRun = false } = {}) => {
+    const libraryData = registryDoc.data();
+    const known =
+        libraryData.platform &&
+        libraryData.platform !== GENERIC_PLATFORM &&
+        libraryData.platform_url;
+    const detected = known
+        ? { platform: libraryData.platform, calendarUrl: libraryData.platform_url }
+        : detectPlatform(scrapeUrlFor(libraryData), html);
+
+    if (!known && detected.platform !== libraryData.platform) {
+        console.log(`🏛️ Detected platform: ${detected.platform}`);
+        if (!dryRun) {
+            await registryDoc.ref.set(
+                {
+                    platform: detected.platform,
+                    platform_url: detected.calendarUrl,
+                },
+                { merge: true },
+            );
+        }
+    }
 
-                    const docRef = db.collection("activities").doc(uniqueId);
-                    const docSnap = await docRef.get();
-
-                    // Only add if new
-                    if (!docSnap.exists) {
-                        const mapsKey =
-                            GOOGLE_MAPS_API_KEY &&
-                                typeof GOOGLE_MAPS_API_KEY.value === "function"
-                                ? GOOGLE_MAPS_API_KEY.value()
-                                : process.env.GOOGLE_MAPS_API_KEY;
-
-                        // Use pre-discovered coordinates if available, else geocode
-                        const coordinates =
-                            libraryData.latitude && libraryData.longitude
-                                ? {
-                                    lat: libraryData.latitude,
-                                    lng: libraryData.longitude,
-                                    address: libraryData.venue_name,
-                                }
-                                : await getDynamicCoordinates(act.venue, mapsKey);
-
-                        const normalized = {
-                            title: String(act.title || "").trim(),
-                            venue: String(act.venue || "").trim(),
-                            description: act.description ?? null,
-                            startTime: Math.floor(
-                                new Date(act.isoDate).getTime() / 1000,
-                            ),
-                            endTime: act.endTime
-                                ? Math.floor(new Date(act.endTime).getTime() / 1000)
-                                : null,
-                            ageRange: normalizeAgeRange(act.ageRange) ?? "All",
-                            isFree: true,
-                            requiresBooking: !!act.isRegistrationRequired,
-                            registrationUrl:
-                                act.registrationUrl &&
-                                    /^https?:\/\//.test(act.registrationUrl)
-                                    ? act.registrationUrl
-                                    : null,
-                            latitude: coordinates.lat,
-                            longitude: coordinates.lng,
-                            geohash:
-                                coordinates.lat && coordinates.lng
-                                    ? geofire.geohashForLocation([
-                                        coordinates.lat,
-                                        coordinates.lng,
-                                    ])
-                                    : null,
-                            sourceUrl: targetUrl,
-                            createdAt: Math.floor(Date.now() / 1000),
-                            expireAt: new Date(
-                                (act.endTime
-                                    ? new Date(act.endTime).getTime()
-                                    : new Date(act.isoDate).getTime()) +
-                                24 * 60 * 60 * 1000,
-                            ),
-                        };
-
-                        batch.set(docRef, normalized);
-                        newEventsCount++;
-                    }
-                }
+    const adapter = getAdapter(detected.platform);
+    if (!adapter) return { events: [], method: null };
 
-                if (newEventsCount > 0) {
-                    await batch.commit();
-                    totalEventsAdded += newEventsCount;
-                    console.log(
-                        `✅ Added ${newEventsCount} new events from ${venueName}`,
-                    );
-                }
+    try {
+        const events = await adapter.fetchEvents({
+            calendarUrl: detected.calendarUrl,
+            fetchJson,
+            defaultVenue: libraryData.venue_name || null,
+        });
+        console.log(`🏛️ ${adapter.name} adapter returned ${events.length} events`);
+        return {
+            events: events.filter((act) => act.title && act.isoDate),
+            method: adapter.name,
+        };
+    } catch (error) {
+        console.warn(`⚠️ ${adapter.name} adapter failed:`, error.message);
+        return { events: [], method: null };
+    }
+};
 
-                // Update cache
-                await cacheRef.set(
-                    {
-                        content_hash: currentHash,
-                        last_parsed: Math.floor(Date.now() / 1000),
-                        event_count: newEventsCount,
-                        parsed_json: JSON.stringify(extractedEvents),
-                    },
-                    { merge: true },
-                );
-            } catch (error) {
-                console.error(`❌ Error processing ${venueName}:`, error.message);
+/**
+ * Extraction function for one scrape: (input) -> extraction, or null once the
+ * daily LLM budget is spent. Live calls are rate limited and their token usage
+ * is added to the source stats and the budget.
+ * @param {Object} stats - Source stats.
+ * @returns {function(Object): Promise<Object|null>} Takes runExtraction's options minus the provider.
+ */
+const createExtractor = (stats) => {
+    const usages = [];
+    const provider = createProvider({
+        mode: EXTRACTION_MODE,
+        apiKey: EXTRACTION_MODE === "replay" ? null : GEMINI_API_KEY.value(),
+        cassetteDir: CASSETTE_DIR,
+        onUsage: (usage) => usages.push(usage),
+    });
+
+    return async (input) => {
+        if (EXTRACTION_MODE !== "replay") {
+            if (!(await llmBudget.remaining())) return null;
+            await geminiLimiter.acquire();
+        }
+        try {
+            return await runExtraction({ provider, ...input });
+        } finally {
+            // Tokens are spent even when the response turns out unusable
+            for (const usage of usages.splice(0)) {
+                const costUsd = estimateCostUsd(provider.model, usage);
+                stats.promptTokens += usage.promptTokens;
+                stats.outputTokens += usage.outputTokens;
+                stats.totalTokens += usage.totalTokens;
+                stats.costUsd += costUsd;
+                await llmBudget.record(usage, costUsd);
             }
         }
+    };
+};
 
-        console.log(
-            `\n🎉 Daily Scraper Complete:\n   Processed: ${totalProcessed} libraries\n   Events Added: ${totalEventsAdded}`,
-        );
-    },
-);
+// Fields a cached page keeps for conditional requests
+const pageValidatorFields = (page) => ({
+    etag: page.validators?.etag || null,
+    last_modified: page.validators?.lastModified || null,
+    next_url: page.nextUrl || null,
+});
 
 /**
- * Discovery Function: Monthly Scout
- * Searches for public libraries in California cities using Google Places API
- * Stores discovered library websites in url_registry for the daily scraper to process
+ * Extract a crawled calendar page by page.
+ * Pages whose content and prompt version match their cache entry
+ * (`url_registry/{id}/pages/{pageKey}`) reuse it; the others are extracted in
+ * chunks, optionally completed from event detail pages, and cached again along
+ * with the page's HTTP validators and next page for the next conditional crawl.
+ * @param {Object} options
+ * @param {DocumentReference} options.cacheRef - url_registry doc.
+ * @param {Array<{url: string, content: string|null, hash: string, nextUrl: string|null, validators?: Object}>} options.pages
+ *   Crawled pages; content is null for pages the server reported unchanged.
+ * @param {Function} options.extract - From createExtractor.
+ * @param {string} options.today
+ * @param {string} options.timeZone
+ * @param {Object} options.region - Source region, for the prompt.
+ * @param {Object} options.stats - Source stats.
+ * @param {number} options.maxDetailPages - Detail pages to visit per page (0 = none).
+ * @param {boolean} [options.dryRun] - Read the page cache but don't update it.
+ * @returns {Promise<{events: Array<Object>, series: Array<Object>, promptVersion: string}|null>}
+ *   null when the LLM budget ran out.
  */
-exports.discoverCaliforniaLibraries = onSchedule(
-    {
-        schedule: "0 0 1 * *", // Runs once a month (1st day at midnight UTC)
-        secrets: [GOOGLE_MAPS_API_KEY],
-        timeoutSeconds: 120,
-        memory: "256MiB",
-    },
-    async (event) => {
-        console.log("🔍 Starting California Library Discovery (config_cities)...");
+const extractPages = async ({ cacheRef, pages, extract, today, timeZone, region, stats, maxDetailPages, dryRun = false }) => {
+    const pagesRef = cacheRef.collection("pages");
+    const results = [];
+
+    for (const page of pages) {
+        const pageRef = pagesRef.doc(pageKey(page.url));
+        const pageDoc = await pageRef.get();
+        if (
+            pageDoc.exists &&
+            pageDoc.data().content_hash === page.hash &&
+            pageDoc.data().prompt_version === CURRENT_PROMPT_VERSION
+        ) {
+            // Same content under new validators: remember them so the next crawl can skip it
+            const validators = pageValidatorFields(page);
+            if (
+                !dryRun &&
+                !page.notModified &&
+                Object.entries(validators).some(([field, value]) => (pageDoc.data()[field] ?? null) !== value)
+            ) {
+                await pageRef.set(validators, { merge: true });
+            }
+            results.push({
+                events: JSON.parse(pageDoc.data().parsed_json || "[]"),
+                series: JSON.parse(pageDoc.data().parsed_series || "[]"),
+            });
+            continue;
+        }
 
-        // Pull cities from config_cities collection
-        const citiesSnap = await db.collection("config_cities").get();
-        if (citiesSnap.empty) {
-            console.log("ℹ️ No cities found in config_cities. Seed with import_ca_cities.py.");
-            return;
+        const chunks = chunkContent(page.content);
+        const chunkResults = [];
+        for (const chunk of chunks) {
+            const result = await extract({ content: chunk, today, timeZone, region });
+            if (!result) return null;
+            chunkResults.push(result);
+        }
+        stats.pagesExtracted++;
+        stats.chunksExtracted += chunks.length;
+
+        const pageResult = mergeExtractions(chunkResults);
+        if (maxDetailPages > 0) {
+            const detailed = await fillEventDetails({
+                page,
+                events: pageResult.events,
+                fetchPage: fetchMarkdown,
+                maxPages: maxDetailPages,
+            });
+            pageResult.events = detailed.events;
+            stats.detailPagesFetched += detailed.fetched;
         }
 
-        let totalDiscovered = 0;
-        let totalRegistered = 0;
+        if (!dryRun) {
+            await pageRef.set({
+                url: page.url,
+                content_hash: page.hash,
+                prompt_version: CURRENT_PROMPT_VERSION,
+                chunk_count: chunks.length,
+                parsed_json: JSON.stringify(pageResult.events),
+                parsed_series: JSON.stringify(pageResult.series),
+                last_parsed: Math.floor(Date.now() / 1000),
+                ...pageValidatorFields(page),
+            });
+        }
+        results.push(pageResult);
+    }
+    if (dryRun) return { ...mergeExtractions(results), promptVersion: CURRENT_PROMPT_VERSION };
 
-        for (const cityDoc of citiesSnap.docs) {
-            const cityRef = cityDoc.ref;
-            const cityData = cityDoc.data() || {};
-            const cityName = cityData.name || `${cityDoc.id.replace(/_/g, " ")}, CA`;
+    // Forget pages the crawl no longer reaches
+    const current = new Set(pages.map((page) => pageKey(page.url)));
+    const stale = (await pagesRef.get()).docs.filter((doc) => !current.has(doc.id));
+    await Promise.all(stale.map((doc) => doc.ref.delete()));
 
-            console.log(`🔍 Searching for libraries in ${cityName}...`);
+    return { ...mergeExtractions(results), promptVersion: CURRENT_PROMPT_VERSION };
+};
 
-            // Mark scanning start
-            await cityRef.set(
-                {
-                    status: "scanning",
-                    last_scanned: admin.firestore.FieldValue.serverTimestamp(),
-                },
-                { merge: true }
-            );
+/**
+ * Scrape one url_registry source end to end: fetch, extract, reconcile, upload.
+ * Throws on failures worth retrying (the task queue retries them with backoff).
+ * A dry run skips the source cache and writes nothing; it returns what the
+ * scrape would publish, hold for review and reject.
+ * @param {DocumentSnapshot} registryDoc - url_registry document.
+ * @param {Object} [stats] - Ledger counters, filled in as the scrape goes (see createSourceStats).
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun]
+ * @returns {Promise<{status: string, eventsAdded: number, events?: Array<Object>, pendingReview?: Array<Object>, rejected?: Array<Object>}>}
+ */
+const scrapeSource = async (registryDoc, stats = createSourceStats(), { dryRun = false } = {}) => {
+    const libraryData = registryDoc.data();
+    const targetUrl = scrapeUrlFor(libraryData);
+    const venueName = libraryData.venue_name || "Library";
+    const region = await regions.get(libraryData.region);
+    const timeZone = libraryData.timezone || region.timeZone;
+
+    // Skip only obviously invalid URLs
+    if (!targetUrl) {
+        console.log(`⏭️ Skipping empty URL for ${venueName}`);
+        return { status: "skipped", eventsAdded: 0 };
+    }
 
-            try {
-                const queries = [
-                    `public library in ${cityName}`,
-                    `park in ${cityName}`,
-                ];
+    console.log(
+        `\n🔄 Processing: ${venueName}\n   URL: ${targetUrl.substring(0, 60)}...`,
+    );
 
-                let registeredForCity = 0;
-                let discoveredForCity = 0;
+    // 1. Fetch the raw page once for platform detection and structured data
+    const html = await fetchText(targetUrl).catch((error) => {
+        console.warn(
+            `⚠️ Could not fetch raw HTML for ${venueName}:`,
+            error.message,
+        );
+        return "";
+    });
 
-                for (const query of queries) {
-                    const response = await mapsClient.textSearch({
-                        params: {
-                            query,
-                            key: GOOGLE_MAPS_API_KEY.value(),
-                        },
-                    });
+    // 2. Prefer a native platform adapter, then JSON-LD / iCal / RSS / Atom
+    let structured = await fetchPlatformEvents(registryDoc, html, { dryRun });
+    if (structured.events.length === 0) {
+        structured = await findStructuredEvents(html, targetUrl, venueName);
+    }
+    const useStructured = structured.events.length > 0;
+    stats.method = structured.method || "llm";
+
+    // 3. Structured data is extracted whole; other sites are crawled page by page via Jina Reader
+    const today = localDate(Date.now(), timeZone);
+    const horizonDays = libraryData.crawl_horizon_days || CRAWL_HORIZON_DAYS.value();
+    let pages = [];
+    let currentHash;
+    if (useStructured) {
+        console.log(
+            `🧩 Found ${structured.events.length} structured events (${structured.method})`,
+        );
+        stats.fetchStatus = "ok";
+        // Structured payloads are hashed as-is: their dates are the content
+        currentHash = generateContentHash(JSON.stringify(structured.events));
+    } else {
+        // Failures on the first page propagate so the task queue retries the source
+        pages = await crawlPages({
+            startUrl: targetUrl,
+            fetchPage: createCrawlFetch(registryDoc, stats),
+            today,
+            maxPages: libraryData.crawl_max_pages || CRAWL_MAX_PAGES.value(),
+            horizonDays,
+        }).catch((error) => {
+            stats.fetchStatus = "failed";
+            stats.httpStatus = error.status ?? null;
+            throw error;
+        });
+        stats.fetchStatus = "ok";
+        stats.pagesFetched = pages.length;
+        console.log(
+            `✅ Fetched ${venueName} (${pages.length} page${pages.length === 1 ? "" : "s"}, ` +
+                `${stats.pagesNotModified} unchanged, ${stats.fetchStrategy || JINA})`,
+        );
+        if (!dryRun && stats.fetchStrategy && stats.fetchStrategy !== libraryData.fetch_strategy) {
+            await registryDoc.ref.set({ fetch_strategy: stats.fetchStrategy }, { merge: true });
+        }
 
-                    const results = response.data.results || [];
-                    discoveredForCity += results.length;
-                    console.log(`📍 Found ${results.length} results for ${cityName} (${query})`);
+        // Unchanged pages keep the hash they had
+        pages = pages.map((page) => ({
+            ...page,
+            hash: page.notModified ? page.hash : generateContentHash(cleanContentForHashing(page.content)),
+        }));
+        currentHash = generateContentHash(
+            pages.map((page) => `${page.url} ${page.hash}`).join("\n"),
+        );
+    }
 
-                    for (const place of results) {
-                        try {
-                            const details = await mapsClient.placeDetails({
-                                params: {
-                                    place_id: place.place_id,
-                                    fields: ["name", "website", "geometry"],
-                                    key: GOOGLE_MAPS_API_KEY.value(),
-                                },
-                            });
+    // 4. Check cache
+    const urlDocId = registryDoc.id;
+    const cacheRef = db.collection("url_registry").doc(urlDocId);
+    const cacheDoc = await cacheRef.get();
+
+    // Cache hit - skip Gemini (a new prompt version re-extracts everything)
+    if (
+        !dryRun &&
+        cacheDoc.exists &&
+        cacheDoc.data().content_hash === currentHash &&
+        (cacheDoc.data().prompt_version || "v1") === CURRENT_PROMPT_VERSION
+    ) {
+        const lastParsed = new Date(
+            (cacheDoc.data().last_parsed || 0) * 1000,
+        ).toLocaleString();
+        console.log(
+            `✅ Cache Hit! Skipping Gemini. (Last parsed: ${lastParsed})`,
+        );
+        stats.cache = "hit";
+        stats.eventsExtracted = countParsedEvents(cacheDoc.data().parsed_json);
+        return { status: "cache_hit", eventsAdded: 0 };
+    }
+    stats.cache = "miss";
+
+    console.log(
+        useStructured
+            ? "🔄 Cache Miss - Asking Gemini to filter structured events by age..."
+            : "🔄 Cache Miss - Calling Gemini for changed pages...",
+    );
+
+    // 5-6. AI Analysis (age filter only when the source is structured)
+    const extract = createExtractor(stats);
+    const extraction = useStructured
+        ? await extract({ structuredEvents: structured.events, today, timeZone })
+        : await extractPages({
+            cacheRef,
+            pages,
+            extract,
+            today,
+            timeZone,
+            region,
+            stats,
+            maxDetailPages: libraryData.fetch_details ? CRAWL_MAX_DETAIL_PAGES.value() : 0,
+            dryRun,
+        });
 
-                            const website = details.data?.result?.website;
-                            const name = details.data?.result?.name || place.name;
-                            const loc = details.data?.result?.geometry?.location;
+    // Out of LLM budget: leave the source's cache alone so tomorrow's run extracts it
+    if (!extraction) {
+        console.warn(`💸 Daily Gemini budget spent; skipping ${venueName} until tomorrow`);
+        return { status: "budget_exhausted", eventsAdded: 0 };
+    }
+    const baseEvents = extraction.events;
+
+    // Recurring patterns become series, expanded into the rolling window
+    const seriesList = collectSeries(
+        extraction.series,
+        baseEvents,
+        today,
+    );
+    const extractedEvents = mergeOccurrences(
+        baseEvents,
+        expandToEvents(seriesList, today),
+    );
+    stats.eventsExtracted = extractedEvents.length;
+
+    console.log(
+        `🤖 Gemini found ${baseEvents.length} relevant events and ${seriesList.length} series`,
+    );
+
+    if (extractedEvents.length === 0 && dryRun) {
+        return { status: "no_events", eventsAdded: 0, events: [], pendingReview: [], rejected: [] };
+    }
+    if (extractedEvents.length === 0) {
+        console.log(`ℹ️ No toddler events found for ${venueName}`);
+        // Update cache
+        await cacheRef.set(
+            {
+                content_hash: currentHash,
+                last_parsed: Math.floor(Date.now() / 1000),
+                event_count: 0,
+                parsed_json: JSON.stringify([]),
+                extraction_method: structured.method || "llm",
+                prompt_version: extraction.promptVersion,
+            },
+            { merge: true },
+        );
+        return { status: "no_events", eventsAdded: 0 };
+    }
 
-                            if (website && loc) {
-                                const urlDocId = Buffer.from(website)
-                                    .toString("base64")
-                                    .substring(0, 100);
+    // 7. Reconcile with what this source listed last time, then upload
+    const method = structured.method || "llm";
+    const provenance = {
+        method,
+        trust: sourceTrust(method, libraryData.trust),
+    };
+    const nowSeconds = Math.floor(Date.now() / 1000);
+
+    // Resolve each venue name once per source
+    const coordinatesByVenue = new Map();
+    const coordinatesFor = (venue) => {
+        if (!coordinatesByVenue.has(venue)) {
+            coordinatesByVenue.set(venue, resolveCoordinates(libraryData, venue, region));
+        }
+        return coordinatesByVenue.get(venue);
+    };
+
+    // Local venue time, with the year checked against the fetch date
+    const timing = { timeZone, referenceDate: today };
+    const minConfidence = REVIEW_MIN_CONFIDENCE_PERCENT.value() / 100;
+
+    const incoming = new Map();
+    const quarantined = new Map();
+    const rejected = [];
+    for (const act of extractedEvents) {
+        const { reasons, times } = validateEvent(act, timing);
+        if (reasons.length > 0) {
+            console.warn(`⚠️ Rejecting event (${reasons.join(", ")}):`, act);
+            rejected.push({ event: act, reasons });
+            stats.eventsRejected++;
+            for (const reason of reasons) {
+                stats.rejectionReasons[reason] = (stats.rejectionReasons[reason] || 0) + 1;
+            }
+            continue;
+        }
 
-                                await db.collection("url_registry").doc(urlDocId).set(
-                                    {
-                                        url_hash: website,
-                                        venue_name: name,
-                                        city: cityName,
-                                        latitude: loc.lat,
+        // Skip past events
+        if (times.startTime < nowSeconds) {
+            continue;
+        }
+
+        const id = eventIdFor({ ...act, isoDate: times.isoDate });
+        if (incoming.has(id) || quarantined.has(id)) continue;
+        const coordinates = await coordinatesFor(act.venue);
+        const { confidence, signals } = scoreConfidence(act, {
+            times,
+            today,
+            timeZone,
+            horizonDays,
+            registryVenue: libraryData.venue_name,
+            structured: useStructured,
+        });
+        const doc = {
+            ...buildActivityDoc(act, coordinates, targetUrl, provenance, timing),
+            confidence,
+        };
+        if (confidence < minConfidence) {
+            quarantined.set(id, { act, times, doc, confidence, signals, coordinates });
+            continue;
+        }
+        incoming.set(id, { id, doc });
+    }
+
+    if (dryRun) {
+        return {
+            status: "dry_run",
+            eventsAdded: 0,
+            events: [...incoming.values()].map(({ id, doc }) => previewDoc(id, doc)),
+            pendingReview: [...quarantined].map(([id, { doc, signals }]) => ({ ...previewDoc(id, doc), signals })),
+            rejected,
+        };
+    }
+
+    const stored = await loadSourceActivities(sourceUrlsFor(libraryData), nowSeconds);
+
+    // Low-confidence events wait for review, unless already public or reviewed
+    if (quarantined.size > 0) {
+        const storedIds = new Set(stored.map(({ id }) => id));
+        const ids = [...quarantined.keys()];
+        const reviews = await db.getAll(
+            ...ids.map((id) => db.collection("pending_review").doc(id)),
+        );
+        const reviewWrites = [];
+        reviews.forEach((reviewDoc, index) => {
+            const id = ids[index];
+            const { act, times, doc, confidence, signals, coordinates } = quarantined.get(id);
+            const review = reviewDoc.exists ? reviewDoc.data() : null;
+
+            if (storedIds.has(id)) {
+                incoming.set(id, { id, doc });
+            } else if (review?.status === APPROVED) {
+                // Published under the admin's edits
+                const edited = applyEdits(act, review.edits);
+                const activityId = review.activityId || id;
+                if (!incoming.has(activityId)) {
+                    incoming.set(activityId, {
+                        id: activityId,
+                        doc: {
+                            ...buildActivityDoc(edited, coordinates, targetUrl, provenance, timing),
+                            confidence: 1,
+                        },
+                    });
+                }
+            } else if (review?.status === REJECTED) {
+                stats.eventsRejected++;
+                stats.rejectionReasons.reviewer = (stats.rejectionReasons.reviewer || 0) + 1;
+            } else if (review) {
+                reviewWrites.push([
+                    reviewDoc.ref,
+                    { event: act, confidence, signals, lastSeenAt: nowSeconds },
+                    { mergeFields: ["event", "confidence", "signals", "lastSeenAt"] },
+                ]);
+                stats.eventsQuarantined++;
+            } else {
+                reviewWrites.push([
+                    reviewDoc.ref,
+                    buildReviewEntry({
+                        act,
+                        times,
+                        confidence,
+                        signals,
+                        registryId: registryDoc.id,
+                        venueName: libraryData.venue_name,
+                        sourceUrl: targetUrl,
+                        coordinates,
+                        provenance,
+                        timing,
+                        nowSeconds,
+                    }),
+                ]);
+                stats.eventsQuarantined++;
+            }
+        });
+        await writeInBatches(reviewWrites);
+        if (stats.eventsQuarantined > 0) {
+            console.log(`🔍 ${stats.eventsQuarantined} low-confidence events from ${venueName} wait for review`);
+        }
+    }
+    const { matched, missing, added } = planReconciliation(
+        stored,
+        [...incoming.values()],
+    );
+
+    // doc path -> { ref, data, options }; new docs have no options
+    const writes = new Map();
+    let newEventsCount = 0;
+    let changedCount = 0;
+    let cancelledCount = 0;
+    let mergedCount = 0;
+
+    // Update a stored activity from this source's doc, recording what changed
+    const queueUpdate = (ref, storedData, doc) => {
+        const pending = writes.get(ref.path);
+        if (pending && !pending.options) {
+            // Both docs are new in this run: plain merge, nothing to record yet
+            writes.set(ref.path, {
+                ...pending,
+                data: { ...pending.data, ...mergeActivity(pending.data, doc) },
+            });
+            return;
+        }
+        const base = pending ? { ...storedData, ...pending.data } : storedData;
+        const update = buildUpdate(base, doc, targetUrl, nowSeconds);
+        const fields = { ...pending?.data, ...update?.fields };
+        // One-off docs that turn out to be part of a series get linked to it
+        if (doc.seriesId && !base.seriesId) {
+            fields.seriesId = doc.seriesId;
+            fields.recurrence = doc.recurrence;
+        }
+        if (Object.keys(fields).length > 0) {
+            writes.set(ref.path, { ref, data: fields, options: { merge: true } });
+        }
+        if (update && Object.keys(update.changes).length > 0) changedCount++;
+    };
+
+    for (const { id, data, doc } of matched) {
+        queueUpdate(db.collection("activities").doc(id), data, doc);
+    }
+
+    // Events the source no longer lists were cancelled (or moved to another day)
+    if (missing.length > 0) {
+        if (canCancelMissing(libraryData.parsed_json, incoming.size, nowSeconds)) {
+            for (const { id, data } of missing) {
+                const cancellation = buildCancellation(data, targetUrl, nowSeconds);
+                if (!cancellation) continue;
+                const ref = db.collection("activities").doc(id);
+                writes.set(ref.path, {
+                    ref,
+                    data: cancellation.fields,
+                    options: { merge: true },
+                });
+                if (cancellation.cancelled) cancelledCount++;
+            }
+        } else {
+            console.warn(
+                `⚠️ ${missing.length} events vanished from ${venueName} at once; not cancelling them`,
+            );
+        }
+    }
+
+    for (const { id, doc } of added) {
+        const docRef = db.collection("activities").doc(id);
+        if (writes.has(docRef.path)) continue;
+
+        // Same id listed by another source: add this source's provenance
+        const docSnap = await docRef.get();
+        if (docSnap.exists) {
+            queueUpdate(docRef, docSnap.data(), doc);
+            mergedCount++;
+            continue;
+        }
+
+        // Same event under another title/venue (another source, or reworded) -> merge
+        const pendingNew = [...writes.values()].filter((write) => !write.options);
+        const duplicate = await findFuzzyDuplicate(doc, pendingNew);
+        if (duplicate) {
+            console.log(
+                `🔗 Merging "${doc.title}" into "${duplicate.data.title}" (score ${duplicate.score})`,
+            );
+            queueUpdate(duplicate.ref, duplicate.data, doc);
+            mergedCount++;
+            continue;
+        }
+
+        writes.set(docRef.path, { ref: docRef, data: doc });
+        newEventsCount++;
+    }
+
+    if (writes.size > 0) {
+        // A new or large source can change more docs than one batch holds
+        await writeInBatches([...writes.values()].map(({ ref, data, options }) => [ref, data, options]));
+        console.log(
+            `✅ ${venueName}: ${newEventsCount} new, ${changedCount} changed, ` +
+            `${cancelledCount} cancelled, ${mergedCount} merged into existing`,
+        );
+    }
+
+    stats.eventsAdded = newEventsCount;
+    stats.eventsChanged = changedCount;
+    stats.eventsCancelled = cancelledCount;
+    stats.eventsMerged = mergedCount;
+
+    // 8. Save series so occurrences past the page's window keep coming
+    if (seriesList.length > 0) {
+        await saveSeries(seriesList, libraryData, targetUrl, region);
+        console.log(`🔁 Saved ${seriesList.length} recurring series`);
+    }
+    if (canCancelMissing(libraryData.parsed_json, incoming.size, nowSeconds)) {
+        await endMissingSeries(seriesList, targetUrl, nowSeconds);
+    }
+
+    // Update cache
+    await cacheRef.set(
+        {
+            content_hash: currentHash,
+            last_parsed: Math.floor(Date.now() / 1000),
+            event_count: newEventsCount,
+            parsed_json: JSON.stringify(extractedEvents),
+            parsed_series: JSON.stringify(seriesList),
+            extraction_method: structured.method || "llm",
+            prompt_version: extraction.promptVersion,
+            // Activities keep this URL after the calendar page changes
+            scraped_urls: admin.firestore.FieldValue.arrayUnion(targetUrl),
+        },
+        { merge: true },
+    );
+
+    return { status: "updated", eventsAdded: newEventsCount };
+};
+
+
+/**
+ * Record a scrape attempt in the run ledger.
+ * Retried attempts only leave their source record; the final attempt also adds
+ * to the run totals, updates the source's health (pausing it if needed) and
+ * dead-letters it when it failed.
+ * @param {Object} run
+ * @param {DocumentSnapshot} run.registryDoc
+ * @param {string} run.runId - scrape_runs doc id.
+ * @param {number} run.attempt - 1-based attempt number.
+ * @param {Object} run.stats - Filled-in source stats.
+ * @param {number} run.startedAt - Epoch ms.
+ * @param {string} [run.status] - scrapeSource status, when it returned.
+ * @param {Error} [run.error] - Error, when it threw.
+ * @param {boolean} [run.retrying] - The task will be retried.
+ * @returns {Promise<void>}
+ */
+const recordSourceRun = async ({ registryDoc, runId, attempt, stats, startedAt, status, error, retrying = false }) => {
+    const libraryData = registryDoc.data();
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    const outcome = retrying ? "retrying" : classifyOutcome({ status, stats, error });
+    const runRef = db.collection("scrape_runs").doc(runId);
+    const batch = db.batch();
+
+    batch.set(
+        runRef.collection("sources").doc(registryDoc.id),
+        buildSourceRecord({
+            registryId: registryDoc.id,
+            libraryData,
+            attempt,
+            status,
+            outcome,
+            stats,
+            error,
+            durationMs: Date.now() - startedAt,
+            nowSeconds,
+        }),
+    );
+
+    if (retrying) {
+        batch.set(
+            registryDoc.ref,
+            { scrape_status: "retrying", last_scrape_error: error.message },
+            { merge: true },
+        );
+        await batch.commit();
+        return;
+    }
+
+    const totals = runTotals(outcome, stats);
+    batch.set(
+        runRef,
+        Object.fromEntries(
+            Object.entries(totals).map(([field, amount]) => [
+                field,
+                admin.firestore.FieldValue.increment(amount),
+            ]),
+        ),
+        { merge: true },
+    );
+
+    const { health, pauseReason } = updateHealth(libraryData.health, outcome, {
+        nowSeconds,
+        maxConsecutiveFailures: SOURCE_MAX_CONSECUTIVE_FAILURES.value(),
+        maxZeroYieldRuns: SOURCE_MAX_ZERO_YIELD_RUNS.value(),
+    });
+    let registryFields = {
+        health,
+        scrape_status: error ? "failed" : "ok",
+        last_scrape_error: error ? error.message : null,
+        last_scraped: nowSeconds,
+    };
+
+    if (error) {
+        const deadLetter = buildDeadLetter({
+            registryId: registryDoc.id,
+            libraryData,
+            error,
+            attempts: attempt,
+            nowSeconds,
+        });
+        batch.set(db.collection("scrape_dead_letters").doc(registryDoc.id), deadLetter.record);
+        // Permanent failures stop at once; transient ones count towards a pause
+        if (isPermanentFailure(error)) {
+            registryFields = { ...registryFields, ...deadLetter.registryFields };
+        }
+    }
+    if (pauseReason && registryFields.scrape_status !== DEAD_LETTERED) {
+        registryFields = {
+            ...registryFields,
+            scrape_status: PAUSED,
+            paused_reason: pauseReason,
+            paused_at: nowSeconds,
+        };
+        console.warn(`⏸️ Paused ${libraryData.venue_name || registryDoc.id}: ${pauseReason}`);
+    }
+    batch.set(registryDoc.ref, registryFields, { merge: true });
+    await batch.commit();
+};
+
+/**
+ * Main Parsing Function: Daily Worker
+ * Enqueues one scrapeSourceTask per registered source; the task queue spreads
+ * them out under its concurrency limits and retries failures with backoff.
+ */
+exports.dailyLibraryScraper = onSchedule(
+    {
+        schedule: "every 24 hours",
+        timeoutSeconds: 300,
+        memory: "256MiB",
+    },
+    async (event) => {
+        console.log("🚀 Starting Daily Library Scraper...");
+
+        // Get all registered libraries from Discovery step
+        const registrySnap = await db.collection("url_registry").get();
+
+        if (registrySnap.empty) {
+            console.log(
+                "ℹ️ No libraries in registry. Run discovery function first.",
+            );
+            return;
+        }
+
+        // One ledger entry per day, matching the task ids
+        const runId = localDate();
+        const queue = getFunctions().taskQueue(SCRAPE_QUEUE);
+        const { enqueued, skipped, duplicates, failed } = await enqueueSources(
+            queue,
+            registrySnap.docs,
+            { date: runId },
+        );
+        await db.collection("scrape_runs").doc(runId).set(
+            {
+                date: runId,
+                startedAt: Math.floor(Date.now() / 1000),
+                sourcesRegistered: registrySnap.size,
+                sourcesEnqueued: admin.firestore.FieldValue.increment(enqueued),
+                sourcesSkippedAtEnqueue: skipped,
+            },
+            { merge: true },
+        );
+
+        console.log(
+            `\n🎉 Daily Scraper Enqueued:\n   Sources: ${enqueued}\n   Skipped: ${skipped}` +
+            `\n   Already queued today: ${duplicates}\n   Failed to enqueue: ${failed}`,
+        );
+    },
+);
+
+/**
+ * Task Worker: Scrape One Source
+ * Runs scrapeSource for the registry doc in the task. Failures are retried with
+ * exponential backoff; permanent failures and the last attempt are dead-lettered.
+ */
+exports.scrapeSourceTask = onTaskDispatched(
+    {
+        retryConfig: SCRAPE_RETRY_CONFIG,
+        rateLimits: {
+            maxConcurrentDispatches: SCRAPE_MAX_CONCURRENCY,
+            maxDispatchesPerSecond: SCRAPE_DISPATCHES_PER_SECOND,
+        },
+        secrets: [GEMINI_API_KEY, GOOGLE_MAPS_API_KEY],
+        timeoutSeconds: 540,
+        memory: "512MiB",
+    },
+    async (req) => {
+        const registryId = req.data?.registryId;
+        if (!registryId) {
+            console.warn("⚠️ Task without registryId:", req.data);
+            return;
+        }
+
+        const registryDoc = await db.collection("url_registry").doc(String(registryId)).get();
+        if (!registryDoc.exists) {
+            console.warn(`⚠️ Registry doc ${registryId} no longer exists`);
+            return;
+        }
+
+        const venueName = registryDoc.data().venue_name || "Library";
+        if (req.retryCount > 0) {
+            console.log(
+                `🔁 Retry ${req.retryCount}/${SCRAPE_RETRY_CONFIG.maxAttempts - 1} for ${venueName}`,
+            );
+        }
+
+        const run = {
+            registryDoc,
+            runId: req.data.runId || localDate(),
+            attempt: req.retryCount + 1,
+            stats: createSourceStats(),
+            startedAt: Date.now(),
+        };
+        try {
+            const { status, eventsAdded } = await scrapeSource(registryDoc, run.stats);
+            console.log(`✅ Finished ${venueName}: ${status}, ${eventsAdded} events added`);
+            await recordSourceRun({ ...run, status });
+        } catch (error) {
+            if (shouldDeadLetter(error, req.retryCount)) {
+                // Returning normally acknowledges the task so Cloud Tasks stops retrying
+                console.error(
+                    `🛑 Giving up on ${venueName} after ${run.attempt} attempt(s):`,
+                    error.message,
+                );
+                await recordSourceRun({ ...run, error });
+                return;
+            }
+            console.error(`❌ Error processing ${venueName}, will retry:`, error.message);
+            await recordSourceRun({ ...run, error, retrying: true });
+            throw error;
+        }
+    },
+);
+
+/**
+ * Series Expansion: Daily Roll-Forward
+ * Materializes the next ROLLING_WINDOW_DAYS of every recurring series as activities,
+ * so weekly events keep appearing even when the source page only shows a few dates.
+ */
+exports.expandRecurringSeries = onSchedule(
+    {
+        schedule: "every 24 hours",
+        timeoutSeconds: 300,
+        memory: "256MiB",
+    },
+    async (event) => {
+        console.log("🔁 Expanding recurring series...");
+
+        const seriesSnap = await db.collection("series").get();
+        let totalAdded = 0;
+
+        for (const seriesDoc of seriesSnap.docs) {
+            const series = { id: seriesDoc.id, ...seriesDoc.data() };
+            if (series.endedAt) continue;
+            const timeZone = series.timeZone || DEFAULT_TIMEZONE;
+            const today = localDate(Date.now(), timeZone);
+            const coordinates = { lat: series.latitude, lng: series.longitude, venueId: series.venueId ?? null };
+            const writes = [];
+
+            for (const act of expandToEvents([series], today)) {
+                if (isPastIsoDate(act.isoDate, timeZone)) continue;
+                const docRef = db.collection("activities").doc(eventIdFor(act));
+                const docSnap = await docRef.get();
+                if (docSnap.exists) continue;
+
+                writes.push([
+                    docRef,
+                    buildActivityDoc(
+                        act,
+                        coordinates,
+                        series.sourceUrl,
+                        { method: "series" },
+                        { timeZone },
+                    ),
+                ]);
+            }
+
+            if (writes.length > 0) {
+                await writeInBatches(writes);
+                totalAdded += writes.length;
+                console.log(`✅ Added ${writes.length} occurrences of ${series.title}`);
+            }
+        }
+
+        console.log(
+            `🎉 Series Expansion Complete: ${seriesSnap.size} series, ${totalAdded} occurrences added`,
+        );
+    },
+);
+
+/**
+ * Every registry source by the URLs its activities carry (sourceUrlsFor), with
+ * the config_cities id of its city.
+ * @returns {Promise<{sources: Array<Object>, byUrl: Map<string, Object>}>}
+ *   sources are { id, data, cityId, dark }.
+ */
+const loadSourceDirectory = async () => {
+    const [registrySnap, citiesSnap] = await Promise.all([
+        db.collection("url_registry").get(),
+        db.collection("config_cities").get(),
+    ]);
+    const cityIds = new Map(citiesSnap.docs.map((doc) => [doc.data().name, doc.id]));
+    const sources = registrySnap.docs.map((doc) => ({
+        id: doc.id,
+        data: doc.data(),
+        cityId: cityIds.get(doc.data().city) ?? null,
+        dark: isSourceDark(doc.data()),
+    }));
+    const byUrl = new Map();
+    for (const source of sources) {
+        for (const url of sourceUrlsFor(source.data)) {
+            if (url && !byUrl.has(url)) byUrl.set(url, source);
+        }
+    }
+    return { sources, byUrl };
+};
+
+/**
+ * Event History: Archive
+ * Copies activities that have ended to activities_archive before their expireAt
+ * TTL deletes them (a day after they end). job_state/archive remembers the last
+ * end time copied, so each run picks up where the previous one stopped.
+ */
+exports.archiveEndedActivities = onSchedule(
+    {
+        schedule: "every 6 hours",
+        timeoutSeconds: 300,
+        memory: "256MiB",
+    },
+    async (event) => {
+        const stateRef = db.collection("job_state").doc("archive");
+        const stateSnap = await stateRef.get();
+        const nowSeconds = Math.floor(Date.now() / 1000);
+        // First run: whatever the TTL hasn't deleted yet
+        const since = stateSnap.exists ? stateSnap.data().archivedThrough : nowSeconds - 2 * 24 * 60 * 60;
+        console.log(`🗄️ Archiving activities that ended since ${new Date(since * 1000).toISOString()}...`);
+
+        const { byUrl } = await loadSourceDirectory();
+        let archivedThrough = since;
+        let archived = 0;
+        let last = null;
+        for (;;) {
+            let query = db
+                .collection("activities")
+                .where("endTime", ">", since)
+                .where("endTime", "<=", nowSeconds)
+                .orderBy("endTime")
+                .limit(BATCH_SIZE);
+            if (last) query = query.startAfter(last);
+            const snap = await query.get();
+            if (snap.empty) break;
+
+            await writeInBatches(
+                snap.docs.map((doc) => {
+                    const source = byUrl.get(doc.data().sourceUrl) || null;
+                    return [
+                        db.collection("activities_archive").doc(doc.id),
+                        buildArchiveDoc(doc.data(), { registryId: source?.id, cityId: source?.cityId, nowSeconds }),
+                    ];
+                }),
+            );
+            archived += snap.size;
+            last = snap.docs[snap.size - 1];
+            archivedThrough = last.data().endTime;
+        }
+
+        await stateRef.set({ archivedThrough, lastRunAt: nowSeconds }, { merge: true });
+        console.log(`🎉 Archive Complete: ${archived} activities archived`);
+    },
+);
+
+/**
+ * Event History: Aggregates and Predictions
+ * Rebuilds venue_stats and city_stats from the last STATS_WEEKS weeks of the
+ * archive (plus upcoming activities, for coverage). Venues with regular slots
+ * whose sources have all gone dark get "usually happens" entries in
+ * predicted_activities for the next two weeks; the rest lose theirs.
+ */
+exports.aggregateActivityHistory = onSchedule(
+    {
+        schedule: "0 5 * * *",
+        timeZone: DEFAULT_TIMEZONE,
+        timeoutSeconds: 540,
+        memory: "512MiB",
+    },
+    async (event) => {
+        console.log("📊 Aggregating activity history...");
+        const nowSeconds = Math.floor(Date.now() / 1000);
+        const window = { start: nowSeconds - STATS_WEEKS * 7 * 24 * 60 * 60, end: nowSeconds };
+
+        const [{ sources, byUrl }, archiveSnap, upcomingSnap, predictedSnap] = await Promise.all([
+            loadSourceDirectory(),
+            db.collection("activities_archive").where("startTime", ">=", window.start).get(),
+            db.collection("activities").where("startTime", ">=", nowSeconds).get(),
+            db.collection("predicted_activities").get(),
+        ]);
+        const archived = archiveSnap.docs.map((doc) => doc.data());
+        const upcoming = upcomingSnap.docs.map((doc) => {
+            const source = byUrl.get(doc.data().sourceUrl) || null;
+            return { ...doc.data(), registryId: source?.id ?? null, cityId: source?.cityId ?? null };
+        });
+
+        const venueStats = buildVenueStats(archived, window);
+        const cityStats = buildCityStats(archived, upcoming, sources, window);
+        await writeInBatches([
+            ...[...venueStats].map(([key, stats]) => [
+                db.collection("venue_stats").doc(key),
+                { ...stats, windowWeeks: STATS_WEEKS, updatedAt: nowSeconds },
+            ]),
+            ...[...cityStats].map(([cityId, stats]) => [
+                db.collection("city_stats").doc(cityId),
+                { ...stats, windowWeeks: STATS_WEEKS, updatedAt: nowSeconds },
+            ]),
+        ]);
+
+        // Real activities still on file cover their days; predictions start after them
+        const coveredUntil = new Map();
+        for (const doc of upcoming) {
+            const key = venueKey(doc);
+            if (key && doc.status !== "cancelled") coveredUntil.set(key, Math.max(coveredUntil.get(key) ?? 0, doc.startTime));
+        }
+        const darkIds = new Set(sources.filter((source) => source.dark).map((source) => source.id));
+        const predictions = buildPredictions(venueStats, darkIds, coveredUntil, nowSeconds);
+        const keep = new Set(predictions.map(({ id }) => id));
+        await writeInBatches([
+            ...predictedSnap.docs.filter((doc) => !keep.has(doc.id)).map((doc) => [doc.ref, null]),
+            ...predictions.map(({ id, doc }) => [db.collection("predicted_activities").doc(id), doc]),
+        ]);
+
+        console.log(
+            `🎉 Aggregation Complete: ${venueStats.size} venues, ${cityStats.size} cities, ` +
+                `${darkIds.size} dark sources, ${predictions.length} predicted entries`,
+        );
+    },
+);
+
+/**
+ * Discovery Function: Monthly Scout
+ * Searches for public libraries and parks in every configured city using Google Places API,
+ * with each city's region (config_regions) deciding the queries, country bias and bounds.
+ * Stores discovered library websites in url_registry for the daily scraper to process,
+ * and every place found (address, pin, opening hours) in venues.
+ * It covers every region now, but keeps its original export name: renaming it
+ * would make the next `firebase deploy` delete the live scheduled function.
+ */
+exports.discoverCaliforniaLibraries = onSchedule(
+    {
+        schedule: "0 0 1 * *", // Runs once a month (1st day at midnight UTC)
+        secrets: [GOOGLE_MAPS_API_KEY],
+        timeoutSeconds: 120,
+        memory: "256MiB",
+    },
+    async (event) => {
+        console.log("🔍 Starting Library Discovery (config_cities)...");
+
+        // Pull cities from config_cities collection
+        const citiesSnap = await db.collection("config_cities").get();
+        if (citiesSnap.empty) {
+            console.log("ℹ️ No cities found in config_cities. Seed with import_ca_cities.py.");
+            return;
+        }
+
+        let totalDiscovered = 0;
+        let totalRegistered = 0;
+
+        for (const cityDoc of citiesSnap.docs) {
+            const cityRef = cityDoc.ref;
+            const cityData = cityDoc.data() || {};
+            const region = await regions.get(cityData.region);
+            const cityName = cityData.name || `${cityDoc.id.replace(/_/g, " ")}, ${region.geocodeSuffix || region.name}`;
+
+            console.log(`🔍 Searching for libraries in ${cityName} (${region.name})...`);
+
+            // Mark scanning start
+            await cityRef.set(
+                {
+                    status: "scanning",
+                    last_scanned: admin.firestore.FieldValue.serverTimestamp(),
+                },
+                { merge: true }
+            );
+
+            try {
+                const queries = discoveryQueriesFor(region, cityName);
+
+                let registeredForCity = 0;
+                let discoveredForCity = 0;
+
+                for (const query of queries) {
+                    const response = await mapsClient.textSearch({
+                        params: {
+                            query,
+                            region: region.countryCode.toLowerCase(),
+                            language: region.locale,
+                            key: GOOGLE_MAPS_API_KEY.value(),
+                        },
+                    });
+
+                    const results = response.data.results || [];
+                    discoveredForCity += results.length;
+                    console.log(`📍 Found ${results.length} results for ${cityName} (${query})`);
+
+                    for (const place of results) {
+                        try {
+                            const details = await mapsClient.placeDetails({
+                                params: {
+                                    place_id: place.place_id,
+                                    fields: ["name", "website", "geometry", "formatted_address", "opening_hours"],
+                                    key: GOOGLE_MAPS_API_KEY.value(),
+                                },
+                            });
+
+                            const website = details.data?.result?.website;
+                            const name = details.data?.result?.name || place.name;
+                            const loc = details.data?.result?.geometry?.location;
+                            const address = details.data?.result?.formatted_address || null;
+
+                            if (loc && !isInRegion(region, loc.lat, loc.lng)) {
+                                console.warn(`⚠️ Skipping ${name}: outside ${region.name}`);
+                                continue;
+                            }
+
+                            // Every place found becomes a known venue, so sources listing it resolve to it
+                            // (admin-curated aliases and system survive rediscovery)
+                            if (loc) {
+                                const { aliases, systemId, ...located } = buildVenueDoc(
+                                    { name },
+                                    { lat: loc.lat, lng: loc.lng, address },
+                                    region.id,
+                                );
+                                await db.collection("venues").doc(place.place_id).set(
+                                    {
+                                        ...located,
+                                        hours: hoursFromPlacePeriods(details.data?.result?.opening_hours?.periods),
+                                        placeId: place.place_id,
+                                    },
+                                    { merge: true },
+                                );
+                            }
+
+                            if (website && loc) {
+                                const urlDocId = registryIdFor(website);
+
+                                await db.collection("url_registry").doc(urlDocId).set(
+                                    {
+                                        url_hash: website,
+                                        venue_name: name,
+                                        city: cityName,
+                                        latitude: loc.lat,
                                         longitude: loc.lng,
+                                        venue_id: place.place_id,
+                                        region: region.id,
+                                        timezone: region.timeZone,
                                         last_discovered: admin.firestore.FieldValue.serverTimestamp(),
                                     },
                                     { merge: true }
@@ -577,3 +1877,1192 @@ exports.discoverCaliforniaLibraries = onSchedule(
         console.log(`🎉 Discovery Complete: Found ${totalDiscovered} libraries, Registered ${totalRegistered} new URLs`);
     }
 );
+
+/**
+ * Calendar Finder: Weekly
+ * Enqueues a findCalendarTask for every registered site that was never checked
+ * for an events calendar, or not checked for a while.
+ */
+exports.findEventCalendars = onSchedule(
+    {
+        schedule: "every monday 02:00",
+        timeZone: DEFAULT_TIMEZONE,
+        timeoutSeconds: 300,
+        memory: "256MiB",
+    },
+    async (event) => {
+        console.log("🔍 Looking for sites that need a calendar check...");
+
+        const registrySnap = await db.collection("url_registry").get();
+        const nowSeconds = Math.floor(Date.now() / 1000);
+        const due = registrySnap.docs.filter((doc) => needsCalendarCheck(doc.data(), nowSeconds));
+        if (due.length === 0) {
+            console.log("ℹ️ Every site's calendar was checked recently.");
+            return;
+        }
+
+        const date = localDate();
+        const { enqueued, duplicates, failed } = await enqueueTasks(
+            getFunctions().taskQueue(CALENDAR_QUEUE),
+            due.map((doc) => ({
+                id: taskIdFor(doc.id, date, "calendar"),
+                data: { registryId: doc.id },
+            })),
+        );
+        console.log(
+            `🎉 Calendar checks enqueued: ${enqueued} (${duplicates} already queued, ${failed} failed)`,
+        );
+    },
+);
+
+/**
+ * Task Worker: Find a Site's Calendar
+ * Crawls the registered website for events pages and stores them as
+ * `event_urls`, with `relevance` "kids", "events" or "none" (not scraped).
+ */
+exports.findCalendarTask = onTaskDispatched(
+    {
+        retryConfig: CALENDAR_RETRY_CONFIG,
+        rateLimits: {
+            maxConcurrentDispatches: SCRAPE_MAX_CONCURRENCY,
+            maxDispatchesPerSecond: SCRAPE_DISPATCHES_PER_SECOND,
+        },
+        timeoutSeconds: 300,
+        memory: "256MiB",
+    },
+    async (req) => {
+        const registryId = req.data?.registryId;
+        const registryDoc = registryId
+            ? await db.collection("url_registry").doc(String(registryId)).get()
+            : null;
+        if (!registryDoc?.exists) {
+            console.warn(`⚠️ Registry doc ${registryId} no longer exists`);
+            return;
+        }
+
+        const libraryData = registryDoc.data();
+        const venueName = libraryData.venue_name || "Library";
+        const nowSeconds = Math.floor(Date.now() / 1000);
+
+        let result;
+        try {
+            result = await findCalendarPages({ startUrl: libraryData.url_hash, fetchText });
+        } catch (error) {
+            if (!shouldDeadLetter(error, req.retryCount, CALENDAR_RETRY_CONFIG.maxAttempts)) {
+                console.error(`❌ Calendar check failed for ${venueName}, will retry:`, error.message);
+                throw error;
+            }
+            // Keep what we knew; try again at the next re-check
+            console.error(`🛑 Calendar check gave up for ${venueName}:`, error.message);
+            await registryDoc.ref.set(
+                { calendar_checked_at: nowSeconds, calendar_error: error.message },
+                { merge: true },
+            );
+            return;
+        }
+
+        const fields = {
+            event_urls: result.eventUrls,
+            relevance: result.relevance,
+            calendar_checked_at: nowSeconds,
+            calendar_error: null,
+            calendar_pages: result.pages.map(({ url, score, signals }) => ({ url, score, signals })),
+        };
+        if (result.platform && (!libraryData.platform || libraryData.platform === GENERIC_PLATFORM)) {
+            fields.platform = result.platform.platform;
+            fields.platform_url = result.platform.calendarUrl;
+        }
+        await registryDoc.ref.set(fields, { merge: true });
+
+        console.log(
+            result.relevance === "none"
+                ? `⏭️ ${venueName}: no events calendar found in ${result.pages.length} pages`
+                : `📅 ${venueName}: ${result.relevance} calendar at ${result.eventUrls[0]}`,
+        );
+    },
+);
+
+/**
+ * Admin API: Review Queue
+ * Callable functions over `pending_review`, for admins only (custom claim `admin`).
+ *   listPendingReview({ registryId?, limit? }) -> { items }
+ *   editPendingReview({ id, edits }) -> { event }
+ *   approvePendingReview({ id, edits? }) -> { activityId }
+ *   rejectPendingReview({ id, reason? }) -> { id }
+ */
+
+// Load a pending review entry inside a transaction, or fail the call
+const loadPendingReview = async (transaction, id) => {
+    if (typeof id !== "string" || id === "") {
+        throw new HttpsError("invalid-argument", "id is required");
+    }
+    const ref = db.collection("pending_review").doc(id);
+    const snap = await transaction.get(ref);
+    if (!snap.exists) throw new HttpsError("not-found", `No review entry ${id}`);
+    const review = snap.data();
+    if (review.status !== PENDING) {
+        throw new HttpsError("failed-precondition", `Entry ${id} was already ${review.status}`);
+    }
+    return { ref, review };
+};
+
+// Admin edits, checked before anything is read
+const requireEdits = (edits) => {
+    const problems = validateEdits(edits);
+    if (problems.length > 0) throw new HttpsError("invalid-argument", problems.join("; "));
+    return edits;
+};
+
+// Edited event, checked like a freshly extracted one
+const editedEvent = (review, edits) => {
+    const act = applyEdits(applyEdits(review.event, review.edits), edits);
+    const { reasons, times } = validateEvent(act, review.timing);
+    if (reasons.length > 0) {
+        throw new HttpsError("invalid-argument", `Event is invalid: ${reasons.join(", ")}`);
+    }
+    return { act, times };
+};
+
+exports.listPendingReview = onCall(async (request) => {
+    requireAdmin(request.auth);
+    const { registryId, limit = 50 } = request.data || {};
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+        throw new HttpsError("invalid-argument", "limit must be 1-200");
+    }
+
+    let query = db.collection("pending_review").where("status", "==", PENDING);
+    if (registryId) query = query.where("registryId", "==", registryId);
+    const snap = await query.limit(limit).get();
+
+    // Least confident first
+    const items = snap.docs
+        .map((doc) => {
+            const { expireAt, ...data } = doc.data();
+            return { id: doc.id, ...data };
+        })
+        .sort((a, b) => a.confidence - b.confidence || a.startTime - b.startTime);
+    return { items };
+});
+
+exports.editPendingReview = onCall(async (request) => {
+    requireAdmin(request.auth);
+    const { id, edits } = request.data || {};
+    requireEdits(edits);
+    const act = await db.runTransaction(async (transaction) => {
+        const { ref, review } = await loadPendingReview(transaction, id);
+        const edited = editedEvent(review, edits);
+        transaction.update(ref, { edits: { ...review.edits, ...edits }, updatedAt: Math.floor(Date.now() / 1000) });
+        return edited.act;
+    });
+    return { event: act };
+});
+
+exports.approvePendingReview = onCall(async (request) => {
+    const uid = requireAdmin(request.auth);
+    const { id, edits = {} } = request.data || {};
+    requireEdits(edits);
+    const nowSeconds = Math.floor(Date.now() / 1000);
+
+    // Re-read the entry here so a concurrent approve or reject can't publish it twice
+    const { act, activityId } = await db.runTransaction(async (transaction) => {
+        const { ref, review } = await loadPendingReview(transaction, id);
+        const { act, times } = editedEvent(review, edits);
+        const activityId = eventIdFor({ ...act, isoDate: times.isoDate });
+        const activityRef = db.collection("activities").doc(activityId);
+        const existing = await transaction.get(activityRef);
+        // Another source may have published it meanwhile; its copy stands
+        if (!existing.exists) {
+            transaction.set(activityRef, {
+                ...buildActivityDoc(act, review.coordinates, review.sourceUrl, review.provenance, review.timing),
+                confidence: 1,
+                reviewedBy: uid,
+            });
+        }
+        transaction.update(ref, {
+            status: APPROVED,
+            edits: { ...review.edits, ...edits },
+            activityId,
+            reviewedBy: uid,
+            reviewedAt: nowSeconds,
+        });
+        return { act, activityId };
+    });
+    console.log(`✅ ${uid} approved "${act.title}" (${activityId})`);
+    return { activityId };
+});
+
+exports.rejectPendingReview = onCall(async (request) => {
+    const uid = requireAdmin(request.auth);
+    const { id, reason = null } = request.data || {};
+    await db.runTransaction(async (transaction) => {
+        const { ref } = await loadPendingReview(transaction, id);
+        transaction.update(ref, {
+            status: REJECTED,
+            rejectionReason: typeof reason === "string" ? reason : null,
+            reviewedBy: uid,
+            reviewedAt: Math.floor(Date.now() / 1000),
+        });
+    });
+    return { id };
+});
+
+/**
+ * Admin API: Sources
+ * Callable functions for managing url_registry by hand, for admins only.
+ *   upsertSource({ id?, source }) -> { id, created }
+ *   setSourceEnabled({ id, enabled }) -> { id, scrapeStatus }
+ *   bustSourceCache({ id }) -> { id, pagesCleared }
+ *   scrapeNow({ id } | { city }, dryRun?) -> dry run results, or { enqueued, skipped }
+ *   getSourceDetails({ id, days? }) -> { source, parsedEvents, parsedSeries, runs }
+ */
+
+// Sources a dry run of a whole city scrapes inline at most
+const MAX_DRY_RUN_SOURCES = 5;
+
+// Load a registry doc or fail the call
+const loadSource = async (id) => {
+    if (typeof id !== "string" || id === "") {
+        throw new HttpsError("invalid-argument", "id is required");
+    }
+    const snap = await db.collection("url_registry").doc(id).get();
+    if (!snap.exists) throw new HttpsError("not-found", `No source ${id}`);
+    return snap;
+};
+
+const parseJsonField = (value) => {
+    try {
+        return JSON.parse(value || "[]");
+    } catch (error) {
+        return [];
+    }
+};
+
+exports.upsertSource = onCall(async (request) => {
+    const uid = requireAdmin(request.auth);
+    const { id, source } = request.data || {};
+    const nowSeconds = Math.floor(Date.now() / 1000);
+
+    if (id) {
+        const snap = await loadSource(id);
+        const fields = parseSourceInput(source);
+        await snap.ref.set({ ...fields, updated_by: uid, updated_at: nowSeconds }, { merge: true });
+        console.log(`✏️ ${uid} updated source ${id}: ${Object.keys(fields).join(", ")}`);
+        return { id, created: false };
+    }
+
+    const fields = parseSourceInput(source, { creating: true });
+    const newId = registryIdFor(fields.url_hash);
+    const ref = db.collection("url_registry").doc(newId);
+    const created = await db.runTransaction(async (transaction) => {
+        const existing = await transaction.get(ref);
+        transaction.set(
+            ref,
+            existing.exists
+                ? { ...fields, updated_by: uid, updated_at: nowSeconds }
+                : { ...fields, manual: true, added_by: uid, added_at: nowSeconds },
+            { merge: true },
+        );
+        return !existing.exists;
+    });
+    console.log(`${created ? "➕ Added" : "✏️ Updated"} source ${fields.venue_name} (${fields.url_hash})`);
+    return { id: newId, created };
+});
+
+exports.setSourceEnabled = onCall(async (request) => {
+    const uid = requireAdmin(request.auth);
+    const { id, enabled } = request.data || {};
+    if (typeof enabled !== "boolean") {
+        throw new HttpsError("invalid-argument", "enabled must be a boolean");
+    }
+    const snap = await loadSource(id);
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    const { FieldValue } = admin.firestore;
+
+    if (enabled) {
+        // Clears a pause or dead letter too, with a fresh failure streak
+        await snap.ref.update({
+            scrape_status: "ok",
+            paused_reason: FieldValue.delete(),
+            paused_at: FieldValue.delete(),
+            dead_lettered_at: FieldValue.delete(),
+            "health.consecutiveFailures": 0,
+            "health.consecutiveZeroYield": 0,
+            enabled_by: uid,
+            enabled_at: nowSeconds,
+        });
+    } else {
+        await snap.ref.update({ scrape_status: DISABLED, disabled_by: uid, disabled_at: nowSeconds });
+    }
+    console.log(`${enabled ? "▶️ Enabled" : "⏸️ Disabled"} source ${id}`);
+    return { id, scrapeStatus: enabled ? "ok" : DISABLED };
+});
+
+exports.bustSourceCache = onCall(async (request) => {
+    requireAdmin(request.auth);
+    const { id } = request.data || {};
+    const snap = await loadSource(id);
+    const { FieldValue } = admin.firestore;
+
+    // parsed_json stays: reconciliation compares the next scrape against it
+    const pages = await snap.ref.collection("pages").get();
+    const batch = db.batch();
+    batch.update(snap.ref, { content_hash: FieldValue.delete(), prompt_version: FieldValue.delete() });
+    pages.docs.forEach((page) => batch.delete(page.ref));
+    await batch.commit();
+    console.log(`🧹 Cleared cache of source ${id} (${pages.size} pages)`);
+    return { id, pagesCleared: pages.size };
+});
+
+exports.scrapeNow = onCall(
+    {
+        secrets: [GEMINI_API_KEY, GOOGLE_MAPS_API_KEY],
+        timeoutSeconds: 540,
+        memory: "512MiB",
+    },
+    async (request) => {
+        requireAdmin(request.auth);
+        const { id, city, dryRun = false } = request.data || {};
+        if (!id === !city) throw new HttpsError("invalid-argument", "Give either id or city");
+
+        let registryDocs;
+        if (id) {
+            registryDocs = [await loadSource(id)];
+        } else {
+            const snap = await db.collection("url_registry").where("city", "==", String(city)).get();
+            if (snap.empty) throw new HttpsError("not-found", `No sources in ${city}`);
+            registryDocs = snap.docs;
+        }
+
+        if (dryRun) {
+            if (registryDocs.length > MAX_DRY_RUN_SOURCES) {
+                throw new HttpsError(
+                    "failed-precondition",
+                    `${registryDocs.length} sources in ${city}; dry-run at most ${MAX_DRY_RUN_SOURCES} at once`,
+                );
+            }
+            const results = [];
+            for (const registryDoc of registryDocs) {
+                const stats = createSourceStats();
+                try {
+                    const result = await scrapeSource(registryDoc, stats, { dryRun: true });
+                    results.push({ id: registryDoc.id, ...result, stats });
+                } catch (error) {
+                    results.push({ id: registryDoc.id, status: "failed", error: error.message, stats });
+                }
+            }
+            return { dryRun: true, results };
+        }
+
+        // Real runs go through the queue: retries, rate limits and the ledger apply
+        const runId = localDate();
+        const queue = getFunctions().taskQueue(SCRAPE_QUEUE);
+        const { enqueued, skipped, failed } = id
+            ? {
+                ...(await enqueueTasks(queue, [
+                    {
+                        id: taskIdFor(id, runId, `manual-${Date.now()}`),
+                        data: { registryId: id, runId },
+                    },
+                ])),
+                skipped: 0,
+            }
+            : await enqueueSources(queue, registryDocs, { date: runId, kind: `manual-${Date.now()}` });
+        console.log(`🚀 Manual scrape: ${enqueued} enqueued, ${skipped} skipped`);
+        return { dryRun: false, enqueued, skipped, failed };
+    },
+);
+
+exports.getSourceDetails = onCall(async (request) => {
+    requireAdmin(request.auth);
+    const { id, days = 14 } = request.data || {};
+    if (!Number.isInteger(days) || days < 1 || days > 60) {
+        throw new HttpsError("invalid-argument", "days must be 1-60");
+    }
+    const snap = await loadSource(id);
+    const { parsed_json: parsedJson, parsed_series: parsedSeries, ...source } = snap.data();
+
+    // One ledger record per day, newest first
+    const today = localDate();
+    const dates = Array.from({ length: days }, (_, index) => addDays(today, -index));
+    const records = await db.getAll(
+        ...dates.map((date) => db.collection("scrape_runs").doc(date).collection("sources").doc(id)),
+    );
+
+    return {
+        source: { id, ...source },
+        parsedEvents: parseJsonField(parsedJson),
+        parsedSeries: parseJsonField(parsedSeries),
+        runs: records
+            .map((record, index) => (record.exists ? { runId: dates[index], ...record.data() } : null))
+            .filter(Boolean),
+    };
+});
+
+/**
+ * Admin API: Attribute Backfill
+ * Re-derives activity attributes (cost, setting, languages, accessibility,
+ * categories) for upcoming activities from each source's cached parsed_json,
+ * without calling the model. Call repeatedly with the returned cursor until it is null.
+ *   backfillAttributes({ startAfter?, limit? }) -> { sources, activitiesUpdated, nextCursor }
+ */
+
+// Activities read and written per batch
+const BACKFILL_BATCH_SIZE = 400;
+
+exports.backfillAttributes = onCall(
+    {
+        timeoutSeconds: 540,
+    },
+    async (request) => {
+        requireAdmin(request.auth);
+        const { startAfter = null, limit = 50 } = request.data || {};
+        if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+            throw new HttpsError("invalid-argument", "limit must be 1-200");
+        }
+        if (startAfter !== null && typeof startAfter !== "string") {
+            throw new HttpsError("invalid-argument", "startAfter must be a source id");
+        }
+
+        let query = db.collection("url_registry").orderBy(admin.firestore.FieldPath.documentId()).limit(limit);
+        if (startAfter) query = query.startAfter(startAfter);
+        const snap = await query.get();
+        const nowSeconds = Math.floor(Date.now() / 1000);
+        let activitiesUpdated = 0;
+
+        for (const registryDoc of snap.docs) {
+            const libraryData = registryDoc.data();
+            const sourceUrl = scrapeUrlFor(libraryData);
+            const timing = { timeZone: libraryData.timezone || DEFAULT_TIMEZONE };
+
+            // Upcoming cached events by activity id
+            const cached = new Map();
+            for (const act of parseJsonField(libraryData.parsed_json)) {
+                const { reasons, times } = validateEvent(act, timing);
+                if (reasons.length > 0 || times.endTime < nowSeconds) continue;
+                cached.set(eventIdFor({ ...act, isoDate: times.isoDate }), act);
+            }
+
+            const ids = [...cached.keys()];
+            for (let start = 0; start < ids.length; start += BACKFILL_BATCH_SIZE) {
+                const chunk = ids.slice(start, start + BACKFILL_BATCH_SIZE);
+                const activityDocs = await db.getAll(...chunk.map((id) => db.collection("activities").doc(id)));
+                const batch = db.batch();
+                let updated = 0;
+                activityDocs.forEach((activityDoc, index) => {
+                    if (!activityDoc.exists) return;
+                    const update = buildAttributeUpdate(
+                        activityDoc.data(),
+                        sourceUrl,
+                        deriveAttributes(cached.get(chunk[index])),
+                    );
+                    if (!update) return;
+                    batch.update(activityDoc.ref, { ...update, updatedAt: nowSeconds });
+                    updated++;
+                });
+                if (updated > 0) await batch.commit();
+                activitiesUpdated += updated;
+            }
+        }
+
+        const nextCursor = snap.size === limit ? snap.docs[snap.docs.length - 1].id : null;
+        console.log(`🏷️ Attribute backfill: ${snap.size} sources, ${activitiesUpdated} activities updated`);
+        return { sources: snap.size, activitiesUpdated, nextCursor };
+    },
+);
+
+/**
+ * Admin API: Age Bounds Migration
+ * One-off: recomputes `minAgeMonths` / `maxAgeMonths` and the display label of
+ * every activity (and its provenance entries) from its stored age label, a page
+ * of activities per call. Call repeatedly with the returned cursor until it is null.
+ *   migrateAgeBounds({ startAfter?, limit? }) -> { scanned, updated, nextCursor }
+ */
+exports.migrateAgeBounds = onCall(
+    {
+        timeoutSeconds: 540,
+    },
+    async (request) => {
+        requireAdmin(request.auth);
+        const { startAfter = null, limit = BACKFILL_BATCH_SIZE } = request.data || {};
+        if (!Number.isInteger(limit) || limit < 1 || limit > BACKFILL_BATCH_SIZE) {
+            throw new HttpsError("invalid-argument", `limit must be 1-${BACKFILL_BATCH_SIZE}`);
+        }
+        if (startAfter !== null && typeof startAfter !== "string") {
+            throw new HttpsError("invalid-argument", "startAfter must be an activity id");
+        }
+
+        let query = db.collection("activities").orderBy(admin.firestore.FieldPath.documentId()).limit(limit);
+        if (startAfter) query = query.startAfter(startAfter);
+        const snap = await query.get();
+
+        const batch = db.batch();
+        let updated = 0;
+        for (const activityDoc of snap.docs) {
+            const update = migrateAgeFields(activityDoc.data());
+            if (!update) continue;
+            batch.update(activityDoc.ref, update);
+            updated++;
+        }
+        if (updated > 0) await batch.commit();
+
+        const nextCursor = snap.size === limit ? snap.docs[snap.docs.length - 1].id : null;
+        console.log(`👶 Age bounds migration: ${snap.size} activities scanned, ${updated} updated`);
+        return { scanned: snap.size, updated, nextCursor };
+    },
+);
+
+/**
+ * Admin API: Venues and Library Systems
+ * Branches of a system are separate venues, so events a system-wide source
+ * lists land on their own branch's pin. Aliases cover the other names sources
+ * use for a branch; a venue without coordinates is geocoded from its address.
+ *   upsertLibrarySystem({ id, system }) -> { id }
+ *   upsertVenue({ id?, venue }) -> { id, created }
+ */
+exports.upsertLibrarySystem = onCall(async (request) => {
+    const uid = requireAdmin(request.auth);
+    const { id, system } = request.data || {};
+    if (typeof id !== "string" || !/^[a-z0-9_-]+$/.test(id)) {
+        throw new HttpsError("invalid-argument", "id must be lowercase letters, digits, _ or -");
+    }
+    const problems = validateLibrarySystem(system);
+    if (problems.length > 0) throw new HttpsError("invalid-argument", problems.join("; "));
+
+    await db.collection("library_systems").doc(id).set({
+        name: system.name.trim(),
+        aliases: (system.aliases || []).map((alias) => alias.trim()),
+        website: system.website ?? null,
+        region: system.region || DEFAULT_REGION.id,
+        updated_by: uid,
+        updated_at: Math.floor(Date.now() / 1000),
+    });
+    console.log(`🏛️ ${uid} saved library system ${id} (${system.name})`);
+    return { id };
+});
+
+exports.upsertVenue = onCall(
+    {
+        secrets: [GOOGLE_MAPS_API_KEY],
+    },
+    async (request) => {
+        const uid = requireAdmin(request.auth);
+        const { id = null, venue } = request.data || {};
+        if (id !== null && (typeof id !== "string" || !/^[A-Za-z0-9_-]+$/.test(id))) {
+            throw new HttpsError("invalid-argument", "id must be letters, digits, _ or -");
+        }
+        const problems = validateVenue(venue);
+        if (problems.length > 0) throw new HttpsError("invalid-argument", problems.join("; "));
+        if (venue.systemId) {
+            const systemSnap = await db.collection("library_systems").doc(venue.systemId).get();
+            if (!systemSnap.exists) throw new HttpsError("not-found", `No library system ${venue.systemId}`);
+        }
+
+        const region = await regions.get(venue.region);
+        let location = { lat: venue.latitude, lng: venue.longitude, address: venue.address ?? null };
+        if (venue.latitude === undefined) {
+            location = await geocodeForCaller(() => getDynamicCoordinates(venue.address, mapsApiKey(), region));
+            if (location.lat === null) {
+                throw new HttpsError("failed-precondition", `Could not geocode "${venue.address}"`);
+            }
+        }
+
+        const ref = id ? db.collection("venues").doc(id) : db.collection("venues").doc();
+        const existing = await ref.get();
+        const nowSeconds = Math.floor(Date.now() / 1000);
+        await ref.set(
+            {
+                ...buildVenueDoc(venue, location, region.id),
+                updated_by: uid,
+                updated_at: nowSeconds,
+                ...(!existing.exists && { added_by: uid, added_at: nowSeconds }),
+            },
+            { merge: true },
+        );
+        console.log(`${existing.exists ? "✏️ Updated" : "➕ Added"} venue ${venue.name} (${ref.id})`);
+        return { id: ref.id, created: !existing.exists };
+    },
+);
+
+/**
+ * Admin API: Coverage
+ * Which configured cities have toddler events, from city_stats (see aggregateActivityHistory).
+ *   getCoverageReport({ region? }) -> { cities, updatedAt }
+ */
+exports.getCoverageReport = onCall(async (request) => {
+    requireAdmin(request.auth);
+    const { region = null } = request.data || {};
+    if (region !== null && typeof region !== "string") {
+        throw new HttpsError("invalid-argument", "region must be a config_regions id");
+    }
+
+    const citiesQuery = region
+        ? db.collection("config_cities").where("region", "==", region)
+        : db.collection("config_cities");
+    const [citiesSnap, statsSnap] = await Promise.all([citiesQuery.get(), db.collection("city_stats").get()]);
+    const cityStats = new Map(statsSnap.docs.map((doc) => [doc.id, doc.data()]));
+    const cities = buildCoverageReport(
+        citiesSnap.docs.map((doc) => ({ id: doc.id, name: doc.data().name, region: doc.data().region })),
+        cityStats,
+    );
+    const updatedAt = statsSnap.docs.reduce((latest, doc) => Math.max(latest, doc.data().updatedAt || 0), 0) || null;
+    return { cities, updatedAt };
+});
+
+/**
+ * Admin API: Regions
+ * Launching a region is config, not code: its geocoding, timezone, locale and
+ * discovery queries live in config_regions, and its cities in config_cities.
+ *   upsertRegion({ id, region, cities? }) -> { id, citiesAdded }
+ */
+exports.upsertRegion = onCall(async (request) => {
+    const uid = requireAdmin(request.auth);
+    const { id, region, cities = [] } = request.data || {};
+    if (typeof id !== "string" || !/^[a-z0-9_-]+$/.test(id)) {
+        throw new HttpsError("invalid-argument", "id must be lowercase letters, digits, _ or -");
+    }
+    const problems = validateRegion(region);
+    if (problems.length > 0) throw new HttpsError("invalid-argument", problems.join("; "));
+    if (!Array.isArray(cities) || !cities.every((city) => typeof city === "string" && city.trim() !== "")) {
+        throw new HttpsError("invalid-argument", "cities must be city names");
+    }
+
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    await db.collection("config_regions").doc(id).set({ ...region, updated_by: uid, updated_at: nowSeconds });
+
+    // New cities start pending for the next discovery run; known ones keep their status
+    const cityRefs = cities.map((name) => [name.trim(), db.collection("config_cities").doc(cityDocId(id, name))]);
+    const existing = cityRefs.length > 0 ? await db.getAll(...cityRefs.map(([, ref]) => ref)) : [];
+    let citiesAdded = 0;
+    for (let start = 0; start < cityRefs.length; start += 400) {
+        const batch = db.batch();
+        cityRefs.slice(start, start + 400).forEach(([name, ref], offset) => {
+            if (existing[start + offset].exists) {
+                batch.set(ref, { name, region: id }, { merge: true });
+            } else {
+                batch.set(ref, { name, region: id, status: "pending", last_scanned: null });
+                citiesAdded++;
+            }
+        });
+        await batch.commit();
+    }
+    console.log(`🗺️ ${uid} saved region ${id} (${region.name}): ${citiesAdded} new of ${cities.length} cities`);
+    return { id, citiesAdded };
+});
+
+/**
+ * Saved Searches API
+ * Signed-in parents keep standing searches (where, how far, their child's age,
+ * categories, days and times) and register their devices for push alerts;
+ * device tokens live on users/{uid}.fcmTokens.
+ *   saveSearch({ id?, search }) -> { id }
+ *   deleteSearch({ id }) -> { deleted }
+ *   registerPushToken({ token }) -> { registered }
+ */
+const requireUser = (auth) => {
+    if (!auth) throw new HttpsError("unauthenticated", "Sign in first");
+    return auth.uid;
+};
+
+const loadOwnSearch = async (uid, id) => {
+    if (typeof id !== "string" || id === "") {
+        throw new HttpsError("invalid-argument", "id is required");
+    }
+    const snap = await db.collection("saved_searches").doc(id).get();
+    if (!snap.exists || snap.data().uid !== uid) throw new HttpsError("not-found", `No saved search ${id}`);
+    return snap;
+};
+
+exports.saveSearch = onCall(async (request) => {
+    const uid = requireUser(request.auth);
+    const { id, search } = request.data || {};
+    const problems = validateSavedSearch(search);
+    if (problems.length > 0) throw new HttpsError("invalid-argument", problems.join("; "));
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    const fields = normalizeSavedSearch(search, nowSeconds);
+
+    if (id) {
+        const snap = await loadOwnSearch(uid, id);
+        await snap.ref.update({ ...fields, updatedAt: nowSeconds });
+        return { id };
+    }
+
+    const saved = await db.collection("saved_searches").where("uid", "==", uid).count().get();
+    if (saved.data().count >= MAX_SAVED_SEARCHES) {
+        throw new HttpsError("resource-exhausted", `Up to ${MAX_SAVED_SEARCHES} saved searches`);
+    }
+    const ref = await db.collection("saved_searches").add({ ...fields, uid, createdAt: nowSeconds, updatedAt: nowSeconds });
+    console.log(`🔖 ${uid} saved search "${fields.name}" (${fields.cells.length} cells)`);
+    return { id: ref.id };
+});
+
+exports.deleteSearch = onCall(async (request) => {
+    const uid = requireUser(request.auth);
+    const snap = await loadOwnSearch(uid, (request.data || {}).id);
+    await snap.ref.delete();
+    return { deleted: true };
+});
+
+exports.registerPushToken = onCall(async (request) => {
+    const uid = requireUser(request.auth);
+    const { token } = request.data || {};
+    if (typeof token !== "string" || token === "" || token.length > 4096) {
+        throw new HttpsError("invalid-argument", "token must be an FCM registration token");
+    }
+    await db
+        .collection("users")
+        .doc(uid)
+        .set({ fcmTokens: admin.firestore.FieldValue.arrayUnion(token) }, { merge: true });
+    return { registered: true };
+});
+
+// A user's device tokens (users/{uid}.fcmTokens)
+const loadPushTokens = async (uid) => {
+    const snap = await db.collection("users").doc(uid).get();
+    return snap.exists ? snap.data().fcmTokens || [] : [];
+};
+
+// Push to every device of a user, dropping the tokens the messenger reports gone; returns devices reached
+const pushToUser = async (uid, tokens, message) => {
+    const { sent, invalidTokens } = await messenger.send(tokens, message);
+    if (invalidTokens.length > 0) {
+        await db
+            .collection("users")
+            .doc(uid)
+            .update({ fcmTokens: admin.firestore.FieldValue.arrayRemove(...invalidTokens) });
+        console.log(`🧹 Dropped ${invalidTokens.length} stale device tokens of ${uid}`);
+    }
+    return sent;
+};
+
+/**
+ * Saved Search Alerts
+ * Matches every new activity against the saved searches whose circle covers its
+ * geohash cell and pushes one alert to each matching user, at most
+ * ALERTS_MAX_PER_DAY a day; the rest show up in the weekly digest. Occurrences
+ * the daily series expansion adds were announced with their series and don't alert.
+ */
+exports.notifySavedSearches = onDocumentCreated(
+    {
+        document: "activities/{activityId}",
+        memory: "256MiB",
+    },
+    async (event) => {
+        if (!event.data) return;
+        const { activityId } = event.params;
+        const activity = event.data.data();
+        const nowSeconds = Math.floor(Date.now() / 1000);
+        const cell = activityCell(activity);
+        if (!cell || !(activity.startTime > nowSeconds)) return;
+        if (activity.sources?.[0]?.method === "series") return;
+
+        const searchSnap = await db
+            .collection("saved_searches")
+            .where("cells", "array-contains", cell)
+            .where("notify", "==", true)
+            .get();
+        const matchesByUser = new Map();
+        for (const searchDoc of searchSnap.docs) {
+            const search = { id: searchDoc.id, ...searchDoc.data() };
+            if (!matchesSavedSearch(search, activity, nowSeconds)) continue;
+            matchesByUser.set(search.uid, [...(matchesByUser.get(search.uid) || []), search]);
+        }
+        if (matchesByUser.size === 0) return;
+
+        const day = localDate(Date.now(), activity.timeZone || DEFAULT_TIMEZONE);
+        let alerted = 0;
+        for (const [uid, searches] of matchesByUser) {
+            try {
+                const tokens = await loadPushTokens(uid);
+                if (tokens.length === 0) continue;
+
+                const stateRef = db.collection("notification_state").doc(uid);
+                const allowed = await db.runTransaction(async (tx) => {
+                    const stateSnap = await tx.get(stateRef);
+                    const next = takeAlertSlot(stateSnap.exists ? stateSnap.data() : null, {
+                        day,
+                        activityId,
+                        maxPerDay: ALERTS_MAX_PER_DAY.value(),
+                    });
+                    if (next) tx.set(stateRef, next);
+                    return next !== null;
+                });
+                if (!allowed) continue;
+
+                if ((await pushToUser(uid, tokens, buildAlertMessage(activityId, activity, searches))) > 0) alerted++;
+            } catch (error) {
+                console.error(`❌ Alert for ${uid} failed:`, error.message);
+            }
+        }
+        console.log(`🔔 ${activity.title}: ${matchesByUser.size} users matched, ${alerted} alerted`);
+    },
+);
+
+/**
+ * Weekly Digest
+ * Monday morning, every user with digest-enabled saved searches gets a
+ * "this week near you" list in users/{uid}/digests/{date} and a push pointing to it.
+ */
+exports.weeklyDigest = onSchedule(
+    {
+        schedule: "0 7 * * 1",
+        timeZone: DEFAULT_TIMEZONE,
+        timeoutSeconds: 540,
+        memory: "512MiB",
+    },
+    async (event) => {
+        console.log("📰 Building weekly digests...");
+        const nowSeconds = Math.floor(Date.now() / 1000);
+        const from = nowSeconds;
+        const to = nowSeconds + DIGEST_DAYS * 24 * 60 * 60;
+        const digestId = localDate(Date.now());
+
+        const searchSnap = await db.collection("saved_searches").where("digest", "==", true).get();
+        const searchesByUser = new Map();
+        for (const searchDoc of searchSnap.docs) {
+            const search = { id: searchDoc.id, ...searchDoc.data() };
+            searchesByUser.set(search.uid, [...(searchesByUser.get(search.uid) || []), search]);
+        }
+
+        let written = 0;
+        let pushed = 0;
+        for (const [uid, searches] of searchesByUser) {
+            try {
+                const candidates = [];
+                for (const search of searches) {
+                    const ageMonths = currentAgeMonths(search, nowSeconds);
+                    const params = parseSearchParams(
+                        {
+                            lat: search.lat,
+                            lng: search.lng,
+                            radiusKm: search.radiusKm,
+                            from,
+                            to,
+                            ageMonths: ageMonths === null ? undefined : Math.min(ageMonths, 216),
+                            category: search.categories.join(","),
+                            limit: 100,
+                        },
+                        nowSeconds,
+                    );
+                    const page = await searchActivities(db, params);
+                    candidates.push(...page.results.map(({ id, distanceKm, ...data }) => ({ id, data })));
+                }
+
+                const items = buildDigest(searches, candidates, { from, to });
+                if (items.length === 0) continue;
+                await db
+                    .collection("users")
+                    .doc(uid)
+                    .collection("digests")
+                    .doc(digestId)
+                    .set({ items, from, to, createdAt: nowSeconds });
+                written++;
+
+                const tokens = await loadPushTokens(uid);
+                if (tokens.length > 0 && (await pushToUser(uid, tokens, buildDigestMessage(items, digestId))) > 0) pushed++;
+            } catch (error) {
+                console.error(`❌ Digest for ${uid} failed:`, error.message);
+            }
+        }
+        console.log(`🎉 Weekly Digest Complete: ${searchesByUser.size} users, ${written} digests, ${pushed} pushed`);
+    },
+);
+
+/**
+ * Community Submissions API
+ * Signed-in parents and verified venue accounts submit events the scraper can't
+ * reach (see src/submissions.js). A submission is normalized and deduplicated
+ * like a scraped event and waits in `submissions` for an admin.
+ *   submitEvent({ event }) -> { id, flags }
+ *   listSubmissions({ status?, limit? }) -> { items }   (admins)
+ *   approveSubmission({ id, edits? }) -> { activityId }  (admins)
+ *   rejectSubmission({ id, reason? }) -> { id }          (admins)
+ */
+
+// Where a submitted event is: the venue account's own venue, a known venue, else geocoded
+const locateSubmission = async (act, address, venue, region) => {
+    if (venue) return { lat: venue.latitude, lng: venue.longitude, address: venue.address ?? null, venueId: venue.id };
+    const known = await venues.match(act.venue, { regionId: region.id });
+    if (known) return { lat: known.latitude, lng: known.longitude, address: known.address, venueId: known.id };
+    const geocoded = await geocodeCache.geocode(address || act.venue, region);
+    return { ...geocoded, venueId: null };
+};
+
+exports.submitEvent = onCall(
+    {
+        secrets: [GOOGLE_MAPS_API_KEY],
+    },
+    async (request) => {
+        const submitter = requireSubmitter(request.auth);
+        const { event } = request.data || {};
+        const problems = validateSubmission(event, { role: submitter.role });
+        if (problems.length > 0) throw new HttpsError("invalid-argument", problems.join("; "));
+
+        let venue = null;
+        if (submitter.role === VENUE) {
+            const venueSnap = await db.collection("venues").doc(submitter.venueId).get();
+            if (!venueSnap.exists) {
+                throw new HttpsError("failed-precondition", `This account's venue ${submitter.venueId} doesn't exist`);
+            }
+            venue = { id: venueSnap.id, ...venueSnap.data() };
+        }
+        const region = await regions.get(venue?.region || event.region);
+        const today = localDate(Date.now(), region.timeZone);
+
+        // Every attempt counts, so refused submissions can't be retried endlessly
+        const maxPerDay =
+            submitter.role === VENUE ? VENUE_SUBMISSIONS_MAX_PER_DAY.value() : SUBMISSIONS_MAX_PER_DAY.value();
+        const limitRef = db.collection("submission_limits").doc(submitter.uid);
+        await db.runTransaction(async (transaction) => {
+            const limitSnap = await transaction.get(limitRef);
+            const next = takeSubmissionSlot(limitSnap.exists ? limitSnap.data() : null, { day: today, maxPerDay });
+            if (!next) throw new HttpsError("resource-exhausted", `Up to ${maxPerDay} submissions a day`);
+            transaction.set(limitRef, next);
+        });
+
+        const act = normalizeSubmission(event, venue);
+        const { blocked, flags } = screenSubmission(act);
+        if (blocked.length > 0) {
+            console.warn(`🚫 Refused a submission from ${submitter.uid} (${blocked.join(", ")})`);
+            throw new HttpsError("invalid-argument", "This event can't be posted; please check its wording");
+        }
+
+        const timing = { timeZone: region.timeZone, referenceDate: today };
+        const { reasons, times } = validateEvent(act, timing);
+        if (times && times.endTime * 1000 < Date.now()) reasons.push("in_the_past");
+        if (reasons.length > 0) throw new HttpsError("invalid-argument", `Event is invalid: ${reasons.join(", ")}`);
+
+        const coordinates = await geocodeForCaller(() => locateSubmission(act, event.address, venue, region));
+        if (coordinates.lat === null) {
+            throw new HttpsError("invalid-argument", `Couldn't find "${act.venue}" on the map; add its address`);
+        }
+
+        // Already listed (by a source or an earlier submission) under another wording
+        const ref = db.collection("submissions").doc();
+        const activityId = eventIdFor({ ...act, isoDate: times.isoDate });
+        const activityRef = db.collection("activities").doc(activityId);
+        const doc = buildActivityDoc(act, coordinates, submissionSourceUrl(ref.id), {}, timing);
+        const similar = await findFuzzyDuplicate(doc, []);
+        if (similar && similar.ref.id !== activityId) {
+            throw new HttpsError("already-exists", "This event is already listed", { activityId: similar.ref.id });
+        }
+
+        // The exact event, listed or queued, is checked with the write so identical
+        // submissions sent together can't both be queued
+        await db.runTransaction(async (transaction) => {
+            const [existing, queued] = await Promise.all([
+                transaction.get(activityRef),
+                transaction.get(
+                    db.collection("submissions").where("activityId", "==", activityId).where("status", "==", PENDING).limit(1),
+                ),
+            ]);
+            if (existing.exists) {
+                throw new HttpsError("already-exists", "This event is already listed", { activityId });
+            }
+            if (!queued.empty) throw new HttpsError("already-exists", "This event is already waiting for review");
+            transaction.set(
+                ref,
+                buildSubmissionEntry({
+                    act,
+                    times,
+                    submitter,
+                    coordinates,
+                    timing,
+                    regionId: region.id,
+                    activityId,
+                    flags,
+                    nowSeconds: Math.floor(Date.now() / 1000),
+                }),
+            );
+        });
+        console.log(`📝 ${submitter.uid} submitted "${act.title}" (${ref.id}${flags.length > 0 ? `, flagged ${flags.join(", ")}` : ""})`);
+        return { id: ref.id, flags };
+    },
+);
+
+// Load a pending submission or fail the call
+const loadSubmission = async (id) => {
+    if (typeof id !== "string" || id === "") {
+        throw new HttpsError("invalid-argument", "id is required");
+    }
+    const ref = db.collection("submissions").doc(id);
+    const snap = await ref.get();
+    if (!snap.exists) throw new HttpsError("not-found", `No submission ${id}`);
+    const submission = snap.data();
+    if (submission.status !== PENDING) {
+        throw new HttpsError("failed-precondition", `Submission ${id} was already ${submission.status}`);
+    }
+    return { ref, submission };
+};
+
+exports.listSubmissions = onCall(async (request) => {
+    requireAdmin(request.auth);
+    const { status = PENDING, limit = 50 } = request.data || {};
+    if (![PENDING, APPROVED, REJECTED].includes(status)) {
+        throw new HttpsError("invalid-argument", `status must be ${PENDING}, ${APPROVED} or ${REJECTED}`);
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+        throw new HttpsError("invalid-argument", "limit must be 1-200");
+    }
+
+    const snap = await db.collection("submissions").where("status", "==", status).limit(limit).get();
+    // Flagged first, then soonest
+    const items = snap.docs
+        .map((doc) => {
+            const { expireAt, ...data } = doc.data();
+            return { id: doc.id, ...data };
+        })
+        .sort((a, b) => b.flags.length - a.flags.length || a.startTime - b.startTime);
+    return { items };
+});
+
+exports.approveSubmission = onCall(async (request) => {
+    const uid = requireAdmin(request.auth);
+    const { id, edits = {} } = request.data || {};
+    const { ref, submission } = await loadSubmission(id);
+    const act = applyEdits(submission.event, edits);
+    const { reasons, times } = validateEvent(act, submission.timing);
+    if (reasons.length > 0) {
+        throw new HttpsError("invalid-argument", `Event is invalid: ${reasons.join(", ")}`);
+    }
+
+    const activityId = eventIdFor({ ...act, isoDate: times.isoDate });
+    const activityRef = db.collection("activities").doc(activityId);
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    const doc = {
+        ...buildActivityDoc(act, submission.coordinates, submissionSourceUrl(id), submission.provenance, submission.timing),
+        source: COMMUNITY_SOURCE,
+        submittedBy: submission.submittedBy,
+        confidence: 1,
+        reviewedBy: uid,
+    };
+    // Listed meanwhile under another wording: the submission joins that activity
+    const duplicate = await findFuzzyDuplicate(doc, []);
+
+    let publishedId = activityId;
+    await db.runTransaction(async (transaction) => {
+        // Read again here: a scrape may have changed the activity since the search
+        const [current, existing, similar] = await Promise.all([
+            transaction.get(ref),
+            transaction.get(activityRef),
+            duplicate ? transaction.get(duplicate.ref) : null,
+        ]);
+        if (current.data().status !== PENDING) {
+            throw new HttpsError("failed-precondition", `Submission ${id} was already ${current.data().status}`);
+        }
+        let target = null;
+        if (existing.exists) target = { ref: activityRef, data: existing.data() };
+        else if (similar?.exists) target = { ref: similar.ref, data: similar.data() };
+        if (target) {
+            transaction.update(target.ref, mergeActivity(target.data, doc));
+            publishedId = target.ref.id;
+        } else {
+            transaction.set(activityRef, doc);
+        }
+        transaction.update(ref, {
+            status: APPROVED,
+            edits,
+            activityId: publishedId,
+            reviewedBy: uid,
+            reviewedAt: nowSeconds,
+        });
+    });
+    console.log(`✅ ${uid} approved submission "${act.title}" (${publishedId})`);
+    return { activityId: publishedId };
+});
+
+exports.rejectSubmission = onCall(async (request) => {
+    const uid = requireAdmin(request.auth);
+    const { id, reason = null } = request.data || {};
+    const { ref } = await loadSubmission(id);
+    await ref.update({
+        status: REJECTED,
+        rejectionReason: typeof reason === "string" ? reason : null,
+        reviewedBy: uid,
+        reviewedAt: Math.floor(Date.now() / 1000),
+    });
+    return { id };
+});
+
+/**
+ * Search API: Nearby Activities
+ * GET /searchActivities?lat=..&lng=..&radiusKm=..&from=..&to=..&ageRange=..&sort=time|distance
+ * Runs geohash range queries instead of streaming the whole collection,
+ * and returns cursor-paginated JSON: { results, nextCursor }
+ */
+exports.searchActivities = onRequest(
+    {
+        cors: true,
+        memory: "256MiB",
+    },
+    async (req, res) => {
+        if (req.method !== "GET") {
+            res.status(405).json({ error: "Use GET" });
+            return;
+        }
+
+        try {
+            const params = parseSearchParams(req.query);
+            const page = await searchActivities(db, params);
+            res.set("Cache-Control", "public, max-age=60");
+            res.json(page);
+        } catch (error) {
+            if (error instanceof SearchParamError) {
+                res.status(400).json({ error: error.message });
+                return;
+            }
+            console.error("❌ Search failed:", error.message);
+            res.status(500).json({ error: "Search failed" });
+        }
+    },
+);
+
+/**
+ * Calendar Feed: Subscribable iCalendar (.ics)
+ * GET /calendarFeed?venue=<url_registry id> | ?city=<config_cities id> | ?lat=..&lng=..&radiusKm=..&ageRange=..
+ * Supports ETag / Last-Modified so calendar clients can poll cheaply.
+ */
+exports.calendarFeed = onRequest(
+    {
+        cors: true,
+        memory: "256MiB",
+    },
+    async (req, res) => {
+        if (req.method !== "GET" && req.method !== "HEAD") {
+            res.status(405).send("Use GET");
+            return;
+        }
+
+        try {
+            const feed = await loadFeed(db, req.query, Math.floor(Date.now() / 1000), regions);
+            if (!feed) {
+                res.status(404).send("Feed not found");
+                return;
+            }
+
+            const body = buildCalendar(feed);
+            const validators = feedValidators(body, feed.events);
+
+            res.set("ETag", validators.etag);
+            if (validators.lastModified) {
+                res.set("Last-Modified", validators.lastModified.toUTCString());
+            }
+            res.set("Cache-Control", "public, max-age=3600");
+
+            if (isNotModified(req.headers, validators)) {
+                res.status(304).end();
+                return;
+            }
+
+            res.set("Content-Type", "text/calendar; charset=utf-8");
+            res.set("Content-Disposition", 'inline; filename="toddlego.ics"');
+            res.status(200).send(req.method === "HEAD" ? "" : body);
+        } catch (error) {
+            if (error instanceof SearchParamError) {
+                res.status(400).send(error.message);
+                return;
+            }
+            console.error("❌ Calendar feed failed:", error.message);
+            res.status(500).send("Calendar feed failed");
+        }
+    },
+);
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * Evaluate a prompt version against the labeled extraction fixtures.
+ *
+ *   npm run eval                            # replay recorded responses (offline)
+ *   npm run eval -- --mode record           # call Gemini and record (needs GEMINI_API_KEY)
+ *   npm run eval -- --prompt v2 --mode record
+ *
+ * Each case is <name>.md (saved Jina markdown) plus <name>.labels.json
+ * ({ url, fetchedAt, events: [{ title, isoDate }] }) listing every toddler
+ * event the page holds within the rolling window from fetchedAt. The model's
+ * answers for the current prompt are committed under
+ * test/fixtures/extraction/cassettes, so replay works from a clean clone;
+ * re-record them when the prompt changes.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const {
+    CURRENT_PROMPT_VERSION,
+    ReplayMissError,
+    createProvider,
+    runExtraction,
+} = require("../src/extraction");
+const { scoreExtraction, summarizeScores, eventsInWindow } = require("../src/extraction/evaluate");
+
+const FIXTURE_DIR = path.join(__dirname, "..", "test", "fixtures", "extraction");
+
+// Same truncation the scraper applies before prompting
+const MAX_CONTENT_CHARS = 40000;
+
+const parseArgs = (argv) => {
+    const args = {
+        prompt: CURRENT_PROMPT_VERSION,
+        mode: "replay",
+        cases: path.join(FIXTURE_DIR, "cases"),
+        cassettes: path.join(FIXTURE_DIR, "cassettes"),
+    };
+    for (let i = 0; i < argv.length; i += 2) {
+        const key = argv[i].replace(/^--/, "");
+        if (!(key in args) || argv[i + 1] === undefined) {
+            throw new Error(`Unknown or incomplete option "${argv[i]}"`);
+        }
+        args[key] = argv[i + 1];
+    }
+    return args;
+};
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+/**
+ * Score a prompt version on every labeled case.
+ * @param {Object} options
+ * @param {string} options.prompt - Prompt version.
+ * @param {string} options.mode - Extraction mode ("replay", "record" or "gemini").
+ * @param {string} options.cases - Directory of <name>.md / <name>.labels.json pairs.
+ * @param {string} options.cassettes - Cassette directory.
+ * @param {string} [options.apiKey] - Gemini key, for record and live modes.
+ * @param {Object} [options.log] - Console-like sink for the report.
+ * @returns {Promise<{scores: Array<Object>, failures: Array<{name: string, error: Error}>, total: Object|null}>}
+ */
+const evaluate = async ({ prompt, mode, cases, cassettes, apiKey, log = console }) => {
+    const provider = createProvider({ mode, apiKey, cassetteDir: cassettes });
+
+    const names = fs
+        .readdirSync(cases)
+        .filter((file) => file.endsWith(".md"))
+        .map((file) => file.replace(/\.md$/, ""))
+        .sort();
+
+    log.log(`🧪 Evaluating prompt ${prompt} on ${names.length} cases (${provider.name})`);
+
+    const scores = [];
+    const failures = [];
+    for (const name of names) {
+        const content = fs.readFileSync(path.join(cases, `${name}.md`), "utf8");
+        const labels = JSON.parse(fs.readFileSync(path.join(cases, `${name}.labels.json`), "utf8"));
+        try {
+            const extraction = await runExtraction({
+                provider,
+                content: content.substring(0, MAX_CONTENT_CHARS),
+                promptVersion: prompt,
+                today: labels.fetchedAt,
+            });
+            const score = scoreExtraction(eventsInWindow(extraction, labels.fetchedAt), labels.events);
+            scores.push({ name, ...score });
+
+            log.log(
+                `\n📄 ${name}: precision ${percent(score.precision)}, recall ${percent(score.recall)}, ` +
+                `dates ${percent(score.dateAccuracy)} (${score.matched}/${score.expected} found, ${score.predicted} extracted)`,
+            );
+            for (const entry of score.missed) log.log(`   ➖ missed ${entry}`);
+            for (const entry of score.extra) log.log(`   ➕ extra ${entry}`);
+            for (const { title, expected, got } of score.wrongDates) {
+                log.log(`   📅 ${title}: expected ${expected}, got ${got}`);
+            }
+        } catch (error) {
+            failures.push({ name, error });
+            const hint = error instanceof ReplayMissError ? " (run with --mode record)" : "";
+            log.error(`\n❌ ${name}: ${error.message}${hint}`);
+        }
+    }
+
+    const total = scores.length > 0 ? summarizeScores(scores) : null;
+    if (total) {
+        log.log(
+            `\n🎉 ${prompt}: precision ${percent(total.precision)}, recall ${percent(total.recall)}, ` +
+            `date accuracy ${percent(total.dateAccuracy)} over ${scores.length} cases`,
+        );
+    }
+    return { scores, failures, total };
+};
+
+if (require.main === module) {
+    evaluate({ ...parseArgs(process.argv.slice(2)), apiKey: process.env.GEMINI_API_KEY })
+        .then(({ failures }) => {
+            if (failures.length > 0) process.exitCode = 1;
+        })
+        .catch((error) => {
+            console.error("❌", error.message);
+            process.exitCode = 1;
+        });
+}
+
+module.exports = { FIXTURE_DIR, evaluate };
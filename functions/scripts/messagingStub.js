@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for FCM, for running the notification functions in the emulator.
+ *
+ *   npm run messaging-stub                  # listens on 9599
+ *   npm run messaging-stub -- --port 9600
+ *
+ * Then start the emulator with MESSAGING_MODE=stub and
+ * MESSAGING_STUB_URL=http://127.0.0.1:9599 (functions/.env.local).
+ *   POST /send      { tokens, title, body, data } -> { sent, invalidTokens }
+ *   GET  /messages  everything received so far
+ *   DELETE /messages
+ * Tokens starting with "invalid" are reported back as unregistered.
+ */
+const http = require("http");
+
+const DEFAULT_PORT = 9599;
+
+const readJson = (req) =>
+    new Promise((resolve, reject) => {
+        let raw = "";
+        req.on("data", (chunk) => {
+            raw += chunk;
+        });
+        req.on("end", () => {
+            try {
+                resolve(JSON.parse(raw || "{}"));
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on("error", reject);
+    });
+
+/**
+ * Start the stub.
+ * @param {Object} [options]
+ * @param {number} [options.port] - 0 picks a free port.
+ * @returns {Promise<{url: string, messages: Array<Object>, close: Function}>}
+ */
+const startMessagingStub = ({ port = DEFAULT_PORT } = {}) => {
+    const messages = [];
+    const server = http.createServer(async (req, res) => {
+        const reply = (status, body) => {
+            res.writeHead(status, { "Content-Type": "application/json" });
+            res.end(JSON.stringify(body));
+        };
+        try {
+            if (req.method === "POST" && req.url === "/send") {
+                const message = await readJson(req);
+                const tokens = Array.isArray(message.tokens) ? message.tokens : [];
+                const invalidTokens = tokens.filter((token) => String(token).startsWith("invalid"));
+                messages.push({ ...message, receivedAt: Date.now() });
+                console.log(`📨 ${message.title} - ${message.body} (${tokens.length} devices)`);
+                reply(200, { sent: tokens.length - invalidTokens.length, invalidTokens });
+            } else if (req.method === "GET" && req.url === "/messages") {
+                reply(200, messages);
+            } else if (req.method === "DELETE" && req.url === "/messages") {
+                messages.length = 0;
+                reply(200, {});
+            } else {
+                reply(404, { error: "Not found" });
+            }
+        } catch (error) {
+            reply(400, { error: error.message });
+        }
+    });
+
+    return new Promise((resolve) => {
+        server.listen(port, "127.0.0.1", () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                messages,
+                close: () => new Promise((done) => server.close(done)),
+            });
+        });
+    });
+};
+
+if (require.main === module) {
+    const portFlag = process.argv.indexOf("--port");
+    const port = portFlag === -1 ? DEFAULT_PORT : Number(process.argv[portFlag + 1]);
+    startMessagingStub({ port }).then(({ url }) => console.log(`📭 Messaging stub listening on ${url}`));
+}
+
+module.exports = { startMessagingStub };
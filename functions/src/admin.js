@@ -0,0 +1,117 @@
+const { HttpsError } = require("firebase-functions/v2/https");
+const { isTimeZone } = require("./dates");
+
+/**
+ * Admin access for callable functions.
+ * Admins are Firebase Auth users with the `admin: true` custom claim, set with
+ * `admin.auth().setCustomUserClaims(uid, { admin: true })`. Also validates what
+ * admins send in: source fields for url_registry entries added or edited by hand.
+ */
+
+const isHttpUrl = (value) => {
+    try {
+        return /^https?:$/.test(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+};
+
+// Callable field -> [url_registry field, check, expectation]
+const SOURCE_FIELDS = {
+    url: ["url_hash", isHttpUrl, "an http(s) URL"],
+    venueName: ["venue_name", (value) => typeof value === "string" && value.trim() !== "", "a name"],
+    city: ["city", (value) => typeof value === "string", "a string"],
+    latitude: ["latitude", (value) => typeof value === "number" && value >= -90 && value <= 90, "a latitude"],
+    longitude: ["longitude", (value) => typeof value === "number" && value >= -180 && value <= 180, "a longitude"],
+    timezone: ["timezone", isTimeZone, "an IANA time zone"],
+    region: ["region", (value) => typeof value === "string" && /^[a-z0-9_-]+$/.test(value), "a config_regions id"],
+    systemId: ["system_id", (value) => typeof value === "string" && /^[a-z0-9_-]+$/.test(value), "a library_systems id"],
+    venueId: ["venue_id", (value) => typeof value === "string" && /^[A-Za-z0-9_-]+$/.test(value), "a venues id"],
+    trust: ["trust", (value) => typeof value === "number" && value >= 0, "a number"],
+    eventUrls: [
+        "event_urls",
+        (value) => Array.isArray(value) && value.length <= 5 && value.every(isHttpUrl),
+        "up to 5 http(s) URLs",
+    ],
+    crawlMaxPages: ["crawl_max_pages", (value) => Number.isInteger(value) && value >= 1 && value <= 20, "1-20"],
+    crawlHorizonDays: ["crawl_horizon_days", (value) => Number.isInteger(value) && value >= 1 && value <= 180, "1-180"],
+    fetchDetails: ["fetch_details", (value) => typeof value === "boolean", "a boolean"],
+};
+
+/**
+ * Throw unless the caller is a signed-in admin.
+ * @param {Object} [auth] - Callable request `auth` ({ uid, token }).
+ * @returns {string} The admin's uid.
+ * @throws {HttpsError} unauthenticated / permission-denied.
+ */
+const requireAdmin = (auth) => {
+    if (!auth) throw new HttpsError("unauthenticated", "Sign in first");
+    if (auth.token?.admin !== true) throw new HttpsError("permission-denied", "Admins only");
+    return auth.uid;
+};
+
+/**
+ * url_registry doc id for a website, as discovery assigns it.
+ * @param {string} url
+ * @returns {string}
+ */
+const registryIdFor = (url) => Buffer.from(url).toString("base64").substring(0, 100);
+
+/**
+ * Every URL a source's activities can be stored under: the registered site, its
+ * calendar pages (the first is the one scraped) and pages it was scraped from
+ * before its calendar moved (`scraped_urls`).
+ * @param {Object} libraryData - url_registry document data.
+ * @returns {Array<string>} Deduplicated URLs.
+ */
+const sourceUrlsFor = (libraryData) => [
+    ...new Set(
+        [libraryData.url_hash, ...(libraryData.event_urls || []), ...(libraryData.scraped_urls || [])].filter(Boolean),
+    ),
+];
+
+/**
+ * url_registry fields from an admin's source input.
+ * Fields left out are left alone; null clears an optional field. Hand-picked
+ * calendar pages are marked so the calendar finder doesn't replace them.
+ * @param {Object} input - Callable fields (see SOURCE_FIELDS).
+ * @param {Object} [options]
+ * @param {boolean} [options.creating] - A new source needs a url and a venue name.
+ * @returns {Object} url_registry fields.
+ * @throws {HttpsError} invalid-argument.
+ */
+const parseSourceInput = (input, { creating = false } = {}) => {
+    if (!input || typeof input !== "object" || Array.isArray(input)) {
+        throw new HttpsError("invalid-argument", "Source fields must be an object");
+    }
+    const fields = {};
+    for (const [key, value] of Object.entries(input)) {
+        if (!(key in SOURCE_FIELDS)) {
+            throw new HttpsError("invalid-argument", `Unknown source field "${key}"`);
+        }
+        const [field, check, expected] = SOURCE_FIELDS[key];
+        if (value === null && key !== "url" && key !== "venueName") {
+            fields[field] = null;
+            continue;
+        }
+        if (!check(value)) throw new HttpsError("invalid-argument", `${key} must be ${expected}`);
+        fields[field] = typeof value === "string" ? value.trim() : value;
+    }
+    if (creating && (!fields.url_hash || !fields.venue_name)) {
+        throw new HttpsError("invalid-argument", "A new source needs url and venueName");
+    }
+    if ("event_urls" in fields) {
+        const manual = Array.isArray(fields.event_urls) && fields.event_urls.length > 0;
+        fields.event_urls_manual = manual;
+        // A hand-picked calendar is worth scraping whatever the finder concluded
+        if (manual) fields.relevance = "events";
+    }
+    return fields;
+};
+
+module.exports = {
+    requireAdmin,
+    registryIdFor,
+    sourceUrlsFor,
+    parseSourceInput,
+};
@@ -0,0 +1,222 @@
+/**
+ * Age ranges.
+ * Sources describe audiences every which way ("Toddlers", "ages 2+", "under 5",
+ * "birth to 24 months", "Grades PreK-K", "18 months - 3 years"). Activities store
+ * numeric bounds in months, `minAgeMonths` and `maxAgeMonths` (both inclusive;
+ * null when unbounded), next to a display label, so the app can ask what suits
+ * a 20-month-old. "3-5 years" runs to the day before the 6th birthday (71 months).
+ * Labels round-trip: parsing a label gives back the bounds it was made from.
+ */
+
+const ALL = "All";
+
+// Keyword audiences, checked after numbers so "Toddlers (12-24 months)" uses the numbers
+const AUDIENCE_WORDS = [
+    [/\ball ages\b|^\s*all\s*$|\beveryone\b|todas las edades/, null],
+    [/\b(bab(y|ies)|infants?|newborns?|lap\s*sit|lapsit)\b/, [0, 18]],
+    [/\btoddlers?\b|\bwalkers\b/, [18, 36]],
+    [/\b(pre-?school(ers)?|pre-?k|tk|transitional kindergarten)\b/, [36, 71]],
+    [/\bkindergarten\b/, [60, 71]],
+    [/\bschool[- ]age\b/, [60, 155]],
+    [/\btweens?\b/, [108, 155]],
+    [/\bteens?\b/, [156, 227]],
+    [/\badults?\b/, [216, null]],
+];
+
+const MONTH_UNIT = /^(m|mo|mos|mths?|months?|meses|mes)$/;
+const YEAR_UNIT = /^(y|yo|yr|yrs|years?|años|anos|año)$/;
+const UNIT = "(?:(m|mo|mos|mths?|months?|meses|mes|y|yo|yr|yrs|years?|años|anos|año)\\b\\.?)?(?:[- ]olds?)?";
+const NUMBER = "(\\d+(?:\\.\\d+)?)";
+
+const RANGE = new RegExp(`${NUMBER}\\s*${UNIT}\\s*-\\s*${NUMBER}\\s*${UNIT}`);
+const AT_LEAST = new RegExp(`${NUMBER}\\s*${UNIT}\\s*(?:\\+|(?:and|&|or) (?:up|older|over|above))\\s*${UNIT}`);
+const UNDER = new RegExp(`(under|younger than|less than|below)\\s*(age\\s*)?${NUMBER}\\s*${UNIT}`);
+const UP_TO = new RegExp(`(up to|through)\\s*(age\\s*)?${NUMBER}\\s*${UNIT}|${NUMBER}\\s*${UNIT}\\s*(and|&|or) (under|younger)`);
+const SINGLE = new RegExp(`${NUMBER}\\s*${UNIT}`);
+
+// School grade -> age in years at the start of the year
+const GRADE = "(pre-?k|tk|k|\\d{1,2})(?:st|nd|rd|th)?";
+const GRADES = new RegExp(`grades?\\s*${GRADE}(?:\\s*-\\s*${GRADE})?`);
+const gradeAge = (grade) => {
+    if (/^(pre-?k|tk)$/.test(grade)) return 4;
+    if (grade === "k") return 5;
+    return 5 + Number(grade);
+};
+
+// Words that put unitless numbers in years ("ages 12-18", "Teens 13-18")
+const YEARS_CONTEXT = /\b(ages?|aged|edad(es)?|tweens?|teens?|grades?)\b/;
+
+const isYears = (unit) => !!unit && YEAR_UNIT.test(unit);
+const isMonths = (unit) => !!unit && MONTH_UNIT.test(unit);
+
+// A bound in months; whole years as an upper bound run to the next birthday
+const toMonths = (value, years, upper = false) => {
+    if (!years) return Math.round(value);
+    const months = Math.round(value * 12);
+    return upper && Number.isInteger(value) ? months + 11 : months;
+};
+
+// Unit for a number when the text gives none: years when the text speaks of
+// ages, teens or grades, else kids' ages above 12 are months
+const unitIsYears = (unit, other, values, inYears) => {
+    if (isYears(unit)) return true;
+    if (isMonths(unit)) return false;
+    if (isYears(other)) return true;
+    if (isMonths(other)) return false;
+    return inYears || Math.max(...values) <= 12;
+};
+
+// Bounds for one comma-separated part of an audience text
+const parsePart = (part, inYears = false) => {
+    let match = part.match(GRADES);
+    if (match) {
+        const from = gradeAge(match[1]);
+        const to = gradeAge(match[2] || match[1]);
+        return [from * 12, to * 12 + 11];
+    }
+
+    match = part.match(RANGE);
+    if (match) {
+        const [, from, fromUnit, to, toUnit] = match;
+        const values = [Number(from), Number(to)];
+        // "18 months - 3 years": the first number's unit is only inferred from the second's when missing
+        const fromYears = unitIsYears(fromUnit, toUnit, values, inYears);
+        const toYears = unitIsYears(toUnit, fromUnit, values, inYears);
+        return [toMonths(values[0], fromYears), toMonths(values[1], toYears, true)];
+    }
+
+    match = part.match(AT_LEAST);
+    if (match) {
+        const value = Number(match[1]);
+        return [toMonths(value, unitIsYears(match[2] || match[3], null, [value], inYears)), null];
+    }
+
+    match = part.match(UNDER);
+    if (match) {
+        const value = Number(match[3]);
+        return [0, toMonths(value, unitIsYears(match[4], null, [value], inYears)) - 1];
+    }
+
+    match = part.match(UP_TO);
+    if (match) {
+        const value = Number(match[3] ?? match[5]);
+        const unit = match[3] !== undefined ? match[4] : match[6];
+        return [0, toMonths(value, unitIsYears(unit, null, [value], inYears), true)];
+    }
+
+    match = part.match(SINGLE);
+    if (match && match[2]) {
+        const value = Number(match[1]);
+        const years = isYears(match[2]);
+        return [toMonths(value, years), toMonths(value, years, true)];
+    }
+
+    for (const [pattern, bounds] of AUDIENCE_WORDS) {
+        if (pattern.test(part)) return bounds || ALL;
+    }
+    return null;
+};
+
+/**
+ * Display label for age bounds.
+ * @param {number|null} min - Months.
+ * @param {number|null} max - Months, inclusive.
+ * @returns {string} e.g. "18-36 months", "3-5 years", "2+ years", "All".
+ */
+const formatAgeLabel = (min, max) => {
+    if (min === null && max === null) return ALL;
+    const from = min ?? 0;
+    if (max === null) return from >= 24 && from % 12 === 0 ? `${from / 12}+ years` : `${from}+ months`;
+
+    const endYears = (max + 1) % 12 === 0 && max + 1 > 24;
+    if (!endYears) return from === max ? `${max} months` : `${from}-${max} months`;
+    const lastYear = (max + 1) / 12 - 1;
+    if (from % 12 !== 0) return `${from} months-${lastYear} years`;
+    return from / 12 === lastYear ? `${lastYear} years` : `${from / 12}-${lastYear} years`;
+};
+
+/**
+ * Age bounds of an audience text.
+ * Several audiences ("Babies, Toddlers") widen the range; words that say
+ * nothing about age ("Families") are ignored.
+ * @param {string} input - e.g. "ages 2+", "birth to 24 months", "Grades PreK-K".
+ * @returns {{minAgeMonths: number|null, maxAgeMonths: number|null, label: string}|null}
+ *   null when no age was recognized; "All ages" has no bounds.
+ */
+const parseAgeRange = (input) => {
+    if (input === null || input === undefined) return null;
+    const text = String(input)
+        .toLowerCase()
+        .replace(/[\u2010-\u2015]/g, "-")
+        .replace(/\b(birth|newborn)\b/g, "0")
+        // "2-year-olds", "18 months to 3 years", "2 a 5 años"
+        .replace(/(\d)-(?=[a-z])/g, "$1 ")
+        .replace(/(\d\s*[a-zñ.]*)\s+(?:to|thru|through|until|a)\s+(?=\d)/g, "$1 - ");
+
+    const inYears = YEARS_CONTEXT.test(text);
+    const parts = text
+        .split(/[,;/|]|\s&\s(?!(?:up|older|under|younger))|\band\b(?!\s+(?:up|older|over|under|younger))/)
+        .filter((part) => part && part.trim())
+        .map((part) => parsePart(part, inYears))
+        .filter(Boolean);
+    if (parts.length === 0) return null;
+    if (parts.includes(ALL)) return { minAgeMonths: null, maxAgeMonths: null, label: ALL };
+
+    const min = Math.min(...parts.map(([from]) => from));
+    const max = parts.some(([, to]) => to === null) ? null : Math.max(...parts.map(([, to]) => to));
+    return { minAgeMonths: min, maxAgeMonths: max, label: formatAgeLabel(min, max) };
+};
+
+/**
+ * Activity age fields for an audience text.
+ * @param {string} input
+ * @returns {{ageRange: string, minAgeMonths: number|null, maxAgeMonths: number|null}}
+ */
+const ageFieldsFor = (input) => {
+    const parsed = parseAgeRange(input);
+    return {
+        ageRange: parsed ? parsed.label : ALL,
+        minAgeMonths: parsed ? parsed.minAgeMonths : null,
+        maxAgeMonths: parsed ? parsed.maxAgeMonths : null,
+    };
+};
+
+/**
+ * Whether an activity suits a child's age. Unbounded sides always fit.
+ * @param {Object} activity - { minAgeMonths, maxAgeMonths }.
+ * @param {number} ageMonths
+ * @returns {boolean}
+ */
+const suitsAge = (activity, ageMonths) =>
+    (activity.minAgeMonths ?? 0) <= ageMonths &&
+    (activity.maxAgeMonths === null || activity.maxAgeMonths === undefined || ageMonths <= activity.maxAgeMonths);
+
+/**
+ * Age fields to write on a stored activity, recomputed from its labels (doc and provenance entries).
+ * @param {Object} doc - Stored activity.
+ * @returns {Object|null} null when nothing changed.
+ */
+const migrateAgeFields = (doc) => {
+    const fields = ageFieldsFor(doc.ageRange);
+    const sources = Array.isArray(doc.sources)
+        ? doc.sources.map((entry) => ({
+            ...entry,
+            fields: { ...entry.fields, ...ageFieldsFor(entry.fields?.ageRange) },
+        }))
+        : undefined;
+    const update = sources ? { ...fields, sources } : fields;
+    // Missing fields are written too, so every activity has the bounds
+    const unchanged = Object.entries(update).every(
+        ([field, value]) => field in doc && JSON.stringify(doc[field]) === JSON.stringify(value),
+    );
+    return unchanged ? null : update;
+};
+
+module.exports = {
+    ALL,
+    parseAgeRange,
+    formatAgeLabel,
+    ageFieldsFor,
+    suitsAge,
+    migrateAgeFields,
+};
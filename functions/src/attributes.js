@@ -0,0 +1,253 @@
+const { buildSourceEntry, mergeActivity } = require("./dedupe");
+
+/**
+ * Activity attributes parents filter on: cost, indoor/outdoor setting,
+ * languages, accessibility and a controlled category taxonomy.
+ * The model reports what the page states (prompt v5); whatever it leaves out,
+ * and every extraction from older prompt versions, is derived here from the
+ * event's own text, so the backfill can re-derive attributes from cached
+ * `parsed_json` without calling the model again.
+ */
+
+// Controlled taxonomy; the model and the heuristics may only use these
+const CATEGORIES = [
+    "story",
+    "music",
+    "movement",
+    "stem",
+    "art",
+    "sensory_play",
+    "open_play",
+    "outdoor_play",
+];
+
+const ACCESSIBILITY = [
+    "sensory_friendly",
+    "wheelchair_accessible",
+    "stroller_friendly",
+    "caregiver_required",
+    "sign_language",
+];
+
+const SETTINGS = ["indoor", "outdoor", "mixed"];
+
+// Attribute fields of the extraction shape, carried along with series and structured events
+const ATTRIBUTE_FIELDS = ["cost", "isFree", "setting", "languages", "accessibility", "categories"];
+
+// Attribute fields of an `activities` doc (deriveAttributes output)
+const DOC_ATTRIBUTE_FIELDS = ["isFree", "price", "setting", "isIndoor", "languages", "accessibility", "categories"];
+
+const CATEGORY_WORDS = {
+    story: /story\s*time|stories|\bbooks?\b|read[- ]aloud|\brhymes?\b|lap\s*sit|cuentos/i,
+    music: /music|sing[- ]?along|\bsongs?\b|\bsing\b|drum|guitar|\bjam\b|musical/i,
+    movement: /movement|\bdance|yoga|wiggle|tumbl|\bgym\b|bounce|\bmove\b/i,
+    stem: /\bste(a)?m\b|science|\bmath|coding|robot|engineer|lego|experiment|building blocks/i,
+    art: /\bart\b|\barts\b|craft|paint|drawing|colou?ring|messy/i,
+    sensory_play: /sensory (play|bin|table|exploration)|bubbles|play[- ]?dough|slime|water play|sand play/i,
+    open_play: /stay\s*(and|&)\s*play|play\s*(and|&)\s*learn|playgroup|play\s*time|open play|play\s*date|free play/i,
+    outdoor_play: /playground|splash pad|nature walk|outdoor play|\bhike\b|garden play/i,
+};
+
+const ACCESSIBILITY_WORDS = {
+    sensory_friendly: /sensory[- ](friendly|inclusive|sensitive)|autism|neurodiver|low[- ]sensory|quiet hour/i,
+    wheelchair_accessible: /wheelchair|ada[- ]accessible|accessible entrance/i,
+    stroller_friendly: /stroller[- ]friendly|strollers? (are )?(welcome|ok|allowed)|stroller parking/i,
+    caregiver_required: /(parent|caregiver|adult|grown[- ]up)s? (must|is required to|are required to|should) (attend|stay|accompany|participate)|accompanied by (a |an )?(parent|caregiver|adult)|with (a |an |their )?(parent|caregiver|grown[- ]up)/i,
+    sign_language: /\basl\b|sign language/i,
+};
+
+const NO_STROLLERS = /no strollers|strollers? (are )?not (allowed|permitted)/i;
+
+// ISO 639-1 code -> words naming the language
+const LANGUAGE_WORDS = {
+    es: /spanish|español|espanol|bilingüe|cuentos/i,
+    zh: /mandarin|chinese|cantonese|中文/i,
+    vi: /vietnamese|tiếng việt/i,
+    ko: /korean|한국어/i,
+    tl: /tagalog|filipino/i,
+    fr: /\bfrench\b|français/i,
+    ja: /japanese|日本語/i,
+    hi: /\bhindi\b/i,
+    ar: /\barabic\b/i,
+    ru: /\brussian\b/i,
+    pt: /portuguese|português/i,
+    de: /\bgerman\b|deutsch/i,
+};
+
+const OUTDOOR_WORDS = /\b(park|playground|garden|trail|beach|outdoors?|outside|lawn|plaza|farm|splash pad|weather permitting|rain or shine)\b/i;
+const INDOOR_WORDS = /\b(library|museum|room|center|centre|studio|gym|hall|auditorium|branch)\b/i;
+
+// An outdoor word inside a building's name ("Menlo Park Library", "Rose Garden Community Center")
+const BUILDING_NAMES = /\b[A-Z][\w'.-]*\s+(Park|Garden|Plaza|Beach|Farm)s?\s+(?:[A-Z][\w'.-]*\s+)?(Library|Museum|Center|Centre|Branch|Hall|Studio|Gym|Auditorium)\b/g;
+
+// Words that say "free" without being about the price
+const NOT_ABOUT_PRICE =
+    /feel free|free[- ](play|time|range|style|dom)|(gluten|sugar|nut|dairy|scent|screen|allergen)[- ]free|free (parking|wi-?fi|internet|refreshments|snacks|coffee|lunch|books?|giveaways?|gifts?)/gi;
+// Description sentences about what attending costs
+const ADMISSION_WORDS =
+    /admission|entry|\bcost|\bfees?\b|charge|tickets?|per (child|person|family|adult|class|session)|drop[- ]in|free (event|program|class|of charge|for (all|everyone|families)|to (attend|join))|\b(is|are|it's|always|totally|completely) free|^\W*free\b/i;
+const FREE_WORDS = /\bfree\b|no (cost|charge|fee)|gratis|gratuit/i;
+
+const CURRENCY_SYMBOLS = { "US$": "USD", "C$": "CAD", "CA$": "CAD", "A$": "AUD", "$": "USD", "£": "GBP", "€": "EUR" };
+const PRICE_PATTERN = /(US\$|CA\$|C\$|A\$|\$|£|€)\s?(\d+(?:\.\d{1,2})?)|(\d+(?:\.\d{1,2})?)\s?(USD|CAD|AUD|GBP|EUR)\b|\b(USD|CAD|AUD|GBP|EUR)\s?(\d+(?:\.\d{1,2})?)/g;
+
+const textOf = (act) => [act.title, act.ageRange, act.description].filter(Boolean).join(" | ");
+
+const matchingKeys = (words, text) =>
+    Object.entries(words)
+        .filter(([, pattern]) => pattern.test(text))
+        .map(([key]) => key);
+
+// Keep the reported values that are in the allowed list, in list order
+const allowed = (values, list) =>
+    Array.isArray(values) ? list.filter((value) => values.includes(value)) : [];
+
+/**
+ * Price information in a cost text.
+ * A bare "$" is read as US dollars.
+ * @param {string} text - e.g. "Free", "$5 per child", "$5-$10".
+ * @returns {{isFree: boolean|null, price: Object|null}} price is { min, max, currency, text }.
+ */
+const parsePrice = (text) => {
+    if (typeof text !== "string" || text.trim() === "") return { isFree: null, price: null };
+
+    const amounts = [];
+    let currency = null;
+    for (const match of text.matchAll(PRICE_PATTERN)) {
+        const [, symbol, symbolAmount, codeAmount, trailingCode, leadingCode, leadingAmount] = match;
+        amounts.push(Number(symbolAmount ?? codeAmount ?? leadingAmount));
+        currency = currency || (symbol ? CURRENCY_SYMBOLS[symbol] : trailingCode || leadingCode);
+    }
+    const free = FREE_WORDS.test(text.replace(NOT_ABOUT_PRICE, ""));
+    if (amounts.length === 0) {
+        return free ? { isFree: true, price: { min: 0, max: 0, currency: null, text: text.trim() } } : { isFree: null, price: null };
+    }
+
+    const max = Math.max(...amounts);
+    return {
+        isFree: max === 0,
+        price: { min: Math.min(...amounts), max, currency, text: text.trim() },
+    };
+};
+
+/**
+ * The sentences of a description that say what attending costs, so "free
+ * parking" or "$5 lunch" elsewhere on the page isn't read as the price.
+ * @param {string} description
+ * @returns {string} Admission sentences, joined; empty when there are none.
+ */
+const admissionText = (description) =>
+    typeof description === "string"
+        ? description
+            .split(/(?<=[.!?])\s+|\n+/)
+            .filter((sentence) => ADMISSION_WORDS.test(sentence.replace(NOT_ABOUT_PRICE, "")))
+            .join(" ")
+        : "";
+
+const languageCodes = (values) =>
+    Array.isArray(values)
+        ? values.map((value) => String(value).trim().toLowerCase()).filter((value) => /^[a-z]{2}$/.test(value))
+        : [];
+
+const detectLanguages = (text) => {
+    const detected = matchingKeys(LANGUAGE_WORDS, text);
+    // "Bilingual Spanish storytime" is read in English too
+    if (/bilingual|bilingüe/i.test(text) && detected.length === 1 && detected[0] !== "en") detected.unshift("en");
+    return detected;
+};
+
+// The venue's own name says nothing about the event's setting ("Storytime at Menlo Park Library")
+const withoutPlaceNames = (text, venue) => {
+    const named = venue ? text.split(venue).join(" ") : text;
+    return named.replace(BUILDING_NAMES, " ");
+};
+
+const detectSetting = (act) => {
+    const eventText = withoutPlaceNames(textOf(act), act.venue);
+    if (OUTDOOR_WORDS.test(eventText)) return "outdoor";
+    const venue = String(act.venue || "");
+    if (OUTDOOR_WORDS.test(venue) && !INDOOR_WORDS.test(venue)) return "outdoor";
+    if (INDOOR_WORDS.test(venue)) return "indoor";
+    return null;
+};
+
+/**
+ * Activity attributes for an extracted event.
+ * What the model reported wins; the rest is derived from the event's text.
+ * @param {Object} act - Event in the extraction shape (may carry the ATTRIBUTE_FIELDS).
+ * @returns {Object} { isFree, price, setting, isIndoor, languages, accessibility, categories }
+ *   isFree, price and setting are null when unknown; languages are ISO 639-1 codes,
+ *   empty when the event names none.
+ */
+const deriveAttributes = (act) => {
+    const text = textOf(act);
+
+    let { isFree, price } = parsePrice(act.cost);
+    if (isFree === null && price === null) ({ isFree, price } = parsePrice(admissionText(act.description)));
+    if (typeof act.isFree === "boolean" && !(act.isFree && price?.max > 0)) isFree = act.isFree;
+
+    const setting = SETTINGS.includes(act.setting) ? act.setting : detectSetting(act);
+
+    const languages = [...new Set([...languageCodes(act.languages), ...detectLanguages(text)])];
+
+    const accessibility = new Set([...allowed(act.accessibility, ACCESSIBILITY), ...matchingKeys(ACCESSIBILITY_WORDS, text)]);
+    if (NO_STROLLERS.test(text)) accessibility.delete("stroller_friendly");
+
+    const categories = new Set([...allowed(act.categories, CATEGORIES), ...matchingKeys(CATEGORY_WORDS, text)]);
+    if (setting === "outdoor" && /play/i.test(text)) categories.add("outdoor_play");
+
+    return {
+        isFree,
+        price,
+        setting,
+        isIndoor: setting ? setting !== "outdoor" : null,
+        languages,
+        accessibility: ACCESSIBILITY.filter((flag) => accessibility.has(flag)),
+        categories: CATEGORIES.filter((category) => categories.has(category)),
+    };
+};
+
+/**
+ * The attribute fields an extraction-shape object carries, for copying onto series and occurrences.
+ * @param {Object} fields
+ * @returns {Object}
+ */
+const pickAttributeFields = (fields) =>
+    Object.fromEntries(ATTRIBUTE_FIELDS.filter((field) => fields[field] !== undefined).map((field) => [field, fields[field]]));
+
+/**
+ * Fields to write on a stored activity when one source's attributes are re-derived.
+ * The source's provenance entry gets the new attributes and every attribute is
+ * re-picked by trust, as a re-scrape would.
+ * @param {Object} stored - Stored activity.
+ * @param {string} sourceUrl - Source whose cached extraction listed the event.
+ * @param {Object} attributes - deriveAttributes output.
+ * @returns {Object|null} null when nothing changed.
+ */
+const buildAttributeUpdate = (stored, sourceUrl, attributes) => {
+    const previous = (stored.sources || []).find((entry) => entry.sourceUrl === sourceUrl);
+    const entry = previous
+        ? { ...previous, fields: { ...previous.fields, ...attributes } }
+        : buildSourceEntry({ ...stored, ...attributes }, { sourceUrl, method: "llm" }, stored.createdAt || 0);
+    // Attributes only come from sources: the hard-coded `isFree: true` of old docs must not survive
+    const cleared = Object.fromEntries(DOC_ATTRIBUTE_FIELDS.map((field) => [field, null]));
+    const merged = mergeActivity({ ...stored, ...cleared }, { sources: [entry] });
+
+    const fields = Object.fromEntries(DOC_ATTRIBUTE_FIELDS.map((field) => [field, merged[field] ?? null]));
+    const unchanged =
+        DOC_ATTRIBUTE_FIELDS.every((field) => JSON.stringify(stored[field] ?? null) === JSON.stringify(fields[field])) &&
+        JSON.stringify(stored.sources || null) === JSON.stringify(merged.sources);
+    return unchanged ? null : { ...fields, sources: merged.sources };
+};
+
+module.exports = {
+    CATEGORIES,
+    ACCESSIBILITY,
+    SETTINGS,
+    ATTRIBUTE_FIELDS,
+    DOC_ATTRIBUTE_FIELDS,
+    parsePrice,
+    deriveAttributes,
+    pickAttributeFields,
+    buildAttributeUpdate,
+};
@@ -0,0 +1,236 @@
+const cheerio = require("cheerio");
+const { extractJsonLdEvents, findFeedLinks, toAbsoluteUrl } = require("./structuredData");
+const { GENERIC_PLATFORM, detectPlatform } = require("./platforms");
+
+/**
+ * Calendar-page finder.
+ * Discovery stores a venue's website, which is almost always a homepage. This
+ * crawls the site a few links deep, following the links that look most like an
+ * events calendar, and scores each page it reads for calendar signals (hosted
+ * calendar platforms, JSON-LD events, calendar widgets and feeds, many dates,
+ * storytime/toddler wording). The best pages become the venue's `event_urls`;
+ * a site with no event calendar gets `relevance: "none"` and is not scraped.
+ */
+
+const DEFAULT_MAX_DEPTH = 2;
+const DEFAULT_MAX_PAGES = 10;
+const MAX_EVENT_URLS = 3;
+
+// A page needs this score to count as an events page
+const MIN_PAGE_SCORE = 6;
+
+// Sites are re-checked this often; calendars move and new ones appear
+const RECHECK_DAYS = 30;
+
+// Hosts that serve calendars for other sites; links to them are followed
+const CALENDAR_HOSTS = /(^|\.)(libcal\.com|bibliocommons\.com|librarymarket\.com|trumba\.com|localist\.com|tockify\.com|calendarwiz\.com|activecommunities\.com)$/i;
+
+const LINK_PATH_SIGNALS = [
+    [/\/(events?|calendars?)(\/|$|\?|\.)/i, 5],
+    [/story-?time|lapsit|baby-?bounce/i, 4],
+    [/\/(programs?|activities|classes)(\/|$|\?|\.)/i, 2],
+    [/kids|children|youth|famil|toddler|baby|babies|preschool|early-?literacy/i, 2],
+];
+const LINK_TEXT_SIGNALS = [
+    [/\b(events?|calendar)\b/i, 4],
+    [/story\s*time|toddler|baby|preschool/i, 3],
+    [/\b(programs?|activities|classes)\b/i, 2],
+    [/\b(kids|children|youth|famil(y|ies))\b/i, 2],
+];
+// Links that never lead to a new calendar (later pages of one are crawled by the scraper)
+const SKIP_LINK = /^(mailto|tel|javascript):|[?&](page|pg|offset)=|\.(pdf|jpe?g|png|gif|docx?|xlsx?|zip)(\?|$)|\/(login|log-in|signin|account|donate|give|jobs|careers|employment|privacy|terms|contact)(\/|$)|facebook\.com|instagram\.com|twitter\.com|x\.com\/|youtube\.com|linkedin\.com/i;
+
+const CALENDAR_WIDGETS = /calendar\.google\.com|trumba\.com|localist\.com|tockify\.com|calendarwiz\.com|eventbrite\.com|fullcalendar|timely|ai1ec|tribe-events|evcal|simcal/i;
+const KID_WORDS = /story\s*time|storytime|toddler|preschool|lap\s*sit|baby|babies|infant|kids?\b|children|family/gi;
+const DATE_MENTIONS = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+\d{1,2}\b|\b\d{1,2}\/\d{1,2}(\/\d{2,4})?\b|\b(mon|tue|wed|thu|fri|sat|sun)[a-z]*,?\s+\d{1,2}(:\d{2})?\s*(am|pm)\b/gi;
+
+const hostOf = (url) => new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+
+// Same site (subdomains included), or a hosted calendar the site links to
+const isFollowable = (url, siteHost) => {
+    const host = hostOf(url);
+    return host === siteHost || host.endsWith(`.${siteHost}`) || siteHost.endsWith(`.${host}`) ||
+        CALENDAR_HOSTS.test(host);
+};
+
+const normalizeUrl = (href, baseUrl) => {
+    const absolute = toAbsoluteUrl(href, baseUrl);
+    if (!absolute || !/^https?:/i.test(absolute)) return null;
+    const url = new URL(absolute);
+    url.hash = "";
+    return url.toString();
+};
+
+/**
+ * Score a link for how likely it leads to an events calendar.
+ * @param {string} url - Absolute link URL.
+ * @param {string} [text] - Anchor text.
+ * @returns {number} 0 for links not worth following.
+ */
+const scoreLink = (url, text = "") => {
+    if (SKIP_LINK.test(url)) return 0;
+    const { pathname, search } = new URL(url);
+    let score = 0;
+    for (const [pattern, weight] of LINK_PATH_SIGNALS) {
+        if (pattern.test(`${pathname}${search}`)) score += weight;
+    }
+    for (const [pattern, weight] of LINK_TEXT_SIGNALS) {
+        if (pattern.test(text)) score += weight;
+    }
+    if (CALENDAR_HOSTS.test(hostOf(url))) score += 5;
+    return score;
+};
+
+/**
+ * Score a page for calendar signals.
+ * @param {string} url - Page URL.
+ * @param {string} html - Raw page HTML.
+ * @returns {{score: number, signals: Array<string>, kids: boolean, platform: Object, links: Array<{url: string, score: number}>}}
+ */
+const scorePage = (url, html) => {
+    const $ = cheerio.load(html || "");
+    const signals = [];
+    let score = 0;
+    const add = (signal, weight) => {
+        signals.push(signal);
+        score += weight;
+    };
+
+    const widgetSources = $("iframe[src], script[src]")
+        .map((_, el) => $(el).attr("src"))
+        .get()
+        .join(" ");
+
+    // A hosted calendar page, or one embedded here; a plain link to one is only followed
+    let platform = detectPlatform(url, html);
+    if (platform.platform !== GENERIC_PLATFORM) {
+        const calendarHost = hostOf(platform.calendarUrl);
+        if (calendarHost === hostOf(url)) {
+            add(`platform:${platform.platform}`, 10);
+        } else if (widgetSources.toLowerCase().includes(calendarHost)) {
+            add(`platform-embed:${platform.platform}`, 8);
+        } else {
+            platform = { platform: GENERIC_PLATFORM, calendarUrl: null };
+        }
+    }
+
+    const jsonLd = extractJsonLdEvents($, url).length;
+    if (jsonLd > 0) add(`json-ld:${jsonLd}`, 6);
+
+    if (findFeedLinks($, url).length > 0) add("feed", 4);
+
+    if (CALENDAR_WIDGETS.test(widgetSources) || CALENDAR_WIDGETS.test($("body").attr("class") || "")) {
+        add("widget", 5);
+    }
+
+    $("script, style, noscript").remove();
+    const text = $("body").text().replace(/\s+/g, " ");
+    const dates = (text.match(DATE_MENTIONS) || []).length;
+    if (dates >= 5) add(`dates:${dates}`, 4);
+    else if (dates >= 2) add(`dates:${dates}`, 2);
+
+    if (scoreLink(url) >= 5) add("event-path", 2);
+
+    const kids = (text.match(KID_WORDS) || []).length > 0;
+    if (kids) add("kids", 2);
+
+    const links = new Map();
+    $("a[href]").each((_, el) => {
+        const linkUrl = normalizeUrl($(el).attr("href"), url);
+        if (!linkUrl || linkUrl === url) return;
+        const linkScore = scoreLink(linkUrl, $(el).text().replace(/\s+/g, " ").trim());
+        if (linkScore > (links.get(linkUrl) || 0)) links.set(linkUrl, linkScore);
+    });
+
+    return {
+        score,
+        signals,
+        kids,
+        platform,
+        links: [...links].map(([linkUrl, linkScore]) => ({ url: linkUrl, score: linkScore })),
+    };
+};
+
+/**
+ * Crawl a venue's site for its events calendar.
+ * Pages are visited best-link-first, up to maxDepth links from the start page.
+ * @param {Object} options
+ * @param {string} options.startUrl - Registered website.
+ * @param {Function} options.fetchText - async (url) => html; the start page's errors propagate.
+ * @param {number} [options.maxDepth]
+ * @param {number} [options.maxPages]
+ * @returns {Promise<{eventUrls: Array<string>, relevance: string, platform: Object|null, pages: Array<Object>}>}
+ *   relevance is "kids" (calendar with kids' events), "events" (calendar) or "none".
+ */
+const findCalendarPages = async ({
+    startUrl,
+    fetchText,
+    maxDepth = DEFAULT_MAX_DEPTH,
+    maxPages = DEFAULT_MAX_PAGES,
+}) => {
+    const siteHost = hostOf(startUrl);
+    const queue = [{ url: startUrl, depth: 0, linkScore: Infinity }];
+    const seen = new Set([startUrl]);
+    const pages = [];
+
+    while (queue.length > 0 && pages.length < maxPages) {
+        queue.sort((a, b) => b.linkScore - a.linkScore || a.depth - b.depth);
+        const { url, depth } = queue.shift();
+
+        let html;
+        try {
+            html = await fetchText(url);
+        } catch (error) {
+            if (depth === 0) throw error;
+            console.warn(`⚠️ Could not fetch ${url}:`, error.message);
+            continue;
+        }
+
+        const page = scorePage(url, html);
+        pages.push({ url, depth, score: page.score, signals: page.signals, kids: page.kids, platform: page.platform });
+
+        if (depth >= maxDepth) continue;
+        for (const link of page.links) {
+            if (link.score <= 0 || seen.has(link.url) || !isFollowable(link.url, siteHost)) continue;
+            seen.add(link.url);
+            queue.push({ url: link.url, depth: depth + 1, linkScore: link.score });
+        }
+    }
+
+    const eventPages = pages
+        .filter((page) => page.score >= MIN_PAGE_SCORE)
+        .sort((a, b) => b.score - a.score || a.depth - b.depth);
+    const hosted = eventPages.find((page) => page.platform.platform !== GENERIC_PLATFORM);
+
+    let relevance = "none";
+    if (eventPages.some((page) => page.kids)) relevance = "kids";
+    else if (eventPages.length > 0) relevance = "events";
+
+    return {
+        eventUrls: eventPages.slice(0, MAX_EVENT_URLS).map((page) => page.url),
+        relevance,
+        platform: hosted ? hosted.platform : null,
+        pages,
+    };
+};
+
+/**
+ * Whether a registry entry is due for a calendar check.
+ * Calendar pages an admin set by hand (`event_urls_manual`) are left alone.
+ * @param {Object} libraryData - url_registry document data.
+ * @param {number} [nowSeconds]
+ * @returns {boolean}
+ */
+const needsCalendarCheck = (libraryData, nowSeconds = Math.floor(Date.now() / 1000)) =>
+    !!libraryData.url_hash &&
+    !libraryData.event_urls_manual &&
+    (!libraryData.calendar_checked_at ||
+        nowSeconds - libraryData.calendar_checked_at >= RECHECK_DAYS * 24 * 60 * 60);
+
+module.exports = {
+    MIN_PAGE_SCORE,
+    needsCalendarCheck,
+    scoreLink,
+    scorePage,
+    findCalendarPages,
+};
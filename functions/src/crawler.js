@@ -0,0 +1,345 @@
+const crypto = require("crypto");
+const { titleSimilarity } = require("./dedupe");
+const { toEpochSeconds } = require("./dates");
+
+/**
+ * Multi-page crawling for LLM-extracted sources.
+ * A calendar rarely fits on one page: the crawler follows "next page" and
+ * "next month" links (in the Jina markdown) up to a page limit and a date
+ * horizon, splits pages too long for one prompt into overlapping chunks, and
+ * can visit event detail pages to fill in descriptions and registration links
+ * the listing leaves out. Each page is cached on its own so only pages that
+ * changed are sent to the model again.
+ */
+
+const DEFAULT_MAX_PAGES = 5;
+const DEFAULT_HORIZON_DAYS = 60;
+
+// Prompt-sized chunks; the overlap keeps an event cut at a boundary whole in one of them
+const CHUNK_SIZE = 40000;
+const CHUNK_OVERLAP = 2000;
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+const NEXT_TEXT = /\bnext\b|\bolder\b|more events|later events|^[›»>→]+$/i;
+const PREVIOUS_TEXT = /\bprev(ious)?\b|\bback\b|\bnewer\b|^[‹«<←]+$/i;
+const MONTH_ARROW_TEXT = new RegExp(`\\b(${MONTHS.join("|")})[a-z]*\\.?\\s*(\\d{4})?\\s*[›»>→]`, "i");
+
+const REGISTRATION_TEXT = /regist|sign\s*-?\s*up|rsvp|reserve|book (now|a spot)|tickets?/i;
+const REGISTRATION_REQUIRED = /registration (is )?required|register in advance|registration opens|space is limited|reserve (a|your) (spot|seat)/i;
+
+const MIN_DETAIL_TITLE_SIMILARITY = 0.8;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+/**
+ * Links in a markdown document (images skipped).
+ * @param {string} markdown
+ * @param {string} baseUrl - Resolves relative links.
+ * @returns {Array<{text: string, url: string}>}
+ */
+const parseMarkdownLinks = (markdown, baseUrl) => {
+    const links = [];
+    const pattern = /(!?)\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+    for (const [, image, text, href] of String(markdown || "").matchAll(pattern)) {
+        if (image) continue;
+        try {
+            const url = new URL(href, baseUrl);
+            if (!/^https?:$/.test(url.protocol)) continue;
+            url.hash = "";
+            links.push({ text: text.replace(/\s+/g, " ").trim(), url: url.toString() });
+        } catch (error) {
+            // Not a URL
+        }
+    }
+    return links;
+};
+
+// First day of the month or day a calendar URL points at, if it names one
+const urlDate = (url) => {
+    const { pathname, searchParams } = new URL(url);
+    const haystack = `${pathname}?${searchParams.toString()}`;
+    let match = haystack.match(/(\d{4})-(\d{2})(?:-(\d{2}))?/);
+    if (match) return `${match[1]}-${match[2]}-${match[3] || "01"}`;
+    match = pathname.match(/\/(\d{4})\/(\d{1,2})(?:\/(\d{1,2}))?(\/|$)/);
+    if (match) return `${match[1]}-${match[2].padStart(2, "0")}-${(match[3] || "1").padStart(2, "0")}`;
+    const month = searchParams.get("month");
+    const year = searchParams.get("year");
+    if (month && year && /^\d{1,2}$/.test(month) && /^\d{4}$/.test(year)) {
+        return `${year}-${month.padStart(2, "0")}-01`;
+    }
+    return null;
+};
+
+// Page number a URL asks for, if any
+const pageNumber = (url) => {
+    const { searchParams, pathname } = new URL(url);
+    const param = searchParams.get("page") ?? searchParams.get("pg");
+    if (param !== null && /^\d+$/.test(param)) return Number(param);
+    const match = pathname.match(/\/page\/(\d+)\/?$/);
+    return match ? Number(match[1]) : null;
+};
+
+const samePage = (a, b) => {
+    const strip = (url) => {
+        const parsed = new URL(url);
+        ["page", "pg"].forEach((param) => parsed.searchParams.delete(param));
+        return `${parsed.origin}${parsed.pathname.replace(/\/page\/\d+\/?$/, "").replace(/\/$/, "")}?${parsed.searchParams}`;
+    };
+    return strip(a) === strip(b);
+};
+
+/**
+ * Find the link to the next page or month of a calendar.
+ * @param {string} markdown - Current page.
+ * @param {string} pageUrl - Current page URL.
+ * @param {Object} options
+ * @param {string} options.today - "YYYY-MM-DD".
+ * @param {number} [options.horizonDays] - Months starting later than this aren't followed.
+ * @returns {string|null}
+ */
+const findNextPageLink = (markdown, pageUrl, { today, horizonDays = DEFAULT_HORIZON_DAYS }) => {
+    const host = new URL(pageUrl).hostname;
+    const links = parseMarkdownLinks(markdown, pageUrl).filter(
+        (link) => link.url !== pageUrl && new URL(link.url).hostname === host,
+    );
+    const currentPage = pageNumber(pageUrl) ?? 1;
+
+    const next =
+        links.find((link) => !PREVIOUS_TEXT.test(link.text) && (NEXT_TEXT.test(link.text) || MONTH_ARROW_TEXT.test(link.text))) ||
+        links.find((link) => samePage(link.url, pageUrl) && pageNumber(link.url) === currentPage + 1);
+    if (!next) return null;
+
+    const date = urlDate(next.url);
+    if (date && today) {
+        const start = toEpochSeconds(date, "UTC");
+        const horizon = toEpochSeconds(today, "UTC") + horizonDays * DAY_SECONDS;
+        if (start !== null && start > horizon) return null;
+    }
+    return next.url;
+};
+
+/**
+ * Fetch a calendar and its following pages.
+ * @param {Object} options
+ * @param {string} options.startUrl
+ * @param {Function} options.fetchPage - async (url) => markdown, or a page object
+ *   { content, notModified, nextUrl, ... } whose extra fields are kept on the page.
+ *   An unchanged page (notModified, no content) continues at its remembered nextUrl.
+ *   Errors on the first page propagate.
+ * @param {string} options.today - "YYYY-MM-DD".
+ * @param {number} [options.maxPages]
+ * @param {number} [options.horizonDays]
+ * @returns {Promise<Array<{url: string, content: string|null, nextUrl: string|null}>>}
+ */
+const crawlPages = async ({
+    startUrl,
+    fetchPage,
+    today,
+    maxPages = DEFAULT_MAX_PAGES,
+    horizonDays = DEFAULT_HORIZON_DAYS,
+}) => {
+    const pages = [];
+    const seen = new Set();
+    let url = startUrl;
+    while (url && pages.length < maxPages && !seen.has(url)) {
+        seen.add(url);
+        let fetched;
+        try {
+            fetched = await fetchPage(url);
+        } catch (error) {
+            if (pages.length === 0) throw error;
+            console.warn(`⚠️ Stopped crawling at ${url}:`, error.message);
+            break;
+        }
+        const page = typeof fetched === "string" ? { content: fetched } : fetched;
+        const nextUrl = page.notModified
+            ? page.nextUrl || null
+            : findNextPageLink(page.content, url, { today, horizonDays });
+        pages.push({ ...page, url, nextUrl });
+        url = nextUrl;
+    }
+    return pages;
+};
+
+/**
+ * Split text into overlapping chunks at line breaks.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number} [options.size]
+ * @param {number} [options.overlap]
+ * @returns {Array<string>}
+ */
+const chunkContent = (text, { size = CHUNK_SIZE, overlap = CHUNK_OVERLAP } = {}) => {
+    const value = String(text || "");
+    if (value.length <= size) return [value];
+
+    const chunks = [];
+    let start = 0;
+    while (start < value.length) {
+        let end = Math.min(start + size, value.length);
+        if (end < value.length) {
+            const lineBreak = value.lastIndexOf("\n", end);
+            if (lineBreak > start + size / 2) end = lineBreak + 1;
+        }
+        chunks.push(value.substring(start, end));
+        if (end >= value.length) break;
+
+        // Back up by the overlap, to the start of a line when there is one nearby
+        let next = Math.max(end - overlap, start + 1);
+        const lineBreak = value.indexOf("\n", next);
+        if (lineBreak !== -1 && lineBreak < end - overlap / 2) next = lineBreak + 1;
+        start = next;
+    }
+    return chunks;
+};
+
+const eventKey = (act) =>
+    [act.title, act.venue, act.isoDate].map((value) => String(value || "").trim().toLowerCase()).join("|");
+
+const filledFields = (act) => Object.values(act).filter((value) => value !== null && value !== undefined && value !== "").length;
+
+/**
+ * Combine extractions of several pages/chunks.
+ * Events seen twice (chunk overlaps, a page repeating another) are kept once,
+ * preferring the copy with the most fields filled.
+ * @param {Array<{events: Array<Object>, series: Array<Object>}>} results
+ * @returns {{events: Array<Object>, series: Array<Object>}}
+ */
+const mergeExtractions = (results) => {
+    const byKey = new Map();
+    for (const act of results.flatMap((result) => result.events || [])) {
+        if (!act) continue;
+        const key = eventKey(act);
+        const previous = byKey.get(key);
+        if (!previous || filledFields(act) > filledFields(previous)) byKey.set(key, act);
+    }
+    return {
+        events: [...byKey.values()],
+        series: results.flatMap((result) => result.series || []),
+    };
+};
+
+/**
+ * Cache key of a page within its source.
+ * @param {string} url
+ * @returns {string}
+ */
+const pageKey = (url) => crypto.createHash("sha256").update(String(url)).digest("hex").substring(0, 32);
+
+const needsDetails = (act) => !act.description || !act.registrationUrl;
+
+/**
+ * Detail page links for events missing a description or registration link,
+ * matched by link text against the event title.
+ * @param {string} markdown - Listing page.
+ * @param {Array<Object>} events - Events extracted from it.
+ * @param {string} pageUrl
+ * @returns {Map<number, string>} event index -> detail URL
+ */
+const findDetailLinks = (markdown, events, pageUrl) => {
+    const pageHost = new URL(pageUrl).hostname;
+    const links = parseMarkdownLinks(markdown, pageUrl).filter(
+        (link) => link.url !== pageUrl && new URL(link.url).hostname === pageHost,
+    );
+    const detailLinks = new Map();
+    events.forEach((act, index) => {
+        if (!act || !needsDetails(act)) return;
+        let best = null;
+        for (const link of links) {
+            const score = titleSimilarity(act.title, link.text);
+            if (score >= MIN_DETAIL_TITLE_SIMILARITY && (!best || score > best.score)) best = { url: link.url, score };
+        }
+        if (best) detailLinks.set(index, best.url);
+    });
+    return detailLinks;
+};
+
+// Markdown paragraph -> plain text
+const plainText = (paragraph) =>
+    paragraph
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, "")
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+        .replace(/[*_`>#]+/g, "")
+        .replace(/\s+/g, " ")
+        .trim();
+
+/**
+ * Fill an event's missing fields from its detail page. Fields the listing
+ * already gave are never overwritten.
+ * @param {Object} act - Extracted event.
+ * @param {string} markdown - Detail page.
+ * @param {string} detailUrl
+ * @returns {Object} Event with `detailUrl` and any fields found.
+ */
+const fillFromDetailPage = (act, markdown, detailUrl) => {
+    const filled = { ...act, detailUrl };
+    // Skip Jina's header and, when the title is found, the site navigation before it
+    let body = String(markdown || "").replace(/^[\s\S]*?Markdown Content:\s*/, "");
+    const titleAt = body.toLowerCase().indexOf(String(act.title || "").toLowerCase());
+    if (act.title && titleAt !== -1) body = body.substring(titleAt);
+
+    if (!filled.registrationUrl) {
+        const registration = parseMarkdownLinks(body, detailUrl).find((link) => REGISTRATION_TEXT.test(link.text));
+        if (registration) filled.registrationUrl = registration.url;
+    }
+
+    if (!filled.description) {
+        const paragraph = body
+            .split(/\n\s*\n/)
+            .map((block) => block.trim())
+            .filter((block) => block && !block.startsWith("#") && !/^[-*|]/.test(block))
+            .map(plainText)
+            .find((text) => text.length >= 60 && titleSimilarity(text, act.title) < 1);
+        if (paragraph) {
+            filled.description = paragraph.length > MAX_DESCRIPTION_LENGTH
+                ? `${paragraph.substring(0, MAX_DESCRIPTION_LENGTH - 1).trim()}…`
+                : paragraph;
+        }
+    }
+
+    if (!filled.isRegistrationRequired && (REGISTRATION_REQUIRED.test(body) || (filled.registrationUrl && !act.registrationUrl))) {
+        filled.isRegistrationRequired = true;
+    }
+    return filled;
+};
+
+/**
+ * Visit detail pages of a listing's events and fill in what the listing lacked.
+ * @param {Object} options
+ * @param {{url: string, content: string}} options.page - Listing page.
+ * @param {Array<Object>} options.events - Events extracted from it.
+ * @param {Function} options.fetchPage - async (url) => markdown.
+ * @param {number} options.maxPages - Detail pages to fetch at most.
+ * @returns {Promise<{events: Array<Object>, fetched: number}>}
+ */
+const fillEventDetails = async ({ page, events, fetchPage, maxPages }) => {
+    const filled = [...events];
+    let fetched = 0;
+    for (const [index, detailUrl] of findDetailLinks(page.content, events, page.url)) {
+        if (fetched >= maxPages) break;
+        fetched++;
+        try {
+            filled[index] = fillFromDetailPage(filled[index], await fetchPage(detailUrl), detailUrl);
+        } catch (error) {
+            console.warn(`⚠️ Could not fetch detail page ${detailUrl}:`, error.message);
+        }
+    }
+    return { events: filled, fetched };
+};
+
+module.exports = {
+    DEFAULT_MAX_PAGES,
+    DEFAULT_HORIZON_DAYS,
+    CHUNK_SIZE,
+    parseMarkdownLinks,
+    findNextPageLink,
+    crawlPages,
+    chunkContent,
+    mergeExtractions,
+    pageKey,
+    findDetailLinks,
+    fillFromDetailPage,
+    fillEventDetails,
+};
@@ -0,0 +1,295 @@
+/**
+ * Date resolution for extracted events.
+ * Sources (and the model) give wall-clock times without an offset, meaning the
+ * venue's local time. They are resolved in the venue's IANA zone here, DST
+ * included, instead of the UTC runtime. Years are checked against the date the
+ * page was fetched, and a missing end time is read from the text or estimated.
+ */
+
+const DEFAULT_TIMEZONE = "America/Los_Angeles";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// A date this far before the fetch date was probably meant for next year ("Jan 6" seen in December)
+const PAST_ROLLOVER_DAYS = 60;
+// ...and one this far ahead was probably last year's ("Dec 30" seen in January)
+const FUTURE_ROLLOVER_DAYS = 300;
+
+// Typical session length in minutes when a source gives no end time
+const DEFAULT_DURATIONS = [
+    [/baby|lap\s*sit|bounce|rhyme/i, 30],
+    [/story\s*time|storytime|sing|music|movement|yoga/i, 45],
+    [/stay\s*(&|and)\s*play|play\s*(&|and)\s*learn|playgroup|open play|explore/i, 90],
+];
+const DEFAULT_DURATION_MINUTES = 60;
+
+const LOCAL_ISO = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+const formatterCache = new Map();
+const formatterFor = (timeZone) => {
+    if (!formatterCache.has(timeZone)) {
+        formatterCache.set(
+            timeZone,
+            new Intl.DateTimeFormat("en-US", {
+                timeZone,
+                hourCycle: "h23",
+                year: "numeric",
+                month: "2-digit",
+                day: "2-digit",
+                hour: "2-digit",
+                minute: "2-digit",
+                second: "2-digit",
+            }),
+        );
+    }
+    return formatterCache.get(timeZone);
+};
+
+// Wall-clock fields of an instant in a zone
+const wallClock = (epochMs, timeZone) => {
+    const parts = Object.fromEntries(
+        formatterFor(timeZone)
+            .formatToParts(new Date(epochMs))
+            .map(({ type, value }) => [type, value]),
+    );
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+    };
+};
+
+/**
+ * Whether a value names an IANA time zone ("America/Los_Angeles").
+ * Intl reads a missing zone as the runtime's own, so non-strings are refused first.
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isTimeZone = (value) => {
+    if (typeof value !== "string" || value === "") return false;
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone: value });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Zone offset from UTC at an instant, in ms (PDT -> -7h)
+const zoneOffsetMs = (epochMs, timeZone) => {
+    const w = wallClock(epochMs, timeZone);
+    const asUtc = Date.UTC(w.year, w.month - 1, w.day, w.hour, w.minute, w.second);
+    return asUtc - (epochMs - (epochMs % 1000));
+};
+
+/**
+ * Convert a local wall-clock time to an instant.
+ * Times skipped by the spring-forward change move forward by the gap
+ * (02:30 -> 03:30 PDT); times repeated in the fall take the first, daylight one.
+ * @param {number} year
+ * @param {number} month - 1-12.
+ * @param {number} day
+ * @param {number} hour
+ * @param {number} minute
+ * @param {number} second
+ * @param {string} timeZone - IANA zone.
+ * @returns {number} Epoch ms.
+ */
+const zonedTimeToEpochMs = (year, month, day, hour, minute, second, timeZone) => {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    // Offsets before and after the local time; they differ only around a DST change
+    const early = zoneOffsetMs(asUtc - DAY_MS, timeZone);
+    const late = zoneOffsetMs(asUtc + DAY_MS, timeZone);
+    const candidates = [asUtc - early, asUtc - late].filter(
+        (epochMs) => zoneOffsetMs(epochMs, timeZone) === asUtc - epochMs,
+    );
+    if (candidates.length > 0) return Math.min(...candidates);
+    // In the spring-forward gap: keep the pre-change offset, landing after the jump
+    return asUtc - early;
+};
+
+/**
+ * Parse an ISO date/time as the venue's local time.
+ * Strings with an explicit offset or "Z" keep it; date-only strings mean local midnight.
+ * @param {string} value - "YYYY-MM-DDTHH:mm[:ss][offset]" or "YYYY-MM-DD".
+ * @param {string} [timeZone]
+ * @returns {number|null} Unix seconds, or null when unparseable.
+ */
+const toEpochSeconds = (value, timeZone = DEFAULT_TIMEZONE) => {
+    const match = String(value || "").trim().match(LOCAL_ISO);
+    if (!match) return null;
+    const [, y, mo, d, h = "00", mi = "00", s = "00", offset] = match;
+    if (Number(mo) < 1 || Number(mo) > 12 || Number(d) < 1 || Number(d) > 31) return null;
+    if (Number(h) > 23 || Number(mi) > 59 || Number(s) > 59) return null;
+
+    if (offset) {
+        const ms = Date.parse(`${y}-${mo}-${d}T${h}:${mi}:${s}${offset === "Z" ? "Z" : offset.replace(/^([+-]\d{2})(\d{2})$/, "$1:$2")}`);
+        return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+    }
+    const ms = zonedTimeToEpochMs(Number(y), Number(mo), Number(d), Number(h), Number(mi), Number(s), timeZone);
+    return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+};
+
+/**
+ * Local calendar date of an instant.
+ * @param {number} [epochMs] - Defaults to now.
+ * @param {string} [timeZone]
+ * @returns {string} "YYYY-MM-DD"
+ */
+const localDate = (epochMs = Date.now(), timeZone = DEFAULT_TIMEZONE) => {
+    const w = wallClock(epochMs, timeZone);
+    return `${w.year}-${pad(w.month)}-${pad(w.day)}`;
+};
+
+/**
+ * Local weekday and time of day of an instant.
+ * @param {number} epochMs
+ * @param {string} [timeZone]
+ * @returns {{weekday: number, minutes: number}} weekday 0 (Sunday) - 6; minutes since local midnight.
+ */
+const localTimeOfWeek = (epochMs, timeZone = DEFAULT_TIMEZONE) => {
+    const w = wallClock(epochMs, timeZone);
+    return {
+        weekday: new Date(Date.UTC(w.year, w.month - 1, w.day)).getUTCDay(),
+        minutes: w.hour * 60 + w.minute,
+    };
+};
+
+/**
+ * Fix the year of a local ISO string the model (or a yearless page) got wrong
+ * around New Year, relative to the date the page was fetched.
+ * @param {string} isoDate - Local ISO date/time.
+ * @param {string} referenceDate - "YYYY-MM-DD" the page was fetched.
+ * @returns {string} isoDate, with the year moved by one when that is clearly meant.
+ */
+const correctYear = (isoDate, referenceDate) => {
+    const match = String(isoDate || "").match(/^(\d{4})(-\d{2}-\d{2})(.*)$/);
+    if (!match || !referenceDate) return isoDate;
+    const [, year, monthDay, rest] = match;
+    const reference = Date.parse(`${referenceDate}T00:00:00Z`);
+    const dayOf = (y) => Date.parse(`${y}${monthDay}T00:00:00Z`);
+    const days = (dayOf(year) - reference) / DAY_MS;
+    if (Number.isNaN(days)) return isoDate;
+
+    if (days < -PAST_ROLLOVER_DAYS) {
+        const next = Number(year) + 1;
+        const nextDays = (dayOf(next) - reference) / DAY_MS;
+        if (nextDays >= -PAST_ROLLOVER_DAYS && nextDays <= FUTURE_ROLLOVER_DAYS) return `${next}${monthDay}${rest}`;
+    } else if (days > FUTURE_ROLLOVER_DAYS) {
+        const previous = Number(year) - 1;
+        const previousDays = (dayOf(previous) - reference) / DAY_MS;
+        if (previousDays >= -PAST_ROLLOVER_DAYS) return `${previous}${monthDay}${rest}`;
+    }
+    return isoDate;
+};
+
+// "10:30am", "11", "4:15 p.m." -> minutes after midnight; meridiem may come from the range end
+const clockMinutes = (hour, minute, meridiem) => {
+    let h = Number(hour);
+    const m = Number(minute || 0);
+    if (h > 23 || m > 59) return null;
+    const mer = (meridiem || "").replace(/\./g, "").toLowerCase();
+    if (mer === "pm" && h < 12) h += 12;
+    if (mer === "am" && h === 12) h = 0;
+    return h * 60 + m;
+};
+
+const TIME_RANGE = /(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)?\s*(?:-|–|—|to|until)\s*(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)?/gi;
+
+/**
+ * Find the end of a "10:30 - 11:15am" style range that starts at the given time.
+ * @param {string} text - Title/description text.
+ * @param {number} startMinutes - Event start, minutes after local midnight.
+ * @returns {number|null} End in minutes after local midnight.
+ */
+const findRangeEnd = (text, startMinutes) => {
+    for (const match of String(text || "").matchAll(TIME_RANGE)) {
+        const [, h1, m1, mer1, h2, m2, mer2] = match;
+        // Bare "10-11" is too often a date or an age range
+        if (!m1 && !m2 && !mer1 && !mer2) continue;
+        const endMer = mer2 || mer1;
+        let start = clockMinutes(h1, m1, mer1 || endMer);
+        let end = clockMinutes(h2, m2, endMer);
+        if (start === null || end === null) continue;
+        // "11-12:30pm": the start is in the morning
+        if (!mer1 && start > end && start >= 12 * 60) start -= 12 * 60;
+        // "1:30 - 2:15" with no meridiem at all, for an afternoon start
+        if (!endMer && start + 12 * 60 === startMinutes) {
+            start += 12 * 60;
+            end += 12 * 60;
+        }
+        if (start === startMinutes && end > start) return end;
+    }
+    return null;
+};
+
+const estimatedDuration = (act) => {
+    const text = `${act.title || ""} ${act.description || ""}`;
+    const rule = DEFAULT_DURATIONS.find(([pattern]) => pattern.test(act.title || "")) ||
+        DEFAULT_DURATIONS.find(([pattern]) => pattern.test(text));
+    return rule ? rule[1] : DEFAULT_DURATION_MINUTES;
+};
+
+/**
+ * Resolve an extracted event's start and end instants.
+ * The end comes from `endTime` (ISO or "HH:mm"), else a time range in the
+ * text, else a typical duration for the kind of event (flagged as estimated).
+ * @param {Object} act - Extracted event ({ isoDate, endTime, title, description }).
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - Venue zone.
+ * @param {string} [options.referenceDate] - "YYYY-MM-DD" the page was fetched; enables year correction.
+ * @returns {{isoDate: string, startTime: number, endTime: number, endTimeEstimated: boolean}|null}
+ */
+const resolveEventTimes = (act, { timeZone = DEFAULT_TIMEZONE, referenceDate } = {}) => {
+    const isoDate = referenceDate ? correctYear(act.isoDate, referenceDate) : act.isoDate;
+    const startTime = toEpochSeconds(isoDate, timeZone);
+    if (startTime === null) return null;
+
+    const day = String(isoDate).substring(0, 10);
+    const start = wallClock(startTime * 1000, timeZone);
+    const startMinutes = start.hour * 60 + start.minute;
+    const atMinutes = (minutes) =>
+        toEpochSeconds(`${day}T${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}:00`, timeZone);
+
+    let endTime = null;
+    if (act.endTime) {
+        const clock = String(act.endTime).match(/^(\d{1,2}):(\d{2})$/);
+        endTime = clock
+            ? atMinutes(Number(clock[1]) * 60 + Number(clock[2]))
+            : toEpochSeconds(
+                referenceDate ? correctYear(act.endTime, referenceDate) : act.endTime,
+                timeZone,
+            );
+    }
+    if (endTime === null || endTime <= startTime) {
+        const rangeEnd = findRangeEnd(`${act.title || ""} ${act.description || ""}`, startMinutes);
+        endTime = rangeEnd !== null && rangeEnd < 24 * 60 ? atMinutes(rangeEnd) : null;
+    }
+    if (endTime !== null && endTime > startTime) {
+        return { isoDate, startTime, endTime, endTimeEstimated: false };
+    }
+    return {
+        isoDate,
+        startTime,
+        endTime: startTime + estimatedDuration(act) * 60,
+        endTimeEstimated: true,
+    };
+};
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    isTimeZone,
+    toEpochSeconds,
+    localDate,
+    localTimeOfWeek,
+    zoneOffsetMs,
+    correctYear,
+    findRangeEnd,
+    resolveEventTimes,
+};
@@ -0,0 +1,280 @@
+const geofire = require("geofire-common");
+
+/**
+ * Cross-source deduplication.
+ * The same storytime often appears on a county site, a city parks page and a
+ * branch page under slightly different titles and venue names. Candidates are
+ * compared by start time, location and normalized title/venue similarity; a
+ * match is merged into one canonical activity that keeps a `sources[]`
+ * provenance list, with each field taken from the most trusted source.
+ */
+
+// Start times further apart than this are different sessions
+const START_TOLERANCE_SECONDS = 15 * 60;
+
+// Dice similarity of normalized title tokens needed for a match
+const MIN_TITLE_SIMILARITY = 0.7;
+
+// Venue similarity needed for a match when coordinates don't settle it
+const MIN_VENUE_SIMILARITY = 0.5;
+
+// Venues closer than this (or in the same geohash cell) count as the same place
+const NEAR_KM = 0.5;
+const GEOHASH_CELL_PRECISION = 6;
+
+// Default trust per extraction method; a registry doc's `trust` overrides it
+const SOURCE_TRUST = {
+    libcal: 0.95,
+    bibliocommons: 0.95,
+    communico: 0.95,
+    librarymarket: 0.95,
+    "json-ld": 0.9,
+    ical: 0.9,
+    rss: 0.8,
+    atom: 0.8,
+    series: 0.7,
+    llm: 0.6,
+    // Submitted by a parent; venue accounts submit with their own trust
+    community: 0.5,
+};
+const DEFAULT_TRUST = 0.6;
+
+// Fields chosen per source trust; location fields move together
+const MERGE_FIELDS = [
+    "title",
+    "venue",
+    "description",
+    "startTime",
+    "endTime",
+    "requiresBooking",
+    "registrationUrl",
+    "isFree",
+    "price",
+    "setting",
+    "isIndoor",
+    "languages",
+    "accessibility",
+    "categories",
+];
+const LOCATION_FIELDS = ["latitude", "longitude", "geohash", "venueId"];
+// The age label and its bounds come from one source, so they never disagree
+const AGE_FIELDS = ["ageRange", "minAgeMonths", "maxAgeMonths"];
+
+const TITLE_STOPWORDS = new Set([
+    "a", "an", "the", "for", "and", "with", "at", "of", "in", "on", "to", "our", "your", "all",
+]);
+
+const TITLE_SYNONYMS = {
+    toddlers: "toddler",
+    babies: "baby",
+    infants: "baby",
+    infant: "baby",
+    preschoolers: "preschool",
+    kids: "kid",
+    children: "kid",
+    stories: "story",
+    storytimes: "storytime",
+    songs: "song",
+    rhymes: "rhyme",
+    "sing-along": "singalong",
+};
+
+// Words that name the kind of place rather than which place it is
+const VENUE_GENERIC = new Set([
+    "library", "libraries", "branch", "public", "county", "city", "of", "the", "main",
+    "center", "centre", "community", "system", "and", "at", "park", "parks", "recreation",
+]);
+
+const tokenize = (value) =>
+    String(value || "")
+        .toLowerCase()
+        .replace(/story\s+time/g, "storytime")
+        .replace(/sing\s*-?\s*along/g, "singalong")
+        .replace(/[^a-z0-9\s]/g, " ")
+        .split(/\s+/)
+        .filter(Boolean);
+
+const titleTokens = (title) =>
+    new Set(
+        tokenize(title)
+            .filter((word) => !TITLE_STOPWORDS.has(word))
+            .map((word) => TITLE_SYNONYMS[word] || word),
+    );
+
+const venueTokens = (venue) => new Set(tokenize(venue).filter((word) => !VENUE_GENERIC.has(word)));
+
+const overlap = (a, b) => [...a].filter((token) => b.has(token)).length;
+
+/**
+ * Dice coefficient of normalized title tokens ("Toddler Storytime" vs
+ * "Storytime for Toddlers" -> 1).
+ * @returns {number} 0..1
+ */
+const titleSimilarity = (a, b) => {
+    const ta = titleTokens(a);
+    const tb = titleTokens(b);
+    if (!ta.size || !tb.size) return 0;
+    return (2 * overlap(ta, tb)) / (ta.size + tb.size);
+};
+
+/**
+ * Similarity of distinctive venue tokens. One name fully contained in the other
+ * is a match ("Fremont Main Library" vs "Alameda County Library - Fremont" -> 1);
+ * otherwise the overlap is measured against both names, so a shared system name
+ * alone ("Alameda ... Fremont" vs "Alameda ... Newark") stays low.
+ * @returns {number} 0..1
+ */
+const venueSimilarity = (a, b) => {
+    const ta = venueTokens(a);
+    const tb = venueTokens(b);
+    if (!ta.size || !tb.size) return 0;
+    const shared = overlap(ta, tb);
+    if (shared === Math.min(ta.size, tb.size)) return 1;
+    return shared / (ta.size + tb.size - shared);
+};
+
+const hasLocation = (doc) => typeof doc.latitude === "number" && typeof doc.longitude === "number";
+
+// Distance in km, or null when either side has no coordinates
+const distanceKm = (a, b) =>
+    hasLocation(a) && hasLocation(b)
+        ? geofire.distanceBetween([a.latitude, a.longitude], [b.latitude, b.longitude])
+        : null;
+
+const sameGeohashCell = (a, b) =>
+    !!a.geohash &&
+    !!b.geohash &&
+    a.geohash.substring(0, GEOHASH_CELL_PRECISION) === b.geohash.substring(0, GEOHASH_CELL_PRECISION);
+
+/**
+ * Score how likely two activity docs describe the same event.
+ * @param {Object} a - Activity doc.
+ * @param {Object} b - Activity doc.
+ * @returns {number} 0 for "not the same", else a 0..1 confidence.
+ */
+const matchScore = (a, b) => {
+    if (!Number.isFinite(a.startTime) || !Number.isFinite(b.startTime)) return 0;
+    if (Math.abs(a.startTime - b.startTime) > START_TOLERANCE_SECONDS) return 0;
+
+    const title = titleSimilarity(a.title, b.title);
+    if (title < MIN_TITLE_SIMILARITY) return 0;
+
+    const venue = venueSimilarity(a.venue, b.venue);
+    const distance = distanceKm(a, b);
+    const near = sameGeohashCell(a, b) || (distance !== null && distance <= NEAR_KM);
+    if (!near && venue < MIN_VENUE_SIMILARITY) return 0;
+
+    const place = near ? 1 : venue;
+    const time = 1 - Math.abs(a.startTime - b.startTime) / (START_TOLERANCE_SECONDS * 2);
+    return Math.round((0.5 * title + 0.3 * place + 0.2 * time) * 1000) / 1000;
+};
+
+/**
+ * Find the best matching existing activity for a candidate.
+ * @param {Object} candidate - New activity doc.
+ * @param {Array<{ref: *, data: Object}>} existing - Possible matches.
+ * @returns {{ref: *, data: Object, score: number}|null}
+ */
+const findDuplicate = (candidate, existing) => {
+    let best = null;
+    for (const entry of existing) {
+        const score = matchScore(candidate, entry.data);
+        if (score > 0 && (!best || score > best.score)) best = { ...entry, score };
+    }
+    return best;
+};
+
+/**
+ * Trust for a source: registry override, else the method default.
+ * @param {string} method - Extraction method (platform name, "json-ld", "llm", ...).
+ * @param {number} [registryTrust] - `trust` field on the url_registry doc.
+ * @returns {number}
+ */
+const sourceTrust = (method, registryTrust) =>
+    typeof registryTrust === "number" ? registryTrust : SOURCE_TRUST[method] ?? DEFAULT_TRUST;
+
+/**
+ * Provenance entry recorded on an activity for one source.
+ * @param {Object} doc - Activity doc as built from that source.
+ * @param {Object} provenance - { sourceUrl, method, trust }
+ * @param {number} [seenAt] - Unix seconds.
+ * @returns {Object}
+ */
+const buildSourceEntry = (doc, { sourceUrl, method, trust }, seenAt = Math.floor(Date.now() / 1000)) => ({
+    sourceUrl,
+    method: method || "llm",
+    trust: typeof trust === "number" ? trust : sourceTrust(method),
+    seenAt,
+    fields: Object.fromEntries(
+        [...MERGE_FIELDS, ...AGE_FIELDS, ...LOCATION_FIELDS].map((field) => [field, doc[field] ?? null]),
+    ),
+});
+
+// Activities written before provenance existed get one entry from their own fields
+const sourcesOf = (doc) =>
+    Array.isArray(doc.sources) && doc.sources.length
+        ? doc.sources
+        : [buildSourceEntry(doc, { sourceUrl: doc.sourceUrl, method: "llm" }, doc.createdAt || 0)];
+
+const isUseful = (field, value) =>
+    value !== null &&
+    value !== undefined &&
+    value !== "" &&
+    !(Array.isArray(value) && value.length === 0) &&
+    !(field === "ageRange" && value === "All");
+
+/**
+ * Merge an incoming activity into a canonical one.
+ * The provenance list is updated (one entry per sourceUrl) and every field is
+ * re-picked from the most trusted source that has a useful value.
+ * @param {Object} canonical - Existing activity doc.
+ * @param {Object} incoming - Activity doc from the new source (with its own `sources`).
+ * @returns {Object} Fields to write on the canonical doc.
+ */
+const mergeActivity = (canonical, incoming) => {
+    const bySource = new Map();
+    for (const entry of [...sourcesOf(canonical), ...sourcesOf(incoming)]) {
+        bySource.set(entry.sourceUrl, entry);
+    }
+    // Most trusted first; among equals, the source seen first wins
+    const sources = [...bySource.values()].sort(
+        (a, b) => b.trust - a.trust || a.seenAt - b.seenAt,
+    );
+
+    const merged = {};
+    for (const field of MERGE_FIELDS) {
+        const pick = sources.find((entry) => isUseful(field, entry.fields?.[field]));
+        merged[field] = pick ? pick.fields[field] : canonical[field] ?? null;
+    }
+
+    const aged = sources.find((entry) => isUseful("ageRange", entry.fields?.ageRange));
+    for (const field of AGE_FIELDS) {
+        merged[field] = aged ? aged.fields[field] ?? null : canonical[field] ?? null;
+    }
+    if (!merged.ageRange) merged.ageRange = "All";
+
+    const located = sources.find((entry) => hasLocation(entry.fields || {}));
+    for (const field of LOCATION_FIELDS) {
+        merged[field] = located ? located.fields[field] ?? null : canonical[field] ?? null;
+    }
+
+    return {
+        ...merged,
+        sourceUrl: sources[0].sourceUrl,
+        sourceUrls: sources.map((entry) => entry.sourceUrl),
+        sources,
+        updatedAt: Math.floor(Date.now() / 1000),
+    };
+};
+
+module.exports = {
+    START_TOLERANCE_SECONDS,
+    titleSimilarity,
+    venueTokens,
+    venueSimilarity,
+    matchScore,
+    findDuplicate,
+    sourceTrust,
+    buildSourceEntry,
+    mergeActivity,
+};
@@ -0,0 +1,104 @@
+const { localDate } = require("../dates");
+
+/**
+ * Daily LLM budget.
+ * Token usage and estimated cost of every live Gemini call are added to an
+ * `llm_budget/{YYYY-MM-DD}` document. Once either daily limit is reached the
+ * scraper stops making LLM calls until the next day; sources that were skipped
+ * keep their old cache, so they are extracted on the next run.
+ */
+
+// USD per million tokens
+const MODEL_PRICING = {
+    "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+    "gemini-2.0-flash-lite": { input: 0.075, output: 0.3 },
+    "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+};
+const DEFAULT_PRICING = MODEL_PRICING["gemini-2.0-flash"];
+
+/**
+ * Normalize Gemini's usageMetadata.
+ * @param {Object} [usageMetadata] - response.usageMetadata.
+ * @returns {{promptTokens: number, outputTokens: number, totalTokens: number}}
+ */
+const normalizeUsage = (usageMetadata = {}) => {
+    const promptTokens = usageMetadata.promptTokenCount || 0;
+    const outputTokens = usageMetadata.candidatesTokenCount || 0;
+    return {
+        promptTokens,
+        outputTokens,
+        totalTokens: usageMetadata.totalTokenCount || promptTokens + outputTokens,
+    };
+};
+
+/**
+ * Estimated cost of a call.
+ * @param {string} model
+ * @param {{promptTokens: number, outputTokens: number}} usage
+ * @returns {number} USD.
+ */
+const estimateCostUsd = (model, { promptTokens = 0, outputTokens = 0 }) => {
+    const pricing = MODEL_PRICING[model] || DEFAULT_PRICING;
+    return (promptTokens * pricing.input + outputTokens * pricing.output) / 1e6;
+};
+
+/**
+ * Shared daily budget.
+ * A call is allowed while the day's totals are under both limits, so the last
+ * call of the day can overshoot by one response.
+ * @param {Object} options
+ * @param {Firestore} options.db
+ * @param {number|Function} options.tokenLimit - Tokens per day (0 = unlimited), or a function returning it.
+ * @param {number|Function} [options.costLimitUsd] - USD per day (0 = unlimited), or a function returning it.
+ * @param {Function} [options.now] - Clock in ms, for tests.
+ * @returns {{remaining: Function, record: Function}}
+ */
+const createTokenBudget = ({ db, tokenLimit, costLimitUsd = 0, now = () => Date.now() }) => {
+    const read = (value) => (typeof value === "function" ? value() : value);
+    const todayRef = () => db.collection("llm_budget").doc(localDate(now()));
+
+    return {
+        /**
+         * Whether another call fits in today's budget.
+         * @returns {Promise<boolean>}
+         */
+        remaining: async () => {
+            const snap = await todayRef().get();
+            const spent = snap.exists ? snap.data() : {};
+            const tokens = read(tokenLimit);
+            const cost = read(costLimitUsd);
+            if (tokens > 0 && (spent.totalTokens || 0) >= tokens) return false;
+            if (cost > 0 && (spent.costUsd || 0) >= cost) return false;
+            return true;
+        },
+
+        /**
+         * Add a call's usage to today's totals.
+         * @param {{promptTokens: number, outputTokens: number, totalTokens: number}} usage
+         * @param {number} costUsd
+         * @returns {Promise<void>}
+         */
+        record: async (usage, costUsd) => {
+            const ref = todayRef();
+            await db.runTransaction(async (tx) => {
+                const snap = await tx.get(ref);
+                const spent = snap.exists ? snap.data() : {};
+                tx.set(ref, {
+                    promptTokens: (spent.promptTokens || 0) + usage.promptTokens,
+                    outputTokens: (spent.outputTokens || 0) + usage.outputTokens,
+                    totalTokens: (spent.totalTokens || 0) + usage.totalTokens,
+                    costUsd: (spent.costUsd || 0) + costUsd,
+                    calls: (spent.calls || 0) + 1,
+                    updatedAt: Math.floor(now() / 1000),
+                });
+            });
+        },
+    };
+};
+
+module.exports = {
+    MODEL_PRICING,
+    normalizeUsage,
+    estimateCostUsd,
+    createTokenBudget,
+};
@@ -0,0 +1,127 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Record/replay storage for offline runs.
+ * A cassette directory holds one JSON file per request, named by the request
+ * hash: `llm/<hash>.json` for model calls and `fetch/<hash>.json` for page
+ * fetches (raw HTML, Jina markdown, platform APIs). Recording wraps the live
+ * implementation and saves every response; replaying only reads the files, so
+ * the scrape pipeline and the evaluation command run without network or keys.
+ */
+
+class ReplayMissError extends Error {
+    constructor(kind, hash, label) {
+        super(`No recorded ${kind} response for ${label} (${hash}); record it first`);
+        this.name = "ReplayMissError";
+        this.kind = kind;
+        this.hash = hash;
+    }
+}
+
+/**
+ * Stable hash for a request.
+ * @param {Object} request - Everything that determines the response.
+ * @returns {string} 32 hex chars.
+ */
+const requestHash = (request) =>
+    crypto.createHash("sha256").update(JSON.stringify(request), "utf8").digest("hex").substring(0, 32);
+
+const entryPath = (dir, kind, hash) => path.join(dir, kind, `${hash}.json`);
+
+const readEntry = (dir, kind, hash) => {
+    try {
+        return JSON.parse(fs.readFileSync(entryPath(dir, kind, hash), "utf8"));
+    } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+    }
+};
+
+const writeEntry = (dir, kind, hash, entry) => {
+    const file = entryPath(dir, kind, hash);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(entry, null, 2)}\n`);
+};
+
+// Model calls are keyed by model + prompt, so a new prompt version never replays an old answer
+const llmHash = (model, prompt) => requestHash({ model, prompt });
+
+/**
+ * Wrap a live provider so every response is saved to the cassette.
+ * @param {Object} provider - Live provider ({ name, model, generate }).
+ * @param {string} dir - Cassette directory.
+ * @returns {Object} Provider.
+ */
+const createRecordingProvider = (provider, dir) => ({
+    name: `record:${provider.name}`,
+    model: provider.model,
+    generate: async (prompt, options) => {
+        const text = await provider.generate(prompt, options);
+        writeEntry(dir, "llm", llmHash(provider.model, prompt), {
+            provider: provider.name,
+            model: provider.model,
+            recordedAt: new Date().toISOString(),
+            prompt,
+            response: text,
+        });
+        return text;
+    },
+});
+
+/**
+ * Provider that answers from the cassette only.
+ * @param {string} dir - Cassette directory.
+ * @param {Object} [options]
+ * @param {string} [options.model] - Model the recordings were made with.
+ * @returns {Object} Provider.
+ */
+const createReplayProvider = (dir, { model }) => ({
+    name: "replay",
+    model,
+    generate: async (prompt) => {
+        const hash = llmHash(model, prompt);
+        const entry = readEntry(dir, "llm", hash);
+        if (!entry) throw new ReplayMissError("llm", hash, `a ${model} prompt`);
+        return entry.response;
+    },
+});
+
+/**
+ * Wrap a fetchText(url) function with the cassette.
+ * @param {function(string): Promise<string>} fetchText - Live fetch, throws on HTTP errors.
+ * @param {string} dir - Cassette directory.
+ * @param {string} mode - "record" or "replay"; anything else returns fetchText unchanged.
+ * @returns {function(string): Promise<string>}
+ */
+const withFetchCassette = (fetchText, dir, mode) => {
+    if (mode === "record") {
+        return async (url) => {
+            const body = await fetchText(url);
+            writeEntry(dir, "fetch", requestHash({ url }), {
+                url,
+                recordedAt: new Date().toISOString(),
+                body,
+            });
+            return body;
+        };
+    }
+    if (mode === "replay") {
+        return async (url) => {
+            const hash = requestHash({ url });
+            const entry = readEntry(dir, "fetch", hash);
+            if (!entry) throw new ReplayMissError("fetch", hash, url);
+            return entry.body;
+        };
+    }
+    return fetchText;
+};
+
+module.exports = {
+    ReplayMissError,
+    requestHash,
+    createRecordingProvider,
+    createReplayProvider,
+    withFetchCassette,
+};
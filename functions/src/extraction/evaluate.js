@@ -0,0 +1,117 @@
+const { titleSimilarity } = require("../dedupe");
+const { collectSeries, expandToEvents, addDays, ROLLING_WINDOW_DAYS } = require("../series");
+const { correctYear } = require("../dates");
+
+/**
+ * Scoring for the evaluation command (scripts/evaluate.js).
+ * Predicted events are paired with labeled ones by title similarity and the
+ * closest start time; a pair counts toward precision/recall even when the
+ * date is wrong, and date accuracy is the share of pairs with the exact start.
+ */
+
+const MIN_TITLE_SIMILARITY = 0.7;
+
+// Off-by-a-day and timezone mistakes still pair up, and show up as wrong dates
+const MATCH_WINDOW_MS = 36 * 60 * 60 * 1000;
+
+// "YYYY-MM-DDTHH:mm", ignoring seconds and offsets
+const startMinute = (isoDate) => String(isoDate || "").substring(0, 16);
+
+const ratio = (numerator, denominator) => (denominator === 0 ? 1 : numerator / denominator);
+
+const label = (act) => `${act.title} @ ${startMinute(act.isoDate)}`;
+
+/**
+ * Score one extraction against labeled events.
+ * @param {Array<Object>} predicted - Extracted events ({ title, isoDate }).
+ * @param {Array<Object>} expected - Labeled events ({ title, isoDate }).
+ * @returns {Object} Counts, precision, recall, dateAccuracy and the mismatches.
+ */
+const scoreExtraction = (predicted, expected) => {
+    const unused = new Set(predicted.keys());
+    const pairs = [];
+    const missed = [];
+
+    const ordered = [...expected].sort((a, b) => Date.parse(a.isoDate) - Date.parse(b.isoDate));
+    for (const want of ordered) {
+        const wantTime = Date.parse(want.isoDate);
+        let best = null;
+        for (const index of unused) {
+            const got = predicted[index];
+            if (titleSimilarity(want.title, got.title) < MIN_TITLE_SIMILARITY) continue;
+            const gap = Math.abs(Date.parse(got.isoDate) - wantTime);
+            if (!(gap <= MATCH_WINDOW_MS)) continue;
+            if (!best || gap < best.gap) best = { index, gap };
+        }
+        if (best) {
+            unused.delete(best.index);
+            pairs.push({ want, got: predicted[best.index] });
+        } else {
+            missed.push(label(want));
+        }
+    }
+
+    const wrongDates = pairs
+        .filter(({ want, got }) => startMinute(want.isoDate) !== startMinute(got.isoDate))
+        .map(({ want, got }) => ({ title: want.title, expected: want.isoDate, got: got.isoDate }));
+
+    return {
+        expected: expected.length,
+        predicted: predicted.length,
+        matched: pairs.length,
+        precision: ratio(pairs.length, predicted.length),
+        recall: ratio(pairs.length, expected.length),
+        dateAccuracy: ratio(pairs.length - wrongDates.length, pairs.length),
+        missed,
+        extra: [...unused].map((index) => label(predicted[index])),
+        wrongDates,
+    };
+};
+
+/**
+ * Micro-averaged totals across cases.
+ * @param {Array<Object>} scores - scoreExtraction results.
+ * @returns {{expected: number, predicted: number, matched: number, precision: number, recall: number, dateAccuracy: number}}
+ */
+const summarizeScores = (scores) => {
+    const sum = (field) => scores.reduce((total, score) => total + score[field], 0);
+    const matched = sum("matched");
+    const wrong = scores.reduce((total, score) => total + score.wrongDates.length, 0);
+    return {
+        expected: sum("expected"),
+        predicted: sum("predicted"),
+        matched,
+        precision: ratio(matched, sum("predicted")),
+        recall: ratio(matched, sum("expected")),
+        dateAccuracy: ratio(matched - wrong, matched),
+    };
+};
+
+/**
+ * Flatten an extraction the way the scraper stores it: one-off events plus
+ * series occurrences in the rolling window (years corrected against the fetch
+ * date), limited to that window.
+ * @param {{events: Array<Object>, series: Array<Object>}} extraction - runExtraction result.
+ * @param {string} today - YYYY-MM-DD the page was fetched.
+ * @returns {Array<Object>}
+ */
+const eventsInWindow = (extraction, today) => {
+    const seriesList = collectSeries(extraction.series, extraction.events, today);
+    const end = addDays(today, ROLLING_WINDOW_DAYS + 1);
+    const byKey = new Map();
+    for (const act of [...extraction.events, ...expandToEvents(seriesList, today)]) {
+        if (!act || !act.title || !act.isoDate) continue;
+        const isoDate = correctYear(act.isoDate, today);
+        const day = String(isoDate).substring(0, 10);
+        if (day < today || day >= end) continue;
+        const key = `${act.title.toLowerCase()}|${startMinute(isoDate)}`;
+        if (!byKey.has(key)) byKey.set(key, { ...act, isoDate });
+    }
+    return [...byKey.values()];
+};
+
+module.exports = {
+    scoreExtraction,
+    summarizeScores,
+    eventsInWindow,
+};
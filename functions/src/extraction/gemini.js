@@ -0,0 +1,45 @@
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { normalizeUsage } = require("./budget");
+
+const DEFAULT_MODEL = "gemini-2.0-flash";
+
+/**
+ * Gemini extraction provider.
+ * @param {Object} options
+ * @param {string} options.apiKey - GEMINI_API_KEY value.
+ * @param {string} [options.model] - Model name.
+ * @param {Function} [options.onUsage] - Called with each response's token usage.
+ * @returns {{name: string, model: string, generate: function(string, {schema?: Object}=): Promise<string>}}
+ */
+const createGeminiProvider = ({ apiKey, model = DEFAULT_MODEL, onUsage }) => {
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const generativeModel = genAI.getGenerativeModel({
+        model,
+        generationConfig: {
+            responseMimeType: "application/json",
+        },
+    });
+
+    return {
+        name: "gemini",
+        model,
+        generate: async (prompt, { schema } = {}) => {
+            // The response schema, when the prompt version has one, constrains the JSON
+            const result = await generativeModel.generateContent(
+                schema
+                    ? {
+                        contents: [{ role: "user", parts: [{ text: prompt }] }],
+                        generationConfig: { responseMimeType: "application/json", responseSchema: schema },
+                    }
+                    : prompt,
+            );
+            if (onUsage) onUsage(normalizeUsage(result.response.usageMetadata));
+            return result.response.text();
+        },
+    };
+};
+
+module.exports = {
+    DEFAULT_MODEL,
+    createGeminiProvider,
+};
@@ -0,0 +1,107 @@
+const { DEFAULT_MODEL, createGeminiProvider } = require("./gemini");
+const {
+    ReplayMissError,
+    createRecordingProvider,
+    createReplayProvider,
+    withFetchCassette,
+} = require("./cassette");
+const { CURRENT_PROMPT_VERSION, getPrompts } = require("./prompts");
+const { estimateCostUsd, createTokenBudget } = require("./budget");
+const { DEFAULT_TIMEZONE, localDate } = require("../dates");
+
+/**
+ * LLM extraction behind a provider interface.
+ * A provider is { name, model, generate(prompt, { schema }) -> Promise<string> }
+ * returning the model's raw JSON text; `schema` is the prompt version's response
+ * schema, if it has one. Modes:
+ *   - "gemini": live calls
+ *   - "record": live calls, every response saved to the cassette directory
+ *   - "replay": answers only from the cassette directory (no key, no network)
+ */
+
+const EXTRACTION_MODES = ["gemini", "record", "replay"];
+
+/**
+ * Build the provider for a mode.
+ * @param {Object} options
+ * @param {string} [options.mode] - One of EXTRACTION_MODES.
+ * @param {string} [options.apiKey] - Gemini key (not needed for replay).
+ * @param {string} [options.model] - Model name.
+ * @param {string} [options.cassetteDir] - Required for record/replay.
+ * @param {Function} [options.onUsage] - Called with the token usage of each live call.
+ * @returns {Object} Provider.
+ */
+const createProvider = ({ mode = "gemini", apiKey, model = DEFAULT_MODEL, cassetteDir, onUsage }) => {
+    if (!EXTRACTION_MODES.includes(mode)) {
+        throw new Error(`Unknown extraction mode "${mode}" (use ${EXTRACTION_MODES.join(", ")})`);
+    }
+    if (mode !== "gemini" && !cassetteDir) {
+        throw new Error(`Extraction mode "${mode}" needs a cassette directory`);
+    }
+    if (mode === "replay") return createReplayProvider(cassetteDir, { model });
+    const live = createGeminiProvider({ apiKey, model, onUsage });
+    return mode === "record" ? createRecordingProvider(live, cassetteDir) : live;
+};
+
+// Map the age-filter response back onto the structured events, keeping their exact dates
+const selectKeptEvents = (events, aiResponse) =>
+    (aiResponse.keep || [])
+        .filter((entry) => entry && Number.isInteger(entry.index) && events[entry.index])
+        .map((entry) => ({
+            ...events[entry.index],
+            ageRange: events[entry.index].ageRange || entry.ageRange || null,
+        }));
+
+/**
+ * Run one extraction.
+ * Structured events (platform adapters, JSON-LD, feeds) only go through the
+ * age filter; page content goes through the full extraction prompt.
+ * @param {Object} options
+ * @param {Object} options.provider - Extraction provider.
+ * @param {string} [options.content] - Page markdown.
+ * @param {Array<Object>} [options.structuredEvents] - Events with exact dates.
+ * @param {string} [options.promptVersion] - Prompt template version.
+ * @param {string} [options.today] - "YYYY-MM-DD" the page was fetched, in the venue's zone.
+ * @param {string} [options.timeZone] - Venue IANA zone.
+ * @param {Object} [options.region] - Source region ({ name, locale, language }), for the prompt.
+ * @returns {Promise<{events: Array<Object>, series: Array<Object>, promptVersion: string}>}
+ */
+const runExtraction = async ({
+    provider,
+    content = "",
+    structuredEvents = [],
+    promptVersion = CURRENT_PROMPT_VERSION,
+    timeZone = DEFAULT_TIMEZONE,
+    today = localDate(Date.now(), timeZone),
+    region,
+}) => {
+    const prompts = getPrompts(promptVersion);
+    const useStructured = structuredEvents.length > 0;
+    const prompt = useStructured
+        ? prompts.ageFilter(structuredEvents)
+        : prompts.extraction(content, { today, timeZone, region });
+
+    const schema = useStructured ? prompts.ageFilterSchema : prompts.extractionSchema;
+
+    const aiResponse = JSON.parse(await provider.generate(prompt, { schema }));
+    return {
+        events: useStructured
+            ? selectKeptEvents(structuredEvents, aiResponse)
+            : aiResponse.events || [],
+        series: useStructured ? [] : aiResponse.series || [],
+        promptVersion,
+    };
+};
+
+module.exports = {
+    CURRENT_PROMPT_VERSION,
+    DEFAULT_MODEL,
+    EXTRACTION_MODES,
+    ReplayMissError,
+    createProvider,
+    createTokenBudget,
+    estimateCostUsd,
+    runExtraction,
+    selectKeptEvents,
+    withFetchCassette,
+};
@@ -0,0 +1,488 @@
+/**
+ * Versioned prompt templates.
+ * A version is frozen once it has run in production: change wording by adding
+ * a new version, so recordings and evaluation scores stay comparable. The
+ * version that extracted a source is stored on its registry doc as
+ * `prompt_version`, and a new version forces re-extraction. Versions from v3 on
+ * also carry the response schemas the model's output is constrained to.
+ */
+
+const { EXTRACTION_SCHEMA, ATTRIBUTE_EXTRACTION_SCHEMA, AGE_FILTER_SCHEMA } = require("./schema");
+const { CATEGORIES, ACCESSIBILITY } = require("../attributes");
+
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// "YYYY-MM-DD" -> "Tuesday"
+const weekdayOf = (date) => WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+// "YYYY-MM-DD" -> the numeric date as a locale writes it ("3/4/2025", "04/03/2025")
+const localeDateExample = (date, locale = "en-US") =>
+    new Intl.DateTimeFormat(locale, { timeZone: "UTC", day: "numeric", month: "numeric", year: "numeric" })
+        .format(new Date(`${date}T00:00:00Z`));
+
+// Prompt used when the source already published exact event data: the model only picks by age
+const ageFilterV1 = (events) => `
+        You are a filter for "Toddlego," an app helping parents find activities for children aged 0-4.
+        Below is a numbered list of events published by a library or community calendar.
+
+        - KEEP events explicitly for: Babies (0-18m), Toddlers (18-36m), or Preschoolers (3-5y),
+          e.g. Storytime, Play & Learn, Music & Movement, Baby Bounce, Stay & Play, Tiny Tots.
+        - DROP events for Teens, Adults, "School-age", "Grades K-5", or "Tweens".
+        - KEEP "Family" events only if they explicitly mention toddlers, babies, or "all ages including littles".
+
+        Return a JSON object: { "keep": [ { "index": number, "ageRange": "e.g. 'Toddlers', '0-2 years'" } ] }
+
+        ### EVENTS
+        ${events
+        .map(
+            (act, index) =>
+                `${index}. ${act.title} | age: ${act.ageRange || "unknown"} | ${(act.description || "").substring(0, 300)}`,
+        )
+        .join("\n        ")}
+    `;
+
+// Full extraction from page markdown: one-off events plus recurring series
+const extractionV1 = (content) => `
+        You are a specialized data extraction engine for "Toddlego," an app helping parents find activities for children aged 0-4.
+        Your task is to parse the provided markdown text from a library or community website and extract specific toddler-focused events.
+
+        ### 1. TARGET AUDIENCE & FILTERING
+        - ONLY extract events explicitly for: Babies (0-18m), Toddlers (18-36m), or Preschoolers (3-5y).
+        - INCLUSION KEYWORDS: Storytime, Play & Learn, Music & Movement, Baby Bounce, Stay & Play, Tiny Tots.
+        - EXCLUSION RULES: 
+            - Strictly EXCLUDE: Teens, Adults, "School-age", "Grades K-5", or "Tweens".
+            - ONLY include "Family" events if the description explicitly mentions "toddlers", "babies", or "all ages including littles".
+
+        ### 2. DATE & TIME PROCESSING (CRITICAL)
+        - Source text may use relative dates (e.g., "Tomorrow", "Next Wednesday") or specific dates (e.g., "Dec 25").
+        - Assume the current reference year is 2025 unless the text says otherwise.
+        - Convert all dates to valid ISO 8601 format (YYYY-MM-DDTHH:mm:ss).
+        - If an event repeats on a regular pattern (e.g., "every Tuesday at 10:30", "first Saturday of the month"),
+          return it ONCE in "series" with an RRULE instead of listing each date.
+        - One-off events and irregular dates go in "events", with a separate entry for each date/time.
+
+        ### 3. VENUE & LOCATION LOGIC
+        - Library systems often have many branches. Look for the branch name (e.g., "Union City Branch", "Centerville Library").
+        - If the branch name is missing from the event card, look for it in the page headers or site navigation text provided.
+        - Always provide the FULL official name (e.g., "Alameda County Library - Union City Branch") to ensure geocoding works.
+
+        ### 4. DATA MODEL & JSON SCHEMA
+        Return a JSON object with a key "events" and a key "series", each containing an array of objects.
+        Use "null" for missing optional fields.
+
+        {
+        "events": [
+            {
+            "title": "Short, clear event title",
+            "venue": "Full official library system and branch name",
+            "description": "A warm, helpful 2-sentence summary. Highlight sensory details (bubbles, music, building blocks).",
+            "isoDate": "YYYY-MM-DDTHH:mm:ss",
+            "ageRange": "Identify the target age (e.g., '0-2 years', 'Toddlers', 'All Ages')",
+            "isRegistrationRequired": boolean,
+            "registrationUrl": "Direct link to sign up if found, else null",
+            "isIndoor": true
+            }
+        ],
+        "series": [
+            {
+            "title": "Short, clear event title",
+            "venue": "Full official library system and branch name",
+            "description": "A warm, helpful 2-sentence summary that applies to every session.",
+            "rrule": "RFC 5545 rule, e.g. 'FREQ=WEEKLY;BYDAY=TU' or 'FREQ=MONTHLY;BYDAY=1SA'",
+            "startTime": "HH:mm (24h)",
+            "endTime": "HH:mm (24h) or null",
+            "startDate": "YYYY-MM-DD of the first session if stated, else null",
+            "endDate": "YYYY-MM-DD of the last session if stated, else null",
+            "exceptions": ["YYYY-MM-DD dates with no session (holidays, closures)"],
+            "ageRange": "Identify the target age (e.g., '0-2 years', 'Toddlers', 'All Ages')",
+            "isRegistrationRequired": boolean,
+            "registrationUrl": "Direct link to sign up if found, else null"
+            }
+        ]
+        }
+
+        ### 5. CONTENT TO ANALYZE
+        ${content}
+    `;
+
+// v2: anchored to the fetch date and venue timezone, and asks for end times
+const extractionV2 = (content, { today, timeZone }) => `
+        You are a specialized data extraction engine for "Toddlego," an app helping parents find activities for children aged 0-4.
+        Your task is to parse the provided markdown text from a library or community website and extract specific toddler-focused events.
+
+        ### 1. TARGET AUDIENCE & FILTERING
+        - ONLY extract events explicitly for: Babies (0-18m), Toddlers (18-36m), or Preschoolers (3-5y).
+        - INCLUSION KEYWORDS: Storytime, Play & Learn, Music & Movement, Baby Bounce, Stay & Play, Tiny Tots.
+        - EXCLUSION RULES: 
+            - Strictly EXCLUDE: Teens, Adults, "School-age", "Grades K-5", or "Tweens".
+            - ONLY include "Family" events if the description explicitly mentions "toddlers", "babies", or "all ages including littles".
+
+        ### 2. DATE & TIME PROCESSING (CRITICAL)
+        - Today is ${weekdayOf(today)}, ${today}. The page was fetched today.
+        - Resolve relative dates (e.g., "Tomorrow", "Next Wednesday", "this Saturday") from today.
+        - For dates without a year (e.g., "Dec 25", "Jan 6"), use the next occurrence on or after today,
+          so a January date on a page fetched in December belongs to next year.
+        - Give times exactly as printed, in the venue's local time (${timeZone}). Do NOT convert to UTC
+          and do NOT add an offset: use YYYY-MM-DDTHH:mm:ss.
+        - If the page shows when an event ends (e.g., "10:30-11:15am", "45 minutes"), return it as "endTime";
+          otherwise "endTime" is null. Never guess an end time.
+        - If an event repeats on a regular pattern (e.g., "every Tuesday at 10:30", "first Saturday of the month"),
+          return it ONCE in "series" with an RRULE instead of listing each date.
+        - One-off events and irregular dates go in "events", with a separate entry for each date/time.
+
+        ### 3. VENUE & LOCATION LOGIC
+        - Library systems often have many branches. Look for the branch name (e.g., "Union City Branch", "Centerville Library").
+        - If the branch name is missing from the event card, look for it in the page headers or site navigation text provided.
+        - Always provide the FULL official name (e.g., "Alameda County Library - Union City Branch") to ensure geocoding works.
+
+        ### 4. DATA MODEL & JSON SCHEMA
+        Return a JSON object with a key "events" and a key "series", each containing an array of objects.
+        Use "null" for missing optional fields.
+
+        {
+        "events": [
+            {
+            "title": "Short, clear event title",
+            "venue": "Full official library system and branch name",
+            "description": "A warm, helpful 2-sentence summary. Highlight sensory details (bubbles, music, building blocks).",
+            "isoDate": "YYYY-MM-DDTHH:mm:ss (local start time)",
+            "endTime": "YYYY-MM-DDTHH:mm:ss (local end time) or null",
+            "ageRange": "Identify the target age (e.g., '0-2 years', 'Toddlers', 'All Ages')",
+            "isRegistrationRequired": boolean,
+            "registrationUrl": "Direct link to sign up if found, else null",
+            "isIndoor": true
+            }
+        ],
+        "series": [
+            {
+            "title": "Short, clear event title",
+            "venue": "Full official library system and branch name",
+            "description": "A warm, helpful 2-sentence summary that applies to every session.",
+            "rrule": "RFC 5545 rule, e.g. 'FREQ=WEEKLY;BYDAY=TU' or 'FREQ=MONTHLY;BYDAY=1SA'",
+            "startTime": "HH:mm (24h)",
+            "endTime": "HH:mm (24h) or null",
+            "startDate": "YYYY-MM-DD of the first session if stated, else null",
+            "endDate": "YYYY-MM-DD of the last session if stated, else null",
+            "exceptions": ["YYYY-MM-DD dates with no session (holidays, closures)"],
+            "ageRange": "Identify the target age (e.g., '0-2 years', 'Toddlers', 'All Ages')",
+            "isRegistrationRequired": boolean,
+            "registrationUrl": "Direct link to sign up if found, else null"
+            }
+        ]
+        }
+
+        ### 5. CONTENT TO ANALYZE
+        ${content}
+    `;
+
+// v3: v2 plus a self-reported confidence per event, for the review quarantine
+const extractionV3 = (content, { today, timeZone }) => `
+        You are a specialized data extraction engine for "Toddlego," an app helping parents find activities for children aged 0-4.
+        Your task is to parse the provided markdown text from a library or community website and extract specific toddler-focused events.
+
+        ### 1. TARGET AUDIENCE & FILTERING
+        - ONLY extract events explicitly for: Babies (0-18m), Toddlers (18-36m), or Preschoolers (3-5y).
+        - INCLUSION KEYWORDS: Storytime, Play & Learn, Music & Movement, Baby Bounce, Stay & Play, Tiny Tots.
+        - EXCLUSION RULES: 
+            - Strictly EXCLUDE: Teens, Adults, "School-age", "Grades K-5", or "Tweens".
+            - ONLY include "Family" events if the description explicitly mentions "toddlers", "babies", or "all ages including littles".
+
+        ### 2. DATE & TIME PROCESSING (CRITICAL)
+        - Today is ${weekdayOf(today)}, ${today}. The page was fetched today.
+        - Resolve relative dates (e.g., "Tomorrow", "Next Wednesday", "this Saturday") from today.
+        - For dates without a year (e.g., "Dec 25", "Jan 6"), use the next occurrence on or after today,
+          so a January date on a page fetched in December belongs to next year.
+        - Give times exactly as printed, in the venue's local time (${timeZone}). Do NOT convert to UTC
+          and do NOT add an offset: use YYYY-MM-DDTHH:mm:ss.
+        - If the page shows when an event ends (e.g., "10:30-11:15am", "45 minutes"), return it as "endTime";
+          otherwise "endTime" is null. Never guess an end time.
+        - If an event repeats on a regular pattern (e.g., "every Tuesday at 10:30", "first Saturday of the month"),
+          return it ONCE in "series" with an RRULE instead of listing each date.
+        - One-off events and irregular dates go in "events", with a separate entry for each date/time.
+
+        ### 3. VENUE & LOCATION LOGIC
+        - Library systems often have many branches. Look for the branch name (e.g., "Union City Branch", "Centerville Library").
+        - If the branch name is missing from the event card, look for it in the page headers or site navigation text provided.
+        - Always provide the FULL official name (e.g., "Alameda County Library - Union City Branch") to ensure geocoding works.
+
+        ### 4. DATA MODEL & JSON SCHEMA
+        Return a JSON object with a key "events" and a key "series", each containing an array of objects.
+        Use "null" for missing optional fields.
+        Give every event and series a "confidence" from 0 to 1: how sure you are that it is a real event,
+        for children aged 0-4, at the date and venue you gave. Use a low value when you had to guess the
+        date, the year, the branch or the audience. Never invent a venue that is not on the page.
+
+        {
+        "events": [
+            {
+            "title": "Short, clear event title",
+            "venue": "Full official library system and branch name",
+            "description": "A warm, helpful 2-sentence summary. Highlight sensory details (bubbles, music, building blocks).",
+            "isoDate": "YYYY-MM-DDTHH:mm:ss (local start time)",
+            "endTime": "YYYY-MM-DDTHH:mm:ss (local end time) or null",
+            "ageRange": "Identify the target age (e.g., '0-2 years', 'Toddlers', 'All Ages')",
+            "isRegistrationRequired": boolean,
+            "registrationUrl": "Direct link to sign up if found, else null",
+            "isIndoor": true,
+            "confidence": 0.9
+            }
+        ],
+        "series": [
+            {
+            "title": "Short, clear event title",
+            "venue": "Full official library system and branch name",
+            "description": "A warm, helpful 2-sentence summary that applies to every session.",
+            "rrule": "RFC 5545 rule, e.g. 'FREQ=WEEKLY;BYDAY=TU' or 'FREQ=MONTHLY;BYDAY=1SA'",
+            "startTime": "HH:mm (24h)",
+            "endTime": "HH:mm (24h) or null",
+            "startDate": "YYYY-MM-DD of the first session if stated, else null",
+            "endDate": "YYYY-MM-DD of the last session if stated, else null",
+            "exceptions": ["YYYY-MM-DD dates with no session (holidays, closures)"],
+            "ageRange": "Identify the target age (e.g., '0-2 years', 'Toddlers', 'All Ages')",
+            "isRegistrationRequired": boolean,
+            "registrationUrl": "Direct link to sign up if found, else null",
+            "confidence": 0.9
+            }
+        ]
+        }
+
+        ### 5. CONTENT TO ANALYZE
+        ${content}
+    `;
+
+// v4: v3 told which region the page is from, its date conventions and language
+const extractionV4 = (content, { today, timeZone, region = {} }) => `
+        You are a specialized data extraction engine for "Toddlego," an app helping parents find activities for children aged 0-4.
+        Your task is to parse the provided markdown text from a library or community website and extract specific toddler-focused events.
+
+        ### 1. TARGET AUDIENCE & FILTERING
+        - ONLY extract events explicitly for: Babies (0-18m), Toddlers (18-36m), or Preschoolers (3-5y).
+        - INCLUSION KEYWORDS: Storytime, Play & Learn, Music & Movement, Baby Bounce, Stay & Play, Tiny Tots.
+        - EXCLUSION RULES: 
+            - Strictly EXCLUDE: Teens, Adults, "School-age", "Grades K-5", or "Tweens".
+            - ONLY include "Family" events if the description explicitly mentions "toddlers", "babies", or "all ages including littles".
+
+        ### 2. DATE & TIME PROCESSING (CRITICAL)
+        - Today is ${weekdayOf(today)}, ${today}. The page was fetched today.
+        - The page is from ${region.name || "California"}. Numeric dates follow ${region.locale || "en-US"} conventions:
+          today would be written ${localeDateExample(today, region.locale)} there.
+        - Resolve relative dates (e.g., "Tomorrow", "Next Wednesday", "this Saturday") from today.
+        - For dates without a year (e.g., "Dec 25", "Jan 6"), use the next occurrence on or after today,
+          so a January date on a page fetched in December belongs to next year.
+        - Give times exactly as printed, in the venue's local time (${timeZone}). Do NOT convert to UTC
+          and do NOT add an offset: use YYYY-MM-DDTHH:mm:ss.
+        - If the page shows when an event ends (e.g., "10:30-11:15am", "45 minutes"), return it as "endTime";
+          otherwise "endTime" is null. Never guess an end time.
+        - If an event repeats on a regular pattern (e.g., "every Tuesday at 10:30", "first Saturday of the month"),
+          return it ONCE in "series" with an RRULE instead of listing each date.
+        - One-off events and irregular dates go in "events", with a separate entry for each date/time.
+
+        ### 3. VENUE & LOCATION LOGIC
+        - Library systems often have many branches. Look for the branch name (e.g., "Union City Branch", "Centerville Library").
+        - If the branch name is missing from the event card, look for it in the page headers or site navigation text provided.
+        - Always provide the FULL official name (e.g., "Alameda County Library - Union City Branch") to ensure geocoding works.
+
+        ### 3b. LANGUAGE
+        - The page is probably written in ${region.language || "English"}; read age and audience words in that language too.
+        - Keep titles and venue names exactly as printed. Write descriptions in ${region.language || "English"}.
+
+        ### 4. DATA MODEL & JSON SCHEMA
+        Return a JSON object with a key "events" and a key "series", each containing an array of objects.
+        Use "null" for missing optional fields.
+        Give every event and series a "confidence" from 0 to 1: how sure you are that it is a real event,
+        for children aged 0-4, at the date and venue you gave. Use a low value when you had to guess the
+        date, the year, the branch or the audience. Never invent a venue that is not on the page.
+
+        {
+        "events": [
+            {
+            "title": "Short, clear event title",
+            "venue": "Full official library system and branch name",
+            "description": "A warm, helpful 2-sentence summary. Highlight sensory details (bubbles, music, building blocks).",
+            "isoDate": "YYYY-MM-DDTHH:mm:ss (local start time)",
+            "endTime": "YYYY-MM-DDTHH:mm:ss (local end time) or null",
+            "ageRange": "Identify the target age (e.g., '0-2 years', 'Toddlers', 'All Ages')",
+            "isRegistrationRequired": boolean,
+            "registrationUrl": "Direct link to sign up if found, else null",
+            "isIndoor": true,
+            "confidence": 0.9
+            }
+        ],
+        "series": [
+            {
+            "title": "Short, clear event title",
+            "venue": "Full official library system and branch name",
+            "description": "A warm, helpful 2-sentence summary that applies to every session.",
+            "rrule": "RFC 5545 rule, e.g. 'FREQ=WEEKLY;BYDAY=TU' or 'FREQ=MONTHLY;BYDAY=1SA'",
+            "startTime": "HH:mm (24h)",
+            "endTime": "HH:mm (24h) or null",
+            "startDate": "YYYY-MM-DD of the first session if stated, else null",
+            "endDate": "YYYY-MM-DD of the last session if stated, else null",
+            "exceptions": ["YYYY-MM-DD dates with no session (holidays, closures)"],
+            "ageRange": "Identify the target age (e.g., '0-2 years', 'Toddlers', 'All Ages')",
+            "isRegistrationRequired": boolean,
+            "registrationUrl": "Direct link to sign up if found, else null",
+            "confidence": 0.9
+            }
+        ]
+        }
+
+        ### 5. CONTENT TO ANALYZE
+        ${content}
+    `;
+
+// v5: v4 asking for cost, setting, languages, accessibility and categories
+const extractionV5 = (content, { today, timeZone, region = {} }) => `
+        You are a specialized data extraction engine for "Toddlego," an app helping parents find activities for children aged 0-4.
+        Your task is to parse the provided markdown text from a library or community website and extract specific toddler-focused events.
+
+        ### 1. TARGET AUDIENCE & FILTERING
+        - ONLY extract events explicitly for: Babies (0-18m), Toddlers (18-36m), or Preschoolers (3-5y).
+        - INCLUSION KEYWORDS: Storytime, Play & Learn, Music & Movement, Baby Bounce, Stay & Play, Tiny Tots.
+        - EXCLUSION RULES: 
+            - Strictly EXCLUDE: Teens, Adults, "School-age", "Grades K-5", or "Tweens".
+            - ONLY include "Family" events if the description explicitly mentions "toddlers", "babies", or "all ages including littles".
+
+        ### 2. DATE & TIME PROCESSING (CRITICAL)
+        - Today is ${weekdayOf(today)}, ${today}. The page was fetched today.
+        - The page is from ${region.name || "California"}. Numeric dates follow ${region.locale || "en-US"} conventions:
+          today would be written ${localeDateExample(today, region.locale)} there.
+        - Resolve relative dates (e.g., "Tomorrow", "Next Wednesday", "this Saturday") from today.
+        - For dates without a year (e.g., "Dec 25", "Jan 6"), use the next occurrence on or after today,
+          so a January date on a page fetched in December belongs to next year.
+        - Give times exactly as printed, in the venue's local time (${timeZone}). Do NOT convert to UTC
+          and do NOT add an offset: use YYYY-MM-DDTHH:mm:ss.
+        - If the page shows when an event ends (e.g., "10:30-11:15am", "45 minutes"), return it as "endTime";
+          otherwise "endTime" is null. Never guess an end time.
+        - If an event repeats on a regular pattern (e.g., "every Tuesday at 10:30", "first Saturday of the month"),
+          return it ONCE in "series" with an RRULE instead of listing each date.
+        - One-off events and irregular dates go in "events", with a separate entry for each date/time.
+
+        ### 3. VENUE & LOCATION LOGIC
+        - Library systems often have many branches. Look for the branch name (e.g., "Union City Branch", "Centerville Library").
+        - If the branch name is missing from the event card, look for it in the page headers or site navigation text provided.
+        - Always provide the FULL official name (e.g., "Alameda County Library - Union City Branch") to ensure geocoding works.
+
+        ### 3b. LANGUAGE
+        - The page is probably written in ${region.language || "English"}; read age and audience words in that language too.
+        - Keep titles and venue names exactly as printed. Write descriptions in ${region.language || "English"}.
+
+        ### 3c. ATTRIBUTES (only what the page states or clearly implies)
+        - "cost": the price as printed (e.g. "Free", "$5 per child"), else null. "isFree": true when the page says
+          free or no fee, or for a public library program that mentions no fee; false when there is a fee; else null.
+        - "setting": "indoor", "outdoor" or "mixed". Events in a park, playground, garden or on a trail are "outdoor".
+          Use null when you can't tell; do NOT assume indoor.
+        - "languages": ISO 639-1 codes of the languages the event is held in (e.g. ["en", "es"] for a bilingual
+          Spanish storytime). Leave empty unless the page names a language.
+        - "accessibility": any of ${ACCESSIBILITY.join(", ")}.
+          "caregiver_required" means a parent or caregiver must attend with the child.
+        - "categories": one or more of ${CATEGORIES.join(", ")}.
+
+        ### 4. DATA MODEL & JSON SCHEMA
+        Return a JSON object with a key "events" and a key "series", each containing an array of objects.
+        Use "null" for missing optional fields.
+        Give every event and series a "confidence" from 0 to 1: how sure you are that it is a real event,
+        for children aged 0-4, at the date and venue you gave. Use a low value when you had to guess the
+        date, the year, the branch or the audience. Never invent a venue that is not on the page.
+
+        {
+        "events": [
+            {
+            "title": "Short, clear event title",
+            "venue": "Full official library system and branch name",
+            "description": "A warm, helpful 2-sentence summary. Highlight sensory details (bubbles, music, building blocks).",
+            "isoDate": "YYYY-MM-DDTHH:mm:ss (local start time)",
+            "endTime": "YYYY-MM-DDTHH:mm:ss (local end time) or null",
+            "ageRange": "Identify the target age (e.g., '0-2 years', 'Toddlers', 'All Ages')",
+            "isRegistrationRequired": boolean,
+            "registrationUrl": "Direct link to sign up if found, else null",
+            "cost": "Price as printed, or null",
+            "isFree": true,
+            "setting": "indoor",
+            "languages": ["en"],
+            "accessibility": ["caregiver_required"],
+            "categories": ["story", "music"],
+            "confidence": 0.9
+            }
+        ],
+        "series": [
+            {
+            "title": "Short, clear event title",
+            "venue": "Full official library system and branch name",
+            "description": "A warm, helpful 2-sentence summary that applies to every session.",
+            "rrule": "RFC 5545 rule, e.g. 'FREQ=WEEKLY;BYDAY=TU' or 'FREQ=MONTHLY;BYDAY=1SA'",
+            "startTime": "HH:mm (24h)",
+            "endTime": "HH:mm (24h) or null",
+            "startDate": "YYYY-MM-DD of the first session if stated, else null",
+            "endDate": "YYYY-MM-DD of the last session if stated, else null",
+            "exceptions": ["YYYY-MM-DD dates with no session (holidays, closures)"],
+            "ageRange": "Identify the target age (e.g., '0-2 years', 'Toddlers', 'All Ages')",
+            "isRegistrationRequired": boolean,
+            "registrationUrl": "Direct link to sign up if found, else null",
+            "cost": "Price as printed, or null",
+            "isFree": true,
+            "setting": "outdoor",
+            "languages": [],
+            "accessibility": [],
+            "categories": ["open_play"],
+            "confidence": 0.9
+            }
+        ]
+        }
+
+        ### 5. CONTENT TO ANALYZE
+        ${content}
+    `;
+
+const PROMPT_VERSIONS = {
+    v1: {
+        extraction: extractionV1,
+        ageFilter: ageFilterV1,
+    },
+    v2: {
+        extraction: extractionV2,
+        ageFilter: ageFilterV1,
+    },
+    v3: {
+        extraction: extractionV3,
+        ageFilter: ageFilterV1,
+        extractionSchema: EXTRACTION_SCHEMA,
+        ageFilterSchema: AGE_FILTER_SCHEMA,
+    },
+    v4: {
+        extraction: extractionV4,
+        ageFilter: ageFilterV1,
+        extractionSchema: EXTRACTION_SCHEMA,
+        ageFilterSchema: AGE_FILTER_SCHEMA,
+    },
+    v5: {
+        extraction: extractionV5,
+        ageFilter: ageFilterV1,
+        extractionSchema: ATTRIBUTE_EXTRACTION_SCHEMA,
+        ageFilterSchema: AGE_FILTER_SCHEMA,
+    },
+};
+
+const CURRENT_PROMPT_VERSION = "v5";
+
+/**
+ * Prompt templates for a version.
+ * @param {string} [version] - Defaults to CURRENT_PROMPT_VERSION.
+ * @returns {{extraction: function(string, {today: string, timeZone: string, region?: Object}): string, ageFilter: function(Array<Object>): string, extractionSchema?: Object, ageFilterSchema?: Object}}
+ * @throws {Error} For unknown versions.
+ */
+const getPrompts = (version = CURRENT_PROMPT_VERSION) => {
+    const prompts = PROMPT_VERSIONS[version];
+    if (!prompts) {
+        throw new Error(
+            `Unknown prompt version "${version}" (known: ${Object.keys(PROMPT_VERSIONS).join(", ")})`,
+        );
+    }
+    return prompts;
+};
+
+module.exports = {
+    CURRENT_PROMPT_VERSION,
+    PROMPT_VERSIONS,
+    getPrompts,
+};
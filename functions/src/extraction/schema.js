@@ -0,0 +1,116 @@
+const { SchemaType } = require("@google/generative-ai");
+const { CATEGORIES, ACCESSIBILITY, SETTINGS } = require("../attributes");
+
+/**
+ * Response schemas passed to the model with each prompt version.
+ * Gemini constrains its JSON output to the schema, so a response can no longer
+ * come back with renamed keys, a string where a boolean belongs, or a missing
+ * `events` array. What the schema can't express (date formats, URLs, audience)
+ * is checked by the validator (src/validation.js).
+ */
+
+const string = (description) => ({ type: SchemaType.STRING, description });
+const nullableString = (description) => ({ type: SchemaType.STRING, description, nullable: true });
+const boolean = (description) => ({ type: SchemaType.BOOLEAN, description });
+const oneOf = (values, description) => ({ type: SchemaType.STRING, format: "enum", enum: values, description });
+
+const confidence = {
+    type: SchemaType.NUMBER,
+    description: "0-1: how sure you are this is a real, correctly dated event for children aged 0-4",
+};
+
+const EVENT_SCHEMA = {
+    type: SchemaType.OBJECT,
+    properties: {
+        title: string("Short, clear event title"),
+        venue: string("Full official library system and branch name"),
+        description: nullableString("2-sentence summary"),
+        isoDate: string("YYYY-MM-DDTHH:mm:ss (local start time)"),
+        endTime: nullableString("YYYY-MM-DDTHH:mm:ss (local end time)"),
+        ageRange: nullableString("Target age, e.g. '0-2 years', 'Toddlers'"),
+        isRegistrationRequired: boolean("Whether sign-up is required"),
+        registrationUrl: nullableString("Direct sign-up link"),
+        isIndoor: boolean("Whether the event is indoors"),
+        confidence,
+    },
+    required: ["title", "venue", "isoDate", "confidence"],
+};
+
+const SERIES_SCHEMA = {
+    type: SchemaType.OBJECT,
+    properties: {
+        title: string("Short, clear event title"),
+        venue: string("Full official library system and branch name"),
+        description: nullableString("2-sentence summary that applies to every session"),
+        rrule: string("RFC 5545 rule, e.g. FREQ=WEEKLY;BYDAY=TU"),
+        startTime: string("HH:mm (24h)"),
+        endTime: nullableString("HH:mm (24h)"),
+        startDate: nullableString("YYYY-MM-DD of the first session"),
+        endDate: nullableString("YYYY-MM-DD of the last session"),
+        exceptions: { type: SchemaType.ARRAY, items: string("YYYY-MM-DD without a session") },
+        ageRange: nullableString("Target age, e.g. '0-2 years', 'Toddlers'"),
+        isRegistrationRequired: boolean("Whether sign-up is required"),
+        registrationUrl: nullableString("Direct sign-up link"),
+        confidence,
+    },
+    required: ["title", "venue", "rrule", "startTime", "confidence"],
+};
+
+// Full extraction: { events, series }
+const EXTRACTION_SCHEMA = {
+    type: SchemaType.OBJECT,
+    properties: {
+        events: { type: SchemaType.ARRAY, items: EVENT_SCHEMA },
+        series: { type: SchemaType.ARRAY, items: SERIES_SCHEMA },
+    },
+    required: ["events", "series"],
+};
+
+// What parents filter on, as the page states it (see src/attributes.js)
+const ATTRIBUTE_PROPERTIES = {
+    cost: nullableString("Price as printed, e.g. 'Free', '$5 per child'; null if not stated"),
+    isFree: { type: SchemaType.BOOLEAN, nullable: true, description: "true if free, false if there is a fee, null if unknown" },
+    setting: { ...oneOf(SETTINGS, "Where the event happens"), nullable: true },
+    languages: { type: SchemaType.ARRAY, items: string("ISO 639-1 code of a language the event is in, e.g. 'es'") },
+    accessibility: { type: SchemaType.ARRAY, items: oneOf(ACCESSIBILITY, "Accessibility or attendance requirement stated on the page") },
+    categories: { type: SchemaType.ARRAY, items: oneOf(CATEGORIES, "Activity type") },
+};
+
+const withAttributes = (schema) => {
+    const { isIndoor, ...properties } = schema.properties;
+    return { ...schema, properties: { ...properties, ...ATTRIBUTE_PROPERTIES } };
+};
+
+// Full extraction from prompt v5 on: events and series also carry attributes
+const ATTRIBUTE_EXTRACTION_SCHEMA = {
+    ...EXTRACTION_SCHEMA,
+    properties: {
+        events: { type: SchemaType.ARRAY, items: withAttributes(EVENT_SCHEMA) },
+        series: { type: SchemaType.ARRAY, items: withAttributes(SERIES_SCHEMA) },
+    },
+};
+
+// Age filter over structured events: { keep: [{ index, ageRange }] }
+const AGE_FILTER_SCHEMA = {
+    type: SchemaType.OBJECT,
+    properties: {
+        keep: {
+            type: SchemaType.ARRAY,
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    index: { type: SchemaType.INTEGER },
+                    ageRange: nullableString("Target age, e.g. 'Toddlers', '0-2 years'"),
+                },
+                required: ["index"],
+            },
+        },
+    },
+    required: ["keep"],
+};
+
+module.exports = {
+    EXTRACTION_SCHEMA,
+    ATTRIBUTE_EXTRACTION_SCHEMA,
+    AGE_FILTER_SCHEMA,
+};
@@ -0,0 +1,390 @@
+const TurndownService = require("turndown");
+const cheerio = require("cheerio");
+const { PermanentScrapeError } = require("./scrapeQueue");
+
+/**
+ * Page fetching.
+ * Every request identifies itself, times out, honours robots.txt (including
+ * Crawl-delay), is limited per domain and retried on 429/5xx. Pages are fetched
+ * directly and converted to markdown with turndown; only pages that need a
+ * browser to render (or that refuse the direct request) go through Jina Reader.
+ * Direct fetches send the page's stored ETag / Last-Modified, so an unchanged
+ * page comes back as 304 without a body. Strategies:
+ *   - "direct": our own request + turndown
+ *   - "jina": https://r.jina.ai/<url>, which renders JavaScript
+ */
+
+const DIRECT = "direct";
+const JINA = "jina";
+const FETCH_STRATEGIES = [DIRECT, JINA];
+
+const DEFAULT_USER_AGENT = "ToddlegoBot/1.0";
+const JINA_READER_URL = "https://r.jina.ai/";
+
+const DEFAULT_TIMEOUT_MS = 20000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_MAX_PER_DOMAIN = 2;
+
+// robots.txt is re-read daily; Crawl-delay is capped so one site can't stall a scrape
+const ROBOTS_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_CRAWL_DELAY_SECONDS = 10;
+
+// Retried with backoff (Retry-After wins, capped)
+const RETRY_STATUSES = new Set([429, 500, 502, 503, 504]);
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+
+// A page with less visible text than this was rendered by JavaScript
+const MIN_TEXT_CHARS = 200;
+const NEEDS_JAVASCRIPT = /enable javascript|requires? javascript|javascript (is )?(disabled|required)|turn on javascript/i;
+
+// Direct failures Jina can't help with: the page is gone
+const GONE_STATUSES = new Set([404, 410]);
+
+/**
+ * A page robots.txt asks us not to fetch. Permanent: retrying won't change it.
+ */
+class RobotsDisallowedError extends PermanentScrapeError {
+    constructor(url) {
+        super(`robots.txt disallows ${url}`);
+        this.name = "RobotsDisallowedError";
+    }
+}
+
+/**
+ * A page whose HTML is an empty shell filled in by JavaScript.
+ */
+class RenderRequiredError extends Error {
+    constructor(url) {
+        super(`${url} needs JavaScript to render`);
+        this.name = "RenderRequiredError";
+    }
+}
+
+// HTTP error carrying the status, so the scrape task can tell permanent failures from transient ones
+const httpError = (response) => {
+    const error = new Error(`${response.status} ${response.statusText}`);
+    error.status = response.status;
+    return error;
+};
+
+/**
+ * Parse robots.txt into groups.
+ * @param {string} text
+ * @returns {Array<{agents: Array<string>, rules: Array<{allow: boolean, path: string}>, crawlDelay: number|null}>}
+ */
+const parseRobots = (text) => {
+    const groups = [];
+    let group = null;
+    let lastWasAgent = false;
+    for (const rawLine of String(text || "").split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, "").trim();
+        const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+        if (!match) continue;
+        const [, key, value] = match;
+        const field = key.toLowerCase();
+        if (field === "user-agent") {
+            // Consecutive user-agent lines share one group
+            if (!lastWasAgent) {
+                group = { agents: [], rules: [], crawlDelay: null };
+                groups.push(group);
+            }
+            group.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+        lastWasAgent = false;
+        if (!group) continue;
+        if (field === "allow" || field === "disallow") {
+            // An empty Disallow allows everything
+            if (value !== "") group.rules.push({ allow: field === "allow", path: value });
+        } else if (field === "crawl-delay" && Number.isFinite(Number(value))) {
+            group.crawlDelay = Number(value);
+        }
+    }
+    return groups;
+};
+
+const patternMatches = (pattern, path) => {
+    const anchored = pattern.endsWith("$");
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+        .split("*")
+        .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+        .join(".*");
+    return new RegExp(`^${body}${anchored ? "$" : ""}`).test(path);
+};
+
+/**
+ * What robots.txt says about a URL for our user agent.
+ * The most specific group (else `*`) applies; the longest matching rule wins,
+ * and Allow wins a tie.
+ * @param {Array<Object>} groups - parseRobots output.
+ * @param {string} userAgent - e.g. "ToddlegoBot/1.0".
+ * @param {string} url
+ * @returns {{allowed: boolean, crawlDelay: number|null}}
+ */
+const robotsVerdict = (groups, userAgent, url) => {
+    const token = userAgent.split("/")[0].toLowerCase();
+    const named = groups.filter((group) => group.agents.some((agent) => agent !== "*" && token.startsWith(agent)));
+    const applicable = named.length > 0 ? named : groups.filter((group) => group.agents.includes("*"));
+    const rules = applicable.flatMap((group) => group.rules);
+    const delays = applicable.map((group) => group.crawlDelay).filter((delay) => delay !== null);
+
+    const { pathname, search } = new URL(url);
+    const path = `${decodeURIComponent(pathname)}${search}`;
+    let best = null;
+    for (const rule of rules) {
+        const pattern = decodeURIComponent(rule.path);
+        if (!patternMatches(pattern, path)) continue;
+        if (!best || pattern.length > best.length || (pattern.length === best.length && rule.allow)) {
+            best = { allow: rule.allow, length: pattern.length };
+        }
+    }
+    return {
+        allowed: best ? best.allow : true,
+        crawlDelay: delays.length > 0 ? Math.min(Math.max(...delays), MAX_CRAWL_DELAY_SECONDS) : null,
+    };
+};
+
+/**
+ * Whether a page's HTML is an empty shell that needs JavaScript to show its content.
+ * @param {string} html
+ * @returns {boolean}
+ */
+const needsRendering = (html) => {
+    const $ = cheerio.load(html);
+    $("script, style, template, svg").remove();
+    const noscript = $("noscript").text();
+    $("noscript").remove();
+    const text = $("body").text().replace(/\s+/g, " ").trim();
+    if (text.length < MIN_TEXT_CHARS) return true;
+    return text.length < MIN_TEXT_CHARS * 5 && (NEEDS_JAVASCRIPT.test(text) || NEEDS_JAVASCRIPT.test(noscript));
+};
+
+const turndown = new TurndownService({ headingStyle: "atx", bulletListMarker: "-", codeBlockStyle: "fenced" });
+
+/**
+ * Convert page HTML to markdown, with absolute links like Jina's.
+ * @param {string} html
+ * @param {string} pageUrl - For resolving relative links.
+ * @returns {string}
+ */
+const htmlToMarkdown = (html, pageUrl) => {
+    const $ = cheerio.load(html);
+    $("script, style, noscript, template, svg, iframe, link, meta").remove();
+    $("a[href]").each((index, element) => {
+        try {
+            $(element).attr("href", new URL($(element).attr("href"), pageUrl).toString());
+        } catch (error) {
+            // Leave it as written
+        }
+    });
+    const title = $("title").first().text().trim();
+    const markdown = turndown.turndown($("body").html() || $.root().html() || "");
+    return title ? `# ${title}\n\n${markdown}` : markdown;
+};
+
+const backoffMs = (attempt, retryAfter) => {
+    const seconds = Number(retryAfter);
+    if (retryAfter && Number.isFinite(seconds)) return Math.min(seconds * 1000, MAX_BACKOFF_MS);
+    const date = retryAfter ? Date.parse(retryAfter) : NaN;
+    if (!Number.isNaN(date)) return Math.min(Math.max(date - Date.now(), 0), MAX_BACKOFF_MS);
+    return Math.min(BASE_BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS);
+};
+
+/**
+ * Build a fetcher. Robots rules and per-domain slots live as long as the
+ * fetcher, so one per instance keeps concurrent scrapes of a site polite.
+ * @param {Object} [options]
+ * @param {string} [options.userAgent]
+ * @param {number} [options.timeoutMs]
+ * @param {number} [options.retries] - Retries on 429/5xx and network errors.
+ * @param {number|Function} [options.maxPerDomain] - Concurrent requests per host (or a getter).
+ * @param {string} [options.jinaUrl] - Jina Reader base URL.
+ * @param {Function} [options.fetch] - fetch implementation.
+ * @param {Function} [options.sleep]
+ * @param {Function} [options.now] - Clock in ms.
+ * @returns {{fetchText: Function, fetchPage: Function}}
+ */
+const createFetcher = ({
+    userAgent = DEFAULT_USER_AGENT,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    retries = DEFAULT_RETRIES,
+    maxPerDomain = DEFAULT_MAX_PER_DOMAIN,
+    jinaUrl = JINA_READER_URL,
+    fetch = globalThis.fetch,
+    sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+    now = () => Date.now(),
+} = {}) => {
+    const robots = new Map();
+    const domains = new Map();
+
+    // Run a request in one of the host's slots, spaced by its crawl delay
+    const inDomainSlot = async (host, delayMs, task) => {
+        if (!domains.has(host)) domains.set(host, { active: 0, waiting: [], nextStartAt: 0 });
+        const domain = domains.get(host);
+        const limit = typeof maxPerDomain === "function" ? maxPerDomain() : maxPerDomain;
+        if (domain.active >= limit) {
+            await new Promise((resolve) => domain.waiting.push(resolve));
+        } else {
+            domain.active++;
+        }
+        try {
+            const startAt = Math.max(now(), domain.nextStartAt);
+            domain.nextStartAt = startAt + delayMs;
+            if (startAt > now()) await sleep(startAt - now());
+            return await task();
+        } finally {
+            // Hand the slot straight to the next waiting request
+            const next = domain.waiting.shift();
+            if (next) next();
+            else domain.active--;
+        }
+    };
+
+    // One request with retries; the body is read inside the slot
+    const send = async (url, { headers = {}, delayMs = 0 } = {}) => {
+        const host = new URL(url).host;
+        for (let attempt = 0; ; attempt++) {
+            let response;
+            try {
+                response = await inDomainSlot(host, delayMs, async () => {
+                    const res = await fetch(url, {
+                        headers: { "User-Agent": userAgent, ...headers },
+                        redirect: "follow",
+                        signal: AbortSignal.timeout(timeoutMs),
+                    });
+                    return {
+                        status: res.status,
+                        statusText: res.statusText,
+                        ok: res.ok,
+                        url: res.url || url,
+                        headers: res.headers,
+                        body: res.status === 304 ? "" : await res.text(),
+                    };
+                });
+            } catch (error) {
+                if (attempt >= retries) throw error;
+                await sleep(backoffMs(attempt));
+                continue;
+            }
+            if (RETRY_STATUSES.has(response.status) && attempt < retries) {
+                await sleep(backoffMs(attempt, response.headers.get("retry-after")));
+                continue;
+            }
+            return response;
+        }
+    };
+
+    // robots.txt of a URL's origin; a missing file allows everything, a server error blocks for now
+    const robotsFor = (origin) => {
+        const cached = robots.get(origin);
+        if (cached && now() - cached.fetchedAt < ROBOTS_TTL_MS) return cached.groups;
+        const groups = send(`${origin}/robots.txt`).then((response) => {
+            if (response.ok) return parseRobots(response.body);
+            if (response.status >= 400 && response.status < 500) return [];
+            const error = new Error(`robots.txt unavailable (${response.status})`);
+            error.status = response.status;
+            throw error;
+        });
+        // Don't remember failures
+        groups.catch(() => robots.delete(origin));
+        robots.set(origin, { groups, fetchedAt: now() });
+        return groups;
+    };
+
+    // Crawl delay (ms) for a URL, or throws when robots.txt disallows it
+    const checkRobots = async (url) => {
+        const verdict = robotsVerdict(await robotsFor(new URL(url).origin), userAgent, url);
+        if (!verdict.allowed) throw new RobotsDisallowedError(url);
+        return (verdict.crawlDelay || 0) * 1000;
+    };
+
+    const fetchDirect = async (url, validators) => {
+        const delayMs = await checkRobots(url);
+        const headers = {
+            Accept: "text/html,application/xhtml+xml;q=0.9,*/*;q=0.8",
+            ...(validators.etag && { "If-None-Match": validators.etag }),
+            ...(validators.lastModified && { "If-Modified-Since": validators.lastModified }),
+        };
+        const response = await send(url, { headers, delayMs });
+        if (response.status === 304) {
+            return { url, content: null, strategy: DIRECT, notModified: true, validators };
+        }
+        if (!response.ok) throw httpError(response);
+
+        const isHtml = /html/i.test(response.headers.get("content-type") || "text/html");
+        if (isHtml && needsRendering(response.body)) throw new RenderRequiredError(url);
+        return {
+            url,
+            content: isHtml ? htmlToMarkdown(response.body, response.url) : response.body,
+            strategy: DIRECT,
+            notModified: false,
+            validators: {
+                etag: response.headers.get("etag") || null,
+                lastModified: response.headers.get("last-modified") || null,
+            },
+        };
+    };
+
+    const fetchJina = async (url) => {
+        // The page's own robots.txt still applies when Jina fetches it for us
+        await checkRobots(url);
+        const response = await send(`${jinaUrl}${url}`);
+        if (!response.ok) throw httpError(response);
+        return { url, content: response.body, strategy: JINA, notModified: false, validators: {} };
+    };
+
+    return {
+        /**
+         * Fetch a URL's body as-is (raw HTML, feeds, APIs), throwing on HTTP errors.
+         * @param {string} url
+         * @returns {Promise<string>}
+         */
+        fetchText: async (url) => {
+            const delayMs = await checkRobots(url);
+            const response = await send(url, { delayMs });
+            if (!response.ok) throw httpError(response);
+            return response.body;
+        },
+
+        /**
+         * Fetch a page as markdown, trying the source's preferred strategy first.
+         * Falls back to the other strategy unless the page is gone or robots.txt forbids it.
+         * @param {string} url
+         * @param {Object} [options]
+         * @param {string} [options.strategy] - Strategy that worked last time.
+         * @param {Object} [options.validators] - { etag, lastModified } stored for the page.
+         * @returns {Promise<{url: string, content: string|null, strategy: string, notModified: boolean, validators: Object}>}
+         *   content is null when the page is unchanged (304).
+         */
+        fetchPage: async (url, { strategy = DIRECT, validators = {} } = {}) => {
+            const order = strategy === JINA ? [JINA, DIRECT] : [DIRECT, JINA];
+            let firstError = null;
+            for (const name of order) {
+                try {
+                    return name === DIRECT ? await fetchDirect(url, validators) : await fetchJina(url);
+                } catch (error) {
+                    if (error instanceof RobotsDisallowedError || GONE_STATUSES.has(error.status)) throw error;
+                    firstError = firstError || error;
+                    console.warn(`⚠️ ${name} fetch of ${url} failed: ${error.message}`);
+                }
+            }
+            throw firstError;
+        },
+    };
+};
+
+module.exports = {
+    DIRECT,
+    JINA,
+    FETCH_STRATEGIES,
+    JINA_READER_URL,
+    RobotsDisallowedError,
+    RenderRequiredError,
+    parseRobots,
+    robotsVerdict,
+    needsRendering,
+    htmlToMarkdown,
+    createFetcher,
+};
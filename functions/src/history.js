@@ -0,0 +1,399 @@
+const crypto = require("crypto");
+const geofire = require("geofire-common");
+const { toEpochSeconds, localDate, localTimeOfWeek, DEFAULT_TIMEZONE } = require("./dates");
+const { addDays } = require("./series");
+const { normalizeVenueName } = require("./venues");
+const { PAUSED } = require("./scrapeLedger");
+const { DEAD_LETTERED, DISABLED } = require("./scrapeQueue");
+
+/**
+ * Event history.
+ * Activities expire a day after they end (`expireAt` TTL), so a copy of each
+ * goes to `activities_archive` first. A scheduled aggregation turns the archive
+ * into per-venue and per-city stats (`venue_stats`, `city_stats`): events per
+ * week, the weekday/time slots a venue keeps week after week, and the age mix.
+ * When every source of a regular venue goes dark (failing or finding nothing
+ * run after run), its regular slots become "usually happens" entries in
+ * `predicted_activities`, labeled as predictions and kept out of `activities`.
+ * The same stats feed the admin coverage report.
+ */
+
+const DAY_SECONDS = 24 * 60 * 60;
+const WEEK_SECONDS = 7 * DAY_SECONDS;
+
+// Archive weeks the stats look back over
+const STATS_WEEKS = 12;
+
+// Start times within the same quarter hour share a slot
+const SLOT_MINUTES = 15;
+
+// A slot is regular when it was seen this many weeks, in this share of the weeks the venue was active
+const MIN_REGULAR_WEEKS = 4;
+const REGULAR_SHARE = 0.6;
+
+// A source is dark after this many failed or empty runs in a row (or once it's paused)
+const DARK_AFTER_RUNS = 2;
+
+// Predictions cover this many days ahead
+const PREDICTION_DAYS = 14;
+const PREDICTED_LABEL = "Usually happens";
+const PREDICTED = "predicted";
+
+// Age buckets in months (inclusive); an event counts toward every bucket it overlaps
+const AGE_BUCKETS = {
+    babies: [0, 11],
+    toddlers: [12, 35],
+    preschool: [36, 71],
+};
+
+// Coverage levels for a city, by toddler events per week
+const THIN_TODDLER_EVENTS_PER_WEEK = 2;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const fitsBucket = (doc, [min, max]) => (doc.minAgeMonths ?? 0) <= max && (doc.maxAgeMonths ?? Infinity) >= min;
+
+/**
+ * Whether an activity suits toddlers (12-35 months); unbounded ages do.
+ * @param {Object} doc - { minAgeMonths, maxAgeMonths }.
+ * @returns {boolean}
+ */
+const suitsToddlers = (doc) => fitsBucket(doc, AGE_BUCKETS.toddlers);
+
+/**
+ * `activities_archive` document for an activity about to expire.
+ * @param {Object} doc - Stored activity.
+ * @param {Object} context
+ * @param {string|null} context.registryId - Source the activity came from.
+ * @param {string|null} context.cityId - config_cities id of that source.
+ * @param {number} context.nowSeconds
+ * @returns {Object}
+ */
+const buildArchiveDoc = (doc, { registryId, cityId, nowSeconds }) => {
+    // The archive keeps everything but the TTL
+    const { expireAt, ...fields } = doc;
+    return { ...fields, registryId: registryId ?? null, cityId: cityId ?? null, archivedAt: nowSeconds };
+};
+
+/**
+ * Stats group of a venue: its `venues` doc, else its name under the source.
+ * @param {Object} doc - Activity or archived activity.
+ * @returns {string|null} null when the venue has no name.
+ */
+const venueKey = (doc) => {
+    if (doc.venueId) return String(doc.venueId);
+    const name = normalizeVenueName(doc.venue || "");
+    if (!name) return null;
+    const scope = doc.registryId || doc.sourceUrl || "unknown";
+    return `v_${crypto.createHash("sha256").update(`${scope}|${name}`).digest("hex").substring(0, 24)}`;
+};
+
+const mostCommon = (values) => {
+    const counts = new Map();
+    for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+    let best = null;
+    for (const [value, count] of counts) {
+        if (best === null || count > best.count) best = { value, count };
+    }
+    return best ? best.value : null;
+};
+
+const median = (values) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Stats for a group of archived activities (a venue or a city).
+ * Cancelled events don't count.
+ * @param {Array<Object>} events - Archived activities.
+ * @param {Object} window
+ * @param {number} window.start - Unix seconds.
+ * @param {number} window.end - Unix seconds.
+ * @returns {Object} { events, eventsPerWeek, toddlerEventsPerWeek, weeksActive, weeksObserved,
+ *   weekdays, ageMix, slots, firstEventAt, lastEventAt }
+ */
+const aggregateEvents = (events, { start, end }) => {
+    const held = events.filter((doc) => doc.status !== "cancelled" && doc.startTime >= start && doc.startTime < end);
+    const windowWeeks = Math.max(1, Math.round((end - start) / WEEK_SECONDS));
+    const weekOf = (doc) => Math.floor((doc.startTime - start) / WEEK_SECONDS);
+
+    const weekdays = [0, 0, 0, 0, 0, 0, 0];
+    const ageMix = { babies: 0, toddlers: 0, preschool: 0, allAges: 0 };
+    const slotGroups = new Map();
+    const activeWeeks = new Set();
+    for (const doc of held) {
+        const { weekday, minutes } = localTimeOfWeek(doc.startTime * 1000, doc.timeZone || DEFAULT_TIMEZONE);
+        weekdays[weekday]++;
+        activeWeeks.add(weekOf(doc));
+        if (doc.minAgeMonths == null && doc.maxAgeMonths == null) ageMix.allAges++;
+        for (const [bucket, range] of Object.entries(AGE_BUCKETS)) {
+            if (fitsBucket(doc, range)) ageMix[bucket]++;
+        }
+
+        const slotMinutes = Math.round(minutes / SLOT_MINUTES) * SLOT_MINUTES;
+        const key = `${weekday}_${slotMinutes}`;
+        if (!slotGroups.has(key)) slotGroups.set(key, { weekday, minutes: slotMinutes, docs: [] });
+        slotGroups.get(key).docs.push(doc);
+    }
+
+    // Judge regularity over the weeks the group was active, so a source that went dark isn't diluted
+    const weekNumbers = [...activeWeeks];
+    const weeksObserved = weekNumbers.length > 0 ? Math.max(...weekNumbers) - Math.min(...weekNumbers) + 1 : 0;
+    const slots = [];
+    for (const { weekday, minutes, docs } of slotGroups.values()) {
+        const weeksSeen = new Set(docs.map(weekOf)).size;
+        const share = weeksObserved > 0 ? weeksSeen / weeksObserved : 0;
+        if (weeksSeen < MIN_REGULAR_WEEKS || share < REGULAR_SHARE) continue;
+
+        const title = mostCommon(docs.map((doc) => doc.title));
+        const typical = docs.filter((doc) => doc.title === title).sort((a, b) => b.startTime - a.startTime)[0];
+        slots.push({
+            weekday,
+            minutes,
+            durationMinutes: median(docs.map((doc) => Math.round((doc.endTime - doc.startTime) / 60))),
+            weeksSeen,
+            share: round2(share),
+            title,
+            ageRange: typical.ageRange || "All",
+            minAgeMonths: typical.minAgeMonths ?? null,
+            maxAgeMonths: typical.maxAgeMonths ?? null,
+            categories: typical.categories || [],
+            lastSeenAt: Math.max(...docs.map((doc) => doc.startTime)),
+        });
+    }
+    slots.sort((a, b) => a.weekday - b.weekday || a.minutes - b.minutes);
+
+    return {
+        events: held.length,
+        eventsPerWeek: round2(held.length / windowWeeks),
+        toddlerEventsPerWeek: round2(held.filter(suitsToddlers).length / windowWeeks),
+        weeksActive: activeWeeks.size,
+        weeksObserved,
+        weekdays,
+        ageMix,
+        slots,
+        firstEventAt: held.length > 0 ? Math.min(...held.map((doc) => doc.startTime)) : null,
+        lastEventAt: held.length > 0 ? Math.max(...held.map((doc) => doc.startTime)) : null,
+    };
+};
+
+/**
+ * `venue_stats` documents from the archive, one per venue.
+ * Each carries where the venue is (from its latest event) and the sources that list it.
+ * @param {Array<Object>} archived - Archived activities.
+ * @param {Object} window - { start, end } in unix seconds.
+ * @returns {Map<string, Object>} venue key -> stats doc.
+ */
+const buildVenueStats = (archived, window) => {
+    const groups = new Map();
+    for (const doc of archived) {
+        const key = venueKey(doc);
+        if (!key) continue;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(doc);
+    }
+
+    const stats = new Map();
+    for (const [key, docs] of groups) {
+        const latest = docs.reduce((a, b) => (b.startTime > a.startTime ? b : a));
+        stats.set(key, {
+            venue: latest.venue,
+            venueId: latest.venueId ?? null,
+            latitude: latest.latitude ?? null,
+            longitude: latest.longitude ?? null,
+            timeZone: latest.timeZone || DEFAULT_TIMEZONE,
+            cityId: latest.cityId ?? null,
+            registryIds: [...new Set(docs.map((doc) => doc.registryId).filter(Boolean))],
+            ...aggregateEvents(docs, window),
+        });
+    }
+    return stats;
+};
+
+/**
+ * `city_stats` documents from the archive and the upcoming activities.
+ * @param {Array<Object>} archived - Archived activities (with cityId).
+ * @param {Array<Object>} upcoming - Upcoming activities, each with the cityId of its source.
+ * @param {Array<Object>} sources - { cityId, dark } per registry source.
+ * @param {Object} window - { start, end } in unix seconds.
+ * @returns {Map<string, Object>} config_cities id -> stats doc.
+ */
+const buildCityStats = (archived, upcoming, sources, window) => {
+    const cityIds = new Set([...archived, ...upcoming, ...sources].map((item) => item.cityId).filter(Boolean));
+    const stats = new Map();
+    for (const cityId of cityIds) {
+        const history = archived.filter((doc) => doc.cityId === cityId);
+        const ahead = upcoming.filter((doc) => doc.cityId === cityId && doc.status !== "cancelled");
+        const citySources = sources.filter((source) => source.cityId === cityId);
+        const { slots, ...totals } = aggregateEvents(history, window);
+        stats.set(cityId, {
+            ...totals,
+            venues: new Set(history.map(venueKey).filter(Boolean)).size,
+            regularSlots: slots.length,
+            upcomingEvents: ahead.length,
+            upcomingToddlerEvents: ahead.filter(suitsToddlers).length,
+            sources: citySources.length,
+            darkSources: citySources.filter((source) => source.dark).length,
+        });
+    }
+    return stats;
+};
+
+/**
+ * Whether a source has gone dark: paused, dead-lettered, or failing or
+ * finding nothing several runs in a row. Sources an admin disabled aren't dark, just off.
+ * @param {Object} registryData - url_registry document data.
+ * @returns {boolean}
+ */
+const isSourceDark = (registryData) => {
+    const status = registryData.scrape_status;
+    if (status === DISABLED) return false;
+    if (status === PAUSED || status === DEAD_LETTERED) return true;
+    const health = registryData.health || {};
+    return (health.consecutiveFailures || 0) >= DARK_AFTER_RUNS || (health.consecutiveZeroYield || 0) >= DARK_AFTER_RUNS;
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/**
+ * Upcoming dates of a venue's regular slots.
+ * @param {Object} venueStats - venue_stats doc.
+ * @param {Object} options
+ * @param {string} options.fromDate - First local date, "YYYY-MM-DD".
+ * @param {number} [options.days]
+ * @returns {Array<{slot: Object, isoDate: string, startTime: number, endTime: number}>}
+ */
+const predictOccurrences = (venueStats, { fromDate, days = PREDICTION_DAYS }) => {
+    const occurrences = [];
+    for (let offset = 0; offset < days; offset++) {
+        const date = addDays(fromDate, offset);
+        const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+        for (const slot of venueStats.slots.filter((candidate) => candidate.weekday === weekday)) {
+            const isoDate = `${date}T${pad(Math.floor(slot.minutes / 60))}:${pad(slot.minutes % 60)}`;
+            const startTime = toEpochSeconds(isoDate, venueStats.timeZone);
+            if (startTime === null) continue;
+            occurrences.push({ slot, isoDate, startTime, endTime: startTime + (slot.durationMinutes || 60) * 60 });
+        }
+    }
+    return occurrences;
+};
+
+/**
+ * `predicted_activities` document for a regular slot of a dark venue.
+ * Shaped like an activity so search can return it, with status "predicted" and a label.
+ * @param {string} key - Venue key.
+ * @param {Object} venueStats - venue_stats doc.
+ * @param {Object} occurrence - From predictOccurrences.
+ * @param {number} nowSeconds
+ * @returns {{id: string, doc: Object}}
+ */
+const buildPrediction = (key, venueStats, { slot, isoDate, startTime, endTime }, nowSeconds) => {
+    const hasLocation = typeof venueStats.latitude === "number" && typeof venueStats.longitude === "number";
+    return {
+        id: `${PREDICTED}_${crypto.createHash("sha256").update(`${key}|${isoDate}`).digest("hex").substring(0, 32)}`,
+        doc: {
+            title: slot.title,
+            venue: venueStats.venue,
+            description: null,
+            startTime,
+            endTime,
+            endTimeEstimated: true,
+            timeZone: venueStats.timeZone,
+            ageRange: slot.ageRange,
+            minAgeMonths: slot.minAgeMonths,
+            maxAgeMonths: slot.maxAgeMonths,
+            categories: slot.categories,
+            latitude: venueStats.latitude,
+            longitude: venueStats.longitude,
+            geohash: hasLocation ? geofire.geohashForLocation([venueStats.latitude, venueStats.longitude]) : null,
+            venueId: venueStats.venueId,
+            status: PREDICTED,
+            predicted: true,
+            label: PREDICTED_LABEL,
+            basis: { weeksSeen: slot.weeksSeen, share: slot.share, lastSeenAt: slot.lastSeenAt },
+            venueKey: key,
+            registryIds: venueStats.registryIds,
+            createdAt: nowSeconds,
+            expireAt: new Date((endTime + DAY_SECONDS) * 1000),
+        },
+    };
+};
+
+/**
+ * Predictions for every regular venue whose sources have all gone dark.
+ * Days the stored activities still cover aren't predicted.
+ * @param {Map<string, Object>} venueStats - From buildVenueStats.
+ * @param {Set<string>} darkRegistryIds
+ * @param {Map<string, number>} coveredUntil - Venue key -> last upcoming activity start (unix seconds).
+ * @param {number} nowSeconds
+ * @returns {Array<{id: string, doc: Object}>}
+ */
+const buildPredictions = (venueStats, darkRegistryIds, coveredUntil, nowSeconds) => {
+    const predictions = [];
+    for (const [key, stats] of venueStats) {
+        if (stats.slots.length === 0 || stats.registryIds.length === 0) continue;
+        if (!stats.registryIds.every((id) => darkRegistryIds.has(id))) continue;
+        const covered = coveredUntil.has(key) ? localDate(coveredUntil.get(key) * 1000, stats.timeZone) : "";
+        for (const occurrence of predictOccurrences(stats, { fromDate: localDate(nowSeconds * 1000, stats.timeZone) })) {
+            if (occurrence.startTime <= nowSeconds || occurrence.isoDate.slice(0, 10) <= covered) continue;
+            predictions.push(buildPrediction(key, stats, occurrence, nowSeconds));
+        }
+    }
+    return predictions;
+};
+
+/**
+ * Admin coverage report: one row per configured city, worst covered first.
+ * A city has "none" when it has no toddler events, neither in the archive
+ * window nor coming up; "thin" when there are few.
+ * @param {Array<{id: string, name: string, region: string}>} cities - config_cities.
+ * @param {Map<string, Object>|Object} cityStats - city id -> city_stats doc.
+ * @returns {Array<Object>}
+ */
+const buildCoverageReport = (cities, cityStats) => {
+    const statsFor = (id) => (cityStats instanceof Map ? cityStats.get(id) : cityStats[id]) || null;
+    const rank = { none: 0, thin: 1, ok: 2 };
+    return cities
+        .map(({ id, name, region }) => {
+            const stats = statsFor(id);
+            const toddlerEventsPerWeek = stats?.toddlerEventsPerWeek ?? 0;
+            const upcomingToddlerEvents = stats?.upcomingToddlerEvents ?? 0;
+            let coverage = "ok";
+            if (toddlerEventsPerWeek === 0 && upcomingToddlerEvents === 0) coverage = "none";
+            else if (toddlerEventsPerWeek < THIN_TODDLER_EVENTS_PER_WEEK) coverage = "thin";
+            return {
+                cityId: id,
+                city: name || id,
+                region: region || null,
+                coverage,
+                sources: stats?.sources ?? 0,
+                darkSources: stats?.darkSources ?? 0,
+                venues: stats?.venues ?? 0,
+                eventsPerWeek: stats?.eventsPerWeek ?? 0,
+                toddlerEventsPerWeek,
+                upcomingToddlerEvents,
+                ageMix: stats?.ageMix ?? null,
+                lastEventAt: stats?.lastEventAt ?? null,
+            };
+        })
+        .sort((a, b) => rank[a.coverage] - rank[b.coverage] || a.toddlerEventsPerWeek - b.toddlerEventsPerWeek || a.city.localeCompare(b.city));
+};
+
+module.exports = {
+    STATS_WEEKS,
+    PREDICTION_DAYS,
+    PREDICTED,
+    PREDICTED_LABEL,
+    suitsToddlers,
+    buildArchiveDoc,
+    venueKey,
+    aggregateEvents,
+    buildVenueStats,
+    buildCityStats,
+    isSourceDark,
+    predictOccurrences,
+    buildPredictions,
+    buildCoverageReport,
+};
@@ -0,0 +1,363 @@
+const crypto = require("crypto");
+const { sourceUrlsFor } = require("./admin");
+const { DEFAULT_TIMEZONE, zoneOffsetMs } = require("./dates");
+const { createRegionStore } = require("./regions");
+const { SearchParamError, parseSearchParams, searchActivities } = require("./search");
+
+/**
+ * Subscribable RFC 5545 feeds built from the `activities` collection.
+ * A feed is scoped by exactly one of:
+ *   ?venue=<url_registry doc id>
+ *   ?city=<config_cities doc id>
+ *   ?lat=..&lng=..[&radiusKm=..&ageRange=..]   (same filters as searchActivities)
+ * Events keep the wall-clock time of their own zone, with a VTIMEZONE per zone.
+ */
+
+// Calendar zone when neither the scope nor its events name one
+const FEED_TIMEZONE = DEFAULT_TIMEZONE;
+const PRODID = "-//Toddlego//Activity Feed//EN";
+const MAX_FEED_EVENTS = 500;
+const PAST_DAYS = 7;
+const FUTURE_DAYS = 60;
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Firestore "in" queries accept at most 30 values
+const IN_QUERY_LIMIT = 30;
+
+// Escape TEXT values (RFC 5545 3.3.11)
+const escapeText = (value) =>
+    String(value)
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+
+// Fold content lines longer than 75 octets without splitting UTF-8 characters
+const foldLine = (line) => {
+    const parts = [];
+    let current = "";
+    let currentBytes = 0;
+    for (const char of line) {
+        const bytes = Buffer.byteLength(char, "utf8");
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + bytes > limit) {
+            parts.push(current);
+            current = "";
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += bytes;
+    }
+    parts.push(current);
+    return parts.join("\r\n ");
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Unix seconds -> "YYYYMMDDTHHMMSSZ"
+const formatUtc = (seconds) => {
+    const d = new Date(seconds * 1000);
+    return (
+        `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+        `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`
+    );
+};
+
+// Unix seconds -> "YYYYMMDDTHHMMSS" wall-clock time in the given zone
+const formatLocal = (seconds, timeZone) => {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat("en-US", {
+            timeZone,
+            hourCycle: "h23",
+            year: "numeric",
+            month: "2-digit",
+            day: "2-digit",
+            hour: "2-digit",
+            minute: "2-digit",
+            second: "2-digit",
+        })
+            .formatToParts(new Date(seconds * 1000))
+            .map(({ type, value }) => [type, value]),
+    );
+    return `${parts.year}${parts.month}${parts.day}T${parts.hour}${parts.minute}${parts.second}`;
+};
+
+// UTC offset in ms -> "+HHMM" / "-HHMM"
+const formatOffset = (offsetMs) => {
+    const minutes = Math.round(Math.abs(offsetMs) / 60000);
+    return `${offsetMs < 0 ? "-" : "+"}${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}`;
+};
+
+// Instants (unix seconds) where the zone's UTC offset changes, found day by day
+// and narrowed to the second
+const offsetChanges = (timeZone, fromSeconds, toSeconds) => {
+    const offsetAt = (seconds) => zoneOffsetMs(seconds * 1000, timeZone);
+    const changes = [];
+    let previous = offsetAt(fromSeconds);
+    for (let day = fromSeconds + DAY_SECONDS; day <= toSeconds; day += DAY_SECONDS) {
+        const offset = offsetAt(day);
+        if (offset === previous) continue;
+        let low = day - DAY_SECONDS;
+        let high = day;
+        while (high - low > 1) {
+            const mid = Math.floor((low + high) / 2);
+            if (offsetAt(mid) === previous) low = mid;
+            else high = mid;
+        }
+        changes.push({ at: high, from: previous, to: offset });
+        previous = offset;
+    }
+    return changes;
+};
+
+/**
+ * VTIMEZONE for any IANA zone, covering the whole years between two instants.
+ * Built from the zone's actual offset changes, so it needs no RRULEs.
+ * @param {string} timeZone - IANA zone.
+ * @param {number} fromSeconds - Earliest event time.
+ * @param {number} toSeconds - Latest event time.
+ * @returns {Array<string>} Content lines.
+ */
+const buildTimeZone = (timeZone, fromSeconds, toSeconds) => {
+    const start = Date.UTC(new Date(fromSeconds * 1000).getUTCFullYear(), 0, 1) / 1000;
+    const end = Date.UTC(new Date(toSeconds * 1000).getUTCFullYear() + 1, 0, 1) / 1000;
+    const changes = offsetChanges(timeZone, start, end);
+    const initial = zoneOffsetMs(start * 1000, timeZone);
+    // DST observances are the ones that move clocks forward
+    const kindOf = (from, to) => (to > from ? "DAYLIGHT" : "STANDARD");
+    const observance = (kind, dtstart, from, to) => [
+        `BEGIN:${kind}`,
+        `TZOFFSETFROM:${formatOffset(from)}`,
+        `TZOFFSETTO:${formatOffset(to)}`,
+        `DTSTART:${dtstart}`,
+        `END:${kind}`,
+    ];
+
+    const lines = ["BEGIN:VTIMEZONE", `TZID:${timeZone}`];
+    const initialKind = changes.length > 0 && changes[0].to < initial ? "DAYLIGHT" : "STANDARD";
+    lines.push(...observance(initialKind, formatLocal(start, timeZone), initial, initial));
+    for (const { at, from, to } of changes) {
+        // DTSTART is the wall-clock time the change happens at, before it
+        lines.push(...observance(kindOf(from, to), formatUtc(at + from / 1000).slice(0, -1), from, to));
+    }
+    lines.push("END:VTIMEZONE");
+    return lines;
+};
+
+// Last time an activity changed, in unix seconds
+const lastChanged = (data) => data.updatedAt || data.createdAt || 0;
+
+const eventTimeZone = (data, timeZone) => data.timeZone || timeZone;
+
+const buildEvent = (id, data, calendarTimeZone) => {
+    const timeZone = eventTimeZone(data, calendarTimeZone);
+    const lines = [
+        "BEGIN:VEVENT",
+        `UID:${id}@toddlego`,
+        `DTSTAMP:${formatUtc(lastChanged(data) || data.startTime)}`,
+        `DTSTART;TZID=${timeZone}:${formatLocal(data.startTime, timeZone)}`,
+    ];
+    if (data.endTime && data.endTime > data.startTime) {
+        lines.push(`DTEND;TZID=${timeZone}:${formatLocal(data.endTime, timeZone)}`);
+    } else {
+        // Most toddler sessions run under an hour; avoid zero-length events
+        lines.push("DURATION:PT1H");
+    }
+    lines.push(`SUMMARY:${escapeText(data.title || "Toddlego event")}`);
+    if (data.venue) lines.push(`LOCATION:${escapeText(data.venue)}`);
+    if (typeof data.latitude === "number" && typeof data.longitude === "number") {
+        lines.push(`GEO:${data.latitude};${data.longitude}`);
+    }
+    const details = [
+        data.description,
+        data.ageRange ? `Ages: ${data.ageRange}` : null,
+        data.requiresBooking ? "Registration required." : null,
+    ].filter(Boolean);
+    if (details.length) lines.push(`DESCRIPTION:${escapeText(details.join("\n\n"))}`);
+    const url = data.registrationUrl || data.sourceUrl;
+    if (url) lines.push(`URL:${url}`);
+    if (data.status === "cancelled") lines.push("STATUS:CANCELLED");
+    lines.push("END:VEVENT");
+    return lines;
+};
+
+/**
+ * Render a VCALENDAR document.
+ * DTSTAMP comes from each activity's last change, so the body (and its ETag)
+ * only changes when the underlying events do.
+ * @param {Object} options
+ * @param {string} options.name - Calendar display name.
+ * @param {Array<{id: string, data: Object}>} options.events - Activities.
+ * @param {string} [options.timeZone] - Calendar zone, for events that don't name their own.
+ * @returns {string}
+ */
+const buildCalendar = ({ name, events, timeZone = FEED_TIMEZONE }) => {
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        `PRODID:${PRODID}`,
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `X-WR-TIMEZONE:${timeZone}`,
+        "REFRESH-INTERVAL;VALUE=DURATION:PT6H",
+        "X-PUBLISHED-TTL:PT6H",
+    ];
+    const sorted = [...events]
+        .filter(({ data }) => data.startTime)
+        .sort((a, b) => a.data.startTime - b.data.startTime || (a.id < b.id ? -1 : 1));
+    // Zone -> [earliest, latest] event time
+    const spans = new Map();
+    for (const { data } of sorted) {
+        const zone = eventTimeZone(data, timeZone);
+        const [from, to] = spans.get(zone) || [data.startTime, data.startTime];
+        spans.set(zone, [Math.min(from, data.startTime), Math.max(to, data.endTime || data.startTime)]);
+    }
+    for (const [zone, [from, to]] of [...spans].sort(([a], [b]) => (a < b ? -1 : 1))) {
+        lines.push(...buildTimeZone(zone, from, to));
+    }
+    for (const { id, data } of sorted) lines.push(...buildEvent(id, data, timeZone));
+    lines.push("END:VCALENDAR");
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+/**
+ * Cache validators for a rendered feed.
+ * @param {string} body - Rendered calendar.
+ * @param {Array<{id: string, data: Object}>} events - Activities in the feed.
+ * @returns {{etag: string, lastModified: Date|null}}
+ */
+const feedValidators = (body, events) => {
+    const newest = events.reduce((max, { data }) => Math.max(max, lastChanged(data)), 0);
+    const etag = `"${crypto.createHash("sha256").update(body, "utf8").digest("hex").substring(0, 32)}"`;
+    // An empty feed has nothing to date, so only its ETag validates
+    return { etag, lastModified: newest ? new Date(newest * 1000) : null };
+};
+
+/**
+ * Decide whether a conditional GET can be answered with 304.
+ * If-None-Match takes precedence over If-Modified-Since (RFC 9110).
+ * @param {Object} headers - Lower-cased request headers.
+ * @param {{etag: string, lastModified: Date|null}} validators
+ * @returns {boolean}
+ */
+const isNotModified = (headers, { etag, lastModified }) => {
+    const ifNoneMatch = headers["if-none-match"];
+    if (ifNoneMatch) {
+        return ifNoneMatch
+            .split(",")
+            .map((tag) => tag.trim().replace(/^W\//, ""))
+            .some((tag) => tag === etag || tag === "*");
+    }
+    const ifModifiedSince = Date.parse(headers["if-modified-since"] || "");
+    if (!lastModified || Number.isNaN(ifModifiedSince)) return false;
+    return Math.floor(lastModified.getTime() / 1000) <= Math.floor(ifModifiedSince / 1000);
+};
+
+const upcoming = (docs, fromSeconds) =>
+    docs
+        .map((doc) => ({ id: doc.id, data: doc.data() }))
+        .filter(({ data }) => data.startTime >= fromSeconds)
+        .sort((a, b) => a.data.startTime - b.data.startTime)
+        .slice(0, MAX_FEED_EVENTS);
+
+// Activities listed by any of the given source URLs. Merged duplicates keep every
+// source in `sourceUrls`; older docs only have `sourceUrl`.
+const loadBySourceUrls = async (db, sourceUrls, fromSeconds) => {
+    const docs = new Map();
+    for (let i = 0; i < sourceUrls.length; i += IN_QUERY_LIMIT) {
+        const chunk = sourceUrls.slice(i, i + IN_QUERY_LIMIT);
+        const [bySource, byAnySource] = await Promise.all([
+            db.collection("activities").where("sourceUrl", "in", chunk).get(),
+            db.collection("activities").where("sourceUrls", "array-contains-any", chunk).get(),
+        ]);
+        for (const doc of [...bySource.docs, ...byAnySource.docs]) docs.set(doc.id, doc);
+    }
+    return upcoming([...docs.values()], fromSeconds);
+};
+
+// A nearby feed takes the zone most of its events are in
+const mostCommonTimeZone = (activities) => {
+    const counts = new Map();
+    for (const { timeZone } of activities) {
+        if (timeZone) counts.set(timeZone, (counts.get(timeZone) || 0) + 1);
+    }
+    const [top] = [...counts].sort((a, b) => b[1] - a[1]);
+    return top ? top[0] : FEED_TIMEZONE;
+};
+
+/**
+ * Resolve a feed request to its events.
+ * @param {Firestore} db - Firestore instance.
+ * @param {Object} query - Request query.
+ * @param {number} [nowSeconds] - Current time.
+ * @param {Object} [regions] - Region store (createRegionStore), for the scope's time zone.
+ * @returns {Promise<{name: string, timeZone: string, events: Array<Object>}|null>} null when the scope does not exist.
+ * @throws {SearchParamError} When no scope or invalid filters are given.
+ */
+const loadFeed = async (db, query = {}, nowSeconds = Math.floor(Date.now() / 1000), regions = createRegionStore({ db })) => {
+    const fromSeconds = nowSeconds - PAST_DAYS * DAY_SECONDS;
+
+    if (query.venue) {
+        const registryDoc = await db.collection("url_registry").doc(String(query.venue)).get();
+        if (!registryDoc.exists) return null;
+        const source = registryDoc.data();
+        return {
+            name: `${source.venue_name || "Library"} · Toddlego`,
+            timeZone: source.timezone || (await regions.get(source.region)).timeZone,
+            events: await loadBySourceUrls(db, sourceUrlsFor(source), fromSeconds),
+        };
+    }
+
+    if (query.city) {
+        const cityDoc = await db.collection("config_cities").doc(String(query.city)).get();
+        if (!cityDoc.exists) return null;
+        const city = cityDoc.data();
+        const cityName = city.name || String(query.city);
+        const registrySnap = await db
+            .collection("url_registry")
+            .where("city", "==", cityName)
+            .get();
+        const sourceUrls = [...new Set(registrySnap.docs.flatMap((doc) => sourceUrlsFor(doc.data())))];
+        return {
+            name: `${cityName} · Toddlego`,
+            timeZone: (await regions.get(city.region)).timeZone,
+            events: await loadBySourceUrls(db, sourceUrls, fromSeconds),
+        };
+    }
+
+    if (query.lat !== undefined || query.lng !== undefined) {
+        const { limit, cursor, sort, ...filters } = query;
+        const params = {
+            ...parseSearchParams(
+                {
+                    ...filters,
+                    from: filters.from ?? String(fromSeconds),
+                    to: filters.to ?? String(nowSeconds + FUTURE_DAYS * DAY_SECONDS),
+                },
+                nowSeconds,
+            ),
+            limit: MAX_FEED_EVENTS,
+        };
+        const { results } = await searchActivities(db, params);
+        return {
+            name: "Toddlego events near you",
+            timeZone: mostCommonTimeZone(results),
+            events: results.map(({ id, distanceKm, ...data }) => ({ id, data })),
+        };
+    }
+
+    throw new SearchParamError(`Provide "venue", "city" or "lat"/"lng"`);
+};
+
+module.exports = {
+    FEED_TIMEZONE,
+    buildTimeZone,
+    buildCalendar,
+    feedValidators,
+    isNotModified,
+    loadFeed,
+    escapeText,
+    foldLine,
+    formatLocal,
+};
@@ -0,0 +1,107 @@
+const axios = require("axios");
+
+/**
+ * Push messaging behind a messenger interface.
+ * A messenger is { name, send(tokens, message) -> Promise<{sent, invalidTokens}> }
+ * where `message` is { title, body, data } (data values are strings) and
+ * `invalidTokens` lists device tokens that will never work again, so callers
+ * can drop them. Modes:
+ *   - "fcm": Firebase Cloud Messaging
+ *   - "stub": POSTs every message to a local stub (scripts/messagingStub.js),
+ *     for running in the emulator without real devices
+ *   - "log": only logs
+ */
+
+const MESSAGING_MODES = ["fcm", "stub", "log"];
+
+// FCM accepts up to 500 tokens per multicast
+const MULTICAST_LIMIT = 500;
+
+// FCM error codes meaning the token is gone for good
+const INVALID_TOKEN_CODES = [
+    "messaging/registration-token-not-registered",
+    "messaging/invalid-registration-token",
+];
+
+/**
+ * Messenger for Firebase Cloud Messaging.
+ * @param {Function} messaging - Returns the admin Messaging instance (called lazily).
+ * @returns {Object} Messenger.
+ */
+const createFcmMessenger = (messaging) => ({
+    name: "fcm",
+    send: async (tokens, { title, body, data = {} }) => {
+        let sent = 0;
+        const invalidTokens = [];
+        for (let start = 0; start < tokens.length; start += MULTICAST_LIMIT) {
+            const batch = tokens.slice(start, start + MULTICAST_LIMIT);
+            const response = await messaging().sendEachForMulticast({
+                tokens: batch,
+                notification: { title, body },
+                data,
+            });
+            response.responses.forEach((result, index) => {
+                if (result.success) {
+                    sent++;
+                } else if (INVALID_TOKEN_CODES.includes(result.error?.code)) {
+                    invalidTokens.push(batch[index]);
+                }
+            });
+        }
+        return { sent, invalidTokens };
+    },
+});
+
+/**
+ * Messenger that hands messages to a local stub over HTTP.
+ * The stub answers { sent, invalidTokens } like FCM would.
+ * @param {string} stubUrl - e.g. "http://127.0.0.1:9599".
+ * @returns {Object} Messenger.
+ */
+const createStubMessenger = (stubUrl) => ({
+    name: "stub",
+    send: async (tokens, message) => {
+        const response = await axios.post(`${stubUrl.replace(/\/$/, "")}/send`, { tokens, ...message }, { timeout: 10000 });
+        return { sent: response.data.sent || 0, invalidTokens: response.data.invalidTokens || [] };
+    },
+});
+
+/**
+ * Messenger that only logs.
+ * @returns {Object} Messenger.
+ */
+const createLogMessenger = () => ({
+    name: "log",
+    send: async (tokens, { title, body }) => {
+        console.log(`📨 [log] ${title} - ${body} (${tokens.length} devices)`);
+        return { sent: tokens.length, invalidTokens: [] };
+    },
+});
+
+/**
+ * Build the messenger for a mode.
+ * @param {Object} options
+ * @param {string} [options.mode] - One of MESSAGING_MODES.
+ * @param {Function} [options.messaging] - Returns the admin Messaging instance (fcm).
+ * @param {string} [options.stubUrl] - Stub base URL (stub).
+ * @returns {Object} Messenger.
+ */
+const createMessenger = ({ mode = "fcm", messaging, stubUrl }) => {
+    if (!MESSAGING_MODES.includes(mode)) {
+        throw new Error(`Unknown messaging mode "${mode}" (use ${MESSAGING_MODES.join(", ")})`);
+    }
+    if (mode === "stub") {
+        if (!stubUrl) throw new Error(`Messaging mode "stub" needs a stub URL`);
+        return createStubMessenger(stubUrl);
+    }
+    if (mode === "log") return createLogMessenger();
+    return createFcmMessenger(messaging);
+};
+
+module.exports = {
+    MESSAGING_MODES,
+    createFcmMessenger,
+    createStubMessenger,
+    createLogMessenger,
+    createMessenger,
+};
@@ -0,0 +1,106 @@
+const { toActivity, toPlainText } = require("../structuredData");
+const {
+    DEFAULT_WINDOW_DAYS,
+    MAX_PAGES,
+    toLocalIso,
+    formatDay,
+    joinVenue,
+    joinTags,
+} = require("./common");
+
+/**
+ * BiblioCommons Events adapter.
+ * Event pages live on <library>.bibliocommons.com/events and are backed by
+ * the public gateway API, which returns ids plus a normalized entity map.
+ */
+
+const GATEWAY = "https://gateway.bibliocommons.com/v2/libraries";
+const PAGE_LIMIT = 50;
+
+const detect = (url, html) => {
+    const { hostname } = new URL(url);
+    const own = hostname.match(/^([a-z0-9-]+)\.bibliocommons\.com$/i);
+    if (own) return `https://${own[1].toLowerCase()}.bibliocommons.com/events`;
+    const embed = String(html || "").match(
+        /https?:\/\/([a-z0-9-]+)\.bibliocommons\.com\/(?:v2\/)?events/i,
+    );
+    return embed ? `https://${embed[1].toLowerCase()}.bibliocommons.com/events` : null;
+};
+
+const libraryId = (calendarUrl) => new URL(calendarUrl).hostname.split(".")[0];
+
+/**
+ * Map a gateway events response to activities.
+ * @param {Object} json - Response from the gateway events endpoint.
+ * @param {Object} options
+ * @param {string} options.calendarUrl - Detected calendar URL.
+ * @param {string} [options.defaultVenue] - Registry venue (library system) name.
+ * @returns {Array<Object>}
+ */
+const mapResponse = (json, { calendarUrl, defaultVenue = null }) => {
+    const entities = json?.entities || {};
+    const ids = json?.events?.results || [];
+    const lookupNames = (collection, keys) =>
+        (keys || []).map((key) => entities[collection]?.[key]).filter(Boolean);
+
+    return ids
+        .map((id) => entities.events?.[id])
+        .filter((event) => event && event.definition && !event.definition.isCancelled)
+        .map((event) => {
+            const definition = event.definition;
+            const branch = entities.locations?.[definition.branchLocationId]?.name;
+            return toActivity({
+                title: toPlainText(definition.title),
+                venue: joinVenue(defaultVenue, branch),
+                description: toPlainText(definition.description),
+                isoDate: toLocalIso(definition.start),
+                endTime: toLocalIso(definition.end),
+                ageRange: joinTags(lookupNames("eventAudiences", definition.audienceIds)),
+                registrationUrl: `https://${libraryId(calendarUrl)}.bibliocommons.com/events/${event.id}`,
+                isRegistrationRequired: !!definition.registrationInfo,
+            });
+        });
+};
+
+/**
+ * Pull upcoming events for a BiblioCommons library.
+ * @param {Object} options
+ * @param {string} options.calendarUrl - Detected calendar URL.
+ * @param {Function} options.fetchJson - async (url) => parsed JSON.
+ * @param {Date} [options.from] - Start of the window.
+ * @param {number} [options.days] - Window length in days.
+ * @param {string} [options.defaultVenue] - Registry venue name.
+ * @returns {Promise<Array<Object>>}
+ */
+const fetchEvents = async ({
+    calendarUrl,
+    fetchJson,
+    from = new Date(),
+    days = DEFAULT_WINDOW_DAYS,
+    defaultVenue = null,
+}) => {
+    const events = [];
+
+    for (let page = 1; page <= MAX_PAGES; page++) {
+        const params = new URLSearchParams({
+            page: String(page),
+            limit: String(PAGE_LIMIT),
+            startDate: formatDay(from),
+            endDate: formatDay(from, days),
+        });
+        const json = await fetchJson(`${GATEWAY}/${libraryId(calendarUrl)}/events?${params}`);
+        events.push(...mapResponse(json, { calendarUrl, defaultVenue }));
+
+        const pages = Number(json?.events?.pagination?.pages) || 1;
+        if (page >= pages) break;
+    }
+
+    return events;
+};
+
+module.exports = {
+    name: "bibliocommons",
+    detect,
+    mapResponse,
+    fetchEvents,
+};
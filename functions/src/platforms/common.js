@@ -0,0 +1,64 @@
+/**
+ * Shared helpers for hosted calendar platform adapters.
+ */
+
+// How far ahead adapters pull events
+const DEFAULT_WINDOW_DAYS = 30;
+
+// Upper bound on paged API requests per source
+const MAX_PAGES = 5;
+
+/**
+ * Convert platform timestamps ("2025-03-04 10:30:00", "2025-03-04T10:30")
+ * to the ISO form used by extraction. Offsets are kept when present.
+ * @param {string} value - Timestamp from a platform API.
+ * @returns {string|null}
+ */
+const toLocalIso = (value) => {
+    if (!value) return null;
+    const match = String(value)
+        .trim()
+        .match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?(.*)$/);
+    if (!match) return null;
+    const [, date, h, mi, s = "00", rest] = match;
+    const offset = /^(Z|[+-]\d{2}:?\d{2})$/.test(rest.trim()) ? rest.trim() : "";
+    return `${date}T${h}:${mi}:${s}${offset}`;
+};
+
+// "YYYY-MM-DD" for a Date, offset by a number of days
+const formatDay = (date, addDays = 0) =>
+    new Date(date.getTime() + addDays * 24 * 60 * 60 * 1000)
+        .toISOString()
+        .split("T")[0];
+
+/**
+ * Full venue name for geocoding, e.g. "Alameda County Library - Union City Branch".
+ * @param {string|null} systemName - Registry venue name.
+ * @param {string|null} branchName - Branch reported by the platform.
+ * @returns {string|null}
+ */
+const joinVenue = (systemName, branchName) => {
+    const system = systemName ? String(systemName).trim() : "";
+    const branch = branchName ? String(branchName).trim() : "";
+    if (!branch) return system || null;
+    if (!system || branch.toLowerCase().includes(system.toLowerCase())) return branch;
+    return `${system} - ${branch}`;
+};
+
+// Join audience/age tags into a single label for parseAgeRange
+const joinTags = (tags) => {
+    const names = (Array.isArray(tags) ? tags : String(tags || "").split(","))
+        .map((tag) => (tag && typeof tag === "object" ? tag.name : tag))
+        .map((name) => String(name || "").trim())
+        .filter(Boolean);
+    return names.length ? names.join(", ") : null;
+};
+
+module.exports = {
+    DEFAULT_WINDOW_DAYS,
+    MAX_PAGES,
+    toLocalIso,
+    formatDay,
+    joinVenue,
+    joinTags,
+};
@@ -0,0 +1,92 @@
+const { toActivity, toPlainText } = require("../structuredData");
+const {
+    DEFAULT_WINDOW_DAYS,
+    toLocalIso,
+    formatDay,
+    joinVenue,
+    joinTags,
+} = require("./common");
+
+/**
+ * Communico adapter.
+ * Calendars live on <system>.libnet.info (or communico.co) and the calendar
+ * page loads its events from /eeventcaldata in one request per date window.
+ */
+
+const HOST_PATTERN = /^([a-z0-9-]+)\.(libnet\.info|communico\.co)$/i;
+
+const detect = (url, html) => {
+    const { hostname, origin } = new URL(url);
+    if (HOST_PATTERN.test(hostname)) return `${origin}/events`;
+    const embed = String(html || "").match(
+        /https?:\/\/([a-z0-9-]+)\.(libnet\.info|communico\.co)/i,
+    );
+    return embed ? `https://${embed[1].toLowerCase()}.${embed[2].toLowerCase()}/events` : null;
+};
+
+/**
+ * Map an eeventcaldata response to activities.
+ * @param {Array<Object>} json - Response from /eeventcaldata.
+ * @param {Object} options
+ * @param {string} options.calendarUrl - Detected calendar URL.
+ * @param {string} [options.defaultVenue] - Registry venue (library system) name.
+ * @returns {Array<Object>}
+ */
+const mapResponse = (json, { calendarUrl, defaultVenue = null }) => {
+    const { origin } = new URL(calendarUrl);
+    return (Array.isArray(json) ? json : [])
+        .filter((item) => !/cancel/i.test(String(item.changed || item.status || "")))
+        .map((item) => {
+            const registers = String(item.registration_enabled) === "1" ||
+                item.registration_enabled === true;
+            return toActivity({
+                title: toPlainText([item.title, item.sub_title].filter(Boolean).join(": ")),
+                venue: joinVenue(defaultVenue, item.library || item.location),
+                description: toPlainText(item.long_description || item.description),
+                isoDate: toLocalIso(item.raw_start_time),
+                endTime: toLocalIso(item.raw_end_time),
+                ageRange: joinTags(item.ages),
+                registrationUrl: item.url || `${origin}/event/${item.id}`,
+                isRegistrationRequired: registers,
+            });
+        });
+};
+
+/**
+ * Pull upcoming events for a Communico calendar.
+ * @param {Object} options
+ * @param {string} options.calendarUrl - Detected calendar URL.
+ * @param {Function} options.fetchJson - async (url) => parsed JSON.
+ * @param {Date} [options.from] - Start of the window.
+ * @param {number} [options.days] - Window length in days.
+ * @param {string} [options.defaultVenue] - Registry venue name.
+ * @returns {Promise<Array<Object>>}
+ */
+const fetchEvents = async ({
+    calendarUrl,
+    fetchJson,
+    from = new Date(),
+    days = DEFAULT_WINDOW_DAYS,
+    defaultVenue = null,
+}) => {
+    const { origin } = new URL(calendarUrl);
+    const req = JSON.stringify({
+        private: false,
+        date: formatDay(from),
+        days,
+        locations: [],
+        ages: [],
+        types: [],
+    });
+    const json = await fetchJson(
+        `${origin}/eeventcaldata?event_type=0&req=${encodeURIComponent(req)}`,
+    );
+    return mapResponse(json, { calendarUrl, defaultVenue });
+};
+
+module.exports = {
+    name: "communico",
+    detect,
+    mapResponse,
+    fetchEvents,
+};
@@ -0,0 +1,55 @@
+const libcal = require("./libcal");
+const bibliocommons = require("./bibliocommons");
+const communico = require("./communico");
+const librarymarket = require("./librarymarket");
+
+/**
+ * Native adapters for hosted library calendar platforms.
+ * Each adapter exposes:
+ *   - detect(url, html) -> calendar URL or null
+ *   - mapResponse(json, options) -> activities (pure, fixture-tested)
+ *   - fetchEvents({ calendarUrl, fetchJson, from, days, defaultVenue }) -> activities
+ * Sources that match no adapter are "generic" and use Jina + Gemini.
+ */
+
+// Order matters: a registry URL on the platform's own host is checked first,
+// then markup embeds, and LibraryMarket's self-hosted markers are the loosest.
+const ADAPTERS = [libcal, bibliocommons, communico, librarymarket];
+
+const GENERIC_PLATFORM = "generic";
+
+/**
+ * Detect which calendar platform a registry entry runs on.
+ * @param {string} url - Registry URL.
+ * @param {string} [html] - Raw page HTML, used to find embedded calendars.
+ * @returns {{platform: string, calendarUrl: string|null}}
+ */
+const detectPlatform = (url, html = "") => {
+    try {
+        for (const adapter of ADAPTERS) {
+            const calendarUrl = adapter.detect(url, null);
+            if (calendarUrl) return { platform: adapter.name, calendarUrl };
+        }
+        for (const adapter of ADAPTERS) {
+            const calendarUrl = adapter.detect(url, html);
+            if (calendarUrl) return { platform: adapter.name, calendarUrl };
+        }
+    } catch (error) {
+        console.warn(`⚠️ Platform detection failed for ${url}:`, error.message);
+    }
+    return { platform: GENERIC_PLATFORM, calendarUrl: null };
+};
+
+/**
+ * Look up the adapter for a stored platform name.
+ * @param {string} platform - Value of the registry `platform` field.
+ * @returns {Object|null} Adapter, or null for generic sources.
+ */
+const getAdapter = (platform) =>
+    ADAPTERS.find((adapter) => adapter.name === platform) || null;
+
+module.exports = {
+    GENERIC_PLATFORM,
+    detectPlatform,
+    getAdapter,
+};
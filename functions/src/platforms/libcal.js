@@ -0,0 +1,106 @@
+const { toActivity, toPlainText } = require("../structuredData");
+const {
+    DEFAULT_WINDOW_DAYS,
+    MAX_PAGES,
+    toLocalIso,
+    formatDay,
+    joinVenue,
+    joinTags,
+} = require("./common");
+
+/**
+ * Springshare LibCal adapter.
+ * Calendars live on <system>.libcal.com and expose a public list endpoint
+ * at /ajax/calendar/list that the calendar page itself uses.
+ */
+
+const PER_PAGE = 100;
+
+const detect = (url, html) => {
+    const { hostname, origin, searchParams } = new URL(url);
+    if (/\.libcal\.com$/i.test(hostname)) {
+        const cid = searchParams.get("cid");
+        return cid ? `${origin}/calendar?cid=${cid}` : `${origin}/calendar`;
+    }
+    const embed = String(html || "").match(/https?:\/\/([a-z0-9-]+)\.libcal\.com/i);
+    return embed ? `https://${embed[1].toLowerCase()}.libcal.com/calendar` : null;
+};
+
+const buildListUrl = (calendarUrl, date, page) => {
+    const { origin, searchParams } = new URL(calendarUrl);
+    const params = new URLSearchParams({
+        c: searchParams.get("cid") || "-1",
+        date,
+        perpage: String(PER_PAGE),
+        page: String(page),
+        audience: "",
+        cats: "",
+        camps: "",
+        inc: "0",
+    });
+    return `${origin}/ajax/calendar/list?${params}`;
+};
+
+/**
+ * Map a LibCal list response to activities.
+ * @param {Object} json - Response from /ajax/calendar/list.
+ * @param {Object} options
+ * @param {string} [options.defaultVenue] - Registry venue (library system) name.
+ * @returns {Array<Object>}
+ */
+const mapResponse = (json, { defaultVenue = null } = {}) =>
+    (json?.results || []).map((item) =>
+        toActivity({
+            title: toPlainText(item.title),
+            // `location` is a room inside the branch, so only the campus names a place
+            venue: joinVenue(defaultVenue, item.campus),
+            description: toPlainText(item.shortdesc || item.description),
+            isoDate: toLocalIso(item.startdt),
+            endTime: toLocalIso(item.enddt),
+            ageRange: joinTags(item.audiences || item.audience),
+            registrationUrl: item.url || null,
+            isRegistrationRequired: !!item.registration,
+        }),
+    );
+
+/**
+ * Pull upcoming events for a LibCal calendar.
+ * @param {Object} options
+ * @param {string} options.calendarUrl - Detected calendar URL.
+ * @param {Function} options.fetchJson - async (url) => parsed JSON.
+ * @param {Date} [options.from] - Start of the window.
+ * @param {number} [options.days] - Window length in days.
+ * @param {string} [options.defaultVenue] - Registry venue name.
+ * @returns {Promise<Array<Object>>}
+ */
+const fetchEvents = async ({
+    calendarUrl,
+    fetchJson,
+    from = new Date(),
+    days = DEFAULT_WINDOW_DAYS,
+    defaultVenue = null,
+}) => {
+    const start = formatDay(from);
+    const end = formatDay(from, days);
+    const events = [];
+
+    for (let page = 1; page <= MAX_PAGES; page++) {
+        const json = await fetchJson(buildListUrl(calendarUrl, start, page));
+        const mapped = mapResponse(json, { defaultVenue });
+        events.push(...mapped);
+
+        const total = Number(json?.total_results) || 0;
+        const lastDay = mapped.length ? mapped[mapped.length - 1].isoDate : null;
+        if (mapped.length < PER_PAGE || page * PER_PAGE >= total) break;
+        if (lastDay && lastDay.split("T")[0] > end) break;
+    }
+
+    return events.filter((act) => act.isoDate && act.isoDate.split("T")[0] <= end);
+};
+
+module.exports = {
+    name: "libcal",
+    detect,
+    mapResponse,
+    fetchEvents,
+};
@@ -0,0 +1,88 @@
+const { toActivity, toPlainText } = require("../structuredData");
+const {
+    DEFAULT_WINDOW_DAYS,
+    toLocalIso,
+    formatDay,
+    joinVenue,
+    joinTags,
+} = require("./common");
+
+/**
+ * LibraryMarket (LibraryCalendar) adapter.
+ * Sites run on <system>.librarycalendar.com or on the library's own domain;
+ * both expose the JSON events feed at /events/feed/json.
+ */
+
+const GENERATOR = /<meta\b(?=[^>]*\bname=["']generator["'])[^>]*\bcontent=["'][^"']*\b(librarymarket|librarycalendar)\b/i;
+const LC_EVENT_CONTAINER = /\bclass=["'](?:[^"']*\s)?lc-event(?:\s[^"']*)?["']/i;
+const FEED_ENDPOINT = /\/events\/feed\/(json|ical)\b/i;
+
+const detect = (url, html) => {
+    const { hostname, origin } = new URL(url);
+    if (/\.librarycalendar\.com$/i.test(hostname)) return `${origin}/events`;
+    const page = String(html || "");
+    const embed = page.match(/https?:\/\/([a-z0-9-]+)\.librarycalendar\.com/i);
+    if (embed) return `https://${embed[1].toLowerCase()}.librarycalendar.com/events`;
+    // Self-hosted LibraryCalendar sites name themselves in their generator tag,
+    // or render lc-event containers alongside the feed they're built from
+    if (GENERATOR.test(page) || (LC_EVENT_CONTAINER.test(page) && FEED_ENDPOINT.test(page))) return `${origin}/events`;
+    return null;
+};
+
+/**
+ * Map a LibraryCalendar JSON feed to activities.
+ * @param {Array<Object>} json - Response from /events/feed/json.
+ * @param {Object} options
+ * @param {string} options.calendarUrl - Detected calendar URL.
+ * @param {string} [options.defaultVenue] - Registry venue (library system) name.
+ * @returns {Array<Object>}
+ */
+const mapResponse = (json, { calendarUrl, defaultVenue = null }) =>
+    (Array.isArray(json) ? json : [])
+        .filter((item) => !/cancel/i.test(String(item.status || "")))
+        .map((item) =>
+            toActivity({
+                title: toPlainText(item.title),
+                venue: joinVenue(defaultVenue, item.branch),
+                description: toPlainText(item.description),
+                isoDate: toLocalIso(item.start_date),
+                endTime: toLocalIso(item.end_date),
+                ageRange: joinTags(item.age_groups),
+                registrationUrl: item.registration_url ||
+                    (item.url ? new URL(item.url, calendarUrl).toString() : null),
+                isRegistrationRequired: !!item.registration_required,
+            }),
+        );
+
+/**
+ * Pull upcoming events for a LibraryCalendar site.
+ * @param {Object} options
+ * @param {string} options.calendarUrl - Detected calendar URL.
+ * @param {Function} options.fetchJson - async (url) => parsed JSON.
+ * @param {Date} [options.from] - Start of the window.
+ * @param {number} [options.days] - Window length in days.
+ * @param {string} [options.defaultVenue] - Registry venue name.
+ * @returns {Promise<Array<Object>>}
+ */
+const fetchEvents = async ({
+    calendarUrl,
+    fetchJson,
+    from = new Date(),
+    days = DEFAULT_WINDOW_DAYS,
+    defaultVenue = null,
+}) => {
+    const { origin } = new URL(calendarUrl);
+    const params = new URLSearchParams({
+        start: formatDay(from),
+        end: formatDay(from, days),
+    });
+    const json = await fetchJson(`${origin}/events/feed/json?${params}`);
+    return mapResponse(json, { calendarUrl, defaultVenue });
+};
+
+module.exports = {
+    name: "librarymarket",
+    detect,
+    mapResponse,
+    fetchEvents,
+};
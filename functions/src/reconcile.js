@@ -0,0 +1,227 @@
+const { titleSimilarity, venueSimilarity, mergeActivity, START_TOLERANCE_SECONDS } = require("./dedupe");
+const { toEpochSeconds } = require("./dates");
+
+/**
+ * Re-scrape reconciliation.
+ * On a cache miss the new extraction for a source is compared with the upcoming
+ * activities that source produced last time: matching events get their changed
+ * fields updated, events that vanished from the page are marked cancelled, and
+ * every change is appended to the activity's `history` for the app to show.
+ */
+
+// Fields whose changes are recorded in an activity's history
+const TRACKED_FIELDS = [
+    "title",
+    "venue",
+    "description",
+    "startTime",
+    "endTime",
+    "ageRange",
+    "requiresBooking",
+    "registrationUrl",
+];
+
+// Oldest history entries are dropped beyond this
+const MAX_HISTORY = 20;
+
+// A retitled/renamed event must stay on the same day to be treated as the same event
+const SAME_DAY_SECONDS = 12 * 60 * 60;
+const MIN_TITLE_SIMILARITY = 0.7;
+const MIN_VENUE_SIMILARITY = 0.5;
+
+// Don't cancel in bulk when a page suddenly lists far fewer events (layout change, error page)
+const MIN_EVENTS_FOR_DROP_CHECK = 4;
+const MAX_DROP_RATIO = 0.5;
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+const sameValue = (a, b) => (a ?? null) === (b ?? null);
+
+/**
+ * Field-level differences between two activity docs.
+ * @param {Object} before - Stored activity.
+ * @param {Object} after - Updated activity.
+ * @returns {Object} { field: { from, to } } for each tracked field that changed.
+ */
+const diffFields = (before, after) => {
+    const changes = {};
+    for (const field of TRACKED_FIELDS) {
+        if (!sameValue(before[field], after[field])) {
+            changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+        }
+    }
+    return changes;
+};
+
+/**
+ * Append an entry to an activity's change history, newest last.
+ * @param {Array<Object>} [history] - Existing `history` field.
+ * @param {Object} entry - { at, type, sourceUrl, changes? }
+ * @returns {Array<Object>}
+ */
+const appendHistory = (history, entry) => [...(history || []), entry].slice(-MAX_HISTORY);
+
+// Same activity under a new title, venue name or time on the same day
+const renameScore = (before, after) => {
+    const gap = Math.abs(before.startTime - after.startTime);
+    if (gap > SAME_DAY_SECONDS) return 0;
+    if (venueSimilarity(before.venue, after.venue) < MIN_VENUE_SIMILARITY) return 0;
+    const title = titleSimilarity(before.title, after.title);
+    // A new title is only trusted when the slot is unchanged
+    if (title < MIN_TITLE_SIMILARITY && gap > START_TOLERANCE_SECONDS) return 0;
+    return title + (1 - gap / SAME_DAY_SECONDS);
+};
+
+/**
+ * Pair this source's stored activities with the new extraction.
+ * Activities are matched by doc id first (same title, venue and day), then by
+ * same-day similarity so a retitled or re-timed event keeps its doc.
+ * @param {Array<{id: string, data: Object}>} stored - Upcoming activities listed by the source.
+ * @param {Array<{id: string, doc: Object}>} incoming - Docs built from the new extraction.
+ * @returns {{matched: Array<{id: string, data: Object, doc: Object}>, missing: Array<{id: string, data: Object}>, added: Array<{id: string, doc: Object}>}}
+ */
+const planReconciliation = (stored, incoming) => {
+    const storedById = new Map(stored.map((entry) => [entry.id, entry]));
+    const matched = [];
+    const unmatched = [];
+    for (const entry of incoming) {
+        const previous = storedById.get(entry.id);
+        if (previous) {
+            matched.push({ id: entry.id, data: previous.data, doc: entry.doc });
+            storedById.delete(entry.id);
+        } else {
+            unmatched.push(entry);
+        }
+    }
+
+    const added = [];
+    for (const entry of unmatched) {
+        let best = null;
+        for (const previous of storedById.values()) {
+            const score = renameScore(previous.data, entry.doc);
+            if (score > 0 && (!best || score > best.score)) best = { previous, score };
+        }
+        if (best) {
+            matched.push({ id: best.previous.id, data: best.previous.data, doc: entry.doc });
+            storedById.delete(best.previous.id);
+        } else {
+            added.push(entry);
+        }
+    }
+
+    return { matched, missing: [...storedById.values()], added };
+};
+
+const expiryFor = ({ startTime, endTime }) => new Date(((endTime || startTime) + DAY_SECONDS) * 1000);
+
+const sourceFields = (doc, sourceUrl) =>
+    JSON.stringify((doc.sources || []).find((entry) => entry.sourceUrl === sourceUrl)?.fields || null);
+
+/**
+ * Fields to write for a stored activity that the source still lists.
+ * The source's provenance entry is replaced and every field re-picked by trust,
+ * so a less trusted source can't overwrite what a better one says.
+ * @param {Object} stored - Stored activity.
+ * @param {Object} doc - Activity doc built from the new extraction.
+ * @param {string} sourceUrl - Source being reconciled.
+ * @param {number} [nowSeconds]
+ * @returns {{fields: Object, changes: Object}|null} null when nothing changed.
+ */
+const buildUpdate = (stored, doc, sourceUrl, nowSeconds = Math.floor(Date.now() / 1000)) => {
+    const merged = mergeActivity(stored, doc);
+    const changes = diffFields(stored, merged);
+    const reinstated = stored.status === "cancelled";
+    const hasChanges = Object.keys(changes).length > 0;
+    if (!hasChanges && !reinstated && sourceFields(stored, sourceUrl) === sourceFields(merged, sourceUrl)) {
+        return null;
+    }
+
+    const fields = { ...merged, updatedAt: nowSeconds };
+    if (changes.startTime || changes.endTime) fields.expireAt = expiryFor(merged);
+
+    let history = stored.history;
+    if (reinstated) {
+        fields.status = "scheduled";
+        fields.cancelledAt = null;
+        history = appendHistory(history, { at: nowSeconds, type: "reinstated", sourceUrl });
+    }
+    if (hasChanges) {
+        history = appendHistory(history, { at: nowSeconds, type: "changed", sourceUrl, changes });
+    }
+    if (history !== stored.history) fields.history = history;
+
+    return { fields, changes };
+};
+
+/**
+ * Fields to write for a stored activity the source no longer lists.
+ * When other sources still list it only this source's provenance is dropped;
+ * otherwise the activity is marked cancelled.
+ * @param {Object} stored - Stored activity.
+ * @param {string} sourceUrl - Source being reconciled.
+ * @param {number} [nowSeconds]
+ * @returns {{fields: Object, cancelled: boolean}|null} null when already cancelled.
+ */
+const buildCancellation = (stored, sourceUrl, nowSeconds = Math.floor(Date.now() / 1000)) => {
+    if (stored.status === "cancelled") return null;
+
+    const remaining = (stored.sources || []).filter((entry) => entry.sourceUrl !== sourceUrl);
+    if (remaining.length > 0) {
+        const merged = mergeActivity({ ...stored, sources: remaining }, { sources: remaining });
+        const changes = diffFields(stored, merged);
+        const fields = { ...merged, updatedAt: nowSeconds };
+        if (Object.keys(changes).length > 0) {
+            fields.history = appendHistory(stored.history, {
+                at: nowSeconds,
+                type: "changed",
+                sourceUrl: merged.sourceUrl,
+                changes,
+            });
+        }
+        return { fields, cancelled: false };
+    }
+
+    return {
+        fields: {
+            status: "cancelled",
+            cancelledAt: nowSeconds,
+            updatedAt: nowSeconds,
+            history: appendHistory(stored.history, { at: nowSeconds, type: "cancelled", sourceUrl }),
+        },
+        cancelled: true,
+    };
+};
+
+/**
+ * Decide whether missing events can be cancelled, using the previous
+ * extraction (`parsed_json`) as the baseline.
+ * @param {string} [previousJson] - parsed_json from the last run.
+ * @param {number} currentCount - Upcoming events in the new extraction.
+ * @param {number} [nowSeconds]
+ * @returns {boolean} false when the page looks broken rather than changed.
+ */
+const canCancelMissing = (previousJson, currentCount, nowSeconds = Math.floor(Date.now() / 1000)) => {
+    if (currentCount === 0) return false;
+    let previous = [];
+    try {
+        previous = JSON.parse(previousJson || "[]");
+    } catch (error) {
+        previous = [];
+    }
+    const previousUpcoming = (Array.isArray(previous) ? previous : []).filter((act) => {
+        const start = toEpochSeconds(act?.isoDate);
+        return start !== null && start >= nowSeconds;
+    }).length;
+    if (previousUpcoming < MIN_EVENTS_FOR_DROP_CHECK) return true;
+    return currentCount >= previousUpcoming * (1 - MAX_DROP_RATIO);
+};
+
+module.exports = {
+    TRACKED_FIELDS,
+    diffFields,
+    appendHistory,
+    planReconciliation,
+    buildUpdate,
+    buildCancellation,
+    canCancelMissing,
+};
@@ -0,0 +1,173 @@
+const { DEFAULT_TIMEZONE, isTimeZone } = require("./dates");
+
+/**
+ * Region configuration.
+ * A region (`config_regions/{id}`) is a launch area: a state, province or
+ * country. It says how to geocode there (a suffix appended to venue names, a
+ * country bias and the bounds a result must fall in), which IANA zone its
+ * events are in, and which locale and language its pages are written in, which
+ * the extraction prompt is told. Its cities are the `config_cities` docs whose
+ * `region` is the region id; cities and sources from before regions existed
+ * belong to California, the default.
+ */
+
+const DEFAULT_REGION_ID = "ca";
+
+const DEFAULT_DISCOVERY_QUERIES = ["public library in {city}", "park in {city}"];
+
+// Used whenever a region doc is missing, so the pipeline keeps working unconfigured
+const DEFAULT_REGION = Object.freeze({
+    id: DEFAULT_REGION_ID,
+    name: "California",
+    countryCode: "US",
+    geocodeSuffix: "California",
+    bounds: { south: 32.5, west: -124, north: 42, east: -114 },
+    timeZone: DEFAULT_TIMEZONE,
+    locale: "en-US",
+    language: "English",
+    discoveryQueries: DEFAULT_DISCOVERY_QUERIES,
+});
+
+// Cached region docs are re-read after this long
+const CACHE_TTL_MS = 10 * 60 * 1000;
+
+const isLocale = (value) => {
+    try {
+        return Intl.DateTimeFormat.supportedLocalesOf([value]).length > 0;
+    } catch (error) {
+        return false;
+    }
+};
+
+const isBounds = (bounds) =>
+    !!bounds &&
+    ["south", "west", "north", "east"].every((side) => typeof bounds[side] === "number") &&
+    bounds.south < bounds.north &&
+    bounds.south >= -90 &&
+    bounds.north <= 90;
+
+/**
+ * Problems with a region config.
+ * @param {Object} data - config_regions document data.
+ * @returns {Array<string>} Empty when valid.
+ */
+const validateRegion = (data) => {
+    const problems = [];
+    if (!data || typeof data !== "object") return ["region must be an object"];
+    if (typeof data.name !== "string" || data.name.trim() === "") problems.push("name is required");
+    if (!isTimeZone(data.timeZone)) problems.push("timeZone must be an IANA time zone");
+    if (data.countryCode !== undefined && !/^[A-Z]{2}$/.test(data.countryCode)) {
+        problems.push("countryCode must be an ISO 3166-1 alpha-2 code");
+    }
+    if (data.locale !== undefined && !isLocale(data.locale)) problems.push("locale must be a BCP 47 tag");
+    if (data.bounds !== undefined && data.bounds !== null && !isBounds(data.bounds)) {
+        problems.push("bounds must have south < north, west and east in degrees");
+    }
+    if (
+        data.discoveryQueries !== undefined &&
+        !(Array.isArray(data.discoveryQueries) && data.discoveryQueries.every((query) => typeof query === "string" && query.includes("{city}")))
+    ) {
+        problems.push("discoveryQueries must be strings containing {city}");
+    }
+    return problems;
+};
+
+/**
+ * A region doc with defaults filled in.
+ * @param {string} id - config_regions doc id.
+ * @param {Object} data - Document data.
+ * @returns {Object} Region.
+ */
+const normalizeRegion = (id, data = {}) => ({
+    id,
+    name: data.name || id,
+    countryCode: data.countryCode || "US",
+    geocodeSuffix: data.geocodeSuffix ?? data.name ?? "",
+    bounds: isBounds(data.bounds) ? data.bounds : null,
+    timeZone: isTimeZone(data.timeZone) ? data.timeZone : DEFAULT_TIMEZONE,
+    locale: data.locale && isLocale(data.locale) ? data.locale : "en-US",
+    language: data.language || "English",
+    discoveryQueries: data.discoveryQueries?.length ? data.discoveryQueries : DEFAULT_DISCOVERY_QUERIES,
+});
+
+/**
+ * Whether a point falls inside a region's bounds (regions without bounds accept anything).
+ * Bounds with west > east cross the antimeridian.
+ * @param {Object} region
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {boolean}
+ */
+const isInRegion = (region, lat, lng) => {
+    const { bounds } = region;
+    if (!bounds) return true;
+    if (lat < bounds.south || lat > bounds.north) return false;
+    return bounds.west <= bounds.east
+        ? lng >= bounds.west && lng <= bounds.east
+        : lng >= bounds.west || lng <= bounds.east;
+};
+
+/**
+ * Discovery search queries for a city.
+ * @param {Object} region
+ * @param {string} cityName
+ * @returns {Array<string>}
+ */
+const discoveryQueriesFor = (region, cityName) =>
+    region.discoveryQueries.map((query) => query.replace(/\{city\}/g, cityName));
+
+/**
+ * config_cities doc id for a city. California's ids predate regions and carry no prefix.
+ * @param {string} regionId
+ * @param {string} cityName - e.g. "Portland, OR".
+ * @returns {string} e.g. "or_portland".
+ */
+const cityDocId = (regionId, cityName) => {
+    const slug = cityName
+        .split(",")[0]
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "_")
+        .replace(/^_+|_+$/g, "");
+    return regionId === DEFAULT_REGION_ID ? slug : `${regionId}_${slug}`;
+};
+
+/**
+ * Cached region lookups.
+ * @param {Object} options
+ * @param {Firestore} options.db
+ * @param {function(): number} [options.now] - Epoch ms.
+ * @returns {{get: function(string=): Promise<Object>}}
+ */
+const createRegionStore = ({ db, now = Date.now }) => {
+    const cache = new Map();
+    return {
+        get: async (regionId = DEFAULT_REGION_ID) => {
+            const id = regionId || DEFAULT_REGION_ID;
+            const cached = cache.get(id);
+            if (cached && now() - cached.loadedAt < CACHE_TTL_MS) return cached.region;
+
+            const snap = await db.collection("config_regions").doc(id).get();
+            let region;
+            if (snap.exists) {
+                region = normalizeRegion(id, snap.data());
+            } else {
+                if (id !== DEFAULT_REGION_ID) console.warn(`⚠️ Unknown region "${id}"; using ${DEFAULT_REGION.name}`);
+                region = DEFAULT_REGION;
+            }
+            cache.set(id, { region, loadedAt: now() });
+            return region;
+        },
+    };
+};
+
+module.exports = {
+    DEFAULT_REGION_ID,
+    DEFAULT_REGION,
+    validateRegion,
+    normalizeRegion,
+    isInRegion,
+    discoveryQueriesFor,
+    cityDocId,
+    createRegionStore,
+};
@@ -0,0 +1,136 @@
+const { HttpsError } = require("firebase-functions/v2/https");
+
+/**
+ * Review quarantine for low-confidence events.
+ * The scraper parks events it isn't sure about in `pending_review/{eventId}`
+ * with everything needed to publish them later (the extracted event, venue
+ * coordinates, source provenance and timing). An admin approves (optionally
+ * with edits), edits, or rejects each one; the decision sticks, so the next
+ * scrape publishes an approved event (with the admin's edits) and drops a
+ * rejected one instead of queueing it again.
+ */
+
+const PENDING = "pending";
+const APPROVED = "approved";
+const REJECTED = "rejected";
+
+// Reviewed entries outlive the event by this long, for the record
+const KEEP_AFTER_EVENT_SECONDS = 30 * 24 * 60 * 60;
+
+// Fields an admin may change, by expected type
+const EDITABLE_FIELDS = {
+    title: "string",
+    venue: "string",
+    description: "string",
+    isoDate: "string",
+    endTime: "string",
+    ageRange: "string",
+    isRegistrationRequired: "boolean",
+    registrationUrl: "string",
+    cost: "string",
+    isFree: "boolean",
+    setting: "string",
+    languages: "array",
+    accessibility: "array",
+    categories: "array",
+};
+
+// "array" fields are lists of strings
+const hasType = (value, type) =>
+    type === "array" ? Array.isArray(value) && value.every((item) => typeof item === "string") : typeof value === type;
+
+/**
+ * Check admin edits: a plain object of EDITABLE_FIELDS with the right types.
+ * @param {Object} edits - field -> value; null clears an optional field.
+ * @returns {Array<string>} Problems; empty when valid.
+ */
+const validateEdits = (edits) => {
+    const prototype = edits && typeof edits === "object" ? Object.getPrototypeOf(edits) : undefined;
+    if (prototype !== Object.prototype && prototype !== null) return ["edits must be an object"];
+    const problems = [];
+    for (const [field, value] of Object.entries(edits)) {
+        if (!Object.hasOwn(EDITABLE_FIELDS, field)) {
+            problems.push(`"${field}" can't be edited`);
+        } else if (value !== null && !hasType(value, EDITABLE_FIELDS[field])) {
+            const expected = EDITABLE_FIELDS[field] === "array" ? "list of strings" : EDITABLE_FIELDS[field];
+            problems.push(`"${field}" must be a ${expected}`);
+        }
+    }
+    return problems;
+};
+
+/**
+ * Apply admin edits to an extracted event.
+ * @param {Object} act - Event in the extraction shape.
+ * @param {Object} [edits] - field -> value; null clears an optional field.
+ * @returns {Object} Edited event.
+ * @throws {HttpsError} invalid-argument for unknown fields or wrong types.
+ */
+const applyEdits = (act, edits = {}) => {
+    const problems = validateEdits(edits);
+    if (problems.length > 0) throw new HttpsError("invalid-argument", problems.join("; "));
+    return { ...act, ...edits };
+};
+
+/**
+ * `pending_review` document for a quarantined event.
+ * @param {Object} params
+ * @param {Object} params.act - Extracted event.
+ * @param {Object} params.times - Resolved times (validateEvent).
+ * @param {number} params.confidence
+ * @param {Object} params.signals - Confidence signals.
+ * @param {string} params.registryId
+ * @param {string} params.venueName - Registry venue name.
+ * @param {string} params.sourceUrl
+ * @param {Object} params.coordinates - { lat, lng, address }.
+ * @param {Object} params.provenance - { method, trust }.
+ * @param {Object} params.timing - { timeZone, referenceDate }.
+ * @param {number} params.nowSeconds
+ * @returns {Object}
+ */
+const buildReviewEntry = ({
+    act,
+    times,
+    confidence,
+    signals,
+    registryId,
+    venueName,
+    sourceUrl,
+    coordinates,
+    provenance,
+    timing,
+    nowSeconds,
+}) => ({
+    status: PENDING,
+    event: act,
+    startTime: times.startTime,
+    confidence,
+    signals,
+    registryId,
+    venueName: venueName || null,
+    sourceUrl,
+    coordinates: {
+        lat: coordinates.lat ?? null,
+        lng: coordinates.lng ?? null,
+        address: coordinates.address ?? null,
+    },
+    provenance,
+    timing: {
+        timeZone: timing.timeZone,
+        referenceDate: timing.referenceDate ?? null,
+    },
+    edits: {},
+    createdAt: nowSeconds,
+    lastSeenAt: nowSeconds,
+    expireAt: new Date((times.endTime + KEEP_AFTER_EVENT_SECONDS) * 1000),
+});
+
+module.exports = {
+    PENDING,
+    APPROVED,
+    REJECTED,
+    EDITABLE_FIELDS,
+    validateEdits,
+    applyEdits,
+    buildReviewEntry,
+};
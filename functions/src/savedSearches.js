@@ -0,0 +1,304 @@
+const geofire = require("geofire-common");
+const { CATEGORIES } = require("./attributes");
+const { suitsAge } = require("./ages");
+const { DEFAULT_TIMEZONE, localTimeOfWeek } = require("./dates");
+
+/**
+ * Saved searches: a parent's standing query (where, how far, their child's age,
+ * categories, which days and times suit them). New activities are matched
+ * against them for push alerts, and a weekly digest lists what matches in the
+ * coming week. A `saved_searches` doc is
+ *   { uid, name, lat, lng, radiusKm, ageMonths, ageMonthsAt, categories, days,
+ *     timeFrom, timeTo, notify, digest, cells, createdAt, updatedAt }
+ * `cells` are the geohash cells the search circle touches, so a new activity
+ * finds its candidate searches with one array-contains query on its own cell.
+ */
+
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 50;
+const MAX_SAVED_SEARCHES = 10;
+
+// Geohash precision of `cells` (~39 x 20 km)
+const CELL_PRECISION = 4;
+const CELL_HEIGHT_DEGREES = 180 / 2 ** 10;
+const CELL_WIDTH_DEGREES = 360 / 2 ** 10;
+const KM_PER_DEGREE = 111.32;
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const CLOCK_TIME = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Push alerts per user per (local) day, and digest length
+const DEFAULT_MAX_ALERTS_PER_DAY = 3;
+const DIGEST_LIMIT = 10;
+const DIGEST_DAYS = 7;
+
+const MONTH_SECONDS = (365.25 / 12) * 24 * 60 * 60;
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+/**
+ * Problems with a saved search sent by the app.
+ * @param {Object} input - { name, lat, lng, radiusKm?, ageMonths?, categories?, days?, timeFrom?, timeTo?, notify?, digest? }
+ * @returns {Array<string>} Empty when valid.
+ */
+const validateSavedSearch = (input) => {
+    if (!input || typeof input !== "object") return ["search must be an object"];
+    const problems = [];
+    if (typeof input.name !== "string" || input.name.trim() === "") problems.push("name is required");
+    if (!isNumber(input.lat) || input.lat < -90 || input.lat > 90) problems.push("lat must be a latitude");
+    if (!isNumber(input.lng) || input.lng < -180 || input.lng > 180) problems.push("lng must be a longitude");
+    if (input.radiusKm !== undefined && (!isNumber(input.radiusKm) || input.radiusKm <= 0 || input.radiusKm > MAX_RADIUS_KM)) {
+        problems.push(`radiusKm must be between 0 and ${MAX_RADIUS_KM}`);
+    }
+    if (input.ageMonths != null && (!isNumber(input.ageMonths) || input.ageMonths < 0 || input.ageMonths > 216)) {
+        problems.push("ageMonths must be between 0 and 216");
+    }
+    if (input.categories !== undefined && !(Array.isArray(input.categories) && input.categories.every((category) => CATEGORIES.includes(category)))) {
+        problems.push(`categories must be any of ${CATEGORIES.join(", ")}`);
+    }
+    if (input.days !== undefined && !(Array.isArray(input.days) && input.days.every((day) => DAYS.includes(day)))) {
+        problems.push(`days must be any of ${DAYS.join(", ")}`);
+    }
+    for (const field of ["timeFrom", "timeTo"]) {
+        if (input[field] != null && !CLOCK_TIME.test(input[field])) problems.push(`${field} must be "HH:MM"`);
+    }
+    if (CLOCK_TIME.test(input.timeFrom) && CLOCK_TIME.test(input.timeTo) && input.timeFrom > input.timeTo) {
+        problems.push("timeFrom must not be after timeTo");
+    }
+    for (const field of ["notify", "digest"]) {
+        if (input[field] !== undefined && typeof input[field] !== "boolean") problems.push(`${field} must be a boolean`);
+    }
+    return problems;
+};
+
+/**
+ * Geohash cells (CELL_PRECISION) a search circle touches.
+ * Over-covers the circle with its bounding box; matching checks the true distance.
+ * @param {number} lat
+ * @param {number} lng
+ * @param {number} radiusKm
+ * @returns {Array<string>}
+ */
+const coverageCells = (lat, lng, radiusKm) => {
+    const latSpan = radiusKm / KM_PER_DEGREE;
+    const lngSpan = Math.min(180, radiusKm / (KM_PER_DEGREE * Math.max(Math.cos((lat * Math.PI) / 180), 0.01)));
+    const south = Math.max(-90, lat - latSpan);
+    const north = Math.min(90, lat + latSpan);
+
+    // Sampling at half a cell, edges included, hits every cell the box touches
+    const samples = (from, to, step) => {
+        const values = [];
+        for (let value = from; value < to; value += step) values.push(value);
+        values.push(to);
+        return values;
+    };
+    const cells = new Set();
+    for (const sampleLat of samples(south, north, CELL_HEIGHT_DEGREES / 2)) {
+        for (const sampleLng of samples(lng - lngSpan, lng + lngSpan, CELL_WIDTH_DEGREES / 2)) {
+            const wrapped = ((((sampleLng + 180) % 360) + 360) % 360) - 180;
+            cells.add(geofire.geohashForLocation([Math.min(sampleLat, 89.9999), wrapped], CELL_PRECISION));
+        }
+    }
+    return [...cells].sort();
+};
+
+/**
+ * The cell an activity is filed under in `cells`.
+ * @param {Object} activity - { geohash }.
+ * @returns {string|null}
+ */
+const activityCell = (activity) =>
+    typeof activity.geohash === "string" && activity.geohash.length >= CELL_PRECISION
+        ? activity.geohash.slice(0, CELL_PRECISION)
+        : null;
+
+/**
+ * Saved search fields to store for valid input (see validateSavedSearch).
+ * @param {Object} input
+ * @param {number} [nowSeconds] - When the child's age was given.
+ * @returns {Object}
+ */
+const normalizeSavedSearch = (input, nowSeconds = Math.floor(Date.now() / 1000)) => {
+    const radiusKm = input.radiusKm ?? DEFAULT_RADIUS_KM;
+    const ageMonths = input.ageMonths == null ? null : Math.floor(input.ageMonths);
+    return {
+        name: input.name.trim(),
+        lat: input.lat,
+        lng: input.lng,
+        radiusKm,
+        ageMonths,
+        ageMonthsAt: ageMonths === null ? null : nowSeconds,
+        categories: CATEGORIES.filter((category) => (input.categories || []).includes(category)),
+        days: DAYS.filter((day) => (input.days || []).includes(day)),
+        timeFrom: input.timeFrom ?? null,
+        timeTo: input.timeTo ?? null,
+        notify: input.notify ?? true,
+        digest: input.digest ?? true,
+        cells: coverageCells(input.lat, input.lng, radiusKm),
+    };
+};
+
+/**
+ * The child's age now; it was given when the search was saved and grows with time.
+ * @param {Object} search - { ageMonths, ageMonthsAt }.
+ * @param {number} nowSeconds
+ * @returns {number|null}
+ */
+const currentAgeMonths = (search, nowSeconds) => {
+    if (search.ageMonths === null || search.ageMonths === undefined) return null;
+    const elapsed = Math.max(0, nowSeconds - (search.ageMonthsAt ?? nowSeconds));
+    return search.ageMonths + Math.floor(elapsed / MONTH_SECONDS);
+};
+
+const clockMinutes = (value) => {
+    const [, hours, minutes] = value.match(CLOCK_TIME);
+    return Number(hours) * 60 + Number(minutes);
+};
+
+// Days and times are the venue's local ones, as the parent reads them in the app
+const fitsSchedule = (search, activity) => {
+    const hasDays = (search.days || []).length > 0;
+    if (!hasDays && !search.timeFrom && !search.timeTo) return true;
+    const { weekday, minutes } = localTimeOfWeek(activity.startTime * 1000, activity.timeZone || DEFAULT_TIMEZONE);
+    if (hasDays && !search.days.includes(DAYS[weekday])) return false;
+    if (search.timeFrom && minutes < clockMinutes(search.timeFrom)) return false;
+    if (search.timeTo && minutes > clockMinutes(search.timeTo)) return false;
+    return true;
+};
+
+/**
+ * Whether an activity is what a saved search asks for.
+ * @param {Object} search - Stored saved search.
+ * @param {Object} activity - `activities` doc.
+ * @param {number} [nowSeconds]
+ * @returns {boolean}
+ */
+const matchesSavedSearch = (search, activity, nowSeconds = Math.floor(Date.now() / 1000)) => {
+    if (activity.status === "cancelled") return false;
+    if (typeof activity.latitude !== "number" || typeof activity.longitude !== "number") return false;
+    if (!isNumber(activity.startTime)) return false;
+    const distanceKm = geofire.distanceBetween([activity.latitude, activity.longitude], [search.lat, search.lng]);
+    if (distanceKm > search.radiusKm) return false;
+
+    const ageMonths = currentAgeMonths(search, nowSeconds);
+    if (ageMonths !== null && !suitsAge(activity, ageMonths)) return false;
+    if ((search.categories || []).length > 0 && !search.categories.some((category) => (activity.categories || []).includes(category))) {
+        return false;
+    }
+    return fitsSchedule(search, activity);
+};
+
+/**
+ * Take one of a user's push alerts for today.
+ * The state doc remembers which activities were already sent today, so a
+ * retried trigger doesn't alert twice.
+ * @param {Object|null} state - Stored `notification_state` doc.
+ * @param {Object} options
+ * @param {string} options.day - Local "YYYY-MM-DD".
+ * @param {string} options.activityId
+ * @param {number} [options.maxPerDay]
+ * @returns {Object|null} The state to store, or null when no alert may be sent.
+ */
+const takeAlertSlot = (state, { day, activityId, maxPerDay = DEFAULT_MAX_ALERTS_PER_DAY }) => {
+    const today = state && state.day === day ? state : { day, count: 0, activityIds: [] };
+    if (today.activityIds.includes(activityId) || today.count >= maxPerDay) return null;
+    return { day, count: today.count + 1, activityIds: [...today.activityIds, activityId] };
+};
+
+/**
+ * Local day and time of an activity, for message text.
+ * @param {Object} activity - { startTime, timeZone }.
+ * @returns {string} e.g. "Sat, Jan 3, 10:30 AM".
+ */
+const formatWhen = (activity) =>
+    new Intl.DateTimeFormat("en-US", {
+        timeZone: activity.timeZone || DEFAULT_TIMEZONE,
+        weekday: "short",
+        month: "short",
+        day: "numeric",
+        hour: "numeric",
+        minute: "2-digit",
+    }).format(new Date(activity.startTime * 1000));
+
+/**
+ * Push alert for a new activity matching some of a user's saved searches.
+ * @param {string} activityId
+ * @param {Object} activity
+ * @param {Array<Object>} searches - The user's matching searches ({ id, name }).
+ * @returns {{title: string, body: string, data: Object}}
+ */
+const buildAlertMessage = (activityId, activity, searches) => ({
+    title: `New for "${searches[0].name}": ${activity.title}`,
+    body: `${formatWhen(activity)} at ${activity.venue}`,
+    data: {
+        type: "saved_search_alert",
+        activityId,
+        searchIds: searches.map((search) => search.id).join(","),
+    },
+});
+
+/**
+ * One user's "this week near you" list: upcoming activities matching any of
+ * their saved searches, soonest first.
+ * @param {Array<Object>} searches - The user's searches ({ id, ...fields }).
+ * @param {Array<{id: string, data: Object}>} candidates - Activities near any of the searches.
+ * @param {Object} options
+ * @param {number} options.from - Unix seconds.
+ * @param {number} options.to - Unix seconds.
+ * @param {number} [options.limit]
+ * @returns {Array<Object>} { id, title, venue, startTime, timeZone, ageRange, searchIds }
+ */
+const buildDigest = (searches, candidates, { from, to, limit = DIGEST_LIMIT }) => {
+    const items = new Map();
+    for (const { id, data } of candidates) {
+        if (items.has(id) || !(data.startTime >= from && data.startTime <= to)) continue;
+        const searchIds = searches.filter((search) => matchesSavedSearch(search, data, from)).map((search) => search.id);
+        if (searchIds.length === 0) continue;
+        items.set(id, {
+            id,
+            title: data.title,
+            venue: data.venue,
+            startTime: data.startTime,
+            timeZone: data.timeZone || DEFAULT_TIMEZONE,
+            ageRange: data.ageRange ?? null,
+            searchIds,
+        });
+    }
+    return [...items.values()]
+        .sort((a, b) => a.startTime - b.startTime || (a.id < b.id ? -1 : 1))
+        .slice(0, limit);
+};
+
+/**
+ * Push message announcing a digest.
+ * @param {Array<Object>} items - buildDigest output (not empty).
+ * @param {string} digestId - Doc id the app opens.
+ * @returns {{title: string, body: string, data: Object}}
+ */
+const buildDigestMessage = (items, digestId) => {
+    const titles = items.slice(0, 2).map((item) => item.title);
+    const more = items.length - titles.length;
+    return {
+        title: "This week near you",
+        body: more > 0 ? `${titles.join(", ")} and ${more} more` : titles.join(" and "),
+        data: { type: "weekly_digest", digestId },
+    };
+};
+
+module.exports = {
+    DAYS,
+    MAX_RADIUS_KM,
+    MAX_SAVED_SEARCHES,
+    DEFAULT_MAX_ALERTS_PER_DAY,
+    DIGEST_DAYS,
+    validateSavedSearch,
+    normalizeSavedSearch,
+    coverageCells,
+    activityCell,
+    currentAgeMonths,
+    matchesSavedSearch,
+    takeAlertSlot,
+    buildAlertMessage,
+    buildDigest,
+    buildDigestMessage,
+};
@@ -0,0 +1,150 @@
+/**
+ * Scrape run ledger and source health.
+ * Every scheduler run gets a `scrape_runs/{date}` document with totals, and each
+ * source a `scrape_runs/{date}/sources/{registryId}` record of what happened:
+ * fetch status, cache hit/miss, token usage, events extracted/added/rejected,
+ * errors and duration. Each registry doc keeps a rolling `health` score; a source
+ * that keeps failing, or keeps producing no toddler events, is paused.
+ */
+
+// Registry `scrape_status` of a source paused for poor health
+const PAUSED = "paused";
+
+// Weight of the latest run in the rolling score
+const HEALTH_ALPHA = 0.2;
+
+// Score of each run outcome; runs skipped for budget don't count
+const OUTCOME_SCORES = {
+    ok: 1,
+    zero_yield: 0.25,
+    failed: 0,
+};
+
+/**
+ * Per-source counters filled in while scraping.
+ * @returns {Object}
+ */
+const createSourceStats = () => ({
+    fetchStatus: null,
+    httpStatus: null,
+    cache: null,
+    method: null,
+    // "direct" or "jina": how the crawl's pages were fetched
+    fetchStrategy: null,
+    pagesFetched: 0,
+    // Pages the server reported unchanged (304), skipped without hashing
+    pagesNotModified: 0,
+    pagesExtracted: 0,
+    chunksExtracted: 0,
+    detailPagesFetched: 0,
+    promptTokens: 0,
+    outputTokens: 0,
+    totalTokens: 0,
+    costUsd: 0,
+    eventsExtracted: 0,
+    eventsAdded: 0,
+    eventsChanged: 0,
+    eventsCancelled: 0,
+    eventsMerged: 0,
+    eventsRejected: 0,
+    eventsQuarantined: 0,
+    // validation reason -> events rejected for it
+    rejectionReasons: {},
+});
+
+/**
+ * Outcome of a finished scrape for health purposes.
+ * @param {Object} params
+ * @param {string} [params.status] - scrapeSource status, when it returned.
+ * @param {Object} params.stats - Source stats.
+ * @param {Error} [params.error] - Error, when it gave up.
+ * @returns {string} "ok" | "zero_yield" | "failed" | "skipped"
+ */
+const classifyOutcome = ({ status, stats, error }) => {
+    if (error) return "failed";
+    if (status === "budget_exhausted" || status === "skipped") return "skipped";
+    return stats.eventsExtracted > 0 ? "ok" : "zero_yield";
+};
+
+/**
+ * Fold a run outcome into a source's health.
+ * @param {Object} [health] - Registry doc `health` field.
+ * @param {string} outcome - From classifyOutcome.
+ * @param {Object} options
+ * @param {number} options.nowSeconds
+ * @param {number} options.maxConsecutiveFailures - Pause after this many failed runs in a row (0 = never).
+ * @param {number} options.maxZeroYieldRuns - Pause after this many runs in a row without events (0 = never).
+ * @returns {{health: Object, pauseReason: string|null}}
+ */
+const updateHealth = (health = {}, outcome, { nowSeconds, maxConsecutiveFailures, maxZeroYieldRuns }) => {
+    if (!(outcome in OUTCOME_SCORES)) return { health, pauseReason: null };
+
+    const value = OUTCOME_SCORES[outcome];
+    const score = typeof health.score === "number"
+        ? health.score * (1 - HEALTH_ALPHA) + value * HEALTH_ALPHA
+        : value;
+    const next = {
+        score: Math.round(score * 1000) / 1000,
+        consecutiveFailures: outcome === "failed" ? (health.consecutiveFailures || 0) + 1 : 0,
+        consecutiveZeroYield: outcome === "zero_yield" ? (health.consecutiveZeroYield || 0) + 1 : 0,
+        runs: (health.runs || 0) + 1,
+        lastOutcome: outcome,
+        lastRunAt: nowSeconds,
+        lastYieldAt: outcome === "ok" ? nowSeconds : health.lastYieldAt ?? null,
+    };
+
+    let pauseReason = null;
+    if (maxConsecutiveFailures > 0 && next.consecutiveFailures >= maxConsecutiveFailures) {
+        pauseReason = "failures";
+    } else if (maxZeroYieldRuns > 0 && next.consecutiveZeroYield >= maxZeroYieldRuns) {
+        pauseReason = "zero_yield";
+    }
+    return { health: next, pauseReason };
+};
+
+/**
+ * `scrape_runs/{runId}/sources/{registryId}` record.
+ * @param {Object} params
+ * @returns {Object}
+ */
+const buildSourceRecord = ({ registryId, libraryData, attempt, status, outcome, stats, error, durationMs, nowSeconds }) => ({
+    registryId,
+    url: libraryData.url_hash || null,
+    venueName: libraryData.venue_name || null,
+    attempt,
+    status: status || null,
+    outcome,
+    ...stats,
+    error: error ? error.message || String(error) : null,
+    durationMs,
+    finishedAt: nowSeconds,
+});
+
+/**
+ * Amounts to add to the run totals for a source's final attempt.
+ * @param {string} outcome
+ * @param {Object} stats
+ * @returns {Object} field -> increment
+ */
+const runTotals = (outcome, stats) => ({
+    sourcesFinished: 1,
+    sourcesFailed: outcome === "failed" ? 1 : 0,
+    sourcesZeroYield: outcome === "zero_yield" ? 1 : 0,
+    sourcesSkipped: outcome === "skipped" ? 1 : 0,
+    cacheHits: stats.cache === "hit" ? 1 : 0,
+    totalTokens: stats.totalTokens,
+    costUsd: stats.costUsd,
+    eventsExtracted: stats.eventsExtracted,
+    eventsAdded: stats.eventsAdded,
+    eventsRejected: stats.eventsRejected,
+    eventsQuarantined: stats.eventsQuarantined,
+});
+
+module.exports = {
+    PAUSED,
+    createSourceStats,
+    classifyOutcome,
+    updateHealth,
+    buildSourceRecord,
+    runTotals,
+};
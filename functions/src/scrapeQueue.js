@@ -0,0 +1,247 @@
+const crypto = require("crypto");
+const { PAUSED } = require("./scrapeLedger");
+
+/**
+ * Task-queue fan-out for scraping.
+ * The daily scheduler only enqueues one task per url_registry source; each task
+ * scrapes a single source, so one slow or broken site can't stall the rest.
+ * Cloud Tasks limits how many run at once and retries failures with exponential
+ * backoff. A task that fails permanently, or on every attempt, is dead-lettered;
+ * permanently failing sources are left out of later runs until someone
+ * re-enables them, as are sources paused for poor health (see scrapeLedger)
+ * and sources an admin disabled.
+ */
+
+// Must match the exported task functions' names
+const SCRAPE_QUEUE = "scrapeSourceTask";
+const CALENDAR_QUEUE = "findCalendarTask";
+
+// 5 attempts: retried after ~1m, 2m, 4m, 8m
+const SCRAPE_RETRY_CONFIG = {
+    maxAttempts: 5,
+    minBackoffSeconds: 60,
+    maxBackoffSeconds: 3600,
+    maxDoublings: 4,
+};
+
+// Registry `scrape_status` of a source that is no longer enqueued
+const DEAD_LETTERED = "dead_lettered";
+
+// Registry `scrape_status` of a source an admin switched off
+const DISABLED = "disabled";
+
+// HTTP statuses that won't fix themselves on retry
+const PERMANENT_STATUSES = new Set([400, 401, 403, 404, 410, 451]);
+
+// Enqueue this many tasks at a time
+const ENQUEUE_CHUNK_SIZE = 25;
+
+/**
+ * A failure that retrying won't fix (the page is gone, access is denied).
+ */
+class PermanentScrapeError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = "PermanentScrapeError";
+        this.status = status;
+    }
+}
+
+/**
+ * A rate limiter that couldn't grant a slot in time.
+ * Retryable: the task queue tries again after its backoff.
+ */
+class RateLimitExceededError extends Error {
+    constructor(name) {
+        super(`Rate limit "${name}" exhausted`);
+        this.name = "RateLimitExceededError";
+    }
+}
+
+/**
+ * Whether a scrape error should skip the remaining retries.
+ * @param {Error} error - Error thrown by scrapeSource (fetch errors carry `status`).
+ * @returns {boolean}
+ */
+const isPermanentFailure = (error) =>
+    error instanceof PermanentScrapeError || PERMANENT_STATUSES.has(error?.status);
+
+/**
+ * Whether a failed task should be dead-lettered instead of retried.
+ * @param {Error} error
+ * @param {number} retryCount - Retries before this attempt (0 on the first).
+ * @param {number} [maxAttempts]
+ * @returns {boolean}
+ */
+const shouldDeadLetter = (error, retryCount, maxAttempts = SCRAPE_RETRY_CONFIG.maxAttempts) =>
+    isPermanentFailure(error) || retryCount + 1 >= maxAttempts;
+
+/**
+ * Task id for a source's task on a given day.
+ * Cloud Tasks rejects a second task with the same id, so re-running the
+ * scheduler on the same day doesn't scrape a source twice.
+ * @param {string} registryId - url_registry doc id.
+ * @param {string} date - "YYYY-MM-DD".
+ * @param {string} [kind] - Task kind, so different queues never share ids.
+ * @returns {string}
+ */
+const taskIdFor = (registryId, date, kind = "scrape") => {
+    const hash = crypto.createHash("sha256").update(String(registryId)).digest("hex").substring(0, 32);
+    return `${kind}-${date.replace(/-/g, "")}-${hash}`;
+};
+
+/**
+ * Enqueue tasks in chunks, treating "already exists" as done.
+ * @param {Object} queue - TaskQueue from getFunctions().taskQueue().
+ * @param {Array<{id: string, data: Object}>} tasks
+ * @returns {Promise<{enqueued: number, duplicates: number, failed: number}>}
+ */
+const enqueueTasks = async (queue, tasks) => {
+    const counts = { enqueued: 0, duplicates: 0, failed: 0 };
+    for (let i = 0; i < tasks.length; i += ENQUEUE_CHUNK_SIZE) {
+        const chunk = tasks.slice(i, i + ENQUEUE_CHUNK_SIZE);
+        await Promise.all(
+            chunk.map(async ({ id, data }) => {
+                try {
+                    await queue.enqueue(data, { id });
+                    counts.enqueued++;
+                } catch (error) {
+                    if (error.code === "functions/task-already-exists") {
+                        counts.duplicates++;
+                    } else {
+                        counts.failed++;
+                        console.error(`❌ Could not enqueue ${id}:`, error.message);
+                    }
+                }
+            }),
+        );
+    }
+    return counts;
+};
+
+/**
+ * Enqueue one scrape task per source, leaving out sources that are paused,
+ * dead-lettered, disabled or have no kids' event calendar (`relevance: "none"`).
+ * Tasks carry the run id (the run's date) so results land in its ledger.
+ * @param {Object} queue - TaskQueue from getFunctions().taskQueue().
+ * @param {Array<DocumentSnapshot>} registryDocs - url_registry documents.
+ * @param {Object} options
+ * @param {string} options.date - "YYYY-MM-DD" the run is for.
+ * @param {string} [options.kind] - Task id kind; manual runs use their own so they aren't deduplicated against the daily run.
+ * @returns {Promise<{enqueued: number, skipped: number, duplicates: number, failed: number}>}
+ */
+const enqueueSources = async (queue, registryDocs, { date, kind = "scrape" }) => {
+    const runnable = registryDocs.filter((doc) => {
+        const data = doc.data();
+        return !!data.url_hash &&
+            data.relevance !== "none" &&
+            ![DEAD_LETTERED, PAUSED, DISABLED].includes(data.scrape_status);
+    });
+    const counts = await enqueueTasks(
+        queue,
+        runnable.map((doc) => ({
+            id: taskIdFor(doc.id, date, kind),
+            data: { registryId: doc.id, runId: date },
+        })),
+    );
+    return { ...counts, skipped: registryDocs.length - runnable.length };
+};
+
+/**
+ * Dead-letter record for a source and the registry fields that stop it being enqueued.
+ * @param {Object} params
+ * @param {string} params.registryId
+ * @param {Object} params.libraryData - url_registry document data.
+ * @param {Error} params.error - Last error.
+ * @param {number} params.attempts - Attempts made.
+ * @param {number} [params.nowSeconds]
+ * @returns {{record: Object, registryFields: Object}}
+ */
+const buildDeadLetter = ({ registryId, libraryData, error, attempts, nowSeconds = Math.floor(Date.now() / 1000) }) => ({
+    record: {
+        registryId,
+        url: libraryData.url_hash || null,
+        venueName: libraryData.venue_name || null,
+        error: error?.message || String(error),
+        status: error?.status ?? null,
+        permanent: isPermanentFailure(error),
+        attempts,
+        deadLetteredAt: nowSeconds,
+    },
+    registryFields: {
+        scrape_status: DEAD_LETTERED,
+        last_scrape_error: error?.message || String(error),
+        dead_lettered_at: nowSeconds,
+    },
+});
+
+/**
+ * Shared fixed-window rate limiter backed by a `rate_limits/{name}` document,
+ * so every task instance draws from the same per-minute budget (Gemini, Maps).
+ * @param {Object} options
+ * @param {Firestore} options.db
+ * @param {string} options.name - Limiter document id.
+ * @param {number|Function} options.limit - Calls per window, or a function returning it
+ *   (params can only be read at runtime).
+ * @param {number} [options.windowSeconds]
+ * @param {number} [options.maxWaitSeconds] - Give up (and let the task retry) after this.
+ * @param {Function} [options.now] - Clock in ms, for tests.
+ * @param {Function} [options.sleep] - async (ms) => void, for tests.
+ * @returns {{acquire: Function}}
+ */
+const createRateLimiter = ({
+    db,
+    name,
+    limit,
+    windowSeconds = 60,
+    maxWaitSeconds = 120,
+    now = () => Date.now(),
+    sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+}) => {
+    const windowMs = windowSeconds * 1000;
+    const ref = db.collection("rate_limits").doc(name);
+
+    // Take a slot in the current window; returns 0, or ms until the next window
+    const tryAcquire = () =>
+        db.runTransaction(async (tx) => {
+            const max = typeof limit === "function" ? limit() : limit;
+            const current = now();
+            const windowStart = Math.floor(current / windowMs) * windowMs;
+            const snap = await tx.get(ref);
+            const data = snap.exists ? snap.data() : {};
+            const count = data.windowStart === windowStart ? data.count || 0 : 0;
+            if (count >= max) return windowStart + windowMs - current;
+            tx.set(ref, { windowStart, count: count + 1 });
+            return 0;
+        });
+
+    return {
+        acquire: async () => {
+            const deadline = now() + maxWaitSeconds * 1000;
+            for (;;) {
+                const waitMs = await tryAcquire();
+                if (waitMs === 0) return;
+                if (now() + waitMs > deadline) throw new RateLimitExceededError(name);
+                // Spread waiting tasks out so they don't all hit the next window at once
+                await sleep(waitMs + Math.floor(Math.random() * 1000));
+            }
+        },
+    };
+};
+
+module.exports = {
+    SCRAPE_QUEUE,
+    CALENDAR_QUEUE,
+    SCRAPE_RETRY_CONFIG,
+    DEAD_LETTERED,
+    DISABLED,
+    PermanentScrapeError,
+    RateLimitExceededError,
+    isPermanentFailure,
+    shouldDeadLetter,
+    taskIdFor,
+    enqueueTasks,
+    enqueueSources,
+    buildDeadLetter,
+    createRateLimiter,
+};
@@ -0,0 +1,298 @@
+const geofire = require("geofire-common");
+const { CATEGORIES, ACCESSIBILITY } = require("./attributes");
+const { suitsAge } = require("./ages");
+
+/**
+ * Nearby activity search over the `geohash` written by the scraper.
+ * Query contract (all query-string parameters):
+ *   lat, lng        - required center point
+ *   radiusKm        - search radius, default 10, max 100
+ *   from, to        - date window (unix seconds or ISO 8601), default now .. +14 days
+ *   ageRange        - comma-separated age labels; "All" events always match
+ *   ageMonths       - a child's age in months; events whose age bounds include it match
+ *   requiresBooking - "true" / "false"
+ *   isFree          - "true" / "false"; events with unknown cost match neither
+ *   setting         - "indoor" / "outdoor"; "mixed" events match both
+ *   category        - comma-separated categories; any may match
+ *   language        - comma-separated ISO 639-1 codes; any may match
+ *   accessibility   - comma-separated flags; all must match
+ *   includePredicted - "true" adds "usually happens" entries for venues whose
+ *                     sources went dark (status "predicted", labeled)
+ *   sort            - "time" (default) or "distance"
+ *   limit           - page size, default 20, max 100
+ *   cursor          - opaque value from a previous response's nextCursor
+ * Cancelled activities never match; activities stored before statuses existed
+ * have none and count as scheduled. The geohash queries are bounded by the date
+ * window, which needs a composite index on (geohash, startTime) for
+ * `activities` and `predicted_activities`.
+ */
+
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 100;
+const DEFAULT_WINDOW_DAYS = 14;
+const MAX_WINDOW_DAYS = 90;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Thrown for bad query parameters; the HTTP handler maps it to a 400
+class SearchParamError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "SearchParamError";
+    }
+}
+
+const parseNumber = (value, name) => {
+    const number = Number(value);
+    if (value === undefined || value === "" || !Number.isFinite(number)) {
+        throw new SearchParamError(`"${name}" must be a number`);
+    }
+    return number;
+};
+
+const parseBoolean = (value, name) => {
+    if (value === undefined || value === "") return null;
+    if (value === true || value === "true") return true;
+    if (value === false || value === "false") return false;
+    throw new SearchParamError(`"${name}" must be "true" or "false"`);
+};
+
+// Accept unix seconds or anything Date.parse understands; returns unix seconds
+const parseTime = (value, name) => {
+    if (value === undefined || value === "") return null;
+    if (/^\d+$/.test(String(value))) return Number(value);
+    const parsed = Date.parse(value);
+    if (Number.isNaN(parsed)) {
+        throw new SearchParamError(`"${name}" must be unix seconds or an ISO date`);
+    }
+    return Math.floor(parsed / 1000);
+};
+
+const parseList = (value, name, allowedValues) => {
+    if (value === undefined || value === "") return [];
+    const values = String(value)
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+    const unknown = allowedValues ? values.filter((item) => !allowedValues.includes(item)) : [];
+    if (unknown.length > 0) {
+        throw new SearchParamError(`"${name}" must be any of ${allowedValues.join(", ")}`);
+    }
+    return values;
+};
+
+const encodeCursor = (key) => Buffer.from(JSON.stringify(key)).toString("base64url");
+
+const decodeCursor = (cursor) => {
+    try {
+        const key = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+        if (Array.isArray(key) && key.length === 2) return key;
+    } catch (error) {
+        // fall through
+    }
+    throw new SearchParamError(`"cursor" is not valid`);
+};
+
+/**
+ * Validate raw query parameters into a search request.
+ * @param {Object} query - Request query (string values).
+ * @param {number} [nowSeconds] - Current time, injectable for tests.
+ * @returns {Object} Normalized search parameters.
+ * @throws {SearchParamError}
+ */
+const parseSearchParams = (query = {}, nowSeconds = Math.floor(Date.now() / 1000)) => {
+    const lat = parseNumber(query.lat, "lat");
+    const lng = parseNumber(query.lng, "lng");
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        throw new SearchParamError(`"lat"/"lng" are out of range`);
+    }
+
+    const radiusKm =
+        query.radiusKm === undefined || query.radiusKm === ""
+            ? DEFAULT_RADIUS_KM
+            : parseNumber(query.radiusKm, "radiusKm");
+    if (radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+        throw new SearchParamError(`"radiusKm" must be between 0 and ${MAX_RADIUS_KM}`);
+    }
+
+    const from = parseTime(query.from, "from") ?? nowSeconds;
+    const to = parseTime(query.to, "to") ?? from + DEFAULT_WINDOW_DAYS * DAY_SECONDS;
+    if (to < from) throw new SearchParamError(`"to" must be after "from"`);
+    if (to - from > MAX_WINDOW_DAYS * DAY_SECONDS) {
+        throw new SearchParamError(`Date window is limited to ${MAX_WINDOW_DAYS} days`);
+    }
+
+    const sort = query.sort || "time";
+    if (!["time", "distance"].includes(sort)) {
+        throw new SearchParamError(`"sort" must be "time" or "distance"`);
+    }
+
+    const limit =
+        query.limit === undefined || query.limit === ""
+            ? DEFAULT_LIMIT
+            : Math.floor(parseNumber(query.limit, "limit"));
+    if (limit < 1 || limit > MAX_LIMIT) {
+        throw new SearchParamError(`"limit" must be between 1 and ${MAX_LIMIT}`);
+    }
+
+    const ageRanges = parseList(query.ageRange, "ageRange");
+
+    const ageMonths =
+        query.ageMonths === undefined || query.ageMonths === "" ? null : parseNumber(query.ageMonths, "ageMonths");
+    if (ageMonths !== null && (ageMonths < 0 || ageMonths > 216)) {
+        throw new SearchParamError(`"ageMonths" must be between 0 and 216`);
+    }
+
+    const setting = query.setting || null;
+    if (setting !== null && !["indoor", "outdoor"].includes(setting)) {
+        throw new SearchParamError(`"setting" must be "indoor" or "outdoor"`);
+    }
+    const languages = parseList(query.language, "language").map((code) => code.toLowerCase());
+
+    return {
+        center: [lat, lng],
+        radiusKm,
+        from,
+        to,
+        ageRanges,
+        ageMonths,
+        requiresBooking: parseBoolean(query.requiresBooking, "requiresBooking"),
+        isFree: parseBoolean(query.isFree, "isFree"),
+        setting,
+        categories: parseList(query.category, "category", CATEGORIES),
+        languages,
+        accessibility: parseList(query.accessibility, "accessibility", ACCESSIBILITY),
+        includePredicted: parseBoolean(query.includePredicted, "includePredicted") ?? false,
+        sort,
+        limit,
+        cursor: query.cursor ? decodeCursor(query.cursor) : null,
+    };
+};
+
+// Sort key for an item: [primary, id] so ties stay stable across pages
+const sortKey = (item, sort) => [
+    sort === "distance" ? item.distanceKm : item.startTime,
+    item.id,
+];
+
+const compareKeys = (a, b) => {
+    if (a[0] !== b[0]) return a[0] < b[0] ? -1 : 1;
+    if (a[1] === b[1]) return 0;
+    return a[1] < b[1] ? -1 : 1;
+};
+
+/**
+ * Filter candidate activities by true distance and the request filters,
+ * then sort and cut one page. Pure, so it can be tested without Firestore.
+ * @param {Array<{id: string, data: Object}>} candidates - Geohash query hits.
+ * @param {Object} params - Output of parseSearchParams.
+ * @returns {{results: Array<Object>, nextCursor: string|null}}
+ */
+const filterAndPaginate = (candidates, params) => {
+    const seen = new Set();
+    const matches = [];
+
+    for (const { id, data } of candidates) {
+        if (seen.has(id)) continue;
+        seen.add(id);
+        if (data.status === "cancelled") continue;
+
+        if (typeof data.latitude !== "number" || typeof data.longitude !== "number") {
+            continue;
+        }
+        // Geohash ranges over-cover the circle; drop the false positives
+        const distanceKm = geofire.distanceBetween(
+            [data.latitude, data.longitude],
+            params.center,
+        );
+        if (distanceKm > params.radiusKm) continue;
+
+        if (!(data.startTime >= params.from && data.startTime <= params.to)) continue;
+        if (
+            params.ageRanges.length > 0 &&
+            data.ageRange !== "All" &&
+            !params.ageRanges.includes(data.ageRange)
+        ) {
+            continue;
+        }
+        if (params.ageMonths !== null && !suitsAge(data, params.ageMonths)) continue;
+        if (
+            params.requiresBooking !== null &&
+            !!data.requiresBooking !== params.requiresBooking
+        ) {
+            continue;
+        }
+        if (params.isFree !== null && (data.isFree ?? null) !== params.isFree) continue;
+        if (params.setting !== null && data.setting !== params.setting && data.setting !== "mixed") continue;
+        if (params.categories.length > 0 && !params.categories.some((category) => (data.categories || []).includes(category))) {
+            continue;
+        }
+        if (params.languages.length > 0 && !params.languages.some((code) => (data.languages || []).includes(code))) {
+            continue;
+        }
+        if (!params.accessibility.every((flag) => (data.accessibility || []).includes(flag))) continue;
+
+        // expireAt is a TTL Timestamp, not part of the response contract
+        const { expireAt, ...fields } = data;
+        matches.push({
+            id,
+            ...fields,
+            distanceKm: Math.round(distanceKm * 100) / 100,
+        });
+    }
+
+    const sorted = matches
+        .map((item) => ({ item, key: sortKey(item, params.sort) }))
+        .sort((a, b) => compareKeys(a.key, b.key));
+
+    const afterCursor = params.cursor
+        ? sorted.filter(({ key }) => compareKeys(key, params.cursor) > 0)
+        : sorted;
+
+    const page = afterCursor.slice(0, params.limit);
+    const hasMore = afterCursor.length > params.limit;
+
+    return {
+        results: page.map(({ item }) => item),
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1].key) : null,
+    };
+};
+
+/**
+ * Run a nearby search against the `activities` collection (and
+ * `predicted_activities` when asked to).
+ * @param {Firestore} db - Firestore instance.
+ * @param {Object} params - Output of parseSearchParams.
+ * @returns {Promise<{results: Array<Object>, nextCursor: string|null}>}
+ */
+const searchActivities = async (db, params) => {
+    const bounds = geofire.geohashQueryBounds(params.center, params.radiusKm * 1000);
+    const collections = params.includePredicted ? ["activities", "predicted_activities"] : ["activities"];
+    const snapshots = await Promise.all(
+        collections.flatMap((collection) =>
+            bounds.map(([start, end]) =>
+                db
+                    .collection(collection)
+                    .where("startTime", ">=", params.from)
+                    .where("startTime", "<=", params.to)
+                    .orderBy("geohash")
+                    .startAt(start)
+                    .endAt(end)
+                    .get(),
+            ),
+        ),
+    );
+
+    const candidates = snapshots.flatMap((snap) =>
+        snap.docs.map((doc) => ({ id: doc.id, data: doc.data() })),
+    );
+    return filterAndPaginate(candidates, params);
+};
+
+module.exports = {
+    SearchParamError,
+    parseSearchParams,
+    filterAndPaginate,
+    searchActivities,
+};
@@ -0,0 +1,467 @@
+const crypto = require("crypto");
+const { pickAttributeFields } = require("./attributes");
+
+/**
+ * Recurring event series.
+ * A weekly Baby Bounce is stored once in `series` with an RRULE (RFC 5545
+ * subset: DAILY / WEEKLY / MONTHLY, INTERVAL, BYDAY, UNTIL, COUNT), its
+ * exceptions and a canonical description. Occurrences are expanded into a
+ * rolling window of plain `activities` docs so existing clients keep working.
+ */
+
+// How far ahead series occurrences are materialized as activities
+const ROLLING_WINDOW_DAYS = 28;
+
+// Repeats needed before a run of identical one-off events is treated as a series
+const MIN_GROUPED_OCCURRENCES = 3;
+
+// Dated listings that must agree with an "every Tuesday" phrase before it becomes a series
+const MIN_TEXT_OCCURRENCES = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const WEEKDAY_LABELS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+// Day names are unambiguous by their first three letters
+const DAY_CODES = { sun: "SU", mon: "MO", tue: "TU", wed: "WE", thu: "TH", fri: "FR", sat: "SA" };
+
+const ORDINALS = {
+    first: 1, "1st": 1,
+    second: 2, "2nd": 2,
+    third: 3, "3rd": 3,
+    fourth: 4, "4th": 4,
+    last: -1,
+};
+
+// ---------------------------------------------------------------------------
+// Calendar-date helpers ("YYYY-MM-DD", computed in UTC to avoid DST drift)
+// ---------------------------------------------------------------------------
+
+const toDayNumber = (date) => Math.floor(Date.parse(`${date}T00:00:00Z`) / DAY_MS);
+
+const fromDayNumber = (day) => new Date(day * DAY_MS).toISOString().split("T")[0];
+
+const weekdayOf = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+const addDays = (date, days) => fromDayNumber(toDayNumber(date) + days);
+
+const isDate = (value) =>
+    typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(toDayNumber(value));
+
+const isClockTime = (value) => typeof value === "string" && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+
+// ---------------------------------------------------------------------------
+// RRULE
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse the supported RRULE subset.
+ * @param {string} rrule - e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;UNTIL=20250601"
+ * @returns {Object|null} { freq, interval, byDay: [{weekday, ordinal}], until, count }
+ */
+const parseRRule = (rrule) => {
+    if (!rrule) return null;
+    const parts = Object.fromEntries(
+        String(rrule)
+            .replace(/^RRULE:/i, "")
+            .split(";")
+            .map((part) => part.split("="))
+            .filter(([key, value]) => key && value)
+            .map(([key, value]) => [key.trim().toUpperCase(), value.trim().toUpperCase()]),
+    );
+    if (!["DAILY", "WEEKLY", "MONTHLY"].includes(parts.FREQ)) return null;
+
+    const byDay = [];
+    for (const token of (parts.BYDAY || "").split(",").filter(Boolean)) {
+        const match = token.match(/^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/);
+        if (!match) return null;
+        byDay.push({
+            weekday: WEEKDAYS.indexOf(match[2]),
+            ordinal: match[1] ? Number(match[1]) : null,
+        });
+    }
+
+    const untilMatch = (parts.UNTIL || "").match(/^(\d{4})(\d{2})(\d{2})/);
+    const interval = Number(parts.INTERVAL || 1);
+    const count = parts.COUNT ? Number(parts.COUNT) : null;
+    if (!Number.isInteger(interval) || interval < 1) return null;
+
+    return {
+        freq: parts.FREQ,
+        interval,
+        byDay,
+        until: untilMatch ? `${untilMatch[1]}-${untilMatch[2]}-${untilMatch[3]}` : null,
+        count: Number.isInteger(count) && count > 0 ? count : null,
+    };
+};
+
+// Does `date` fall in the weekday's nth (or last, -1) position of its month?
+const matchesOrdinal = (date, ordinal) => {
+    const dayOfMonth = Number(date.substring(8, 10));
+    if (ordinal > 0) return Math.ceil(dayOfMonth / 7) === ordinal;
+    const [y, m] = date.split("-").map(Number);
+    const daysInMonth = new Date(Date.UTC(y, m, 0)).getUTCDate();
+    return Math.ceil((daysInMonth - dayOfMonth + 1) / 7) === -ordinal;
+};
+
+const monthIndex = (date) => Number(date.substring(0, 4)) * 12 + Number(date.substring(5, 7)) - 1;
+
+const matchesRule = (rule, dtstart, date) => {
+    const weekday = weekdayOf(date);
+    const days = rule.byDay.length ? rule.byDay : [{ weekday: weekdayOf(dtstart), ordinal: null }];
+
+    if (rule.freq === "DAILY") {
+        return (toDayNumber(date) - toDayNumber(dtstart)) % rule.interval === 0;
+    }
+    if (rule.freq === "WEEKLY") {
+        // Weeks are counted from the Sunday on or before dtstart
+        const weekStart = (d) => toDayNumber(d) - weekdayOf(d);
+        const weeks = (weekStart(date) - weekStart(dtstart)) / 7;
+        return weeks % rule.interval === 0 && days.some((day) => day.weekday === weekday);
+    }
+    // MONTHLY
+    if ((monthIndex(date) - monthIndex(dtstart)) % rule.interval !== 0) return false;
+    if (!rule.byDay.length) return date.substring(8, 10) === dtstart.substring(8, 10);
+    return days.some(
+        (day) => day.weekday === weekday && (day.ordinal === null || matchesOrdinal(date, day.ordinal)),
+    );
+};
+
+/**
+ * Expand a series into occurrences inside [from, to] (inclusive calendar dates).
+ * @param {Object} series - Series doc (rrule, startDate, startTime, endTime, exceptions).
+ * @param {Object} window
+ * @param {string} window.from - "YYYY-MM-DD"
+ * @param {string} window.to - "YYYY-MM-DD"
+ * @returns {Array<{date: string, isoDate: string, endTime: string|null}>}
+ */
+const expandSeries = (series, { from, to }) => {
+    const rule = parseRRule(series.rrule);
+    if (!rule || !isDate(series.startDate) || !isClockTime(series.startTime)) return [];
+
+    const exceptions = new Set(series.exceptions || []);
+    const last = [to, rule.until, series.endDate].filter(isDate).sort()[0];
+    const occurrences = [];
+    let seen = 0;
+
+    for (let day = toDayNumber(series.startDate); day <= toDayNumber(last); day++) {
+        const date = fromDayNumber(day);
+        if (!matchesRule(rule, series.startDate, date)) continue;
+        seen++;
+        if (rule.count && seen > rule.count) break;
+        if (date < from || exceptions.has(date)) continue;
+        occurrences.push({
+            date,
+            isoDate: `${date}T${series.startTime}:00`,
+            endTime: isClockTime(series.endTime) ? `${date}T${series.endTime}:00` : null,
+        });
+    }
+    return occurrences;
+};
+
+/**
+ * Short human label for the app, e.g. "Weekly on Tuesday", "Every other week on Monday".
+ * @param {string} rrule
+ * @returns {string|null}
+ */
+const describeRecurrence = (rrule) => {
+    const rule = parseRRule(rrule);
+    if (!rule) return null;
+    const dayNames = rule.byDay.map(({ weekday, ordinal }) => {
+        if (ordinal === null) return WEEKDAY_LABELS[weekday];
+        const position = ordinal === -1 ? "last" : ["first", "second", "third", "fourth"][ordinal - 1];
+        return `${position} ${WEEKDAY_LABELS[weekday]}`;
+    });
+    const on = dayNames.length ? ` on ${dayNames.join(" & ")}` : "";
+    if (rule.freq === "DAILY") return rule.interval === 1 ? "Daily" : `Every ${rule.interval} days`;
+    if (rule.freq === "WEEKLY") {
+        if (rule.interval === 1) return `Weekly${on}`;
+        return rule.interval === 2 ? `Every other week${on}` : `Every ${rule.interval} weeks${on}`;
+    }
+    return rule.interval === 1 ? `Monthly${on}` : `Every ${rule.interval} months${on}`;
+};
+
+// ---------------------------------------------------------------------------
+// Recognizing recurrence in text ("every Tuesday at 10:30")
+// ---------------------------------------------------------------------------
+
+const DAY_PATTERN = "(?:sun|mon|tue|tues|wed|thu|thurs|fri|sat)(?:day|nesday|rsday|urday|sday)?s?";
+
+const dayCodes = (phrase) => [
+    ...new Set(
+        (phrase.match(new RegExp(`\\b${DAY_PATTERN}\\b`, "g")) || []).map(
+            (name) => DAY_CODES[name.substring(0, 3)],
+        ),
+    ),
+];
+
+const toClock = (hour, minute, meridiem) => {
+    let h = Number(hour);
+    const m = Number(minute || 0);
+    if (h > 23 || m > 59) return null;
+    const mer = (meridiem || "").replace(/\./g, "").toLowerCase();
+    if (mer === "pm" && h < 12) h += 12;
+    if (mer === "am" && h === 12) h = 0;
+    return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}`;
+};
+
+// "at 10:30", "10:30-11am", "10 a.m. to 10:45 a.m."
+const parseTimeRange = (text) => {
+    const match = text.match(
+        /(?:\bat\s+)?\b(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)?(?:\s*(?:-|–|to)\s*(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)?)?/i,
+    );
+    if (!match) return null;
+    const [, sh, sm, smer, eh, em, emer] = match;
+    // A bare number ("3 songs") is not a time unless a range end makes it one ("10-10:45am")
+    if (!sm && !smer && !(eh && (em || emer))) return null;
+    // Without any am/pm, toddler programs between 1 and 7 o'clock are afternoon sessions
+    const guess = (h) => (Number(h) >= 1 && Number(h) <= 7 ? "pm" : "am");
+    const startMeridiem = smer || emer || guess(sh);
+    return {
+        startTime: toClock(sh, sm, startMeridiem),
+        endTime: eh ? toClock(eh, em, emer || startMeridiem) : null,
+    };
+};
+
+/**
+ * Recognize a recurrence phrase in free text.
+ * @param {string} text - Title or description.
+ * @returns {{rrule: string, startTime: string, endTime: string|null}|null}
+ */
+const recognizeRecurrence = (text) => {
+    if (!text) return null;
+    const s = String(text).toLowerCase();
+    let rrule = null;
+    let rest = s;
+
+    const monthly = s.match(
+        new RegExp(`\\b(first|second|third|fourth|last|1st|2nd|3rd|4th)\\s+(${DAY_PATTERN})\\s+(?:of\\s+)?(?:the|each|every)\\s+month`),
+    );
+    const weekly = s.match(
+        new RegExp(`\\b(?:every|each)\\s+(other\\s+)?(${DAY_PATTERN}(?:\\s*(?:,|and|&)\\s*${DAY_PATTERN})*)`),
+    );
+    const plural = s.match(
+        new RegExp(`\\b((?:sun|mon|tues|wednes|thurs|fri|satur)days(?:\\s*(?:,|and|&)\\s*(?:sun|mon|tues|wednes|thurs|fri|satur)days)*)\\b`),
+    );
+    const daily = s.match(/\b(?:daily|every\s*day)\b/);
+
+    if (monthly) {
+        const code = dayCodes(monthly[2])[0];
+        if (code) rrule = `FREQ=MONTHLY;BYDAY=${ORDINALS[monthly[1]]}${code}`;
+        rest = s.substring(monthly.index + monthly[0].length);
+    } else if (weekly) {
+        const days = dayCodes(weekly[2]);
+        if (days.length) {
+            rrule = `FREQ=WEEKLY;${weekly[1] ? "INTERVAL=2;" : ""}BYDAY=${days.join(",")}`;
+        }
+        rest = s.substring(weekly.index + weekly[0].length);
+    } else if (plural) {
+        const days = dayCodes(plural[1]);
+        if (days.length) rrule = `FREQ=WEEKLY;BYDAY=${days.join(",")}`;
+        rest = s.substring(plural.index + plural[0].length);
+    } else if (daily) {
+        rrule = "FREQ=DAILY";
+        rest = s.substring(daily.index + daily[0].length);
+    }
+    if (!rrule) return null;
+
+    const times = parseTimeRange(rest) || parseTimeRange(s);
+    if (!times || !times.startTime) return null;
+    return { rrule, ...times };
+};
+
+// ---------------------------------------------------------------------------
+// Building series from extraction output
+// ---------------------------------------------------------------------------
+
+const normalizeKey = (value) =>
+    String(value || "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim();
+
+/**
+ * Stable id for a series: same title, venue, rule and start time -> same doc.
+ */
+const generateSeriesId = (title, venue, rrule, startTime) =>
+    crypto
+        .createHash("sha256")
+        .update([normalizeKey(title), normalizeKey(venue), rrule, startTime].join("|"))
+        .digest("hex")
+        .substring(0, 32);
+
+const buildSeries = (fields) => {
+    const rule = parseRRule(fields.rrule);
+    if (!fields.title || !fields.venue || !rule) return null;
+    if (!isDate(fields.startDate) || !isClockTime(fields.startTime)) return null;
+    return {
+        id: generateSeriesId(fields.title, fields.venue, fields.rrule, fields.startTime),
+        title: String(fields.title).trim(),
+        venue: String(fields.venue).trim(),
+        description: fields.description ?? null,
+        ageRange: fields.ageRange ?? null,
+        isRegistrationRequired: !!fields.isRegistrationRequired,
+        registrationUrl: fields.registrationUrl ?? null,
+        rrule: fields.rrule,
+        recurrence: describeRecurrence(fields.rrule),
+        startDate: fields.startDate,
+        endDate: isDate(fields.endDate) ? fields.endDate : null,
+        startTime: fields.startTime,
+        endTime: isClockTime(fields.endTime) ? fields.endTime : null,
+        exceptions: (fields.exceptions || []).filter(isDate).sort(),
+        ...pickAttributeFields(fields),
+    };
+};
+
+/**
+ * Validate a series entry returned by the model.
+ * @param {Object} raw - { title, venue, rrule, startTime, endTime, startDate, endDate, exceptions, ... }
+ * @param {string} today - "YYYY-MM-DD", used when the model gives no start date.
+ * @returns {Object|null}
+ */
+const normalizeSeriesEntry = (raw, today) => {
+    if (!raw) return null;
+    return buildSeries({
+        ...raw,
+        rrule: raw.rrule ? String(raw.rrule).toUpperCase().replace(/^RRULE:/, "") : null,
+        startDate: isDate(raw.startDate) ? raw.startDate : today,
+        exceptions: Array.isArray(raw.exceptions) ? raw.exceptions : [],
+    });
+};
+
+/**
+ * A series from an event whose text says "every Tuesday at 10:30".
+ * One listing's wording isn't enough: at least MIN_TEXT_OCCURRENCES dated
+ * listings of the same event must fall on the rule, so a stale phrase can't
+ * start an open-ended series the source never backs up.
+ * @param {Object} act - Extracted event.
+ * @param {Array<Object>} events - Every event from the same extraction.
+ * @returns {Object|null}
+ */
+const seriesFromEventText = (act, events) => {
+    const recurrence =
+        recognizeRecurrence(act.description) || recognizeRecurrence(act.title);
+    if (!recurrence) return null;
+    const key = [normalizeKey(act.title), normalizeKey(act.venue)].join("|");
+    const dates = [
+        ...new Set(
+            events
+                .filter((other) => [normalizeKey(other.title), normalizeKey(other.venue)].join("|") === key)
+                .map((other) => String(other.isoDate || "").match(/^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})/))
+                .filter((match) => match && match[2] === recurrence.startTime)
+                .map((match) => match[1]),
+        ),
+    ].sort();
+    if (dates.length < MIN_TEXT_OCCURRENCES) return null;
+
+    const series = buildSeries({ ...act, ...recurrence, startDate: dates[0] });
+    if (!series) return null;
+    const onRule = new Set(expandSeries(series, { from: dates[0], to: dates[dates.length - 1] }).map(({ date }) => date));
+    return dates.filter((date) => onRule.has(date)).length >= MIN_TEXT_OCCURRENCES ? series : null;
+};
+
+/**
+ * Group one-off events that repeat on the same weekday and time into weekly series.
+ * Gaps between matching dates must all be the same number of weeks; missing
+ * dates inside the run become exceptions.
+ * @param {Array<Object>} events - Extracted events.
+ * @returns {Array<Object>} Series.
+ */
+const groupIntoSeries = (events) => {
+    const groups = new Map();
+    for (const act of events) {
+        const match = String(act.isoDate || "").match(/^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})/);
+        if (!match || !act.title || !act.venue) continue;
+        const key = [normalizeKey(act.title), normalizeKey(act.venue), weekdayOf(match[1]), match[2]].join("|");
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push({ act, date: match[1], time: match[2] });
+    }
+
+    const series = [];
+    for (const members of groups.values()) {
+        const dates = [...new Set(members.map((m) => m.date))].sort();
+        if (dates.length < MIN_GROUPED_OCCURRENCES) continue;
+
+        const gaps = dates.slice(1).map((date, i) => (toDayNumber(date) - toDayNumber(dates[i])) / 7);
+        const step = Math.min(...gaps);
+        if (!Number.isInteger(step) || step < 1 || gaps.some((gap) => gap % step !== 0)) continue;
+
+        const exceptions = [];
+        for (let day = toDayNumber(dates[0]); day <= toDayNumber(dates[dates.length - 1]); day += step * 7) {
+            if (!dates.includes(fromDayNumber(day))) exceptions.push(fromDayNumber(day));
+        }
+        if (exceptions.length >= dates.length) continue;
+
+        const first = members[0].act;
+        const endMatch = String(first.endTime || "").match(/T(\d{2}:\d{2})/);
+        const rrule = `FREQ=WEEKLY;${step > 1 ? `INTERVAL=${step};` : ""}BYDAY=${WEEKDAYS[weekdayOf(dates[0])]}`;
+        const built = buildSeries({
+            ...first,
+            rrule,
+            startDate: dates[0],
+            startTime: members[0].time,
+            endTime: endMatch ? endMatch[1] : null,
+            exceptions,
+        });
+        if (built) series.push(built);
+    }
+    return series;
+};
+
+/**
+ * Collect every series found in one extraction: explicit model output,
+ * recurrence phrases backed by dated listings, and repeated one-off events.
+ * @param {Array<Object>} rawSeries - The model's "series" array (may be empty).
+ * @param {Array<Object>} events - Extracted events.
+ * @param {string} today - "YYYY-MM-DD"
+ * @returns {Array<Object>} De-duplicated series.
+ */
+const collectSeries = (rawSeries, events, today) => {
+    const byId = new Map();
+    const add = (entry) => {
+        if (entry && !byId.has(entry.id)) byId.set(entry.id, entry);
+    };
+    (Array.isArray(rawSeries) ? rawSeries : []).forEach((raw) => add(normalizeSeriesEntry(raw, today)));
+    events.forEach((act) => add(seriesFromEventText(act, events)));
+    groupIntoSeries(events).forEach(add);
+    return [...byId.values()];
+};
+
+/**
+ * Expand series into the rolling window as activities in the extraction shape,
+ * tagged with `seriesId` and `recurrence`.
+ * @param {Array<Object>} seriesList - Series.
+ * @param {string} today - "YYYY-MM-DD"
+ * @param {number} [days] - Window length.
+ * @returns {Array<Object>}
+ */
+const expandToEvents = (seriesList, today, days = ROLLING_WINDOW_DAYS) =>
+    seriesList.flatMap((series) =>
+        expandSeries(series, { from: today, to: addDays(today, days) }).map((occurrence) => ({
+            title: series.title,
+            venue: series.venue,
+            description: series.description,
+            isoDate: occurrence.isoDate,
+            endTime: occurrence.endTime,
+            ageRange: series.ageRange,
+            isRegistrationRequired: series.isRegistrationRequired,
+            registrationUrl: series.registrationUrl,
+            ...pickAttributeFields(series),
+            seriesId: series.id,
+            recurrence: series.recurrence,
+        })),
+    );
+
+module.exports = {
+    ROLLING_WINDOW_DAYS,
+    parseRRule,
+    expandSeries,
+    describeRecurrence,
+    recognizeRecurrence,
+    generateSeriesId,
+    normalizeSeriesEntry,
+    groupIntoSeries,
+    collectSeries,
+    expandToEvents,
+    addDays,
+};
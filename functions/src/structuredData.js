@@ -0,0 +1,413 @@
+const cheerio = require("cheerio");
+const { pickAttributeFields } = require("./attributes");
+
+/**
+ * Structured-data extraction layer.
+ * Many library and city calendars already publish machine-readable events
+ * (schema.org JSON-LD, iCalendar, RSS/Atom). When we find them we map them
+ * straight to the same activity shape Gemini returns, so the exact dates the
+ * source publishes are used instead of model output.
+ */
+
+// Max number of linked feeds (.ics / RSS / Atom) followed per page
+const MAX_FEEDS_PER_PAGE = 2;
+
+const FEED_TYPES = {
+    "text/calendar": "ical",
+    "application/rss+xml": "rss",
+    "application/atom+xml": "atom",
+};
+
+// Strip tags and collapse whitespace in HTML snippets from feeds / JSON-LD
+const toPlainText = (value) => {
+    if (value === undefined || value === null) return null;
+    const text = cheerio
+        .load(`<div>${String(value)}</div>`)("div")
+        .first()
+        .text()
+        .replace(/\s+/g, " ")
+        .trim();
+    return text || null;
+};
+
+const toAbsoluteUrl = (href, baseUrl) => {
+    if (!href) return null;
+    try {
+        const url = new URL(String(href).trim().replace(/^webcal:/i, "https:"), baseUrl);
+        return /^https?:$/.test(url.protocol) ? url.toString() : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+const asArray = (value) => {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+};
+
+/**
+ * Build an activity in the shape the Gemini prompt returns.
+ * `endTime` carries an ISO string, matching how the scraper normalizes it.
+ * `cost` and `isFree` are only set when the source states them.
+ */
+const toActivity = ({
+    title,
+    venue,
+    description,
+    isoDate,
+    endTime,
+    ageRange,
+    registrationUrl,
+    isRegistrationRequired,
+    cost,
+    isFree,
+}) => ({
+    title: title ? String(title).trim() : null,
+    venue: venue ? String(venue).trim() : null,
+    description: description || null,
+    isoDate: isoDate || null,
+    endTime: endTime || null,
+    ageRange: ageRange || null,
+    isRegistrationRequired: !!isRegistrationRequired,
+    registrationUrl: registrationUrl || null,
+    ...pickAttributeFields({ cost, isFree }),
+});
+
+// ---------------------------------------------------------------------------
+// JSON-LD (schema.org Event)
+// ---------------------------------------------------------------------------
+
+const isEventType = (type) =>
+    asArray(type).some((t) => /Event$/.test(String(t).replace(/^.*[/:]/, "")));
+
+// Walk arbitrarily nested JSON-LD (arrays, @graph, ItemList) collecting Event nodes
+const collectEventNodes = (node, out) => {
+    if (!node || typeof node !== "object") return out;
+    if (Array.isArray(node)) {
+        node.forEach((child) => collectEventNodes(child, out));
+        return out;
+    }
+    if (isEventType(node["@type"])) {
+        out.push(node);
+        return out;
+    }
+    collectEventNodes(node["@graph"], out);
+    asArray(node.itemListElement).forEach((element) =>
+        collectEventNodes(element && element.item ? element.item : element, out),
+    );
+    return out;
+};
+
+const formatPlace = (location) => {
+    const place = asArray(location)[0];
+    if (!place) return null;
+    if (typeof place === "string") return place;
+    const name = place.name ? String(place.name).trim() : "";
+    const address = place.address;
+    let addressText = "";
+    if (typeof address === "string") {
+        addressText = address;
+    } else if (address && typeof address === "object") {
+        addressText = [
+            address.streetAddress,
+            address.addressLocality,
+            address.addressRegion,
+        ]
+            .filter(Boolean)
+            .join(", ");
+    }
+    if (name && addressText && !name.includes(addressText)) {
+        return `${name}, ${addressText}`;
+    }
+    return name || addressText || null;
+};
+
+const formatJsonLdAge = (node) => {
+    if (node.typicalAgeRange) return String(node.typicalAgeRange);
+    const audience = asArray(node.audience)[0];
+    if (!audience || typeof audience !== "object") return null;
+    const min = audience.suggestedMinAge;
+    const max = audience.suggestedMaxAge;
+    if (min !== undefined && max !== undefined) return `${min}-${max} years`;
+    return audience.audienceType ? String(audience.audienceType) : null;
+};
+
+// Offer price as a cost text ("USD 5", "$0"); undefined when the offer has none
+const formatJsonLdCost = (offer) => {
+    if (offer.price === undefined || offer.price === null || offer.price === "") return undefined;
+    return offer.priceCurrency ? `${offer.priceCurrency} ${offer.price}` : `$${offer.price}`;
+};
+
+const formatJsonLdFree = (node) => {
+    const value = node.isAccessibleForFree;
+    if (value === true || /^true$/i.test(String(value))) return true;
+    if (value === false || /^false$/i.test(String(value))) return false;
+    return undefined;
+};
+
+const mapJsonLdEvent = (node, pageUrl) => {
+    const offer = asArray(node.offers)[0] || {};
+    const organizerName = asArray(node.organizer)[0]?.name;
+    return toActivity({
+        title: toPlainText(node.name),
+        venue: formatPlace(node.location) || organizerName || null,
+        description: toPlainText(node.description),
+        isoDate: node.startDate ? String(node.startDate) : null,
+        endTime: node.endDate ? String(node.endDate) : null,
+        ageRange: formatJsonLdAge(node),
+        registrationUrl: toAbsoluteUrl(offer.url || node.url, pageUrl),
+        isRegistrationRequired: !!offer.url,
+        cost: formatJsonLdCost(offer),
+        isFree: formatJsonLdFree(node),
+    });
+};
+
+/**
+ * Extract schema.org Event objects from every JSON-LD block on a page.
+ * @param {CheerioAPI} $ - Loaded page.
+ * @param {string} pageUrl - Page URL, used to resolve relative links.
+ * @returns {Array<Object>} Activities in the extraction shape.
+ */
+const extractJsonLdEvents = ($, pageUrl) => {
+    const nodes = [];
+    $('script[type="application/ld+json"]').each((_, el) => {
+        const raw = $(el).contents().text();
+        try {
+            collectEventNodes(JSON.parse(raw), nodes);
+        } catch (error) {
+            console.warn(`⚠️ Ignoring malformed JSON-LD on ${pageUrl}`);
+        }
+    });
+    return nodes.map((node) => mapJsonLdEvent(node, pageUrl));
+};
+
+// ---------------------------------------------------------------------------
+// iCalendar (RFC 5545)
+// ---------------------------------------------------------------------------
+
+const unescapeIcalText = (value) =>
+    String(value)
+        .replace(/\\n/gi, "\n")
+        .replace(/\\([,;\\])/g, "$1")
+        .trim();
+
+/**
+ * Convert an iCalendar date value to the ISO form used by extraction.
+ * Floating and TZID-qualified times stay offset-less local times,
+ * UTC times keep their trailing "Z".
+ */
+const icalDateToIso = (value) => {
+    const match = String(value).match(
+        /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/,
+    );
+    if (!match) return null;
+    const [, y, mo, d, h = "00", mi = "00", s = "00", z = ""] = match;
+    return `${y}-${mo}-${d}T${h}:${mi}:${s || "00"}${z}`;
+};
+
+/**
+ * Parse the VEVENT components of an iCalendar document.
+ * @param {string} text - Raw .ics content.
+ * @param {Object} [options]
+ * @param {string} [options.defaultVenue] - Used when an event has no LOCATION.
+ * @returns {Array<Object>} Activities in the extraction shape.
+ */
+const parseICalendar = (text, { defaultVenue = null } = {}) => {
+    // Unfold continuation lines (CRLF followed by a space or tab)
+    const lines = String(text)
+        .replace(/\r?\n[ \t]/g, "")
+        .split(/\r?\n/);
+
+    const events = [];
+    let current = null;
+
+    for (const line of lines) {
+        if (line === "BEGIN:VEVENT") {
+            current = {};
+            continue;
+        }
+        if (line === "END:VEVENT") {
+            if (current) events.push(current);
+            current = null;
+            continue;
+        }
+        if (!current) continue;
+
+        const colon = line.indexOf(":");
+        if (colon === -1) continue;
+        const [name, ...params] = line.substring(0, colon).split(";");
+        const value = line.substring(colon + 1);
+        current[name.toUpperCase()] = { value, params };
+    }
+
+    return events
+        .filter((vevent) => vevent.SUMMARY && vevent.DTSTART)
+        .filter((vevent) => !/^CANCELLED$/i.test(vevent.STATUS?.value || ""))
+        .map((vevent) =>
+            toActivity({
+                title: unescapeIcalText(vevent.SUMMARY.value),
+                venue: vevent.LOCATION
+                    ? unescapeIcalText(vevent.LOCATION.value)
+                    : defaultVenue,
+                description: vevent.DESCRIPTION
+                    ? toPlainText(unescapeIcalText(vevent.DESCRIPTION.value))
+                    : null,
+                isoDate: icalDateToIso(vevent.DTSTART.value),
+                endTime: vevent.DTEND ? icalDateToIso(vevent.DTEND.value) : null,
+                registrationUrl: vevent.URL ? toAbsoluteUrl(vevent.URL.value) : null,
+            }),
+        )
+        .filter((act) => act.isoDate);
+};
+
+// ---------------------------------------------------------------------------
+// RSS / Atom
+// ---------------------------------------------------------------------------
+
+// Only explicit event-date fields are trusted; publish dates are not event dates.
+const FEED_START_SELECTORS = ["ev\\:startdate", "xCal\\:dtstart", "xcal\\:dtstart"];
+const FEED_END_SELECTORS = ["ev\\:enddate", "xCal\\:dtend", "xcal\\:dtend"];
+const FEED_LOCATION_SELECTORS = ["ev\\:location", "xCal\\:location", "xcal\\:location"];
+
+const firstText = ($item, selectors) => {
+    for (const selector of selectors) {
+        const text = $item.find(selector).first().text().trim();
+        if (text) return text;
+    }
+    return null;
+};
+
+const normalizeFeedDate = (value) => {
+    if (!value) return null;
+    return icalDateToIso(value) || (Number.isNaN(Date.parse(value)) ? null : value);
+};
+
+/**
+ * Parse event items from an RSS 2.0 or Atom feed.
+ * Items without an explicit event start date (RSS event module or xCal) are skipped.
+ * @param {string} xml - Raw feed content.
+ * @param {Object} [options]
+ * @param {string} [options.defaultVenue] - Used when an item has no location.
+ * @returns {Array<Object>} Activities in the extraction shape.
+ */
+const parseFeed = (xml, { defaultVenue = null } = {}) => {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const items = $("item").length ? $("item") : $("entry");
+    const events = [];
+
+    items.each((_, el) => {
+        const $item = $(el);
+        const isoDate = normalizeFeedDate(firstText($item, FEED_START_SELECTORS));
+        if (!isoDate) return;
+
+        const atomLink = $item.find("link[href]").first().attr("href");
+        const link = atomLink || $item.find("link").first().text().trim();
+
+        events.push(
+            toActivity({
+                title: toPlainText($item.find("title").first().text()),
+                venue: firstText($item, FEED_LOCATION_SELECTORS) || defaultVenue,
+                description: toPlainText(
+                    $item.find("description, summary, content").first().text(),
+                ),
+                isoDate,
+                endTime: normalizeFeedDate(firstText($item, FEED_END_SELECTORS)),
+                registrationUrl: toAbsoluteUrl(link),
+            }),
+        );
+    });
+
+    return events;
+};
+
+// ---------------------------------------------------------------------------
+// Feed discovery + entry point
+// ---------------------------------------------------------------------------
+
+/**
+ * Find calendar/feed links advertised by a page.
+ * @param {CheerioAPI} $ - Loaded page.
+ * @param {string} pageUrl - Page URL, used to resolve relative links.
+ * @returns {Array<{url: string, kind: string}>}
+ */
+const findFeedLinks = ($, pageUrl) => {
+    const feeds = new Map();
+
+    $("link[rel~='alternate'][href]").each((_, el) => {
+        const kind = FEED_TYPES[($(el).attr("type") || "").toLowerCase()];
+        const url = toAbsoluteUrl($(el).attr("href"), pageUrl);
+        if (kind && url && !feeds.has(url)) feeds.set(url, kind);
+    });
+
+    $("a[href]").each((_, el) => {
+        const href = $(el).attr("href");
+        if (!/(\.ics(\?|$)|^webcal:)/i.test(href)) return;
+        const url = toAbsoluteUrl(href, pageUrl);
+        if (url && !feeds.has(url)) feeds.set(url, "ical");
+    });
+
+    return [...feeds].map(([url, kind]) => ({ url, kind }));
+};
+
+const parseFeedByKind = (kind, body, options) =>
+    kind === "ical" || /BEGIN:VCALENDAR/.test(body)
+        ? parseICalendar(body, options)
+        : parseFeed(body, options);
+
+/**
+ * Look for structured event data on a page before falling back to the LLM.
+ * JSON-LD on the page wins; otherwise up to MAX_FEEDS_PER_PAGE linked feeds are fetched.
+ * @param {string} html - Raw page HTML.
+ * @param {string} pageUrl - Page URL.
+ * @param {Object} [options]
+ * @param {Function} [options.fetchText] - async (url) => string, used to fetch linked feeds.
+ * @param {string} [options.defaultVenue] - Fallback venue for feeds without locations.
+ * @returns {Promise<{events: Array<Object>, method: string|null}>}
+ */
+const extractStructuredEvents = async (
+    html,
+    pageUrl,
+    { fetchText = null, defaultVenue = null } = {},
+) => {
+    const $ = cheerio.load(html || "");
+
+    const jsonLdEvents = extractJsonLdEvents($, pageUrl).filter(
+        (act) => act.title && act.isoDate,
+    );
+    if (jsonLdEvents.length > 0) {
+        return {
+            events: jsonLdEvents.map((act) => ({ ...act, venue: act.venue || defaultVenue })),
+            method: "json-ld",
+        };
+    }
+
+    if (!fetchText) return { events: [], method: null };
+
+    for (const feed of findFeedLinks($, pageUrl).slice(0, MAX_FEEDS_PER_PAGE)) {
+        try {
+            const body = await fetchText(feed.url);
+            const events = parseFeedByKind(feed.kind, body, { defaultVenue }).filter(
+                (act) => act.title,
+            );
+            if (events.length > 0) {
+                return { events, method: feed.kind };
+            }
+        } catch (error) {
+            console.warn(`⚠️ Could not read feed ${feed.url}:`, error.message);
+        }
+    }
+
+    return { events: [], method: null };
+};
+
+module.exports = {
+    extractStructuredEvents,
+    toActivity,
+    toPlainText,
+    toAbsoluteUrl,
+    extractJsonLdEvents,
+    findFeedLinks,
+    parseICalendar,
+    parseFeed,
+    icalDateToIso,
+};
@@ -0,0 +1,230 @@
+const { HttpsError } = require("firebase-functions/v2/https");
+const { PENDING } = require("./review");
+
+/**
+ * Community submissions.
+ * Signed-in parents and verified venue accounts (Auth users with a `venueId`
+ * custom claim naming their `venues` doc) submit events the scraper can't
+ * reach. Each submission is checked like an extracted event, screened for
+ * profanity and spam, rate limited per submitter and held in `submissions/{id}`
+ * until an admin approves or rejects it. Approved events become activities with
+ * `source: "community"` and the submitter's uid.
+ */
+
+const COMMUNITY_SOURCE = "community";
+const PARENT = "parent";
+const VENUE = "venue";
+
+// Submissions per submitter per local day
+const DEFAULT_MAX_SUBMISSIONS_PER_DAY = 5;
+const DEFAULT_MAX_VENUE_SUBMISSIONS_PER_DAY = 30;
+
+// Trust recorded with a submission's provenance: a venue knows its own events
+const SUBMITTER_TRUST = { [PARENT]: 0.5, [VENUE]: 0.9 };
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_TEXT_LENGTH = 200;
+const MAX_LIST_ITEMS = 10;
+
+// Submission entries outlive the event by this long, for the record
+const KEEP_AFTER_EVENT_SECONDS = 30 * 24 * 60 * 60;
+
+const LOCAL_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/;
+const LOCAL_TIME = /^\d{2}:\d{2}$/;
+
+const isShortList = (value) =>
+    Array.isArray(value) &&
+    value.length <= MAX_LIST_ITEMS &&
+    value.every((item) => typeof item === "string" && item.length <= MAX_TEXT_LENGTH);
+
+// Input field -> [check, expectation]; all optional unless required by validateSubmission
+const SUBMISSION_FIELDS = {
+    title: [(value) => typeof value === "string" && value.trim() !== "" && value.length <= MAX_TITLE_LENGTH, `a title of up to ${MAX_TITLE_LENGTH} characters`],
+    venue: [(value) => typeof value === "string" && value.trim() !== "" && value.length <= MAX_TEXT_LENGTH, "a place name"],
+    address: [(value) => typeof value === "string" && value.length <= MAX_TEXT_LENGTH, "an address"],
+    isoDate: [(value) => typeof value === "string" && LOCAL_DATE_TIME.test(value), "a local date and time (YYYY-MM-DDTHH:mm)"],
+    endTime: [(value) => typeof value === "string" && LOCAL_TIME.test(value), "a local time (HH:mm)"],
+    description: [(value) => typeof value === "string" && value.length <= MAX_DESCRIPTION_LENGTH, `up to ${MAX_DESCRIPTION_LENGTH} characters`],
+    ageRange: [(value) => typeof value === "string" && value.length <= MAX_TEXT_LENGTH, "an age range like \"1-3 years\""],
+    isRegistrationRequired: [(value) => typeof value === "boolean", "a boolean"],
+    registrationUrl: [(value) => typeof value === "string" && /^https?:\/\/\S+$/.test(value), "an http(s) URL"],
+    cost: [(value) => typeof value === "string" && value.length <= MAX_TEXT_LENGTH, "a string"],
+    isFree: [(value) => typeof value === "boolean", "a boolean"],
+    setting: [(value) => typeof value === "string" && value.length <= MAX_TEXT_LENGTH, "a string"],
+    languages: [(value) => isShortList(value), `up to ${MAX_LIST_ITEMS} strings`],
+    accessibility: [(value) => isShortList(value), `up to ${MAX_LIST_ITEMS} strings`],
+    categories: [(value) => isShortList(value), `up to ${MAX_LIST_ITEMS} strings`],
+    region: [(value) => typeof value === "string" && /^[a-z0-9_-]+$/.test(value), "a config_regions id"],
+};
+
+// Words that get a submission refused outright, matched after undoing l33t spelling
+const PROFANITY = /\b(fu+c+k(s|ed|er|ers|ing)?|shi+t(s|ty|ting)?|cu+nts?|bitch(es|y)?|a+ss+holes?|bastards?|whores?|sluts?|porn(o|ography)?|xxx)\b/;
+const SPAM_TERMS = /\b(casino|betting|viagra|cialis|crypto\w*|bitcoin|forex|payday loans?|weight loss|make money|work from home|onlyfans|escort\w*|click here)\b/;
+const LEET = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", "@": "a", $: "s" };
+
+const URL_PATTERN = /https?:\/\/|www\./gi;
+const CONTACT_PATTERN = /[\w.+-]+@[\w-]+\.[\w.]+|\+?\d[\d\s().-]{8,}\d/;
+
+const deLeet = (text) =>
+    text
+        .toLowerCase()
+        .replace(/[013457@$]/g, (char) => LEET[char])
+        // "f.u.c.k" and "f u c k"
+        .replace(/\b\w(?:[ .*_-]\w\b){2,}/g, (letters) => letters.replace(/[ .*_-]/g, ""));
+
+/**
+ * Screen a submission for profanity and spam.
+ * Blocked submissions are refused; flagged ones go to moderators with the flags.
+ * @param {Object} act - Normalized submission.
+ * @returns {{blocked: Array<string>, flags: Array<string>}}
+ */
+const screenSubmission = (act) => {
+    const text = [act.title, act.venue, act.description, act.ageRange, act.cost].filter(Boolean).join("\n");
+    const plain = deLeet(text);
+    const blocked = [];
+    if (PROFANITY.test(plain)) blocked.push("profanity");
+    if (SPAM_TERMS.test(plain)) blocked.push("spam_terms");
+
+    const flags = [];
+    if ((text.match(URL_PATTERN) || []).length > 2) flags.push("many_links");
+    const letters = act.title.replace(/[^A-Za-z]/g, "");
+    if (letters.length >= 10 && letters.replace(/[^A-Z]/g, "").length / letters.length > 0.7) flags.push("shouting");
+    if (/(.)\1{5,}/.test(text) || /[!?]{3,}/.test(text)) flags.push("repeated_characters");
+    if (CONTACT_PATTERN.test(act.title)) flags.push("contact_in_title");
+    if (act.registrationUrl && /bit\.ly|tinyurl|goo\.gl|t\.co\//i.test(act.registrationUrl)) flags.push("short_link");
+    return { blocked, flags };
+};
+
+/**
+ * Throw unless the caller may submit events: a signed-in, non-anonymous user.
+ * @param {Object} [auth] - Callable request `auth` ({ uid, token }).
+ * @returns {{uid: string, role: string, venueId: string|null}} role is "venue" for verified venue accounts.
+ * @throws {HttpsError} unauthenticated / permission-denied.
+ */
+const requireSubmitter = (auth) => {
+    if (!auth) throw new HttpsError("unauthenticated", "Sign in first");
+    if (auth.token?.firebase?.sign_in_provider === "anonymous") {
+        throw new HttpsError("permission-denied", "Sign in with an account to submit events");
+    }
+    const venueId = typeof auth.token?.venueId === "string" && auth.token.venueId !== "" ? auth.token.venueId : null;
+    return { uid: auth.uid, role: venueId ? VENUE : PARENT, venueId };
+};
+
+/**
+ * Check a submitted event. Venue accounts may leave out the venue (their own is used).
+ * @param {Object} input
+ * @param {Object} [options]
+ * @param {string} [options.role] - "parent" or "venue".
+ * @returns {Array<string>} Problems; empty when valid.
+ */
+const validateSubmission = (input, { role = PARENT } = {}) => {
+    if (!input || typeof input !== "object" || Array.isArray(input)) return ["event must be an object"];
+    const problems = [];
+    for (const field of Object.keys(input)) {
+        if (!(field in SUBMISSION_FIELDS)) problems.push(`unknown field "${field}"`);
+    }
+    const required = role === VENUE ? ["title", "isoDate"] : ["title", "venue", "isoDate"];
+    for (const field of required) {
+        if (input[field] === undefined || input[field] === null) problems.push(`${field} is required`);
+    }
+    for (const [field, [check, expectation]] of Object.entries(SUBMISSION_FIELDS)) {
+        const value = input[field];
+        if (value !== undefined && value !== null && !check(value)) problems.push(`${field} must be ${expectation}`);
+    }
+    return problems;
+};
+
+const clean = (value) => (typeof value === "string" ? value.replace(/\s+/g, " ").trim() : value);
+
+/**
+ * Submission in the extraction shape, with whitespace tidied.
+ * @param {Object} input - Valid submission.
+ * @param {Object} [venue] - The venue account's `venues` doc ({ name }), which names the place.
+ * @returns {Object}
+ */
+const normalizeSubmission = (input, venue = null) => {
+    const act = {};
+    for (const field of Object.keys(SUBMISSION_FIELDS)) {
+        const value = input[field];
+        if (value === undefined || value === null || field === "address" || field === "region") continue;
+        act[field] = Array.isArray(value) ? value.map(clean).filter(Boolean) : clean(value);
+    }
+    // Descriptions keep their paragraphs
+    if (typeof input.description === "string") act.description = input.description.replace(/\n{3,}/g, "\n\n").trim();
+    if (venue?.name) act.venue = venue.name;
+    return act;
+};
+
+/**
+ * Take one of a submitter's submissions for today.
+ * @param {Object|null} state - Stored `submission_limits` doc.
+ * @param {Object} options
+ * @param {string} options.day - Local "YYYY-MM-DD".
+ * @param {number} options.maxPerDay
+ * @returns {Object|null} The state to store, or null when the limit is reached.
+ */
+const takeSubmissionSlot = (state, { day, maxPerDay }) => {
+    const count = state && state.day === day ? state.count : 0;
+    if (count >= maxPerDay) return null;
+    return { day, count: count + 1 };
+};
+
+// Pseudo source URL of a community submission (activities keep one per source)
+const submissionSourceUrl = (submissionId) => `${COMMUNITY_SOURCE}:${submissionId}`;
+
+/**
+ * `submissions` document for a screened event awaiting moderation.
+ * @param {Object} params
+ * @param {Object} params.act - Normalized submission.
+ * @param {Object} params.times - Resolved times (validateEvent).
+ * @param {Object} params.submitter - { uid, role, venueId }.
+ * @param {Object} params.coordinates - { lat, lng, address, venueId }.
+ * @param {Object} params.timing - { timeZone, referenceDate }.
+ * @param {string} params.regionId
+ * @param {string} params.activityId - Id the event would be published under.
+ * @param {Array<string>} params.flags - From screenSubmission.
+ * @param {number} params.nowSeconds
+ * @returns {Object}
+ */
+const buildSubmissionEntry = ({ act, times, submitter, coordinates, timing, regionId, activityId, flags, nowSeconds }) => ({
+    status: PENDING,
+    event: act,
+    startTime: times.startTime,
+    submittedBy: submitter.uid,
+    submitterRole: submitter.role,
+    submitterVenueId: submitter.venueId,
+    regionId,
+    coordinates: {
+        lat: coordinates.lat ?? null,
+        lng: coordinates.lng ?? null,
+        address: coordinates.address ?? null,
+        venueId: coordinates.venueId ?? null,
+    },
+    provenance: { method: COMMUNITY_SOURCE, trust: SUBMITTER_TRUST[submitter.role] },
+    timing: {
+        timeZone: timing.timeZone,
+        referenceDate: timing.referenceDate ?? null,
+    },
+    activityId,
+    flags,
+    edits: {},
+    createdAt: nowSeconds,
+    expireAt: new Date((times.endTime + KEEP_AFTER_EVENT_SECONDS) * 1000),
+});
+
+module.exports = {
+    COMMUNITY_SOURCE,
+    PARENT,
+    VENUE,
+    DEFAULT_MAX_SUBMISSIONS_PER_DAY,
+    DEFAULT_MAX_VENUE_SUBMISSIONS_PER_DAY,
+    SUBMISSION_FIELDS,
+    requireSubmitter,
+    validateSubmission,
+    normalizeSubmission,
+    screenSubmission,
+    takeSubmissionSlot,
+    submissionSourceUrl,
+    buildSubmissionEntry,
+};
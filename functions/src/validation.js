@@ -0,0 +1,116 @@
+const { resolveEventTimes, toEpochSeconds } = require("./dates");
+const { venueSimilarity } = require("./dedupe");
+
+/**
+ * Validation and confidence scoring of extracted events.
+ * The response schema guarantees the shape of the model's answer; this checks
+ * what it can't: that the date parses and is plausible, that the event is not
+ * aimed at adults, that the fields are sane. Events that pass get a confidence
+ * score mixing the model's self-report with heuristics (date inside the crawl
+ * window, venue matching the registry entry, toddler wording); the scraper
+ * holds low-confidence events in `pending_review` instead of publishing them.
+ */
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Hard limit: a date this far out is a parse error, not a real listing
+const MAX_DAYS_AHEAD = 366;
+
+const MAX_TITLE_LENGTH = 200;
+
+// Audience words that rule an event out, unless the title also names little ones
+const ADULT_AUDIENCE = /\b(adults?|teens?|tweens?|seniors?|grades?\s*(k|\d)|school[- ]age|ages?\s*(1[0-9]|[6-9])\s*(\+|and up|-)|1[89]\+|21\+)/i;
+const KID_WORDS = /story\s*time|toddler|preschool|lap\s*sit|baby|babies|infant|tiny tots|little ones|0\s*-\s*[1-5]\b|\b(1[2-9]|2[0-9]|3[0-6])\s*months?|famil(y|ies)|all ages/i;
+
+// Weights of the confidence signals; they sum to 1
+const CONFIDENCE_WEIGHTS = {
+    model: 0.4,
+    date: 0.2,
+    venue: 0.2,
+    age: 0.2,
+};
+
+// Self-report assumed when the model gave none: structured sources published exact data
+const DEFAULT_MODEL_CONFIDENCE = 0.5;
+const STRUCTURED_MODEL_CONFIDENCE = 0.9;
+
+const isBlank = (value) => typeof value !== "string" || value.trim() === "";
+
+/**
+ * Check an extracted event.
+ * @param {Object} act - Event in the extraction shape.
+ * @param {Object} [timing] - { timeZone, referenceDate } as for resolveEventTimes.
+ * @returns {{reasons: Array<string>, times: Object|null}} reasons is empty for a valid event;
+ *   times are the resolved start/end when the date parsed.
+ */
+const validateEvent = (act, timing = {}) => {
+    if (!act || typeof act !== "object") return { reasons: ["not_an_object"], times: null };
+
+    const reasons = [];
+    if (isBlank(act.title)) reasons.push("missing_title");
+    else if (act.title.length > MAX_TITLE_LENGTH) reasons.push("title_too_long");
+    if (isBlank(act.venue)) reasons.push("missing_venue");
+    if (isBlank(act.isoDate)) reasons.push("missing_date");
+
+    const audience = `${act.title || ""} | ${act.ageRange || ""}`;
+    if (ADULT_AUDIENCE.test(audience) && !KID_WORDS.test(audience)) reasons.push("adult_audience");
+
+    let times = null;
+    if (!isBlank(act.isoDate)) {
+        times = resolveEventTimes(act, timing);
+        if (!times) {
+            reasons.push("invalid_date");
+        } else if (timing.referenceDate) {
+            const reference = toEpochSeconds(timing.referenceDate, timing.timeZone);
+            if (times.startTime > reference + MAX_DAYS_AHEAD * DAY_SECONDS) reasons.push("date_too_far");
+        }
+    }
+    return { reasons, times };
+};
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * Confidence that a valid event is real and correctly extracted.
+ * @param {Object} act - Event in the extraction shape (may carry the model's `confidence`).
+ * @param {Object} context
+ * @param {Object} context.times - From validateEvent.
+ * @param {string} context.today - "YYYY-MM-DD" the page was fetched.
+ * @param {string} [context.timeZone]
+ * @param {number} context.horizonDays - How far ahead the source was crawled.
+ * @param {string} [context.registryVenue] - url_registry venue_name.
+ * @param {boolean} [context.structured] - Event came from structured data.
+ * @returns {{confidence: number, signals: Object}} confidence and signals are 0..1.
+ */
+const scoreConfidence = (act, { times, today, timeZone, horizonDays, registryVenue, structured = false }) => {
+    const reported = Number(act.confidence);
+    let model = structured ? STRUCTURED_MODEL_CONFIDENCE : DEFAULT_MODEL_CONFIDENCE;
+    if (act.confidence !== null && act.confidence !== undefined && Number.isFinite(reported)) {
+        model = clamp(reported);
+    }
+
+    // Inside the crawl window scores 1; later dates are likely a wrong year or month
+    const start = toEpochSeconds(today, timeZone);
+    const daysAhead = (times.startTime - start) / DAY_SECONDS;
+    let date = daysAhead <= horizonDays ? 1 : daysAhead <= 2 * horizonDays ? 0.5 : 0;
+    // The year had to be corrected: the model's date was off
+    if (times.isoDate !== act.isoDate) date = Math.min(date, 0.5);
+
+    const venue = registryVenue ? venueSimilarity(act.venue, registryVenue) : 0.5;
+    const age = KID_WORDS.test(`${act.title} ${act.ageRange || ""} ${act.description || ""}`) ? 1 : 0;
+
+    const signals = { model, date, venue, age };
+    const confidence = Object.entries(CONFIDENCE_WEIGHTS).reduce(
+        (total, [signal, weight]) => total + signals[signal] * weight,
+        0,
+    );
+    return {
+        confidence: Math.round(confidence * 100) / 100,
+        signals: Object.fromEntries(Object.entries(signals).map(([key, value]) => [key, Math.round(value * 100) / 100])),
+    };
+};
+
+module.exports = {
+    validateEvent,
+    scoreConfidence,
+};
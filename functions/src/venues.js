@@ -0,0 +1,452 @@
+const geofire = require("geofire-common");
+const { venueTokens } = require("./dedupe");
+const { DEFAULT_REGION, isInRegion } = require("./regions");
+
+/**
+ * Venues and library systems.
+ * A source often lists events at several branches ("Alameda County Library -
+ * Union City Branch"), so an event's location comes from the branch it names,
+ * not from the source's own pin. Known places live in `venues`
+ *   { name, aliases, systemId, region, address, latitude, longitude, geohash, hours, placeId }
+ * and the systems they belong to in `library_systems` { name, aliases, website, region }.
+ * An extracted venue string is matched to a venue by name or alias, then by
+ * its distinctive words once the system's name is taken out. Anything unknown
+ * is geocoded once and remembered in `geocode_cache`, keyed by normalized name.
+ */
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// Score an extracted venue needs against a branch; a tie at the top matches nothing
+const MIN_VENUE_MATCH = 0.8;
+const CONTAINED_SCORE = 0.85;
+
+// Directory reloads and retries of failed geocodes
+const DIRECTORY_TTL_MS = 10 * 60 * 1000;
+const GEOCODE_MISS_RETRY_DAYS = 30;
+
+const OPENING_HOURS = /^([01]\d|2[0-3]):[0-5]\d-([01]\d|2[0-3]):[0-5]\d(,([01]\d|2[0-3]):[0-5]\d-([01]\d|2[0-3]):[0-5]\d)*$/;
+
+const isNonEmptyString = (value) => typeof value === "string" && value.trim() !== "";
+const isStringList = (value) => Array.isArray(value) && value.every(isNonEmptyString);
+const isId = (value) => typeof value === "string" && /^[A-Za-z0-9_-]+$/.test(value);
+
+/**
+ * Venue name as compared and cached: lowercase ASCII words.
+ * @param {string} value - e.g. "Biblioteca Pública – Centro".
+ * @returns {string} e.g. "biblioteca publica centro".
+ */
+const normalizeVenueName = (value) =>
+    String(value || "")
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/&/g, " and ")
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim();
+
+const namesOf = (entry) => [entry.name, ...(entry.aliases || [])].map(normalizeVenueName).filter(Boolean);
+
+// System whose name or alias appears in a normalized venue string (longest name wins)
+const systemNamed = (normalized, systems) => {
+    let best = null;
+    for (const system of systems) {
+        for (const name of namesOf(system)) {
+            if (` ${normalized} `.includes(` ${name} `) && (!best || name.length > best.name.length)) {
+                best = { system, name };
+            }
+        }
+    }
+    return best;
+};
+
+// Distinctive words of a venue name once its system's name is taken out
+const branchTokens = (name, systems) => {
+    let normalized = normalizeVenueName(name);
+    const named = systemNamed(normalized, systems);
+    if (named) normalized = ` ${normalized} `.replace(` ${named.name} `, " ").trim();
+    return venueTokens(normalized);
+};
+
+// Words equal, or one typo apart when long enough ("centervile" / "centerville")
+const wordsMatch = (a, b) => {
+    if (a === b) return true;
+    if (Math.min(a.length, b.length) < 5 || Math.abs(a.length - b.length) > 1) return false;
+    let i = 0;
+    let j = 0;
+    let edits = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            i++;
+            j++;
+            continue;
+        }
+        if (++edits > 1) return false;
+        if (a.length > b.length) i++;
+        else if (b.length > a.length) j++;
+        else {
+            i++;
+            j++;
+        }
+    }
+    return edits + (a.length - i) + (b.length - j) <= 1;
+};
+
+/**
+ * Similarity of two sets of distinctive venue words.
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number} 1 for the same words, CONTAINED_SCORE when one holds the other, else Jaccard.
+ */
+const tokenScore = (a, b) => {
+    if (a.size === 0 || b.size === 0) return 0;
+    const shared = [...a].filter((word) => [...b].some((other) => wordsMatch(word, other))).length;
+    if (shared === a.size && shared === b.size) return 1;
+    if (shared === Math.min(a.size, b.size)) return CONTAINED_SCORE;
+    return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Whether two names mean the same place ("Fremont Main Library" / "Fremont Library").
+ * A branch of the same system is not the same place.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+const isSameVenue = (a, b) => {
+    const na = normalizeVenueName(a);
+    if (na !== "" && na === normalizeVenueName(b)) return true;
+    return tokenScore(venueTokens(na), venueTokens(normalizeVenueName(b))) === 1;
+};
+
+/**
+ * Known venue an extracted venue string names.
+ * @param {string} text - Extracted venue.
+ * @param {Array<Object>} venues - Venue docs ({ id, name, aliases, systemId, ... }).
+ * @param {Array<Object>} [systems] - Library system docs ({ id, name, aliases }).
+ * @param {Object} [options]
+ * @param {string} [options.systemId] - The source's system, when the text names none.
+ * @returns {{venue: Object, score: number}|null}
+ */
+const matchVenue = (text, venues, systems = [], { systemId = null } = {}) => {
+    const normalized = normalizeVenueName(text);
+    if (!normalized) return null;
+
+    const exact = venues.filter((venue) => namesOf(venue).includes(normalized));
+    if (exact.length === 1) return { venue: exact[0], score: 1 };
+
+    const scope = systemNamed(normalized, systems)?.system.id || systemId;
+    const candidates = scope ? venues.filter((venue) => venue.systemId === scope) : venues;
+    const words = branchTokens(normalized, systems);
+    if (words.size === 0) return null;
+
+    let best = null;
+    let tied = false;
+    for (const venue of candidates) {
+        const score = Math.max(...namesOf(venue).map((name) => tokenScore(words, branchTokens(name, systems))));
+        if (best && score === best.score) tied = true;
+        if (!best || score > best.score) {
+            best = { venue, score };
+            tied = false;
+        }
+    }
+    return best && !tied && best.score >= MIN_VENUE_MATCH ? best : null;
+};
+
+/**
+ * Opening hours from Google Places `opening_hours.periods`.
+ * @param {Array<Object>} periods - [{ open: { day, time: "HHMM" }, close?: { day, time } }]
+ * @returns {Object|null} { sun: "10:00-17:00", mon: null (closed), ... }, or null without periods.
+ */
+const hoursFromPlacePeriods = (periods) => {
+    if (!Array.isArray(periods) || periods.length === 0) return null;
+    const clock = (time) => `${time.slice(0, 2)}:${time.slice(2, 4)}`;
+    // Open around the clock: one period without a close
+    if (periods.length === 1 && !periods[0].close) {
+        return Object.fromEntries(DAYS.map((day) => [day, "00:00-23:59"]));
+    }
+    const hours = Object.fromEntries(DAYS.map((day) => [day, []]));
+    for (const { open, close } of periods) {
+        if (!open || !DAYS[open.day]) continue;
+        // Past midnight counts as open until the end of the day
+        const end = close && close.day === open.day ? clock(close.time) : "23:59";
+        hours[DAYS[open.day]].push(`${clock(open.time)}-${end}`);
+    }
+    return Object.fromEntries(DAYS.map((day) => [day, hours[day].length ? hours[day].join(",") : null]));
+};
+
+/**
+ * Problems with a venue sent by an admin.
+ * @param {Object} input - { name, aliases?, systemId?, region?, address?, latitude?, longitude?, hours? }
+ * @returns {Array<string>} Empty when valid.
+ */
+const validateVenue = (input) => {
+    if (!input || typeof input !== "object") return ["venue must be an object"];
+    const problems = [];
+    if (!isNonEmptyString(input.name)) problems.push("name is required");
+    if (input.aliases !== undefined && !isStringList(input.aliases)) problems.push("aliases must be names");
+    if (input.systemId != null && !isId(input.systemId)) problems.push("systemId must be a library_systems id");
+    if (input.region !== undefined && !isId(input.region)) problems.push("region must be a config_regions id");
+    if (input.address !== undefined && !isNonEmptyString(input.address)) problems.push("address must be a string");
+
+    const hasLat = input.latitude !== undefined;
+    const hasLng = input.longitude !== undefined;
+    if (hasLat !== hasLng) problems.push("latitude and longitude go together");
+    if (hasLat && !(typeof input.latitude === "number" && input.latitude >= -90 && input.latitude <= 90)) {
+        problems.push("latitude must be a latitude");
+    }
+    if (hasLng && !(typeof input.longitude === "number" && input.longitude >= -180 && input.longitude <= 180)) {
+        problems.push("longitude must be a longitude");
+    }
+    if (!hasLat && !isNonEmptyString(input.address)) problems.push("an address or coordinates are required");
+
+    if (input.hours !== undefined && input.hours !== null) {
+        const valid =
+            typeof input.hours === "object" &&
+            Object.entries(input.hours).every(
+                ([day, value]) => DAYS.includes(day) && (value === null || OPENING_HOURS.test(value)),
+            );
+        if (!valid) problems.push(`hours must map ${DAYS.join(", ")} to "HH:MM-HH:MM" or null`);
+    }
+    return problems;
+};
+
+/**
+ * Problems with a library system sent by an admin.
+ * @param {Object} input - { name, aliases?, website?, region? }
+ * @returns {Array<string>} Empty when valid.
+ */
+const validateLibrarySystem = (input) => {
+    if (!input || typeof input !== "object") return ["system must be an object"];
+    const problems = [];
+    if (!isNonEmptyString(input.name)) problems.push("name is required");
+    if (input.aliases !== undefined && !isStringList(input.aliases)) problems.push("aliases must be names");
+    if (input.website !== undefined && !/^https?:\/\//.test(String(input.website))) {
+        problems.push("website must be an http(s) URL");
+    }
+    if (input.region !== undefined && !isId(input.region)) problems.push("region must be a config_regions id");
+    return problems;
+};
+
+/**
+ * `venues` fields for a located venue.
+ * @param {Object} input - Validated venue input.
+ * @param {{lat: number, lng: number, address: string|null}} location
+ * @param {string} regionId
+ * @returns {Object}
+ */
+const buildVenueDoc = (input, location, regionId) => ({
+    name: input.name.trim(),
+    aliases: (input.aliases || []).map((alias) => alias.trim()),
+    systemId: input.systemId ?? null,
+    region: regionId,
+    address: location.address ?? input.address ?? null,
+    latitude: location.lat,
+    longitude: location.lng,
+    geohash: geofire.geohashForLocation([location.lat, location.lng]),
+    hours: input.hours ?? null,
+});
+
+/**
+ * `geocode_cache` doc id for a venue string in a region.
+ * @param {string} text
+ * @param {string} regionId
+ * @returns {string|null} null when the name has no words.
+ */
+const geocodeCacheId = (text, regionId) => {
+    const normalized = normalizeVenueName(text);
+    return normalized ? `${regionId}_${normalized.replace(/ /g, "_")}`.slice(0, 300) : null;
+};
+
+/**
+ * Venues and systems of a region, reloaded every DIRECTORY_TTL_MS.
+ * @param {Object} options
+ * @param {Firestore} options.db
+ * @param {Function} [options.now] - Clock in ms, injectable for tests.
+ * @returns {{match: Function}}
+ */
+const createVenueDirectory = ({ db, now = () => Date.now() }) => {
+    const cache = new Map();
+
+    const load = (regionId) => {
+        const cached = cache.get(regionId);
+        if (cached && now() - cached.loadedAt < DIRECTORY_TTL_MS) return cached.entries;
+        const entries = Promise.all([
+            db.collection("venues").where("region", "==", regionId).get(),
+            db.collection("library_systems").where("region", "==", regionId).get(),
+        ]).then(([venueSnap, systemSnap]) => ({
+            venues: venueSnap.docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+            systems: systemSnap.docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+        }));
+        // A failed load is retried on the next call
+        entries.catch(() => cache.delete(regionId));
+        cache.set(regionId, { entries, loadedAt: now() });
+        return entries;
+    };
+
+    return {
+        /**
+         * Known venue an extracted venue string names.
+         * @param {string} text
+         * @param {Object} options
+         * @param {string} options.regionId
+         * @param {string} [options.systemId] - The source's system.
+         * @returns {Promise<Object|null>} Venue doc ({ id, ... }).
+         */
+        match: async (text, { regionId, systemId = null }) => {
+            const { venues, systems } = await load(regionId);
+            return matchVenue(text, venues, systems, { systemId })?.venue || null;
+        },
+    };
+};
+
+/**
+ * A geocoding request that failed (network, 5xx, OVER_QUERY_LIMIT, REQUEST_DENIED)
+ * rather than finding nothing. Never cached: the next lookup asks again.
+ */
+class GeocodingError extends Error {
+    constructor(text, cause) {
+        super(`Geocoding "${text}" failed: ${cause.message}`);
+        this.name = "GeocodingError";
+        this.cause = cause;
+    }
+}
+
+// Geocoding API statuses that are answers; any other status is a failure
+const ANSWER_STATUSES = new Set(["OK", "ZERO_RESULTS"]);
+
+/**
+ * Google Maps geocoding biased toward a region. Every request, including the
+ * unconstrained retry, takes a slot from `limiter`; a full quota throws
+ * RateLimitExceededError so callers retry instead of remembering a miss.
+ * Only a ZERO_RESULTS answer resolves to null coordinates; a failed request
+ * throws GeocodingError.
+ * @param {Object} options
+ * @param {Object} options.client - Maps client ({ geocode }).
+ * @param {Object} options.limiter - Rate limiter ({ acquire }).
+ * @returns {Function} (venueName, apiKey, region) -> Promise<{ lat, lng, address }>
+ */
+const createGeocoder = ({ client, limiter }) => {
+    const request = async (address, apiKey, bias) => {
+        await limiter.acquire();
+        let response;
+        try {
+            response = await client.geocode({ params: { address, key: apiKey, ...bias } });
+        } catch (error) {
+            throw new GeocodingError(address, error);
+        }
+        const status = response.data.status;
+        if (status && !ANSWER_STATUSES.has(status)) {
+            throw new GeocodingError(address, new Error(response.data.error_message || status));
+        }
+        return response;
+    };
+
+    return async (venueName, apiKey, region = DEFAULT_REGION) => {
+        // Bias results toward the region's country and bounds
+        const bias = {
+            region: region.countryCode.toLowerCase(),
+            ...(region.bounds && {
+                bounds: {
+                    southwest: { lat: region.bounds.south, lng: region.bounds.west },
+                    northeast: { lat: region.bounds.north, lng: region.bounds.east },
+                },
+            }),
+        };
+        const regionAddress = region.geocodeSuffix ? `${venueName}, ${region.geocodeSuffix}` : venueName;
+
+        // First try with the region constraint
+        let response = await request(regionAddress, apiKey, bias);
+
+        // If no results with the region constraint, try without it (fallback)
+        if (response.data.results.length === 0 && regionAddress !== venueName) {
+            console.warn(`⚠️ No results for "${regionAddress}" - retrying without location constraint`);
+            response = await request(venueName, apiKey, bias);
+        }
+
+        if (response.data.results.length === 0) return { lat: null, lng: null, address: null };
+
+        const result = response.data.results[0];
+        const address = result.formatted_address;
+        const { lat, lng } = result.geometry.location;
+
+        // Verify result is inside the region's bounds
+        if (!isInRegion(region, lat, lng)) {
+            console.warn(`⚠️ Geocoded address is likely outside ${region.name}: ${address}`);
+        }
+
+        console.log(`📍 Geocoded ${venueName}: ${address}`);
+        return { lat, lng, address };
+    };
+};
+
+/**
+ * Geocoding through `geocode_cache`: each venue string is geocoded once per
+ * region; strings that found nothing are tried again after GEOCODE_MISS_RETRY_DAYS.
+ * A geocoder that throws (a failed request, not an empty answer) leaves the
+ * cache untouched and the error reaches the caller.
+ * @param {Object} options
+ * @param {Firestore} options.db
+ * @param {Function} options.geocode - (text, region) -> Promise<{ lat, lng, address }>; throws on failure.
+ * @param {Function} [options.now] - Clock in ms.
+ * @returns {{geocode: Function}}
+ */
+const createGeocodeCache = ({ db, geocode, now = () => Date.now() }) => {
+    const inFlight = new Map();
+    const missRetrySeconds = GEOCODE_MISS_RETRY_DAYS * 24 * 60 * 60;
+
+    const lookup = async (id, text, region) => {
+        const ref = db.collection("geocode_cache").doc(id);
+        const snap = await ref.get();
+        const nowSeconds = Math.floor(now() / 1000);
+        if (snap.exists) {
+            const cached = snap.data();
+            if (cached.lat !== null || nowSeconds - cached.geocodedAt < missRetrySeconds) {
+                return { lat: cached.lat, lng: cached.lng, address: cached.address };
+            }
+        }
+        const result = await geocode(text, region);
+        await ref.set({
+            query: text,
+            region: region.id,
+            lat: result.lat,
+            lng: result.lng,
+            address: result.address,
+            geocodedAt: nowSeconds,
+        });
+        return result;
+    };
+
+    return {
+        /**
+         * Coordinates for a venue string.
+         * @param {string} text
+         * @param {Object} region - { id, ... } passed on to the geocoder.
+         * @returns {Promise<{lat: number|null, lng: number|null, address: string|null}>}
+         */
+        geocode: (text, region) => {
+            const id = geocodeCacheId(text, region.id);
+            if (!id) return Promise.resolve({ lat: null, lng: null, address: null });
+            if (!inFlight.has(id)) {
+                const pending = lookup(id, text, region);
+                pending.finally(() => inFlight.delete(id)).catch(() => {});
+                inFlight.set(id, pending);
+            }
+            return inFlight.get(id);
+        },
+    };
+};
+
+module.exports = {
+    normalizeVenueName,
+    isSameVenue,
+    matchVenue,
+    hoursFromPlacePeriods,
+    validateVenue,
+    validateLibrarySystem,
+    buildVenueDoc,
+    geocodeCacheId,
+    createVenueDirectory,
+    GeocodingError,
+    createGeocoder,
+    createGeocodeCache,
+};
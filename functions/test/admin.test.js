@@ -0,0 +1,87 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { requireAdmin, registryIdFor, sourceUrlsFor, parseSourceInput } = require("../src/admin");
+
+describe("requireAdmin", () => {
+    it("lets only admins through", () => {
+        assert.equal(requireAdmin({ uid: "u1", token: { admin: true } }), "u1");
+        assert.throws(() => requireAdmin(null), (error) => error.code === "unauthenticated");
+        assert.throws(() => requireAdmin({ uid: "u2", token: {} }), (error) => error.code === "permission-denied");
+    });
+});
+
+describe("registryIdFor", () => {
+    it("matches the ids discovery assigns", () => {
+        const url = "https://aclibrary.org/locations/fremont-main/";
+        assert.equal(registryIdFor(url), Buffer.from(url).toString("base64").substring(0, 100));
+    });
+});
+
+describe("sourceUrlsFor", () => {
+    it("lists the site, its calendar pages and pages it used to be scraped from, once each", () => {
+        assert.deepEqual(
+            sourceUrlsFor({
+                url_hash: "https://sfpl.org/",
+                event_urls: ["https://sfpl.org/events/kids", "https://sfpl.org/"],
+                scraped_urls: ["https://sfpl.org/calendar", "https://sfpl.org/events/kids"],
+            }),
+            ["https://sfpl.org/", "https://sfpl.org/events/kids", "https://sfpl.org/calendar"],
+        );
+        assert.deepEqual(sourceUrlsFor({ url_hash: "https://aclibrary.org/" }), ["https://aclibrary.org/"]);
+    });
+});
+
+describe("parseSourceInput", () => {
+    it("maps a new source onto registry fields", () => {
+        const fields = parseSourceInput(
+            {
+                url: "https://fremontlibrary.example/",
+                venueName: " Fremont Main Library ",
+                city: "Fremont, CA",
+                latitude: 37.55,
+                longitude: -121.98,
+                timezone: "America/Los_Angeles",
+                eventUrls: ["https://fremontlibrary.example/events"],
+                crawlMaxPages: 3,
+                fetchDetails: true,
+            },
+            { creating: true },
+        );
+        assert.deepEqual(fields, {
+            url_hash: "https://fremontlibrary.example/",
+            venue_name: "Fremont Main Library",
+            city: "Fremont, CA",
+            latitude: 37.55,
+            longitude: -121.98,
+            timezone: "America/Los_Angeles",
+            event_urls: ["https://fremontlibrary.example/events"],
+            event_urls_manual: true,
+            relevance: "events",
+            crawl_max_pages: 3,
+            fetch_details: true,
+        });
+    });
+
+    it("clears optional fields with null and hands calendar pages back to the finder", () => {
+        assert.deepEqual(parseSourceInput({ eventUrls: null, crawlHorizonDays: null }), {
+            event_urls: null,
+            event_urls_manual: false,
+            crawl_horizon_days: null,
+        });
+    });
+
+    it("rejects bad input", () => {
+        const invalid = (input, pattern, options) =>
+            assert.throws(
+                () => parseSourceInput(input, options),
+                (error) => error.code === "invalid-argument" && pattern.test(error.message),
+            );
+        invalid({ venueName: "Library" }, /needs url and venueName/, { creating: true });
+        invalid({ url: "ftp://files.example/" }, /url must be an http\(s\) URL/);
+        invalid({ timezone: "Pacific" }, /IANA time zone/);
+        invalid({ crawlMaxPages: 50 }, /crawlMaxPages must be 1-20/);
+        invalid({ venueName: null }, /venueName must be a name/);
+        invalid({ scrape_status: "ok" }, /Unknown source field/);
+    });
+});
@@ -0,0 +1,122 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseAgeRange, formatAgeLabel, ageFieldsFor, suitsAge, migrateAgeFields } = require("../src/ages");
+
+// [audience text, minAgeMonths, maxAgeMonths, label]
+const CASES = [
+    ["Toddlers", 18, 36, "18-36 months"],
+    ["Babies", 0, 18, "0-18 months"],
+    ["Lapsit", 0, 18, "0-18 months"],
+    ["Preschoolers", 36, 71, "3-5 years"],
+    ["ages 2+", 24, null, "2+ years"],
+    ["2 and up", 24, null, "2+ years"],
+    ["3 & up", 36, null, "3+ years"],
+    ["6+ months", 6, null, "6+ months"],
+    ["18 months and older", 18, null, "18+ months"],
+    ["under 5", 0, 59, "0-4 years"],
+    ["younger than 24 months", 0, 23, "0-23 months"],
+    ["5 and under", 0, 71, "0-5 years"],
+    ["up to 24 months", 0, 24, "0-24 months"],
+    ["birth to 24 months", 0, 24, "0-24 months"],
+    ["Birth-5", 0, 71, "0-5 years"],
+    ["newborn to 2 years", 0, 35, "0-2 years"],
+    ["grades PreK", 48, 59, "4 years"],
+    ["Grades PreK-K", 48, 71, "4-5 years"],
+    ["Grades K-2", 60, 95, "5-7 years"],
+    ["18 months - 3 years", 18, 47, "18 months-3 years"],
+    ["18 mos to 3 yrs", 18, 47, "18 months-3 years"],
+    ["ages 3-5", 36, 71, "3-5 years"],
+    ["3–5 yrs", 36, 71, "3-5 years"],
+    ["12-24 mo.", 12, 24, "12-24 months"],
+    ["0-24", 0, 24, "0-24 months"],
+    ["2-year-olds", 24, 35, "2 years"],
+    ["2.5 years", 30, 30, "30 months"],
+    ["Preschool (3-5)", 36, 71, "3-5 years"],
+    ["Babies and toddlers", 0, 36, "0-36 months"],
+    ["Toddlers, Families", 18, 36, "18-36 months"],
+    ["Babies, Toddlers, Preschoolers", 0, 71, "0-5 years"],
+    ["2 a 5 años", 24, 71, "2-5 years"],
+    ["Teens & Adults", 156, null, "13+ years"],
+    ["Teens 13-18", 156, 227, "13-18 years"],
+    ["ages 12-18", 144, 227, "12-18 years"],
+    ["Tweens 9-12", 108, 155, "9-12 years"],
+    ["Ages 6-12 & 13-17", 72, 215, "6-17 years"],
+    ["ages 14+", 168, null, "14+ years"],
+    ["ages 18 months - 3 years", 18, 47, "18 months-3 years"],
+    ["All ages", null, null, "All"],
+];
+
+describe("parseAgeRange", () => {
+    for (const [text, minAgeMonths, maxAgeMonths, label] of CASES) {
+        it(`parses ${JSON.stringify(text)}`, () => {
+            assert.deepEqual(parseAgeRange(text), { minAgeMonths, maxAgeMonths, label });
+        });
+    }
+
+    it("gives nothing for text without an age", () => {
+        for (const text of [null, undefined, "", "Families", "Storytime"]) {
+            assert.equal(parseAgeRange(text), null);
+        }
+    });
+
+    it("round-trips its labels", () => {
+        for (const [, minAgeMonths, maxAgeMonths, label] of CASES) {
+            const parsed = parseAgeRange(label);
+            assert.deepEqual(parsed, { minAgeMonths, maxAgeMonths, label }, label);
+        }
+    });
+});
+
+describe("formatAgeLabel", () => {
+    it("picks months or years by the bounds", () => {
+        assert.equal(formatAgeLabel(null, null), "All");
+        assert.equal(formatAgeLabel(0, 35), "0-2 years");
+        assert.equal(formatAgeLabel(12, 23), "12-23 months");
+        assert.equal(formatAgeLabel(24, 35), "2 years");
+        assert.equal(formatAgeLabel(20, null), "20+ months");
+    });
+});
+
+describe("ageFieldsFor", () => {
+    it("falls back to All without bounds", () => {
+        assert.deepEqual(ageFieldsFor("Story time for the whole family"), {
+            ageRange: "All",
+            minAgeMonths: null,
+            maxAgeMonths: null,
+        });
+    });
+});
+
+describe("suitsAge", () => {
+    it("checks a child's age against inclusive bounds", () => {
+        const toddlers = { minAgeMonths: 18, maxAgeMonths: 36 };
+        assert.ok(suitsAge(toddlers, 20));
+        assert.ok(suitsAge(toddlers, 36));
+        assert.ok(!suitsAge(toddlers, 12));
+        assert.ok(suitsAge({ minAgeMonths: 24, maxAgeMonths: null }, 50));
+        assert.ok(suitsAge({}, 7));
+    });
+});
+
+describe("migrateAgeFields", () => {
+    it("recomputes bounds for the doc and its provenance entries", () => {
+        const doc = {
+            ageRange: "3-5 years",
+            sources: [{ sourceUrl: "https://a.example", fields: { title: "Preschool Storytime", ageRange: "3-5 years" } }],
+        };
+        const update = migrateAgeFields(doc);
+        assert.deepEqual(
+            { ageRange: update.ageRange, minAgeMonths: update.minAgeMonths, maxAgeMonths: update.maxAgeMonths },
+            { ageRange: "3-5 years", minAgeMonths: 36, maxAgeMonths: 71 },
+        );
+        assert.equal(update.sources[0].fields.minAgeMonths, 36);
+        assert.equal(update.sources[0].fields.title, "Preschool Storytime");
+
+        assert.equal(migrateAgeFields({ ...doc, ...update }), null);
+    });
+
+    it("handles docs written before provenance", () => {
+        assert.deepEqual(migrateAgeFields({ ageRange: "All" }), { ageRange: "All", minAgeMonths: null, maxAgeMonths: null });
+    });
+});
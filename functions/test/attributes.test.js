@@ -0,0 +1,160 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parsePrice, deriveAttributes, buildAttributeUpdate } = require("../src/attributes");
+const { buildSourceEntry } = require("../src/dedupe");
+
+const storytime = {
+    title: "Bilingual Spanish Storytime",
+    venue: "Fremont Main Library",
+    description: "Stories, songs and rhymes in English and Spanish. A caregiver must attend with each child.",
+    isoDate: "2025-03-04T10:30:00",
+    ageRange: "0-5 years",
+};
+
+describe("parsePrice", () => {
+    it("reads free and priced costs", () => {
+        assert.deepEqual(parsePrice("Free!"), {
+            isFree: true,
+            price: { min: 0, max: 0, currency: null, text: "Free!" },
+        });
+        assert.deepEqual(parsePrice("$5 per child, $8 for two"), {
+            isFree: false,
+            price: { min: 5, max: 8, currency: "USD", text: "$5 per child, $8 for two" },
+        });
+        assert.equal(parsePrice("£3.50 entry").price.currency, "GBP");
+        assert.deepEqual(parsePrice("CAD 12").price, { min: 12, max: 12, currency: "CAD", text: "CAD 12" });
+        assert.equal(parsePrice("USD 0").isFree, true);
+    });
+
+    it("ignores free that is not about the price", () => {
+        assert.deepEqual(parsePrice("Free play with gluten-free snacks? Feel free to join"), { isFree: null, price: null });
+        assert.deepEqual(parsePrice("Drop in for free play. Free for all!").isFree, true);
+        assert.deepEqual(parsePrice(null), { isFree: null, price: null });
+    });
+});
+
+describe("deriveAttributes", () => {
+    it("derives attributes from older extractions' text", () => {
+        assert.deepEqual(deriveAttributes({ ...storytime, isIndoor: true }), {
+            isFree: null,
+            price: null,
+            setting: "indoor",
+            isIndoor: true,
+            languages: ["en", "es"],
+            accessibility: ["caregiver_required"],
+            categories: ["story", "music"],
+        });
+    });
+
+    it("puts events in parks outdoors, whatever the old prompt said", () => {
+        const attributes = deriveAttributes({
+            title: "Toddler Playdate",
+            venue: "Central Park",
+            description: "Meet at the playground for bubbles. Strollers welcome.",
+            isIndoor: true,
+        });
+        assert.equal(attributes.setting, "outdoor");
+        assert.equal(attributes.isIndoor, false);
+        assert.deepEqual(attributes.categories, ["sensory_play", "open_play", "outdoor_play"]);
+        assert.deepEqual(attributes.accessibility, ["stroller_friendly"]);
+    });
+
+    it("prefers what the model reported, within the controlled lists", () => {
+        const attributes = deriveAttributes({
+            title: "Baby Bounce",
+            venue: "Fremont Main Library",
+            description: null,
+            cost: "Free",
+            isFree: true,
+            setting: "mixed",
+            languages: ["ZH", "Mandarin"],
+            accessibility: ["sensory_friendly", "ramps"],
+            categories: ["movement", "karaoke"],
+        });
+        assert.equal(attributes.isFree, true);
+        assert.equal(attributes.setting, "mixed");
+        assert.deepEqual(attributes.languages, ["zh"]);
+        assert.deepEqual(attributes.accessibility, ["sensory_friendly"]);
+        assert.deepEqual(attributes.categories, ["movement"]);
+    });
+
+    it("doesn't call a priced event free", () => {
+        const attributes = deriveAttributes({ ...storytime, cost: "$10 per family", isFree: true });
+        assert.equal(attributes.isFree, false);
+        assert.equal(attributes.price.max, 10);
+    });
+
+    for (const [text, venue, setting] of [
+        ["Storytime at Menlo Park Library", "Menlo Park Library", "indoor"],
+        ["Join us in the Menlo Park Library community room", null, null],
+        ["Crafts at the Rose Garden Community Center", "Rose Garden Community Center", "indoor"],
+        ["Toddler Time at Menlo Park Library: meet on the lawn, weather permitting", "Menlo Park Library", "outdoor"],
+        ["Bubbles at the playground", "Fremont Main Library", "outdoor"],
+    ]) {
+        it(`reads "${text}" as ${setting || "unknown"}`, () => {
+            assert.equal(deriveAttributes({ title: text, venue, description: null }).setting, setting);
+        });
+    }
+
+    for (const [description, isFree] of [
+        ["Free parking in the garage.", null],
+        ["Stories and songs. Free Wi-Fi and free refreshments for caregivers.", null],
+        ["Bring $5 for the bake sale.", null],
+        ["Admission is free. Free parking behind the library.", true],
+        ["Free! No registration needed.", true],
+        ["Tickets are $8 per child; free parking on Elm St.", false],
+    ]) {
+        it(`reads "${description}" as free: ${isFree}`, () => {
+            assert.equal(deriveAttributes({ ...storytime, description }).isFree, isFree);
+        });
+    }
+
+    it("drops stroller-friendly when strollers are not allowed", () => {
+        const attributes = deriveAttributes({ ...storytime, description: "Strollers welcome outside; no strollers in the room." });
+        assert.ok(!attributes.accessibility.includes("stroller_friendly"));
+    });
+});
+
+describe("buildAttributeUpdate", () => {
+    const sourceUrl = "https://aclibrary.org/events";
+    const stored = {
+        title: storytime.title,
+        venue: storytime.venue,
+        ageRange: "All",
+        isFree: true,
+        sourceUrl,
+        createdAt: 1740000000,
+    };
+    stored.sources = [buildSourceEntry(stored, { sourceUrl, method: "llm" }, 1740000000)];
+
+    it("writes the re-derived attributes into the source entry and the doc", () => {
+        const attributes = deriveAttributes(storytime);
+        const update = buildAttributeUpdate(stored, sourceUrl, attributes);
+        assert.equal(update.isFree, null);
+        assert.equal(update.setting, "indoor");
+        assert.deepEqual(update.languages, ["en", "es"]);
+        assert.deepEqual(update.sources[0].fields.categories, ["story", "music"]);
+        assert.equal(update.title, undefined);
+
+        assert.equal(buildAttributeUpdate({ ...stored, ...update }, sourceUrl, attributes), null);
+    });
+
+    it("keeps a more trusted source's attributes", () => {
+        const trusted = { ...stored, setting: "outdoor" };
+        trusted.sources = [
+            buildSourceEntry(trusted, { sourceUrl: "https://aclibrary.libcal.com/calendar", method: "libcal" }, 1740000000),
+            ...stored.sources,
+        ];
+        const update = buildAttributeUpdate(trusted, sourceUrl, deriveAttributes(storytime));
+        assert.equal(update.setting, "outdoor");
+        assert.deepEqual(update.languages, ["en", "es"]);
+    });
+
+    it("gives legacy docs a provenance entry", () => {
+        const { sources, ...legacy } = stored;
+        const update = buildAttributeUpdate(legacy, sourceUrl, deriveAttributes(storytime));
+        assert.equal(update.sources.length, 1);
+        assert.equal(update.sources[0].sourceUrl, sourceUrl);
+    });
+});
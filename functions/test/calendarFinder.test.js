@@ -0,0 +1,126 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const {
+    MIN_PAGE_SCORE,
+    needsCalendarCheck,
+    scoreLink,
+    scorePage,
+    findCalendarPages,
+} = require("../src/calendarFinder");
+
+const fixture = (name) =>
+    fs.readFileSync(path.join(__dirname, "fixtures", "calendarFinder", name), "utf8");
+
+// Serve fixtures by URL and remember what was fetched
+const fakeSite = (pages) => {
+    const fetched = [];
+    return {
+        fetched,
+        fetchText: async (url) => {
+            fetched.push(url);
+            if (!(url in pages)) throw Object.assign(new Error("404 Not Found"), { status: 404 });
+            return fixture(pages[url]);
+        },
+    };
+};
+
+const librarySite = {
+    "https://fremontlibrary.example/": "library-home.html",
+    "https://fremontlibrary.example/events": "library-events.html",
+    "https://fremontlibrary.example/kids": "library-kids.html",
+    "https://fremontlib.libcal.com/calendar?cid=4021": "libcal-calendar.html",
+};
+
+describe("scoreLink", () => {
+    it("prefers calendar-looking links and drops useless ones", () => {
+        assert.ok(scoreLink("https://lib.example/events", "Events") > scoreLink("https://lib.example/kids", "Kids"));
+        assert.ok(scoreLink("https://lib.example/programs/storytime", "Storytime") > 0);
+        assert.ok(scoreLink("https://fremontlib.libcal.com/calendar", "") > 0);
+        assert.equal(scoreLink("https://lib.example/about-us", "About"), 0);
+        assert.equal(scoreLink("https://lib.example/events/flyer.pdf", "Events flyer"), 0);
+        assert.equal(scoreLink("https://www.facebook.com/lib/events", "Events"), 0);
+    });
+});
+
+describe("scorePage", () => {
+    it("recognizes an event listing with kids' programs", () => {
+        const page = scorePage("https://fremontlibrary.example/events", fixture("library-events.html"));
+        assert.ok(page.score >= MIN_PAGE_SCORE);
+        assert.ok(page.kids);
+        assert.ok(page.signals.some((signal) => signal.startsWith("dates:")));
+    });
+
+    it("gives a plain homepage a low score", () => {
+        const page = scorePage("https://fremontlibrary.example/", fixture("library-home.html"));
+        assert.ok(page.score < MIN_PAGE_SCORE);
+        assert.deepEqual(
+            page.links.filter((link) => link.score > 0).map((link) => link.url).sort(),
+            ["https://fremontlibrary.example/events", "https://fremontlibrary.example/kids"],
+        );
+    });
+});
+
+describe("findCalendarPages", () => {
+    it("finds the events page and the hosted calendar behind the homepage", async () => {
+        const site = fakeSite(librarySite);
+        const result = await findCalendarPages({
+            startUrl: "https://fremontlibrary.example/",
+            fetchText: site.fetchText,
+        });
+
+        assert.equal(result.relevance, "kids");
+        assert.deepEqual(result.eventUrls, [
+            "https://fremontlib.libcal.com/calendar?cid=4021",
+            "https://fremontlibrary.example/events",
+        ]);
+        assert.equal(result.platform.platform, "libcal");
+        // Best link first, never the donate page or social links
+        assert.equal(site.fetched[1], "https://fremontlibrary.example/events");
+        assert.ok(!site.fetched.some((url) => /donate|facebook|\.pdf/.test(url)));
+    });
+
+    it("stays within maxDepth and maxPages", async () => {
+        const site = fakeSite(librarySite);
+        const result = await findCalendarPages({
+            startUrl: "https://fremontlibrary.example/",
+            fetchText: site.fetchText,
+            maxDepth: 1,
+        });
+        assert.ok(!site.fetched.includes("https://fremontlib.libcal.com/calendar?cid=4021"));
+        assert.deepEqual(result.eventUrls, ["https://fremontlibrary.example/events"]);
+
+        const capped = fakeSite(librarySite);
+        await findCalendarPages({ startUrl: "https://fremontlibrary.example/", fetchText: capped.fetchText, maxPages: 2 });
+        assert.equal(capped.fetched.length, 2);
+    });
+
+    it("marks a site without a calendar as not relevant", async () => {
+        const site = fakeSite({ "https://centralpark.example/": "park-home.html" });
+        const result = await findCalendarPages({ startUrl: "https://centralpark.example/", fetchText: site.fetchText });
+        assert.equal(result.relevance, "none");
+        assert.deepEqual(result.eventUrls, []);
+        assert.equal(result.platform, null);
+    });
+
+    it("lets a failing start page throw", async () => {
+        const site = fakeSite({});
+        await assert.rejects(
+            findCalendarPages({ startUrl: "https://gone.example/", fetchText: site.fetchText }),
+            /404/,
+        );
+    });
+});
+
+describe("needsCalendarCheck", () => {
+    it("checks new sites and re-checks stale ones", () => {
+        const now = 100 * 24 * 60 * 60;
+        assert.equal(needsCalendarCheck({ url_hash: "https://lib.example/" }, now), true);
+        assert.equal(needsCalendarCheck({ url_hash: "https://lib.example/", calendar_checked_at: now - 86400 }, now), false);
+        assert.equal(needsCalendarCheck({ url_hash: "https://lib.example/", calendar_checked_at: now - 31 * 86400 }, now), true);
+        assert.equal(needsCalendarCheck({ url_hash: "" }, now), false);
+        assert.equal(needsCalendarCheck({ url_hash: "https://lib.example/", event_urls_manual: true }, now), false);
+    });
+});
@@ -0,0 +1,206 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const {
+    parseMarkdownLinks,
+    findNextPageLink,
+    crawlPages,
+    chunkContent,
+    mergeExtractions,
+    pageKey,
+    findDetailLinks,
+    fillFromDetailPage,
+    fillEventDetails,
+} = require("../src/crawler");
+
+const fixture = (name) =>
+    fs.readFileSync(path.join(__dirname, "fixtures", "crawler", name), "utf8");
+
+// Serve fixtures by URL and remember what was fetched
+const fakeSite = (pages) => {
+    const fetched = [];
+    return {
+        fetched,
+        fetchPage: async (url) => {
+            fetched.push(url);
+            if (!(url in pages)) throw Object.assign(new Error("404 Not Found"), { status: 404 });
+            return fixture(pages[url]);
+        },
+    };
+};
+
+const today = "2025-03-04";
+
+describe("parseMarkdownLinks", () => {
+    it("resolves links and skips images", () => {
+        const links = parseMarkdownLinks(
+            "![logo](/logo.png) [Events](/events#top) [Mail](mailto:a@b.example)",
+            "https://lib.example/home",
+        );
+        assert.deepEqual(links, [{ text: "Events", url: "https://lib.example/events" }]);
+    });
+});
+
+describe("findNextPageLink", () => {
+    it("follows a next-page link and stops on the last page", () => {
+        assert.equal(
+            findNextPageLink(fixture("events-page-1.md"), "https://fremontlibrary.example/events", { today }),
+            "https://fremontlibrary.example/events?page=2",
+        );
+        assert.equal(
+            findNextPageLink(fixture("events-page-2.md"), "https://fremontlibrary.example/events?page=2", { today }),
+            null,
+        );
+    });
+
+    it("falls back to the next page number", () => {
+        const markdown = "[1](https://lib.example/events?page=1) [2](https://lib.example/events?page=2)";
+        assert.equal(
+            findNextPageLink(markdown, "https://lib.example/events?page=1", { today }),
+            "https://lib.example/events?page=2",
+        );
+    });
+
+    it("follows the next month within the horizon only", () => {
+        const pageUrl = "https://newarklibrary.example/calendar/2025-03";
+        assert.equal(
+            findNextPageLink(fixture("month-view.md"), pageUrl, { today }),
+            "https://newarklibrary.example/calendar/2025-04",
+        );
+        assert.equal(findNextPageLink(fixture("month-view.md"), pageUrl, { today, horizonDays: 20 }), null);
+    });
+
+    it("ignores links to other sites", () => {
+        const markdown = "[Next »](https://other.example/events?page=2)";
+        assert.equal(findNextPageLink(markdown, "https://lib.example/events", { today }), null);
+    });
+});
+
+describe("crawlPages", () => {
+    const site = {
+        "https://fremontlibrary.example/events": "events-page-1.md",
+        "https://fremontlibrary.example/events?page=2": "events-page-2.md",
+    };
+
+    it("crawls until the calendar runs out", async () => {
+        const { fetchPage } = fakeSite(site);
+        const pages = await crawlPages({ startUrl: "https://fremontlibrary.example/events", fetchPage, today });
+        assert.deepEqual(pages.map((page) => page.url), Object.keys(site));
+    });
+
+    it("stops at maxPages", async () => {
+        const crawl = fakeSite(site);
+        await crawlPages({ startUrl: "https://fremontlibrary.example/events", fetchPage: crawl.fetchPage, today, maxPages: 1 });
+        assert.equal(crawl.fetched.length, 1);
+    });
+
+    it("throws on the first page and keeps what it has after that", async () => {
+        await assert.rejects(
+            crawlPages({ startUrl: "https://gone.example/events", fetchPage: fakeSite({}).fetchPage, today }),
+            /404/,
+        );
+        const partial = fakeSite({ "https://fremontlibrary.example/events": "events-page-1.md" });
+        const pages = await crawlPages({ startUrl: "https://fremontlibrary.example/events", fetchPage: partial.fetchPage, today });
+        assert.equal(pages.length, 1);
+    });
+
+    it("follows the remembered next page past an unchanged page", async () => {
+        const fetched = [];
+        const fetchPage = async (url) => {
+            fetched.push(url);
+            if (url === "https://fremontlibrary.example/events") {
+                return { content: null, notModified: true, nextUrl: "https://fremontlibrary.example/events?page=2", hash: "h1" };
+            }
+            return { content: fixture("events-page-2.md"), notModified: false, strategy: "direct" };
+        };
+        const pages = await crawlPages({ startUrl: "https://fremontlibrary.example/events", fetchPage, today });
+        assert.deepEqual(fetched, Object.keys(site));
+        assert.equal(pages[0].hash, "h1");
+        assert.equal(pages[0].content, null);
+        assert.equal(pages[1].strategy, "direct");
+    });
+});
+
+describe("chunkContent", () => {
+    it("leaves short pages whole", () => {
+        assert.deepEqual(chunkContent("short page"), ["short page"]);
+    });
+
+    it("splits long pages at line breaks with an overlap", () => {
+        const lines = Array.from({ length: 100 }, (_, i) => `Event line ${String(i).padStart(3, "0")}`);
+        const text = lines.join("\n");
+        const chunks = chunkContent(text, { size: 500, overlap: 100 });
+
+        assert.ok(chunks.length > 1);
+        assert.ok(chunks.every((chunk) => chunk.length <= 500));
+        assert.ok(chunks.slice(0, -1).every((chunk) => chunk.endsWith("\n")));
+        // Every line lands whole in some chunk, and neighbouring chunks share lines
+        assert.ok(lines.every((line) => chunks.some((chunk) => chunk.split("\n").includes(line))));
+        const first = chunks[0].trim().split("\n");
+        assert.ok(chunks[1].includes(first[first.length - 1]));
+    });
+});
+
+describe("mergeExtractions", () => {
+    it("keeps one copy of repeated events, the most complete one", () => {
+        const storytime = { title: "Toddler Storytime", venue: "Fremont Main Library", isoDate: "2025-03-05T10:30:00-08:00" };
+        const merged = mergeExtractions([
+            { events: [storytime], series: [] },
+            {
+                events: [{ ...storytime, description: "Songs and rhymes" }, { ...storytime, isoDate: "2025-03-12T10:30:00-07:00" }],
+                series: [{ title: "Baby Bounce" }],
+            },
+        ]);
+        assert.equal(merged.events.length, 2);
+        assert.equal(merged.events[0].description, "Songs and rhymes");
+        assert.deepEqual(merged.series, [{ title: "Baby Bounce" }]);
+    });
+});
+
+describe("pageKey", () => {
+    it("is stable per URL", () => {
+        assert.equal(pageKey("https://lib.example/events"), pageKey("https://lib.example/events"));
+        assert.notEqual(pageKey("https://lib.example/events"), pageKey("https://lib.example/events?page=2"));
+        assert.match(pageKey("https://lib.example/events"), /^[0-9a-f]{32}$/);
+    });
+});
+
+describe("detail pages", () => {
+    const pageUrl = "https://fremontlibrary.example/events";
+    const events = [
+        { title: "Toddler Storytime", description: null, registrationUrl: null },
+        { title: "Baby Bounce", description: "Bouncy rhymes for babies", registrationUrl: "https://fremontlibrary.example/register/1" },
+        { title: "Sensory Play", description: null, registrationUrl: null },
+    ];
+
+    it("matches incomplete events to their detail links", () => {
+        const links = findDetailLinks(fixture("events-page-1.md"), events, pageUrl);
+        assert.deepEqual([...links], [[0, "https://fremontlibrary.example/events/toddler-storytime-0305"]]);
+    });
+
+    it("fills missing fields from the detail page without overwriting", () => {
+        const detailUrl = "https://fremontlibrary.example/events/toddler-storytime-0305";
+        const filled = fillFromDetailPage(events[0], fixture("detail-page.md"), detailUrl);
+        assert.equal(filled.detailUrl, detailUrl);
+        assert.equal(filled.registrationUrl, `${detailUrl}/register`);
+        assert.match(filled.description, /^Songs, rhymes and board books/);
+        assert.equal(filled.isRegistrationRequired, true);
+
+        const kept = fillFromDetailPage({ ...events[0], description: "From the listing" }, fixture("detail-page.md"), detailUrl);
+        assert.equal(kept.description, "From the listing");
+    });
+
+    it("fetches at most maxPages detail pages", async () => {
+        const site = fakeSite({ "https://fremontlibrary.example/events/toddler-storytime-0305": "detail-page.md" });
+        const page = { url: pageUrl, content: fixture("events-page-1.md") };
+        const result = await fillEventDetails({ page, events, fetchPage: site.fetchPage, maxPages: 5 });
+        assert.equal(result.fetched, 1);
+        assert.ok(result.events[0].registrationUrl);
+        assert.equal(result.events[1], events[1]);
+
+        const none = await fillEventDetails({ page, events, fetchPage: site.fetchPage, maxPages: 0 });
+        assert.equal(none.fetched, 0);
+    });
+});
@@ -0,0 +1,176 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    isTimeZone,
+    toEpochSeconds,
+    localDate,
+    localTimeOfWeek,
+    correctYear,
+    findRangeEnd,
+    resolveEventTimes,
+} = require("../src/dates");
+
+const utc = (iso) => Date.parse(iso) / 1000;
+
+describe("isTimeZone", () => {
+    it("accepts IANA names only", () => {
+        assert.ok(isTimeZone("America/Toronto"));
+        for (const value of [undefined, null, "", 7, "Pacific/Nowhere"]) assert.ok(!isTimeZone(value), String(value));
+    });
+});
+
+describe("toEpochSeconds", () => {
+    it("reads offset-less times as Los Angeles wall-clock time", () => {
+        assert.equal(toEpochSeconds("2025-03-04T10:30:00"), utc("2025-03-04T18:30:00Z"));
+        assert.equal(toEpochSeconds("2025-07-08T10:30"), utc("2025-07-08T17:30:00Z"));
+        assert.equal(toEpochSeconds("2025-03-04"), utc("2025-03-04T08:00:00Z"));
+    });
+
+    it("keeps explicit offsets", () => {
+        assert.equal(toEpochSeconds("2025-03-04T10:30:00-05:00"), utc("2025-03-04T15:30:00Z"));
+        assert.equal(toEpochSeconds("2025-03-04T18:30:00Z"), utc("2025-03-04T18:30:00Z"));
+        assert.equal(toEpochSeconds("2025-03-04T10:30:00+0100"), utc("2025-03-04T09:30:00Z"));
+    });
+
+    it("handles the spring-forward change", () => {
+        // 2025-03-09: 02:00 PST jumps to 03:00 PDT
+        assert.equal(toEpochSeconds("2025-03-09T01:30:00"), utc("2025-03-09T09:30:00Z"));
+        assert.equal(toEpochSeconds("2025-03-09T10:30:00"), utc("2025-03-09T17:30:00Z"));
+        // 02:30 does not exist; it lands an hour later on the clock
+        assert.equal(toEpochSeconds("2025-03-09T02:30:00"), utc("2025-03-09T10:30:00Z"));
+    });
+
+    it("handles the fall-back change", () => {
+        // 2025-11-02: 02:00 PDT falls back to 01:00 PST; 01:30 happens twice
+        assert.equal(toEpochSeconds("2025-11-02T01:30:00"), utc("2025-11-02T08:30:00Z"));
+        assert.equal(toEpochSeconds("2025-11-02T10:30:00"), utc("2025-11-02T18:30:00Z"));
+        assert.equal(toEpochSeconds("2025-11-01T10:30:00"), utc("2025-11-01T17:30:00Z"));
+    });
+
+    it("uses the given zone", () => {
+        assert.equal(toEpochSeconds("2025-03-04T10:30:00", "America/New_York"), utc("2025-03-04T15:30:00Z"));
+    });
+
+    it("rejects anything else", () => {
+        for (const value of ["", null, "March 4", "2025-13-01T10:00", "2025-03-04T25:00", "10:30"]) {
+            assert.equal(toEpochSeconds(value), null, String(value));
+        }
+    });
+});
+
+describe("localDate", () => {
+    it("returns the venue's calendar date, not UTC's", () => {
+        // 2025-12-31T23:30 PST is already 2026 in UTC
+        assert.equal(localDate(Date.parse("2026-01-01T07:30:00Z")), "2025-12-31");
+        assert.equal(localDate(Date.parse("2026-01-01T08:30:00Z")), "2026-01-01");
+    });
+});
+
+describe("localTimeOfWeek", () => {
+    it("gives the venue's weekday and clock time", () => {
+        // Saturday 2026-01-03 02:30 UTC is Friday 18:30 in California
+        assert.deepEqual(localTimeOfWeek(Date.parse("2026-01-03T02:30:00Z")), { weekday: 5, minutes: 18 * 60 + 30 });
+        assert.deepEqual(localTimeOfWeek(Date.parse("2026-01-03T02:30:00Z"), "Europe/London"), { weekday: 6, minutes: 150 });
+    });
+});
+
+describe("correctYear", () => {
+    it("rolls January dates seen in December into next year", () => {
+        assert.equal(correctYear("2025-01-06T10:30:00", "2025-12-20"), "2026-01-06T10:30:00");
+        assert.equal(correctYear("2025-02-14", "2025-12-29"), "2026-02-14");
+    });
+
+    it("rolls December dates seen in January back a year", () => {
+        assert.equal(correctYear("2026-12-30T10:00:00", "2026-01-03"), "2025-12-30T10:00:00");
+    });
+
+    it("leaves plausible dates alone", () => {
+        assert.equal(correctYear("2025-12-30T10:00:00", "2025-12-20"), "2025-12-30T10:00:00");
+        assert.equal(correctYear("2026-01-06T10:30:00", "2025-12-20"), "2026-01-06T10:30:00");
+        assert.equal(correctYear("2025-11-28T10:00:00", "2025-12-20"), "2025-11-28T10:00:00");
+        assert.equal(correctYear("2026-06-01T10:00:00", "2026-01-03"), "2026-06-01T10:00:00");
+    });
+});
+
+describe("findRangeEnd", () => {
+    const cases = [
+        ["10:30am – 11:00am", 10 * 60 + 30, 11 * 60],
+        ["10-10:45am", 10 * 60, 10 * 60 + 45],
+        ["11-12:30pm", 11 * 60, 12 * 60 + 30],
+        ["3:30 to 4:15 p.m.", 15 * 60 + 30, 16 * 60 + 15],
+        ["1:30 - 2:15", 13 * 60 + 30, 14 * 60 + 15],
+        ["Ages 2-5, 9:30-10:15am", 9 * 60 + 30, 10 * 60 + 15],
+        ["Ages 2-5", 2 * 60, null],
+        ["10:30am – 11:00am", 14 * 60, null],
+    ];
+    for (const [text, start, end] of cases) {
+        it(`reads "${text}"`, () => assert.equal(findRangeEnd(text, start), end));
+    }
+});
+
+describe("resolveEventTimes", () => {
+    it("uses an explicit end time", () => {
+        const times = resolveEventTimes({ isoDate: "2025-03-04T10:30:00", endTime: "2025-03-04T11:00:00" });
+        assert.deepEqual(times, {
+            isoDate: "2025-03-04T10:30:00",
+            startTime: utc("2025-03-04T18:30:00Z"),
+            endTime: utc("2025-03-04T19:00:00Z"),
+            endTimeEstimated: false,
+        });
+        assert.equal(
+            resolveEventTimes({ isoDate: "2025-03-04T10:30:00", endTime: "11:15" }).endTime,
+            utc("2025-03-04T19:15:00Z"),
+        );
+    });
+
+    it("reads the end from the description", () => {
+        const times = resolveEventTimes({
+            title: "Toddler Storytime",
+            isoDate: "2025-03-04T10:30:00",
+            endTime: null,
+            description: "Tuesdays 10:30–11:15am in the Children's Room",
+        });
+        assert.equal(times.endTime, utc("2025-03-04T19:15:00Z"));
+        assert.equal(times.endTimeEstimated, false);
+    });
+
+    it("estimates the end from the kind of event", () => {
+        const start = utc("2025-03-04T18:30:00Z");
+        const estimate = (title) => resolveEventTimes({ title, isoDate: "2025-03-04T10:30:00" });
+        assert.deepEqual(estimate("Baby Bounce"), {
+            isoDate: "2025-03-04T10:30:00",
+            startTime: start,
+            endTime: start + 30 * 60,
+            endTimeEstimated: true,
+        });
+        assert.equal(estimate("Toddler Storytime").endTime, start + 45 * 60);
+        assert.equal(estimate("Stay & Play").endTime, start + 90 * 60);
+        assert.equal(estimate("Lego Club").endTime, start + 60 * 60);
+    });
+
+    it("ignores end times before the start", () => {
+        const times = resolveEventTimes({ title: "Lego Club", isoDate: "2025-03-04T10:30:00", endTime: "2025-03-04T09:00:00" });
+        assert.equal(times.endTimeEstimated, true);
+    });
+
+    it("keeps durations right across DST changes", () => {
+        const times = resolveEventTimes({ isoDate: "2025-11-02T00:30:00", endTime: "2025-11-02T02:30:00" });
+        // 00:30 PDT -> 02:30 PST is three hours
+        assert.equal(times.endTime - times.startTime, 3 * 60 * 60);
+    });
+
+    it("corrects the year around New Year when given the fetch date", () => {
+        const times = resolveEventTimes(
+            { isoDate: "2025-01-06T10:30:00", endTime: "2025-01-06T11:00:00" },
+            { referenceDate: "2025-12-20" },
+        );
+        assert.equal(times.isoDate, "2026-01-06T10:30:00");
+        assert.equal(times.startTime, utc("2026-01-06T18:30:00Z"));
+        assert.equal(times.endTime, utc("2026-01-06T19:00:00Z"));
+    });
+
+    it("returns null for unusable dates", () => {
+        assert.equal(resolveEventTimes({ isoDate: "next Tuesday" }), null);
+    });
+});
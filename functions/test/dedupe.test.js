@@ -0,0 +1,142 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const {
+    titleSimilarity,
+    venueSimilarity,
+    matchScore,
+    findDuplicate,
+    sourceTrust,
+    buildSourceEntry,
+    mergeActivity,
+} = require("../src/dedupe");
+
+const fixtures = JSON.parse(
+    fs.readFileSync(path.join(__dirname, "fixtures", "dedupe", "near-duplicates.json"), "utf8"),
+);
+
+describe("similarity", () => {
+    it("ignores word order, stopwords and plurals in titles", () => {
+        assert.equal(titleSimilarity("Toddler Storytime", "Storytime for Toddlers"), 1);
+        assert.equal(titleSimilarity("Family Story Time", "Family Storytime"), 1);
+        assert.ok(titleSimilarity("Baby Storytime", "Toddler Storytime") < 0.7);
+    });
+
+    it("compares only the distinctive part of venue names", () => {
+        assert.equal(venueSimilarity("Fremont Main Library", "Alameda County Library - Fremont"), 1);
+        assert.ok(venueSimilarity("Alameda County Library - Fremont", "Alameda County Library - Newark") < 0.5);
+        assert.equal(venueSimilarity("Main Library", "Public Library"), 0);
+    });
+});
+
+describe("matchScore", () => {
+    for (const { a, b } of fixtures.duplicates) {
+        it(`matches "${a.title}" @ ${a.venue} with "${b.title}" @ ${b.venue}`, () => {
+            assert.ok(matchScore(a, b) > 0);
+            assert.equal(matchScore(a, b), matchScore(b, a));
+        });
+    }
+
+    for (const { reason, a, b } of fixtures.distinct) {
+        it(`keeps events apart: ${reason}`, () => assert.equal(matchScore(a, b), 0));
+    }
+});
+
+describe("findDuplicate", () => {
+    it("returns the best scoring candidate", () => {
+        const [{ a, b }] = fixtures.duplicates;
+        const exact = { ...a, title: "Storytime: Toddlers" };
+        const match = findDuplicate(b, [
+            { ref: "far", data: { ...a, startTime: a.startTime + 10 * 60 } },
+            { ref: "exact", data: exact },
+            { ref: "other", data: fixtures.distinct[0].a },
+        ]);
+        assert.equal(match.ref, "exact");
+        assert.equal(match.score, 1);
+        assert.equal(findDuplicate(b, []), null);
+    });
+});
+
+describe("sourceTrust", () => {
+    it("prefers the registry override, then the method default", () => {
+        assert.equal(sourceTrust("libcal"), 0.95);
+        assert.equal(sourceTrust("llm", 0.99), 0.99);
+        assert.equal(sourceTrust("something-new"), 0.6);
+    });
+});
+
+describe("mergeActivity", () => {
+    const countyDoc = {
+        title: "Storytime for Toddlers",
+        venue: "Alameda County Library - Fremont",
+        description: "Stories and songs.",
+        startTime: 1741113000,
+        endTime: null,
+        ageRange: "All",
+        requiresBooking: false,
+        registrationUrl: null,
+        latitude: 37.5485,
+        longitude: -121.9886,
+        geohash: "9q9p3yp",
+        venueId: "acl-fremont",
+        sourceUrl: "https://fremont.gov/calendar",
+        createdAt: 1740000000,
+    };
+
+    const libcalDoc = {
+        ...countyDoc,
+        title: "Toddler Storytime",
+        venue: "Fremont Main Library",
+        description: "",
+        endTime: 1741114800,
+        ageRange: "18-36 months",
+        latitude: null,
+        longitude: null,
+        geohash: null,
+        venueId: null,
+        sourceUrl: "https://aclibrary.libcal.com/calendar",
+    };
+    libcalDoc.sources = [
+        buildSourceEntry(libcalDoc, { sourceUrl: libcalDoc.sourceUrl, method: "libcal" }, 1740500000),
+    ];
+
+    const merged = mergeActivity(countyDoc, libcalDoc);
+
+    it("takes each field from the most trusted source that has it", () => {
+        assert.equal(merged.title, "Toddler Storytime");
+        assert.equal(merged.endTime, 1741114800);
+        assert.equal(merged.ageRange, "18-36 months");
+        assert.equal(merged.description, "Stories and songs.");
+        assert.equal(merged.latitude, 37.5485);
+        assert.equal(merged.geohash, "9q9p3yp");
+        assert.equal(merged.venueId, "acl-fremont");
+    });
+
+    it("keeps one provenance entry per source, most trusted first", () => {
+        assert.equal(merged.sourceUrl, "https://aclibrary.libcal.com/calendar");
+        assert.deepEqual(merged.sourceUrls, [
+            "https://aclibrary.libcal.com/calendar",
+            "https://fremont.gov/calendar",
+        ]);
+        assert.deepEqual(merged.sources.map((s) => s.method), ["libcal", "llm"]);
+
+        const again = mergeActivity({ ...countyDoc, ...merged }, libcalDoc);
+        assert.equal(again.sources.length, 2);
+    });
+
+    it("takes the age label and its bounds from the same source", () => {
+        const bounded = { ...libcalDoc, minAgeMonths: 18, maxAgeMonths: 36, sources: undefined };
+        const open = {
+            ...countyDoc,
+            ageRange: "2+ years",
+            minAgeMonths: 24,
+            maxAgeMonths: null,
+            sourceUrl: "https://fremont.gov/kids",
+        };
+        bounded.sources = [buildSourceEntry(bounded, { sourceUrl: bounded.sourceUrl, method: "libcal" }, 1740500000)];
+        const ages = mergeActivity(open, bounded);
+        assert.deepEqual([ages.ageRange, ages.minAgeMonths, ages.maxAgeMonths], ["18-36 months", 18, 36]);
+    });
+});
@@ -0,0 +1,250 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+    CURRENT_PROMPT_VERSION,
+    ReplayMissError,
+    createProvider,
+    runExtraction,
+    withFetchCassette,
+} = require("../src/extraction");
+const { PROMPT_VERSIONS, getPrompts } = require("../src/extraction/prompts");
+const { createRecordingProvider, createReplayProvider } = require("../src/extraction/cassette");
+const { scoreExtraction, summarizeScores, eventsInWindow } = require("../src/extraction/evaluate");
+const { FIXTURE_DIR, evaluate } = require("../scripts/evaluate");
+
+const CASES = path.join(__dirname, "fixtures", "extraction", "cases");
+
+// Stands in for a model: returns a canned JSON answer and remembers the prompts
+const fakeProvider = (response) => {
+    const prompts = [];
+    const schemas = [];
+    return {
+        name: "fake",
+        model: "fake-model",
+        prompts,
+        schemas,
+        generate: async (prompt, { schema } = {}) => {
+            prompts.push(prompt);
+            schemas.push(schema);
+            return JSON.stringify(response);
+        },
+    };
+};
+
+describe("prompts", () => {
+    it("exposes the current version and rejects unknown ones", () => {
+        assert.ok(PROMPT_VERSIONS[CURRENT_PROMPT_VERSION]);
+        const context = { today: "2025-12-20", timeZone: "America/Los_Angeles" };
+        assert.match(getPrompts().extraction("PAGE BODY", context), /### 5\. CONTENT TO ANALYZE\n\s+PAGE BODY/);
+        assert.throws(() => getPrompts("v0"), /Unknown prompt version "v0"/);
+    });
+
+    it("anchors v2 to the fetch date and venue timezone", () => {
+        const prompt = getPrompts("v2").extraction("PAGE", { today: "2025-12-20", timeZone: "America/Los_Angeles" });
+        assert.match(prompt, /Today is Saturday, 2025-12-20/);
+        assert.match(prompt, /local time \(America\/Los_Angeles\)/);
+        assert.match(prompt, /"endTime": "YYYY-MM-DDTHH:mm:ss \(local end time\) or null"/);
+        assert.doesNotMatch(prompt, /reference year is 2025/);
+    });
+
+    it("asks v5 for attributes from the controlled lists", () => {
+        const prompt = getPrompts("v5").extraction("PAGE", { today: "2025-03-04", timeZone: "America/Los_Angeles" });
+        assert.match(prompt, /### 3c\. ATTRIBUTES/);
+        assert.match(prompt, /story, music, movement, stem, art, sensory_play, open_play, outdoor_play/);
+        assert.doesNotMatch(prompt, /"isIndoor"/);
+
+        const event = getPrompts("v5").extractionSchema.properties.events.items;
+        assert.equal(event.properties.isIndoor, undefined);
+        assert.deepEqual(event.properties.setting.enum, ["indoor", "outdoor", "mixed"]);
+        assert.ok(getPrompts("v5").extractionSchema.properties.series.items.properties.categories);
+        // Shipped versions keep their schema
+        assert.ok(getPrompts("v4").extractionSchema.properties.events.items.properties.isIndoor);
+    });
+
+    it("tells v4 the region's date conventions and language", () => {
+        const region = { name: "England", locale: "en-GB", language: "English" };
+        const prompt = getPrompts("v4").extraction("PAGE", { today: "2025-03-04", timeZone: "Europe/London", region });
+        assert.match(prompt, /The page is from England/);
+        assert.match(prompt, /would be written 04\/03\/2025 there/);
+        assert.match(prompt, /written in English/);
+
+        const defaults = getPrompts("v4").extraction("PAGE", { today: "2025-03-04", timeZone: "America/Los_Angeles" });
+        assert.match(defaults, /The page is from California/);
+        assert.match(defaults, /would be written 3\/4\/2025 there/);
+    });
+});
+
+describe("runExtraction", () => {
+    it("uses the full prompt for page content", async () => {
+        const provider = fakeProvider({
+            events: [{ title: "Baby Bounce", isoDate: "2025-03-05T10:00:00" }],
+            series: [{ title: "Tiny Tots", rrule: "FREQ=WEEKLY;BYDAY=TH" }],
+        });
+        const result = await runExtraction({ provider, content: "# Events", today: "2025-03-03" });
+        assert.equal(result.events.length, 1);
+        assert.equal(result.series.length, 1);
+        assert.equal(result.promptVersion, CURRENT_PROMPT_VERSION);
+        assert.match(provider.prompts[0], /specialized data extraction engine/);
+        assert.match(provider.prompts[0], /Today is Monday, 2025-03-03/);
+    });
+
+    it("constrains the response with the version's schema", async () => {
+        const provider = fakeProvider({ events: [], series: [] });
+        await runExtraction({ provider, content: "# Events", today: "2025-03-03" });
+        assert.deepEqual(provider.schemas[0].required, ["events", "series"]);
+        assert.ok(provider.schemas[0].properties.events.items.properties.confidence);
+        assert.match(provider.prompts[0], /"confidence": 0\.9/);
+
+        await runExtraction({ provider, content: "# Events", today: "2025-03-03", promptVersion: "v2" });
+        assert.equal(provider.schemas[1], undefined);
+    });
+
+    it("only filters by age when events are structured", async () => {
+        const structuredEvents = [
+            { title: "Teen Coding Club", isoDate: "2025-03-05T16:00:00", ageRange: null },
+            { title: "Baby Bounce", isoDate: "2025-03-05T10:00:00", ageRange: null },
+        ];
+        const provider = fakeProvider({ keep: [{ index: 1, ageRange: "0-18 months" }, { index: 7 }], series: [{}] });
+        const result = await runExtraction({ provider, structuredEvents });
+        assert.deepEqual(result.events, [{ ...structuredEvents[1], ageRange: "0-18 months" }]);
+        assert.deepEqual(result.series, []);
+        assert.match(provider.prompts[0], /1\. Baby Bounce \| age: unknown/);
+    });
+});
+
+describe("record / replay", () => {
+    let dir;
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "toddlego-cassette-"));
+    });
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it("replays recorded model responses by model and prompt", async () => {
+        const live = fakeProvider({ events: [] });
+        const recorder = createRecordingProvider(live, dir);
+        assert.equal(await recorder.generate("prompt A"), '{"events":[]}');
+
+        const replay = createReplayProvider(dir, { model: "fake-model" });
+        assert.equal(await replay.generate("prompt A"), '{"events":[]}');
+        await assert.rejects(replay.generate("prompt B"), ReplayMissError);
+        await assert.rejects(
+            createReplayProvider(dir, { model: "other-model" }).generate("prompt A"),
+            ReplayMissError,
+        );
+    });
+
+    it("replays recorded fetches", async () => {
+        const pages = { "https://r.jina.ai/https://example.org": "# Events" };
+        const live = async (url) => {
+            if (!pages[url]) throw new Error("404 Not Found");
+            return pages[url];
+        };
+        const recordFetch = withFetchCassette(live, dir, "record");
+        await recordFetch("https://r.jina.ai/https://example.org");
+        await assert.rejects(recordFetch("https://missing.example"), /404/);
+
+        const replayFetch = withFetchCassette(async () => assert.fail("network"), dir, "replay");
+        assert.equal(await replayFetch("https://r.jina.ai/https://example.org"), "# Events");
+        await assert.rejects(replayFetch("https://missing.example"), ReplayMissError);
+        assert.equal(withFetchCassette(live, dir, "gemini"), live);
+    });
+
+    it("validates modes", () => {
+        assert.throws(() => createProvider({ mode: "openai" }), /Unknown extraction mode/);
+        assert.throws(() => createProvider({ mode: "replay" }), /needs a cassette directory/);
+        assert.equal(createProvider({ mode: "replay", cassetteDir: dir }).name, "replay");
+    });
+});
+
+describe("scoreExtraction", () => {
+    const expected = [
+        { title: "Toddler Storytime", isoDate: "2025-03-04T10:30:00" },
+        { title: "Toddler Storytime", isoDate: "2025-03-11T10:30:00" },
+        { title: "Baby Bounce", isoDate: "2025-03-05T10:00:00" },
+    ];
+
+    it("pairs by title and closest start, counting wrong dates separately", () => {
+        const score = scoreExtraction(
+            [
+                { title: "Storytime for Toddlers", isoDate: "2025-03-11T10:30:00" },
+                { title: "Toddler Storytime", isoDate: "2025-03-04T22:30:00" },
+                { title: "Teen Coding Club", isoDate: "2025-03-05T16:00:00" },
+            ],
+            expected,
+        );
+        assert.equal(score.matched, 2);
+        assert.equal(score.precision, 2 / 3);
+        assert.equal(score.recall, 2 / 3);
+        assert.equal(score.dateAccuracy, 1 / 2);
+        assert.deepEqual(score.missed, ["Baby Bounce @ 2025-03-05T10:00"]);
+        assert.deepEqual(score.extra, ["Teen Coding Club @ 2025-03-05T16:00"]);
+        assert.deepEqual(score.wrongDates, [
+            { title: "Toddler Storytime", expected: "2025-03-04T10:30:00", got: "2025-03-04T22:30:00" },
+        ]);
+    });
+
+    it("micro-averages across cases", () => {
+        const perfect = scoreExtraction(expected, expected);
+        const empty = scoreExtraction([], expected);
+        assert.deepEqual(summarizeScores([perfect, empty]), {
+            expected: 6,
+            predicted: 3,
+            matched: 3,
+            precision: 1,
+            recall: 0.5,
+            dateAccuracy: 1,
+        });
+    });
+});
+
+describe("evaluation fixtures", () => {
+    it("scores a correct extraction of the recreation page as perfect", async () => {
+        const labels = JSON.parse(fs.readFileSync(path.join(CASES, "palo-alto-recreation.labels.json"), "utf8"));
+        const provider = fakeProvider({
+            events: [
+                { title: "Little Explorers Nature Walk", isoDate: "2025-03-22T09:00:00" },
+            ],
+            series: [
+                {
+                    title: "Tiny Tots Music & Movement",
+                    venue: "Lucie Stern Community Center",
+                    rrule: "FREQ=WEEKLY;BYDAY=TH",
+                    startTime: "09:30",
+                    endTime: "10:15",
+                    startDate: "2025-03-06",
+                    endDate: "2025-03-27",
+                    exceptions: ["2025-03-20"],
+                },
+            ],
+        });
+        const extraction = await runExtraction({
+            provider,
+            content: fs.readFileSync(path.join(CASES, "palo-alto-recreation.md"), "utf8"),
+            today: labels.fetchedAt,
+        });
+        const score = scoreExtraction(eventsInWindow(extraction, labels.fetchedAt), labels.events);
+        assert.equal(score.precision, 1);
+        assert.equal(score.recall, 1);
+        assert.equal(score.dateAccuracy, 1);
+    });
+
+    it("replays the committed cassettes for every labeled case", async () => {
+        const silent = { log: () => {}, error: () => {} };
+        const { scores, failures, total } = await evaluate({
+            prompt: CURRENT_PROMPT_VERSION,
+            mode: "replay",
+            cases: CASES,
+            cassettes: path.join(FIXTURE_DIR, "cassettes"),
+            log: silent,
+        });
+        assert.deepEqual(failures, []);
+        assert.deepEqual(scores.map((s) => s.name), ["aclibrary-fremont", "palo-alto-recreation"]);
+        assert.equal(total.precision, 1);
+        assert.equal(total.recall, 1);
+        assert.equal(total.dateAccuracy, 1);
+    });
+});
@@ -0,0 +1,195 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+const {
+    RobotsDisallowedError,
+    parseRobots,
+    robotsVerdict,
+    needsRendering,
+    htmlToMarkdown,
+    createFetcher,
+} = require("../src/fetcher");
+const { isPermanentFailure } = require("../src/scrapeQueue");
+
+const ROBOTS = [
+    "User-agent: *",
+    "Disallow: /private",
+    "",
+    "User-agent: ToddlegoBot",
+    "Disallow: /admin",
+    "Allow: /admin/events$",
+    "Crawl-delay: 1",
+].join("\n");
+
+const filler = "Join us for songs, rhymes and stories for babies and toddlers with their grown-ups. ".repeat(4);
+const calendarHtml = `<html><head><title>Events</title><script>track()</script></head><body>
+<h2>Baby Bounce</h2><p>${filler}</p><a href="/events?page=2">Next</a></body></html>`;
+const appShellHtml = `<html><body><div id="root"></div><noscript>Please enable JavaScript to view this site.</noscript>
+<script src="/app.js"></script></body></html>`;
+
+// Local stand-in for a library website (and for Jina Reader under /jina/)
+const startSite = () => {
+    const requests = [];
+    let active = 0;
+    let maxActive = 0;
+    let flakyCalls = 0;
+    const server = http.createServer((req, res) => {
+        requests.push({ url: req.url, headers: req.headers });
+        const send = (status, body, headers = {}) => {
+            res.writeHead(status, { "Content-Type": "text/html", ...headers });
+            res.end(body);
+        };
+        if (req.url === "/robots.txt") return send(200, ROBOTS, { "Content-Type": "text/plain" });
+        if (req.url.startsWith("/jina/")) return send(200, "# Rendered by Jina", { "Content-Type": "text/plain" });
+        if (req.url === "/calendar") {
+            if (req.headers["if-none-match"] === "\"v1\"") return send(304, "");
+            return send(200, calendarHtml, { ETag: "\"v1\"", "Last-Modified": "Mon, 05 Jan 2026 10:00:00 GMT" });
+        }
+        if (req.url === "/app") return send(200, appShellHtml);
+        if (req.url === "/gone") return send(404, "Not here");
+        if (req.url === "/flaky") {
+            flakyCalls++;
+            return flakyCalls === 1 ? send(429, "Slow down", { "Retry-After": "0" }) : send(200, "ok", { "Content-Type": "text/plain" });
+        }
+        if (req.url.startsWith("/slow")) {
+            active++;
+            maxActive = Math.max(maxActive, active);
+            return setTimeout(() => {
+                active--;
+                send(200, "slow", { "Content-Type": "text/plain" });
+            }, 30);
+        }
+        return send(404, "Not found");
+    });
+    return new Promise((resolve) => {
+        server.listen(0, "127.0.0.1", () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                requests,
+                maxActive: () => maxActive,
+                close: () => new Promise((done) => server.close(done)),
+            });
+        });
+    });
+};
+
+describe("robots.txt", () => {
+    const groups = parseRobots(ROBOTS);
+
+    it("applies our own group over the wildcard", () => {
+        const verdict = robotsVerdict(groups, "ToddlegoBot/1.0", "https://lib.example/admin/settings");
+        assert.deepEqual(verdict, { allowed: false, crawlDelay: 1 });
+        assert.equal(robotsVerdict(groups, "ToddlegoBot/1.0", "https://lib.example/private").allowed, true);
+        assert.equal(robotsVerdict(groups, "OtherBot/2.0", "https://lib.example/private/x").allowed, false);
+    });
+
+    it("lets the longest rule win, including anchored patterns", () => {
+        assert.equal(robotsVerdict(groups, "ToddlegoBot/1.0", "https://lib.example/admin/events").allowed, true);
+        assert.equal(robotsVerdict(groups, "ToddlegoBot/1.0", "https://lib.example/admin/events/2").allowed, false);
+        const wildcard = parseRobots("User-agent: *\nDisallow: /*.pdf$\nDisallow:\n");
+        assert.equal(robotsVerdict(wildcard, "ToddlegoBot/1.0", "https://lib.example/flyer.pdf").allowed, false);
+        assert.equal(robotsVerdict(wildcard, "ToddlegoBot/1.0", "https://lib.example/events").allowed, true);
+    });
+
+    it("caps the crawl delay", () => {
+        const slow = parseRobots("User-agent: *\nCrawl-delay: 120");
+        assert.equal(robotsVerdict(slow, "ToddlegoBot/1.0", "https://lib.example/").crawlDelay, 10);
+    });
+});
+
+describe("needsRendering / htmlToMarkdown", () => {
+    it("spots JavaScript app shells", () => {
+        assert.equal(needsRendering(appShellHtml), true);
+        assert.equal(needsRendering(calendarHtml), false);
+    });
+
+    it("converts HTML to markdown with absolute links and no scripts", () => {
+        const markdown = htmlToMarkdown(calendarHtml, "https://lib.example/calendar");
+        assert.match(markdown, /^# Events/);
+        assert.match(markdown, /## Baby Bounce/);
+        assert.match(markdown, /\[Next\]\(https:\/\/lib\.example\/events\?page=2\)/);
+        assert.doesNotMatch(markdown, /track\(\)/);
+    });
+});
+
+describe("createFetcher", () => {
+    let site;
+    let sleeps;
+    let fetcher;
+
+    before(async () => {
+        site = await startSite();
+    });
+
+    after(() => site.close());
+
+    const newFetcher = (options = {}) => {
+        sleeps = [];
+        return createFetcher({
+            jinaUrl: `${site.url}/jina/`,
+            sleep: async (ms) => {
+                sleeps.push(ms);
+            },
+            ...options,
+        });
+    };
+
+    it("fetches directly, then skips the unchanged page with a conditional request", async () => {
+        fetcher = newFetcher();
+        const first = await fetcher.fetchPage(`${site.url}/calendar`);
+        assert.equal(first.strategy, "direct");
+        assert.equal(first.notModified, false);
+        assert.match(first.content, /## Baby Bounce/);
+        assert.deepEqual(first.validators, { etag: "\"v1\"", lastModified: "Mon, 05 Jan 2026 10:00:00 GMT" });
+
+        const second = await fetcher.fetchPage(`${site.url}/calendar`, { validators: first.validators });
+        assert.equal(second.notModified, true);
+        assert.equal(second.content, null);
+
+        const conditional = site.requests.filter((request) => request.url === "/calendar").at(-1);
+        assert.equal(conditional.headers["if-none-match"], "\"v1\"");
+        assert.equal(conditional.headers["user-agent"], "ToddlegoBot/1.0");
+        // robots.txt is read once per site, and its Crawl-delay spaces the requests
+        assert.equal(site.requests.filter((request) => request.url === "/robots.txt").length, 1);
+        assert.ok(sleeps.some((ms) => ms > 0 && ms <= 1000));
+    });
+
+    it("falls back to Jina for JavaScript-rendered pages, or starts there when told to", async () => {
+        fetcher = newFetcher();
+        const page = await fetcher.fetchPage(`${site.url}/app`);
+        assert.deepEqual(page, { url: `${site.url}/app`, content: "# Rendered by Jina", strategy: "jina", notModified: false, validators: {} });
+
+        const before = site.requests.length;
+        await fetcher.fetchPage(`${site.url}/app`, { strategy: "jina" });
+        assert.deepEqual(site.requests.slice(before).map((request) => request.url), [`/jina/${site.url}/app`]);
+    });
+
+    it("refuses pages robots.txt disallows, permanently", async () => {
+        fetcher = newFetcher();
+        const error = await fetcher.fetchPage(`${site.url}/admin/settings`).catch((err) => err);
+        assert.ok(error instanceof RobotsDisallowedError);
+        assert.equal(isPermanentFailure(error), true);
+        assert.equal(site.requests.some((request) => request.url.includes("admin/settings")), false);
+    });
+
+    it("doesn't fall back for pages that are gone", async () => {
+        fetcher = newFetcher();
+        const before = site.requests.length;
+        await assert.rejects(fetcher.fetchPage(`${site.url}/gone`), (error) => error.status === 404);
+        assert.equal(site.requests.slice(before).some((request) => request.url.startsWith("/jina/")), false);
+    });
+
+    it("retries 429 responses after Retry-After", async () => {
+        fetcher = newFetcher();
+        assert.equal(await fetcher.fetchText(`${site.url}/flaky`), "ok");
+        assert.ok(sleeps.includes(0));
+    });
+
+    it("limits requests in flight per domain", async () => {
+        fetcher = newFetcher({ maxPerDomain: () => 2, sleep: async () => {} });
+        const bodies = await Promise.all([1, 2, 3, 4, 5].map((n) => fetcher.fetchText(`${site.url}/slow${n}`)));
+        assert.deepEqual(bodies, ["slow", "slow", "slow", "slow", "slow"]);
+        assert.equal(site.maxActive(), 2);
+    });
+});
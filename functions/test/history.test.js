@@ -0,0 +1,168 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { toEpochSeconds } = require("../src/dates");
+const {
+    buildArchiveDoc,
+    venueKey,
+    aggregateEvents,
+    buildVenueStats,
+    buildCityStats,
+    isSourceDark,
+    buildPredictions,
+    buildCoverageReport,
+} = require("../src/history");
+
+const TZ = "America/Los_Angeles";
+const WEEK = 7 * 24 * 60 * 60;
+const start = toEpochSeconds("2026-01-04T00:00", TZ);
+const window = { start, end: start + 12 * WEEK };
+
+// Baby Bounce, Tuesdays 10:30-11:15 at Fremont Main, from a source that went dark after 8 weeks
+const weekly = (week, overrides = {}) => {
+    const startTime = toEpochSeconds("2026-01-06T10:30", TZ) + week * WEEK;
+    return {
+        title: "Baby Bounce",
+        venue: "Fremont Main Library",
+        venueId: "fremont-main",
+        startTime,
+        endTime: startTime + 45 * 60,
+        timeZone: TZ,
+        ageRange: "0-2 years",
+        minAgeMonths: 0,
+        maxAgeMonths: 35,
+        categories: ["music"],
+        latitude: 37.5485,
+        longitude: -121.9886,
+        status: "scheduled",
+        registryId: "fremont",
+        cityId: "bay_area_fremont",
+        ...overrides,
+    };
+};
+const history = [
+    ...[0, 1, 2, 3, 4, 5, 6, 7].map((week) => weekly(week)),
+    weekly(2, { title: "Family Lego", startTime: toEpochSeconds("2026-01-24T14:00", TZ), minAgeMonths: 48, maxAgeMonths: null }),
+    weekly(8, { status: "cancelled" }),
+];
+
+describe("buildArchiveDoc", () => {
+    it("copies the activity without its TTL", () => {
+        const doc = buildArchiveDoc({ ...weekly(0), expireAt: new Date() }, { registryId: "fremont", cityId: "bay_area_fremont", nowSeconds: 100 });
+        assert.equal(doc.expireAt, undefined);
+        assert.equal(doc.title, "Baby Bounce");
+        assert.equal(doc.archivedAt, 100);
+        assert.equal(doc.cityId, "bay_area_fremont");
+    });
+});
+
+describe("venueKey", () => {
+    it("uses the venue doc, else the venue name under its source", () => {
+        assert.equal(venueKey(weekly(0)), "fremont-main");
+        const unlinked = { venue: "St. Mark's Hall", registryId: "a" };
+        assert.equal(venueKey(unlinked), venueKey({ ...unlinked, venue: "st. mark's  hall" }));
+        assert.notEqual(venueKey(unlinked), venueKey({ ...unlinked, registryId: "b" }));
+        assert.equal(venueKey({ venue: "" }), null);
+    });
+});
+
+describe("aggregateEvents", () => {
+    it("finds the regular slot and the weekly mix, ignoring cancellations", () => {
+        const stats = aggregateEvents(history, window);
+        assert.equal(stats.events, 9);
+        assert.equal(stats.eventsPerWeek, 0.75);
+        assert.equal(stats.weeksObserved, 8);
+        assert.deepEqual(stats.weekdays, [0, 0, 8, 0, 0, 0, 1]);
+        assert.deepEqual(stats.ageMix, { babies: 8, toddlers: 8, preschool: 1, allAges: 0 });
+        assert.deepEqual(stats.slots, [
+            {
+                weekday: 2,
+                minutes: 630,
+                durationMinutes: 45,
+                weeksSeen: 8,
+                share: 1,
+                title: "Baby Bounce",
+                ageRange: "0-2 years",
+                minAgeMonths: 0,
+                maxAgeMonths: 35,
+                categories: ["music"],
+                lastSeenAt: weekly(7).startTime,
+            },
+        ]);
+    });
+
+    it("needs a few weeks before a slot counts as regular", () => {
+        assert.deepEqual(aggregateEvents(history.slice(0, 3), window).slots, []);
+    });
+});
+
+describe("isSourceDark", () => {
+    it("treats paused, failing and empty sources as dark, but not disabled ones", () => {
+        assert.equal(isSourceDark({ scrape_status: "paused" }), true);
+        assert.equal(isSourceDark({ scrape_status: "ok", health: { consecutiveFailures: 2 } }), true);
+        assert.equal(isSourceDark({ scrape_status: "ok", health: { consecutiveZeroYield: 3 } }), true);
+        assert.equal(isSourceDark({ scrape_status: "ok", health: { consecutiveFailures: 1 } }), false);
+        assert.equal(isSourceDark({ scrape_status: "disabled", health: { consecutiveFailures: 5 } }), false);
+    });
+});
+
+describe("buildPredictions", () => {
+    const venueStats = buildVenueStats(history, window);
+    // Sunday 2026-03-08, noon
+    const now = toEpochSeconds("2026-03-08T12:00", TZ);
+
+    it("predicts the regular slots of venues whose sources are all dark", () => {
+        const predictions = buildPredictions(venueStats, new Set(["fremont"]), new Map(), now);
+        assert.equal(predictions.length, 2);
+        const [first] = predictions;
+        assert.equal(first.doc.startTime, toEpochSeconds("2026-03-10T10:30", TZ));
+        assert.equal(first.doc.endTime - first.doc.startTime, 45 * 60);
+        assert.equal(first.doc.status, "predicted");
+        assert.equal(first.doc.label, "Usually happens");
+        assert.equal(first.doc.venueId, "fremont-main");
+        assert.match(first.id, /^predicted_/);
+        assert.deepEqual(first.doc.basis, { weeksSeen: 8, share: 1, lastSeenAt: weekly(7).startTime });
+    });
+
+    it("leaves healthy sources and the days real activities cover alone", () => {
+        assert.deepEqual(buildPredictions(venueStats, new Set(), new Map(), now), []);
+        const covered = new Map([["fremont-main", toEpochSeconds("2026-03-10T10:30", TZ)]]);
+        const predictions = buildPredictions(venueStats, new Set(["fremont"]), covered, now);
+        assert.deepEqual(predictions.map(({ doc }) => doc.startTime), [toEpochSeconds("2026-03-17T10:30", TZ)]);
+    });
+});
+
+describe("buildCityStats / buildCoverageReport", () => {
+    const upcoming = [weekly(10, { registryId: "fremont" }), weekly(10, { cityId: "bay_area_newark", minAgeMonths: 72, maxAgeMonths: null })];
+    const sources = [
+        { cityId: "bay_area_fremont", dark: true },
+        { cityId: "bay_area_newark", dark: false },
+    ];
+    const cityStats = buildCityStats(history, upcoming, sources, window);
+
+    it("counts events, venues, sources and upcoming toddler events per city", () => {
+        const fremont = cityStats.get("bay_area_fremont");
+        assert.equal(fremont.venues, 1);
+        assert.equal(fremont.regularSlots, 1);
+        assert.equal(fremont.upcomingToddlerEvents, 1);
+        assert.equal(fremont.darkSources, 1);
+        assert.equal(cityStats.get("bay_area_newark").upcomingToddlerEvents, 0);
+    });
+
+    it("lists cities without toddler events first", () => {
+        const report = buildCoverageReport(
+            [
+                { id: "bay_area_fremont", name: "Fremont", region: "bay_area" },
+                { id: "bay_area_newark", name: "Newark", region: "bay_area" },
+                { id: "bay_area_union_city", name: "Union City", region: "bay_area" },
+            ],
+            cityStats,
+        );
+        assert.deepEqual(report.map((row) => [row.city, row.coverage]), [
+            ["Newark", "none"],
+            ["Union City", "none"],
+            ["Fremont", "thin"],
+        ]);
+        assert.equal(report[2].toddlerEventsPerWeek, 0.67);
+    });
+});
@@ -0,0 +1,226 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    buildCalendar,
+    feedValidators,
+    isNotModified,
+    loadFeed,
+    escapeText,
+    foldLine,
+    formatLocal,
+} = require("../src/icalFeed");
+const { parseICalendar } = require("../src/structuredData");
+
+// 2025-03-04T18:30:00Z = 10:30 PST, 2025-07-08T17:30:00Z = 10:30 PDT
+const WINTER = 1741113000;
+const SUMMER = 1751995800;
+const DAY = 24 * 60 * 60;
+
+const storytime = {
+    id: "dG9kZGxlci1zdG9yeXRpbWU",
+    data: {
+        title: "Toddler Storytime",
+        venue: "Alameda County Library - Fremont Main",
+        description: "Songs, rhymes; and bubbles, too.",
+        startTime: WINTER,
+        endTime: WINTER + 30 * 60,
+        ageRange: "18-36 months",
+        requiresBooking: false,
+        registrationUrl: null,
+        sourceUrl: "https://aclibrary.org/events",
+        latitude: 37.5485,
+        longitude: -121.9886,
+        createdAt: 1740000000,
+    },
+};
+
+describe("formatLocal", () => {
+    it("renders Los Angeles wall-clock time across DST", () => {
+        assert.equal(formatLocal(WINTER, "America/Los_Angeles"), "20250304T103000");
+        assert.equal(formatLocal(SUMMER, "America/Los_Angeles"), "20250708T103000");
+    });
+});
+
+describe("escapeText / foldLine", () => {
+    it("escapes TEXT special characters", () => {
+        assert.equal(escapeText("a,b;c\\d\ne"), "a\\,b\\;c\\\\d\\ne");
+    });
+
+    it("folds lines at 75 octets without splitting characters", () => {
+        const folded = foldLine(`DESCRIPTION:${"é".repeat(60)}`);
+        const lines = folded.split("\r\n");
+        assert.ok(lines.length > 1);
+        assert.ok(lines.every((line) => Buffer.byteLength(line, "utf8") <= 75));
+        assert.ok(lines.slice(1).every((line) => line.startsWith(" ")));
+        assert.equal(lines.map((line, i) => (i ? line.slice(1) : line)).join(""), `DESCRIPTION:${"é".repeat(60)}`);
+    });
+});
+
+describe("buildCalendar", () => {
+    const body = buildCalendar({
+        name: "Fremont, CA · Toddlego",
+        events: [
+            { id: "summer", data: { ...storytime.data, title: "Summer Stay & Play", startTime: SUMMER, endTime: null } },
+            storytime,
+        ],
+    });
+
+    it("produces a CRLF calendar with timezone data and stable UIDs", () => {
+        assert.ok(body.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n"));
+        assert.ok(body.endsWith("END:VCALENDAR\r\n"));
+        assert.match(body, /BEGIN:VTIMEZONE\r\nTZID:America\/Los_Angeles/);
+        assert.match(body, /UID:dG9kZGxlci1zdG9yeXRpbWU@toddlego/);
+        assert.match(body, /DTSTART;TZID=America\/Los_Angeles:20250304T103000/);
+        assert.match(body, /DTEND;TZID=America\/Los_Angeles:20250304T110000/);
+        assert.match(body, /DTSTAMP:20250219T212000Z/);
+        assert.match(body, /DURATION:PT1H/);
+        assert.match(body, /URL:https:\/\/aclibrary.org\/events/);
+        assert.ok(body.indexOf("Toddler Storytime") < body.indexOf("Summer Stay & Play"));
+    });
+
+    it("round-trips through our own iCalendar parser", () => {
+        const events = parseICalendar(body);
+        assert.equal(events.length, 2);
+        assert.equal(events[0].title, "Toddler Storytime");
+        assert.equal(events[0].venue, "Alameda County Library - Fremont Main");
+        assert.equal(events[0].isoDate, "2025-03-04T10:30:00");
+        assert.match(events[0].description, /^Songs, rhymes; and bubbles, too\. Ages: 18-36 months$/);
+    });
+
+    it("keeps each event in its own zone, with a VTIMEZONE for it", () => {
+        // 10:30 in New York, 2025-03-04 (EST) and 2025-07-08 (EDT)
+        const eastern = [
+            { id: "winter", data: { ...storytime.data, startTime: WINTER - 3 * 60 * 60, endTime: null, timeZone: "America/New_York" } },
+            { id: "summer", data: { ...storytime.data, startTime: SUMMER - 3 * 60 * 60, endTime: null, timeZone: "America/New_York" } },
+        ];
+        const calendar = buildCalendar({ name: "Queens", events: eastern, timeZone: "America/New_York" });
+        assert.match(calendar, /X-WR-TIMEZONE:America\/New_York/);
+        assert.doesNotMatch(calendar, /America\/Los_Angeles/);
+        assert.match(calendar, /DTSTART;TZID=America\/New_York:20250304T103000/);
+        assert.match(calendar, /DTSTART;TZID=America\/New_York:20250708T103000/);
+        assert.match(calendar, /BEGIN:DAYLIGHT\r\nTZOFFSETFROM:-0500\r\nTZOFFSETTO:-0400\r\nDTSTART:20250309T020000/);
+        assert.match(calendar, /BEGIN:STANDARD\r\nTZOFFSETFROM:-0400\r\nTZOFFSETTO:-0500\r\nDTSTART:20251102T020000/);
+        assert.deepEqual(parseICalendar(calendar).map((event) => event.isoDate), ["2025-03-04T10:30:00", "2025-07-08T10:30:00"]);
+    });
+
+    it("is deterministic for unchanged events", () => {
+        const again = buildCalendar({
+            name: "Fremont, CA · Toddlego",
+            events: [storytime, { id: "summer", data: { ...storytime.data, title: "Summer Stay & Play", startTime: SUMMER, endTime: null } }],
+        });
+        assert.equal(again, body);
+    });
+});
+
+describe("conditional GET", () => {
+    const body = buildCalendar({ name: "Feed", events: [storytime] });
+    const validators = feedValidators(body, [storytime]);
+
+    it("uses the newest activity change as Last-Modified", () => {
+        assert.equal(validators.lastModified.getTime(), 1740000000 * 1000);
+        assert.match(validators.etag, /^"[0-9a-f]{32}"$/);
+    });
+
+    it("matches If-None-Match before If-Modified-Since", () => {
+        assert.equal(isNotModified({ "if-none-match": validators.etag }, validators), true);
+        assert.equal(isNotModified({ "if-none-match": `W/${validators.etag}` }, validators), true);
+        assert.equal(
+            isNotModified(
+                {
+                    "if-none-match": '"stale"',
+                    "if-modified-since": new Date(1750000000 * 1000).toUTCString(),
+                },
+                validators,
+            ),
+            false,
+        );
+    });
+
+    it("compares If-Modified-Since at second precision", () => {
+        const same = validators.lastModified.toUTCString();
+        const older = new Date((1740000000 - 1) * 1000).toUTCString();
+        assert.equal(isNotModified({ "if-modified-since": same }, validators), true);
+        assert.equal(isNotModified({ "if-modified-since": older }, validators), false);
+    });
+});
+
+describe("loadFeed", () => {
+    const fakeDb = (collections) => ({
+        collection: (name) => ({
+            doc: (id) => ({
+                get: async () => {
+                    const data = collections[name]?.[id];
+                    return { exists: !!data, data: () => data };
+                },
+            }),
+            where: (field, op, value) => ({
+                get: async () => ({
+                    docs: Object.entries(collections[name] || {})
+                        .filter(([, data]) => {
+                            if (op === "in") return value.includes(data[field]);
+                            if (op === "array-contains-any") {
+                                return (data[field] || []).some((item) => value.includes(item));
+                            }
+                            return data[field] === value;
+                        })
+                        .map(([id, data]) => ({ id, data: () => data })),
+                }),
+            }),
+        }),
+    });
+
+    const db = fakeDb({
+        url_registry: {
+            aclib: { url_hash: "https://aclibrary.org/events", venue_name: "Alameda County Library", city: "Fremont, CA" },
+            // Scraped from its calendar page, not the registered site
+            sfpl: {
+                url_hash: "https://sfpl.org/",
+                event_urls: ["https://sfpl.org/events/kids", "https://sfpl.org/events/teens"],
+                venue_name: "San Francisco Public Library",
+                city: "San Francisco, CA",
+            },
+        },
+        config_cities: { fremont: { name: "Fremont, CA" }, sf: { name: "San Francisco, CA" }, queens: { name: "Queens, NY", region: "ny" } },
+        config_regions: { ny: { name: "New York", timeZone: "America/New_York" } },
+        activities: {
+            [storytime.id]: storytime.data,
+            old: { ...storytime.data, startTime: WINTER - 30 * 24 * 60 * 60 },
+            elsewhere: { ...storytime.data, sourceUrl: "https://other.example" },
+            sfStorytime: { ...storytime.data, sourceUrl: "https://sfpl.org/events/kids" },
+            merged: {
+                ...storytime.data,
+                startTime: WINTER + DAY,
+                sourceUrl: "https://other.example",
+                sourceUrls: ["https://other.example", "https://aclibrary.org/events"],
+            },
+        },
+    });
+
+    it("scopes by venue", async () => {
+        const feed = await loadFeed(db, { venue: "aclib" }, WINTER - 60);
+        assert.equal(feed.name, "Alameda County Library · Toddlego");
+        assert.deepEqual(feed.events.map((e) => e.id), [storytime.id, "merged"]);
+    });
+
+    it("scopes by city through the registry", async () => {
+        const feed = await loadFeed(db, { city: "fremont" }, WINTER - 60);
+        assert.equal(feed.name, "Fremont, CA · Toddlego");
+        assert.deepEqual(feed.events.map((e) => e.id), [storytime.id, "merged"]);
+    });
+
+    it("finds activities stored under a source's calendar pages", async () => {
+        assert.deepEqual((await loadFeed(db, { venue: "sfpl" }, WINTER - 60)).events.map((e) => e.id), ["sfStorytime"]);
+        assert.deepEqual((await loadFeed(db, { city: "sf" }, WINTER - 60)).events.map((e) => e.id), ["sfStorytime"]);
+    });
+
+    it("takes the scope's time zone from its source or region", async () => {
+        assert.equal((await loadFeed(db, { venue: "aclib" }, WINTER - 60)).timeZone, "America/Los_Angeles");
+        assert.equal((await loadFeed(db, { city: "queens" }, WINTER - 60)).timeZone, "America/New_York");
+    });
+
+    it("returns null for unknown scopes and rejects missing ones", async () => {
+        assert.equal(await loadFeed(db, { venue: "nope" }), null);
+        await assert.rejects(loadFeed(db, {}), /Provide "venue", "city"/);
+    });
+});
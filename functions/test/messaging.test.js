@@ -0,0 +1,57 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createMessenger, createFcmMessenger } = require("../src/messaging");
+const { startMessagingStub } = require("../scripts/messagingStub");
+
+const message = { title: "This week near you", body: "Baby Bounce", data: { type: "weekly_digest", digestId: "2026-01-05" } };
+
+describe("createMessenger", () => {
+    it("rejects unknown modes and a stub without a URL", () => {
+        assert.throws(() => createMessenger({ mode: "sms" }), /Unknown messaging mode/);
+        assert.throws(() => createMessenger({ mode: "stub" }), /needs a stub URL/);
+    });
+});
+
+describe("createFcmMessenger", () => {
+    it("sends a multicast and reports unregistered tokens", async () => {
+        const calls = [];
+        const messaging = () => ({
+            sendEachForMulticast: async (payload) => {
+                calls.push(payload);
+                return {
+                    responses: [
+                        { success: true },
+                        { success: false, error: { code: "messaging/registration-token-not-registered" } },
+                        { success: false, error: { code: "messaging/internal-error" } },
+                    ],
+                };
+            },
+        });
+        const result = await createFcmMessenger(messaging).send(["t1", "t2", "t3"], message);
+        assert.deepEqual(result, { sent: 1, invalidTokens: ["t2"] });
+        assert.deepEqual(calls, [
+            {
+                tokens: ["t1", "t2", "t3"],
+                notification: { title: message.title, body: message.body },
+                data: message.data,
+            },
+        ]);
+    });
+});
+
+describe("stub messenger", () => {
+    it("delivers to the local stub", async () => {
+        const stub = await startMessagingStub({ port: 0 });
+        try {
+            const messenger = createMessenger({ mode: "stub", stubUrl: stub.url });
+            const result = await messenger.send(["device-1", "invalid-2"], message);
+            assert.deepEqual(result, { sent: 1, invalidTokens: ["invalid-2"] });
+            assert.equal(stub.messages.length, 1);
+            assert.equal(stub.messages[0].title, message.title);
+            assert.deepEqual(stub.messages[0].data, message.data);
+        } finally {
+            await stub.close();
+        }
+    });
+});
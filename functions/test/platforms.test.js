@@ -0,0 +1,269 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+const { detectPlatform, getAdapter } = require("../src/platforms");
+const { toLocalIso, joinVenue } = require("../src/platforms/common");
+
+const fixture = (name) =>
+    JSON.parse(
+        fs.readFileSync(path.join(__dirname, "fixtures", "platforms", name), "utf8"),
+    );
+
+// Serves a fixture for every request and records the URLs asked for
+const stubFetchJson = (name) => {
+    const requested = [];
+    const fetchJson = async (url) => {
+        requested.push(url);
+        return fixture(name);
+    };
+    return { requested, fetchJson };
+};
+
+const FROM = new Date("2025-03-01T08:00:00Z");
+
+describe("detectPlatform", () => {
+    const cases = [
+        ["https://aclibrary.libcal.com/calendar?cid=4567", "", "libcal", "https://aclibrary.libcal.com/calendar?cid=4567"],
+        ["https://sjpl.bibliocommons.com/v2/events", "", "bibliocommons", "https://sjpl.bibliocommons.com/events"],
+        ["https://chulavista.libnet.info/events?r=days", "", "communico", "https://chulavista.libnet.info/events"],
+        ["https://oaklandlibrary.librarycalendar.com/events/month", "", "librarymarket", "https://oaklandlibrary.librarycalendar.com/events"],
+        [
+            "https://www.fremont.gov/library",
+            '<iframe src="https://ACLibrary.libcal.com/calendar/kids"></iframe>',
+            "libcal",
+            "https://aclibrary.libcal.com/calendar",
+        ],
+        [
+            "https://www.smcl.org/",
+            '<a href="https://smcl.bibliocommons.com/events/search/index">Events</a>',
+            "bibliocommons",
+            "https://smcl.bibliocommons.com/events",
+        ],
+        [
+            "https://www.countylibrary.org/",
+            '<div class="lc-event"><h3 class="lc-event__title">Storytime</h3></div><a href="/events/feed/json">Feed</a>',
+            "librarymarket",
+            "https://www.countylibrary.org/events",
+        ],
+        [
+            "https://library.hayward-ca.gov/",
+            '<meta name="Generator" content="LibraryCalendar by LibraryMarket">',
+            "librarymarket",
+            "https://library.hayward-ca.gov/events",
+        ],
+        ["https://www.cityparks.org/", "<p>Welcome</p>", "generic", null],
+    ];
+
+    for (const [url, html, platform, calendarUrl] of cases) {
+        it(`detects ${platform} for ${url}`, () => {
+            assert.deepEqual(detectPlatform(url, html), { platform, calendarUrl });
+        });
+    }
+
+    it("doesn't take passing mentions of LibraryMarket for the platform", () => {
+        for (const html of [
+            '<a href="https://librarymarket.com/">Website by LibraryMarket</a>',
+            '<div class="lc-event__title">Storytime</div>',
+            '<div class="lc-event">Storytime</div>',
+        ]) {
+            assert.equal(detectPlatform("https://www.countylibrary.org/", html).platform, "generic");
+        }
+    });
+
+    it("prefers the registry host over embedded calendars", () => {
+        const html = '<a href="https://other.libcal.com/calendar">x</a>';
+        assert.equal(
+            detectPlatform("https://sjpl.bibliocommons.com/events", html).platform,
+            "bibliocommons",
+        );
+    });
+});
+
+describe("libcal adapter", () => {
+    const adapter = getAdapter("libcal");
+
+    it("maps list results with branch, audiences and registration", () => {
+        const events = adapter.mapResponse(fixture("libcal-list.json"), {
+            defaultVenue: "Alameda County Library",
+        });
+
+        assert.equal(events.length, 3);
+        assert.deepEqual(events[0], {
+            title: "Toddler Storytime",
+            venue: "Alameda County Library - Centerville Branch",
+            description: "Stories, songs and bubbles for walkers up to age 3.",
+            isoDate: "2025-03-04T10:30:00",
+            endTime: "2025-03-04T11:00:00",
+            ageRange: "Toddlers, Families",
+            isRegistrationRequired: false,
+            registrationUrl: "https://aclibrary.libcal.com/event/11938201",
+        });
+        assert.equal(events[1].venue, "Alameda County Library");
+        assert.equal(events[1].description, "Lap bounces and rhymes.");
+        assert.equal(events[1].isRegistrationRequired, true);
+    });
+
+    it("requests the calendar list and trims events past the window", async () => {
+        const { requested, fetchJson } = stubFetchJson("libcal-list.json");
+        const events = await adapter.fetchEvents({
+            calendarUrl: "https://aclibrary.libcal.com/calendar?cid=4567",
+            fetchJson,
+            from: FROM,
+            days: 30,
+        });
+
+        assert.equal(requested.length, 1);
+        const url = new URL(requested[0]);
+        assert.equal(url.pathname, "/ajax/calendar/list");
+        assert.equal(url.searchParams.get("c"), "4567");
+        assert.equal(url.searchParams.get("date"), "2025-03-01");
+        assert.deepEqual(
+            events.map((act) => act.title),
+            ["Toddler Storytime", "Baby Bounce"],
+        );
+    });
+});
+
+describe("bibliocommons adapter", () => {
+    const adapter = getAdapter("bibliocommons");
+    const calendarUrl = "https://sjpl.bibliocommons.com/events";
+
+    it("resolves entities and drops cancelled events", () => {
+        const events = adapter.mapResponse(fixture("bibliocommons-events.json"), {
+            calendarUrl,
+            defaultVenue: "San Jose Public Library",
+        });
+
+        assert.equal(events.length, 2);
+        assert.deepEqual(events[0], {
+            title: "Music & Movement for Toddlers",
+            venue: "San Jose Public Library - Union City Branch",
+            description: "Shake, rattle and roll with instruments.",
+            isoDate: "2025-03-06T10:00:00-08:00",
+            endTime: "2025-03-06T10:45:00-08:00",
+            ageRange: "Toddlers",
+            isRegistrationRequired: false,
+            registrationUrl: "https://sjpl.bibliocommons.com/events/67a1b2c3d4e5f60012345678",
+        });
+        // Branch names that already include the system are not doubled up
+        assert.equal(
+            events[1].venue,
+            "San Jose Public Library - Dr. Martin Luther King Jr. Library",
+        );
+        assert.equal(events[1].ageRange, "Preschoolers, Families");
+        assert.equal(events[1].isRegistrationRequired, true);
+    });
+
+    it("queries the gateway for the library's date window", async () => {
+        const { requested, fetchJson } = stubFetchJson("bibliocommons-events.json");
+        await adapter.fetchEvents({ calendarUrl, fetchJson, from: FROM, days: 14 });
+
+        assert.equal(requested.length, 1);
+        const url = new URL(requested[0]);
+        assert.equal(url.pathname, "/v2/libraries/sjpl/events");
+        assert.equal(url.searchParams.get("startDate"), "2025-03-01");
+        assert.equal(url.searchParams.get("endDate"), "2025-03-15");
+    });
+});
+
+describe("communico adapter", () => {
+    const adapter = getAdapter("communico");
+    const calendarUrl = "https://chulavista.libnet.info/events";
+
+    it("maps eeventcaldata with sub titles, age tags and registration links", () => {
+        const events = adapter.mapResponse(fixture("communico-eeventcaldata.json"), {
+            calendarUrl,
+            defaultVenue: "Chula Vista Public Library",
+        });
+
+        assert.equal(events.length, 2);
+        assert.equal(events[0].title, "Bilingual Storytime: Cuentos en español");
+        assert.equal(
+            events[0].venue,
+            "Chula Vista Public Library - Chula Vista Civic Center Branch",
+        );
+        assert.equal(
+            events[0].description,
+            "Stories, songs and rhymes in English and Spanish for ages 0-5.",
+        );
+        assert.equal(events[0].ageRange, "Babies, Toddlers, Preschool");
+        assert.equal(events[0].isoDate, "2025-03-04T10:30:00");
+        assert.equal(events[0].isRegistrationRequired, false);
+
+        assert.equal(events[1].venue, "Chula Vista Public Library");
+        assert.equal(events[1].isRegistrationRequired, true);
+        assert.equal(events[1].registrationUrl, "https://chulavista.libnet.info/event/12345679");
+    });
+
+    it("sends the date window in the req parameter", async () => {
+        const { requested, fetchJson } = stubFetchJson("communico-eeventcaldata.json");
+        await adapter.fetchEvents({ calendarUrl, fetchJson, from: FROM, days: 21 });
+
+        const url = new URL(requested[0]);
+        assert.equal(url.pathname, "/eeventcaldata");
+        assert.deepEqual(JSON.parse(url.searchParams.get("req")), {
+            private: false,
+            date: "2025-03-01",
+            days: 21,
+            locations: [],
+            ages: [],
+            types: [],
+        });
+    });
+});
+
+describe("librarymarket adapter", () => {
+    const adapter = getAdapter("librarymarket");
+    const calendarUrl = "https://oaklandlibrary.librarycalendar.com/events";
+
+    it("maps the JSON feed and resolves relative event links", () => {
+        const events = adapter.mapResponse(fixture("librarymarket-feed.json"), {
+            calendarUrl,
+            defaultVenue: "Oakland Public Library",
+        });
+
+        assert.equal(events.length, 2);
+        assert.deepEqual(events[0], {
+            title: "Stay & Play",
+            venue: "Oakland Public Library - Rockridge Branch",
+            description: "Open play with toys and puzzles.",
+            isoDate: "2025-03-04T10:00:00",
+            endTime: "2025-03-04T11:30:00",
+            ageRange: "Birth to 5, Families",
+            isRegistrationRequired: false,
+            registrationUrl: "https://oaklandlibrary.librarycalendar.com/event/stay-play-88231",
+        });
+        assert.equal(
+            events[1].registrationUrl,
+            "https://oaklandlibrary.librarycalendar.com/event/tiny-tots-yoga-88232/register",
+        );
+        assert.equal(events[1].isRegistrationRequired, true);
+    });
+
+    it("requests the feed for the date window", async () => {
+        const { requested, fetchJson } = stubFetchJson("librarymarket-feed.json");
+        await adapter.fetchEvents({ calendarUrl, fetchJson, from: FROM, days: 30 });
+
+        assert.equal(
+            requested[0],
+            "https://oaklandlibrary.librarycalendar.com/events/feed/json?start=2025-03-01&end=2025-03-31",
+        );
+    });
+});
+
+describe("platform helpers", () => {
+    it("normalizes platform timestamps", () => {
+        assert.equal(toLocalIso("2025-03-04 10:30:00"), "2025-03-04T10:30:00");
+        assert.equal(toLocalIso("2025-03-04T10:30"), "2025-03-04T10:30:00");
+        assert.equal(toLocalIso("2025-03-04T10:30:00-08:00"), "2025-03-04T10:30:00-08:00");
+        assert.equal(toLocalIso("March 4"), null);
+    });
+
+    it("joins system and branch names", () => {
+        assert.equal(joinVenue("Alameda County Library", "Union City Branch"), "Alameda County Library - Union City Branch");
+        assert.equal(joinVenue("Alameda County Library", ""), "Alameda County Library");
+        assert.equal(joinVenue(null, "Union City Branch"), "Union City Branch");
+    });
+});
@@ -0,0 +1,185 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    diffFields,
+    appendHistory,
+    planReconciliation,
+    buildUpdate,
+    buildCancellation,
+    canCancelMissing,
+} = require("../src/reconcile");
+const { buildSourceEntry } = require("../src/dedupe");
+
+// 2025-03-04T18:00:00Z = 10:00 PST
+const TEN_AM = 1741111200;
+const HOUR = 60 * 60;
+const NOW = TEN_AM - 7 * 24 * HOUR;
+const LIBRARY = "https://aclibrary.org/events";
+const CITY = "https://fremont.gov/calendar";
+
+const withSource = (doc, sourceUrl, method = "llm", seenAt = NOW - 1000) => ({
+    ...doc,
+    sourceUrl,
+    sourceUrls: [sourceUrl],
+    sources: [buildSourceEntry(doc, { sourceUrl, method }, seenAt)],
+});
+
+const storytime = withSource(
+    {
+        title: "Toddler Storytime",
+        venue: "Fremont Main Library",
+        description: "Songs and stories.",
+        startTime: TEN_AM,
+        endTime: TEN_AM + HOUR / 2,
+        ageRange: "18-36 months",
+        requiresBooking: false,
+        registrationUrl: null,
+        status: "scheduled",
+    },
+    LIBRARY,
+);
+
+describe("diffFields", () => {
+    it("reports changed tracked fields only", () => {
+        assert.deepEqual(
+            diffFields(storytime, { ...storytime, startTime: TEN_AM + HOUR, sourceUrl: "x", description: undefined }),
+            {
+                startTime: { from: TEN_AM, to: TEN_AM + HOUR },
+                description: { from: "Songs and stories.", to: null },
+            },
+        );
+        assert.deepEqual(diffFields({ registrationUrl: undefined }, { registrationUrl: null }), {});
+    });
+});
+
+describe("appendHistory", () => {
+    it("keeps the newest 20 entries", () => {
+        let history;
+        for (let i = 0; i < 25; i++) history = appendHistory(history, { at: i, type: "changed" });
+        assert.equal(history.length, 20);
+        assert.equal(history[0].at, 5);
+        assert.equal(history[19].at, 24);
+    });
+});
+
+describe("planReconciliation", () => {
+    const baby = { ...storytime, title: "Baby Bounce", startTime: TEN_AM + 2 * HOUR };
+    const stored = [
+        { id: "storytime", data: storytime },
+        { id: "baby", data: baby },
+        { id: "craft", data: { ...storytime, title: "Preschool Craft", startTime: TEN_AM + 24 * HOUR } },
+    ];
+
+    it("matches by id, then by same-day similarity", () => {
+        const { matched, missing, added } = planReconciliation(stored, [
+            { id: "storytime", doc: { ...storytime, startTime: TEN_AM + HOUR } },
+            { id: "bounce", doc: { ...baby, title: "Baby Bounce & Rhyme", startTime: TEN_AM + 3 * HOUR } },
+            { id: "lego", doc: { ...storytime, title: "Lego Club", startTime: TEN_AM + 48 * HOUR } },
+        ]);
+        assert.deepEqual(matched.map((m) => m.id), ["storytime", "baby"]);
+        assert.equal(matched[1].doc.title, "Baby Bounce & Rhyme");
+        assert.deepEqual(missing.map((m) => m.id), ["craft"]);
+        assert.deepEqual(added.map((a) => a.id), ["lego"]);
+    });
+
+    it("treats a retitled event in the same slot as the same event", () => {
+        const { matched } = planReconciliation(stored, [
+            { id: "songs", doc: { ...storytime, title: "Songs & Rhymes" } },
+        ]);
+        assert.deepEqual(matched.map((m) => m.id), ["storytime"]);
+    });
+
+    it("does not pair different events at other times or places", () => {
+        const { matched, added } = planReconciliation(stored, [
+            { id: "lego", doc: { ...storytime, title: "Lego Club", startTime: TEN_AM + 4 * HOUR } },
+            { id: "newark", doc: { ...storytime, venue: "Newark Library" } },
+        ]);
+        assert.equal(matched.length, 0);
+        assert.equal(added.length, 2);
+    });
+});
+
+describe("buildUpdate", () => {
+    it("updates moved events and records the change", () => {
+        const moved = withSource({ ...storytime, startTime: TEN_AM + HOUR, endTime: TEN_AM + 1.5 * HOUR }, LIBRARY);
+        const { fields, changes } = buildUpdate(storytime, moved, LIBRARY, NOW);
+        assert.equal(fields.startTime, TEN_AM + HOUR);
+        assert.deepEqual(Object.keys(changes), ["startTime", "endTime"]);
+        assert.deepEqual(fields.history, [
+            { at: NOW, type: "changed", sourceUrl: LIBRARY, changes },
+        ]);
+        assert.equal(fields.expireAt.getTime(), (TEN_AM + 1.5 * HOUR + 24 * HOUR) * 1000);
+    });
+
+    it("returns null when nothing changed", () => {
+        assert.equal(buildUpdate(storytime, withSource({ ...storytime }, LIBRARY, "llm", NOW), LIBRARY, NOW), null);
+    });
+
+    it("reinstates an event that comes back", () => {
+        const cancelled = { ...storytime, status: "cancelled", cancelledAt: NOW - 10 };
+        const { fields } = buildUpdate(cancelled, withSource({ ...storytime }, LIBRARY), LIBRARY, NOW);
+        assert.equal(fields.status, "scheduled");
+        assert.equal(fields.cancelledAt, null);
+        assert.deepEqual(fields.history.map((h) => h.type), ["reinstated"]);
+    });
+
+    it("lets a more trusted source keep its values", () => {
+        const city = buildSourceEntry({ ...storytime, title: "Storytime for Toddlers" }, { sourceUrl: CITY, method: "llm" }, NOW);
+        const libcal = buildSourceEntry(storytime, { sourceUrl: LIBRARY, method: "libcal" }, NOW);
+        const merged = { ...storytime, sourceUrls: [LIBRARY, CITY], sources: [libcal, city] };
+        const cityUpdate = withSource({ ...storytime, title: "Storytime: Toddlers" }, CITY);
+        const { fields, changes } = buildUpdate(merged, cityUpdate, CITY, NOW);
+        assert.equal(fields.title, "Toddler Storytime");
+        assert.deepEqual(changes, {});
+        assert.equal(fields.history, undefined);
+        assert.equal(fields.sources.find((s) => s.sourceUrl === CITY).fields.title, "Storytime: Toddlers");
+    });
+});
+
+describe("buildCancellation", () => {
+    it("marks single-source events cancelled", () => {
+        const { fields, cancelled } = buildCancellation(storytime, LIBRARY, NOW);
+        assert.equal(cancelled, true);
+        assert.equal(fields.status, "cancelled");
+        assert.equal(fields.cancelledAt, NOW);
+        assert.deepEqual(fields.history, [{ at: NOW, type: "cancelled", sourceUrl: LIBRARY }]);
+        assert.equal(buildCancellation({ ...storytime, ...fields }, LIBRARY, NOW), null);
+    });
+
+    it("only drops the source when others still list the event", () => {
+        const city = buildSourceEntry(storytime, { sourceUrl: CITY, method: "llm" }, NOW);
+        const libcal = buildSourceEntry(storytime, { sourceUrl: LIBRARY, method: "libcal" }, NOW);
+        const { fields, cancelled } = buildCancellation(
+            { ...storytime, sourceUrls: [LIBRARY, CITY], sources: [libcal, city] },
+            LIBRARY,
+            NOW,
+        );
+        assert.equal(cancelled, false);
+        assert.equal(fields.status, undefined);
+        assert.deepEqual(fields.sourceUrls, [CITY]);
+        assert.equal(fields.sourceUrl, CITY);
+    });
+});
+
+describe("canCancelMissing", () => {
+    const previous = (count) =>
+        JSON.stringify(
+            Array.from({ length: count }, (_, i) => ({
+                title: `Event ${i}`,
+                isoDate: new Date((TEN_AM + i * HOUR) * 1000).toISOString(),
+            })),
+        );
+
+    it("allows ordinary churn", () => {
+        assert.equal(canCancelMissing(previous(10), 8, NOW), true);
+        assert.equal(canCancelMissing(previous(2), 1, NOW), true);
+        assert.equal(canCancelMissing(undefined, 3, NOW), true);
+    });
+
+    it("holds back when most events vanish at once", () => {
+        assert.equal(canCancelMissing(previous(10), 3, NOW), false);
+        assert.equal(canCancelMissing(previous(1), 0, NOW), false);
+        assert.equal(canCancelMissing("not json", 0, NOW), false);
+    });
+});
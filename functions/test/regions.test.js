@@ -0,0 +1,146 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    DEFAULT_REGION,
+    validateRegion,
+    normalizeRegion,
+    isInRegion,
+    discoveryQueriesFor,
+    cityDocId,
+    createRegionStore,
+} = require("../src/regions");
+
+const OREGON = {
+    name: "Oregon",
+    countryCode: "US",
+    geocodeSuffix: "Oregon",
+    bounds: { south: 41.9, west: -124.7, north: 46.3, east: -116.4 },
+    timeZone: "America/Los_Angeles",
+    locale: "en-US",
+    language: "English",
+};
+
+// Minimal Firestore stand-in: config_regions docs by id, counting reads
+const fakeDb = (docs) => {
+    const reads = [];
+    return {
+        reads,
+        collection: (name) => ({
+            doc: (id) => ({
+                get: async () => {
+                    reads.push(`${name}/${id}`);
+                    return { exists: id in docs, data: () => docs[id] };
+                },
+            }),
+        }),
+    };
+};
+
+describe("validateRegion", () => {
+    it("accepts a complete region", () => {
+        assert.deepEqual(validateRegion(OREGON), []);
+        assert.deepEqual(validateRegion({ name: "Ontario", timeZone: "America/Toronto" }), []);
+    });
+
+    it("lists every problem", () => {
+        assert.deepEqual(validateRegion(null), ["region must be an object"]);
+        const problems = validateRegion({
+            name: " ",
+            timeZone: "Pacific/Nowhere",
+            countryCode: "usa",
+            bounds: { south: 46, west: -124, north: 41, east: -116 },
+            discoveryQueries: ["libraries"],
+        });
+        assert.equal(problems.length, 5);
+        assert.match(problems.join("\n"), /name is required/);
+        assert.match(problems.join("\n"), /timeZone/);
+        assert.match(problems.join("\n"), /countryCode/);
+        assert.match(problems.join("\n"), /bounds/);
+        assert.match(problems.join("\n"), /\{city\}/);
+    });
+
+    it("requires a time zone", () => {
+        assert.deepEqual(validateRegion({ name: "Ontario" }), ["timeZone must be an IANA time zone"]);
+        assert.deepEqual(validateRegion({ name: "Ontario", timeZone: null }), ["timeZone must be an IANA time zone"]);
+        assert.deepEqual(validateRegion({ name: "Ontario", timeZone: 5 }), ["timeZone must be an IANA time zone"]);
+    });
+});
+
+describe("normalizeRegion", () => {
+    it("fills in defaults", () => {
+        const region = normalizeRegion("on", { name: "Ontario", countryCode: "CA", timeZone: "America/Toronto" });
+        assert.equal(region.id, "on");
+        assert.equal(region.geocodeSuffix, "Ontario");
+        assert.equal(region.bounds, null);
+        assert.equal(region.locale, "en-US");
+        assert.equal(region.language, "English");
+        assert.deepEqual(region.discoveryQueries, DEFAULT_REGION.discoveryQueries);
+    });
+
+    it("keeps an empty geocoding suffix", () => {
+        assert.equal(normalizeRegion("sg", { name: "Singapore", geocodeSuffix: "" }).geocodeSuffix, "");
+    });
+});
+
+describe("isInRegion", () => {
+    it("checks the bounds", () => {
+        assert.ok(isInRegion(DEFAULT_REGION, 37.55, -121.98));
+        assert.ok(!isInRegion(DEFAULT_REGION, 45.52, -122.68));
+        assert.ok(isInRegion(normalizeRegion("or", OREGON), 45.52, -122.68));
+    });
+
+    it("accepts anything without bounds", () => {
+        assert.ok(isInRegion(normalizeRegion("x", { name: "Anywhere" }), -33.87, 151.21));
+    });
+
+    it("handles bounds crossing the antimeridian", () => {
+        const fiji = normalizeRegion("fj", { name: "Fiji", bounds: { south: -21, west: 176, north: -12, east: -178 } });
+        assert.ok(isInRegion(fiji, -18.14, 178.44));
+        assert.ok(isInRegion(fiji, -16, -179.5));
+        assert.ok(!isInRegion(fiji, -18, 170));
+    });
+});
+
+describe("discoveryQueriesFor", () => {
+    it("fills in the city", () => {
+        assert.deepEqual(discoveryQueriesFor(DEFAULT_REGION, "Fremont, CA"), [
+            "public library in Fremont, CA",
+            "park in Fremont, CA",
+        ]);
+        const region = normalizeRegion("qc", { name: "Québec", discoveryQueries: ["bibliothèque {city}"] });
+        assert.deepEqual(discoveryQueriesFor(region, "Laval"), ["bibliothèque Laval"]);
+    });
+});
+
+describe("cityDocId", () => {
+    it("prefixes ids outside California", () => {
+        assert.equal(cityDocId("ca", "San Luis Obispo, CA"), "san_luis_obispo");
+        assert.equal(cityDocId("or", "Portland, OR"), "or_portland");
+        assert.equal(cityDocId("wa", "Sedro-Woolley"), "wa_sedro_woolley");
+    });
+});
+
+describe("createRegionStore", () => {
+    it("reads region docs and falls back to California", async () => {
+        const db = fakeDb({ or: OREGON });
+        const regions = createRegionStore({ db });
+        const oregon = await regions.get("or");
+        assert.equal(oregon.name, "Oregon");
+        assert.equal(oregon.id, "or");
+        assert.equal(await regions.get("nowhere"), DEFAULT_REGION);
+        assert.equal(await regions.get(undefined), DEFAULT_REGION);
+    });
+
+    it("caches lookups for a while", async () => {
+        let now = 0;
+        const db = fakeDb({ or: OREGON });
+        const regions = createRegionStore({ db, now: () => now });
+        await regions.get("or");
+        await regions.get("or");
+        assert.deepEqual(db.reads, ["config_regions/or"]);
+        now = 11 * 60 * 1000;
+        await regions.get("or");
+        assert.equal(db.reads.length, 2);
+    });
+});
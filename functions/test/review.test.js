@@ -0,0 +1,73 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { HttpsError } = require("firebase-functions/v2/https");
+
+const { PENDING, validateEdits, applyEdits, buildReviewEntry } = require("../src/review");
+
+const act = {
+    title: "Tiny Tots Music",
+    venue: "Fremont Main Library",
+    isoDate: "2025-03-05T10:30:00",
+    description: null,
+};
+
+describe("validateEdits", () => {
+    it("accepts a plain object of editable fields", () => {
+        assert.deepEqual(validateEdits({}), []);
+        assert.deepEqual(validateEdits({ title: "Baby Bounce", description: null, categories: ["music"] }), []);
+    });
+
+    for (const [name, edits, problem] of [
+        ["a missing object", undefined, "edits must be an object"],
+        ["a string", "title", "edits must be an object"],
+        ["a list", [{ title: "Baby Bounce" }], "edits must be an object"],
+        ["a date", new Date(0), "edits must be an object"],
+        ["an unknown field", { startTime: 0 }, '"startTime" can\'t be edited'],
+        ["an inherited name", { constructor: null }, '"constructor" can\'t be edited'],
+        ["a wrong type", { isFree: "yes" }, '"isFree" must be a boolean'],
+    ]) {
+        it(`refuses ${name}`, () => {
+            assert.deepEqual(validateEdits(edits), [problem]);
+        });
+    }
+});
+
+describe("applyEdits", () => {
+    it("overrides editable fields and clears with null", () => {
+        const edited = applyEdits({ ...act, description: "Old" }, { title: "Tiny Tots Music & Movement", description: null });
+        assert.equal(edited.title, "Tiny Tots Music & Movement");
+        assert.equal(edited.description, null);
+        assert.equal(edited.venue, act.venue);
+    });
+
+    it("refuses unknown fields and wrong types", () => {
+        assert.throws(() => applyEdits(act, { startTime: 0 }), (error) => error instanceof HttpsError && error.code === "invalid-argument");
+        assert.throws(() => applyEdits(act, { isRegistrationRequired: "yes" }), /must be a boolean/);
+        assert.throws(() => applyEdits(act, []), /must be an object/);
+        assert.throws(() => applyEdits(act, { categories: "story" }), /must be a list of strings/);
+        assert.deepEqual(applyEdits(act, { categories: ["story"] }).categories, ["story"]);
+    });
+});
+
+describe("buildReviewEntry", () => {
+    it("keeps what publishing needs later", () => {
+        const entry = buildReviewEntry({
+            act,
+            times: { startTime: 1741199400, endTime: 1741201200 },
+            confidence: 0.42,
+            signals: { model: 0.5, date: 1, venue: 0, age: 0 },
+            registryId: "reg1",
+            venueName: "Fremont Main Library",
+            sourceUrl: "https://fremontlibrary.example/events",
+            coordinates: { lat: 37.5, lng: -121.9 },
+            provenance: { method: "llm", trust: 1 },
+            timing: { timeZone: "America/Los_Angeles", referenceDate: "2025-03-04" },
+            nowSeconds: 1741100000,
+        });
+        assert.equal(entry.status, PENDING);
+        assert.deepEqual(entry.event, act);
+        assert.deepEqual(entry.coordinates, { lat: 37.5, lng: -121.9, address: null });
+        assert.deepEqual(entry.edits, {});
+        assert.ok(entry.expireAt.getTime() > 1741201200 * 1000);
+    });
+});
@@ -0,0 +1,228 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const geofire = require("geofire-common");
+
+const {
+    validateSavedSearch,
+    normalizeSavedSearch,
+    coverageCells,
+    activityCell,
+    currentAgeMonths,
+    matchesSavedSearch,
+    takeAlertSlot,
+    buildAlertMessage,
+    buildDigest,
+    buildDigestMessage,
+} = require("../src/savedSearches");
+
+const utc = (iso) => Date.parse(iso) / 1000;
+const NOW = utc("2026-01-05T16:00:00Z");
+
+const FREMONT = { lat: 37.5485, lng: -121.9886 };
+
+const search = {
+    id: "s1",
+    uid: "u1",
+    ...normalizeSavedSearch(
+        {
+            name: "Saturday mornings",
+            ...FREMONT,
+            radiusKm: 10,
+            ageMonths: 20,
+            categories: ["story", "music"],
+            days: ["sat"],
+            timeFrom: "09:00",
+            timeTo: "12:00",
+        },
+        NOW,
+    ),
+};
+
+// Saturday 2026-01-10 10:30 in California
+const activityAt = (latitude, longitude, fields = {}) => ({
+    title: "Toddler Storytime",
+    venue: "Fremont Main Library",
+    startTime: utc("2026-01-10T18:30:00Z"),
+    timeZone: "America/Los_Angeles",
+    minAgeMonths: 18,
+    maxAgeMonths: 36,
+    ageRange: "18-36 months",
+    categories: ["story"],
+    status: "scheduled",
+    latitude,
+    longitude,
+    geohash: geofire.geohashForLocation([latitude, longitude]),
+    ...fields,
+});
+
+const storytime = activityAt(37.55, -121.98);
+
+describe("validateSavedSearch", () => {
+    it("accepts a minimal search", () => {
+        assert.deepEqual(validateSavedSearch({ name: "Near home", ...FREMONT }), []);
+    });
+
+    it("lists every problem", () => {
+        assert.deepEqual(validateSavedSearch(null), ["search must be an object"]);
+        const problems = validateSavedSearch({
+            name: "",
+            lat: 123,
+            lng: -121,
+            radiusKm: 500,
+            categories: ["karaoke"],
+            days: ["saturday"],
+            timeFrom: "13:00",
+            timeTo: "9:00",
+            notify: "yes",
+        });
+        assert.equal(problems.length, 7);
+        assert.match(problems.join("\n"), /radiusKm/);
+        assert.match(problems.join("\n"), /timeTo must be "HH:MM"/);
+    });
+
+    it("rejects a time window that ends before it starts", () => {
+        assert.deepEqual(validateSavedSearch({ name: "x", ...FREMONT, timeFrom: "13:00", timeTo: "09:00" }), [
+            "timeFrom must not be after timeTo",
+        ]);
+    });
+});
+
+describe("normalizeSavedSearch", () => {
+    it("fills in defaults", () => {
+        const fields = normalizeSavedSearch({ name: " Near home ", ...FREMONT }, NOW);
+        assert.equal(fields.name, "Near home");
+        assert.equal(fields.radiusKm, 10);
+        assert.equal(fields.ageMonths, null);
+        assert.equal(fields.ageMonthsAt, null);
+        assert.deepEqual(fields.days, []);
+        assert.equal(fields.notify, true);
+        assert.equal(fields.digest, true);
+    });
+});
+
+describe("coverageCells", () => {
+    it("covers every point of the circle", () => {
+        const cells = coverageCells(FREMONT.lat, FREMONT.lng, 25);
+        for (let bearing = 0; bearing < 360; bearing += 15) {
+            const radians = (bearing * Math.PI) / 180;
+            const lat = FREMONT.lat + (24.9 / 111.32) * Math.cos(radians);
+            const lng = FREMONT.lng + (24.9 / (111.32 * Math.cos((FREMONT.lat * Math.PI) / 180))) * Math.sin(radians);
+            const cell = activityCell({ geohash: geofire.geohashForLocation([lat, lng]) });
+            assert.ok(cells.includes(cell), `bearing ${bearing}`);
+        }
+        assert.ok(cells.length < 40);
+    });
+
+    it("wraps around the antimeridian", () => {
+        const cells = coverageCells(-17.8, 179.95, 20);
+        assert.ok(cells.includes(geofire.geohashForLocation([-17.8, -179.9], 4)));
+    });
+});
+
+describe("currentAgeMonths", () => {
+    it("ages the child along with the search", () => {
+        assert.equal(currentAgeMonths(search, NOW), 20);
+        assert.equal(currentAgeMonths(search, NOW + 95 * 24 * 60 * 60), 23);
+        assert.equal(currentAgeMonths({ ageMonths: null }, NOW), null);
+    });
+});
+
+describe("matchesSavedSearch", () => {
+    it("matches place, age, category, day and time", () => {
+        assert.ok(matchesSavedSearch(search, storytime, NOW));
+    });
+
+    it("drops what the search doesn't ask for", () => {
+        const misses = {
+            "too far": activityAt(37.8044, -122.2712),
+            "wrong age": { ...storytime, minAgeMonths: 36, maxAgeMonths: 71 },
+            "wrong category": { ...storytime, categories: ["stem"] },
+            "wrong day": { ...storytime, startTime: utc("2026-01-11T18:30:00Z") },
+            "too late": { ...storytime, startTime: utc("2026-01-10T21:00:00Z") },
+            cancelled: { ...storytime, status: "cancelled" },
+            "no coordinates": { ...storytime, latitude: null },
+        };
+        for (const [reason, activity] of Object.entries(misses)) {
+            assert.ok(!matchesSavedSearch(search, activity, NOW), reason);
+        }
+    });
+
+    it("reads days and times in the venue's zone", () => {
+        // Saturday 02:00 UTC is still Friday evening in California
+        const friday = { ...storytime, startTime: utc("2026-01-10T02:00:00Z") };
+        const evenings = { ...search, days: ["fri"], timeFrom: "17:00", timeTo: "19:00" };
+        assert.ok(matchesSavedSearch(evenings, friday, NOW));
+    });
+
+    it("matches anything nearby without filters", () => {
+        const open = { ...search, ageMonths: null, categories: [], days: [], timeFrom: null, timeTo: null };
+        assert.ok(matchesSavedSearch(open, { ...storytime, categories: [], minAgeMonths: 60, maxAgeMonths: null }, NOW));
+    });
+});
+
+describe("takeAlertSlot", () => {
+    it("caps alerts per day and skips repeats", () => {
+        let state = null;
+        for (const activityId of ["a", "b", "c"]) {
+            state = takeAlertSlot(state, { day: "2026-01-05", activityId, maxPerDay: 3 });
+            assert.ok(state);
+        }
+        assert.deepEqual(state, { day: "2026-01-05", count: 3, activityIds: ["a", "b", "c"] });
+        assert.equal(takeAlertSlot(state, { day: "2026-01-05", activityId: "d", maxPerDay: 3 }), null);
+        assert.equal(takeAlertSlot({ ...state, count: 1 }, { day: "2026-01-05", activityId: "a", maxPerDay: 3 }), null);
+        assert.deepEqual(takeAlertSlot(state, { day: "2026-01-06", activityId: "d", maxPerDay: 3 }), {
+            day: "2026-01-06",
+            count: 1,
+            activityIds: ["d"],
+        });
+    });
+});
+
+describe("buildAlertMessage", () => {
+    it("names the search and the local time", () => {
+        assert.deepEqual(buildAlertMessage("act1", storytime, [search]), {
+            title: "New for \"Saturday mornings\": Toddler Storytime",
+            body: "Sat, Jan 10, 10:30 AM at Fremont Main Library",
+            data: { type: "saved_search_alert", activityId: "act1", searchIds: "s1" },
+        });
+    });
+});
+
+describe("buildDigest", () => {
+    const from = NOW;
+    const to = NOW + 7 * 24 * 60 * 60;
+    const open = { ...search, id: "s2", ageMonths: null, categories: [], days: [], timeFrom: null, timeTo: null };
+
+    it("lists matching activities of the week, soonest first, once each", () => {
+        const candidates = [
+            { id: "late", data: { ...storytime, title: "Music Time", startTime: utc("2026-01-09T18:00:00Z") } },
+            { id: "sat", data: storytime },
+            { id: "sat", data: storytime },
+            { id: "early", data: { ...storytime, title: "Baby Bounce", startTime: utc("2026-01-06T18:00:00Z") } },
+            { id: "next-week", data: { ...storytime, startTime: utc("2026-01-14T18:00:00Z") } },
+            { id: "far", data: activityAt(37.8044, -122.2712) },
+        ];
+        const items = buildDigest([search, open], candidates, { from, to });
+        assert.deepEqual(items.map((item) => item.id), ["early", "late", "sat"]);
+        assert.deepEqual(items[2].searchIds, ["s1", "s2"]);
+        assert.deepEqual(items[0].searchIds, ["s2"]);
+        assert.equal(items[0].title, "Baby Bounce");
+    });
+
+    it("keeps the digest short", () => {
+        const candidates = Array.from({ length: 15 }, (_, index) => ({
+            id: `a${index}`,
+            data: { ...storytime, startTime: NOW + (index + 1) * 3600 },
+        }));
+        assert.equal(buildDigest([open], candidates, { from, to }).length, 10);
+    });
+});
+
+describe("buildDigestMessage", () => {
+    it("names the first activities", () => {
+        const items = [{ title: "Baby Bounce" }, { title: "Music Time" }, { title: "Storytime" }];
+        assert.equal(buildDigestMessage(items, "2026-01-05").body, "Baby Bounce, Music Time and 1 more");
+        assert.equal(buildDigestMessage(items.slice(0, 2), "2026-01-05").body, "Baby Bounce and Music Time");
+        assert.deepEqual(buildDigestMessage(items, "2026-01-05").data, { type: "weekly_digest", digestId: "2026-01-05" });
+    });
+});
@@ -0,0 +1,138 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    createSourceStats,
+    classifyOutcome,
+    updateHealth,
+    buildSourceRecord,
+    runTotals,
+} = require("../src/scrapeLedger");
+const { normalizeUsage, estimateCostUsd, createTokenBudget } = require("../src/extraction/budget");
+
+const limits = { nowSeconds: 1000, maxConsecutiveFailures: 3, maxZeroYieldRuns: 2 };
+
+// Minimal Firestore for one collection of plain docs
+const fakeDb = () => {
+    const docs = new Map();
+    const snapshot = (path) => ({ exists: docs.has(path), data: () => docs.get(path) });
+    return {
+        docs,
+        collection: (name) => ({
+            doc: (id) => ({ path: `${name}/${id}`, get: async () => snapshot(`${name}/${id}`) }),
+        }),
+        runTransaction: async (fn) =>
+            fn({
+                get: async (ref) => snapshot(ref.path),
+                set: (ref, data) => docs.set(ref.path, data),
+            }),
+    };
+};
+
+describe("classifyOutcome", () => {
+    it("separates failures, empty runs and skipped runs", () => {
+        const stats = createSourceStats();
+        assert.equal(classifyOutcome({ stats, error: new Error("503") }), "failed");
+        assert.equal(classifyOutcome({ status: "no_events", stats }), "zero_yield");
+        assert.equal(classifyOutcome({ status: "budget_exhausted", stats }), "skipped");
+        assert.equal(classifyOutcome({ status: "cache_hit", stats: { ...stats, eventsExtracted: 4 } }), "ok");
+    });
+});
+
+describe("updateHealth", () => {
+    it("keeps a rolling score and streaks", () => {
+        let { health } = updateHealth(undefined, "ok", limits);
+        assert.equal(health.score, 1);
+        ({ health } = updateHealth(health, "failed", limits));
+        assert.equal(health.score, 0.8);
+        assert.equal(health.consecutiveFailures, 1);
+        assert.equal(health.lastYieldAt, 1000);
+        ({ health } = updateHealth(health, "ok", { ...limits, nowSeconds: 2000 }));
+        assert.equal(health.consecutiveFailures, 0);
+        assert.equal(health.lastYieldAt, 2000);
+        assert.equal(health.runs, 3);
+    });
+
+    it("pauses after repeated failures or empty runs", () => {
+        let state = { health: {} };
+        for (let i = 0; i < 3; i++) state = updateHealth(state.health, "failed", limits);
+        assert.equal(state.pauseReason, "failures");
+
+        state = updateHealth({}, "zero_yield", limits);
+        assert.equal(state.pauseReason, null);
+        state = updateHealth(state.health, "zero_yield", limits);
+        assert.equal(state.pauseReason, "zero_yield");
+    });
+
+    it("ignores skipped runs", () => {
+        const health = { score: 0.5, consecutiveFailures: 2 };
+        assert.deepEqual(updateHealth(health, "skipped", limits), { health, pauseReason: null });
+    });
+});
+
+describe("buildSourceRecord / runTotals", () => {
+    it("records one source's run and its share of the totals", () => {
+        const stats = {
+            ...createSourceStats(),
+            fetchStatus: "ok",
+            cache: "miss",
+            totalTokens: 1200,
+            costUsd: 0.0002,
+            eventsExtracted: 5,
+            eventsAdded: 3,
+            eventsRejected: 1,
+        };
+        const record = buildSourceRecord({
+            registryId: "a",
+            libraryData: { url_hash: "https://a.example/events", venue_name: "Fremont Main Library" },
+            attempt: 1,
+            status: "updated",
+            outcome: "ok",
+            stats,
+            durationMs: 1500,
+            nowSeconds: 1000,
+        });
+        assert.equal(record.url, "https://a.example/events");
+        assert.equal(record.eventsAdded, 3);
+        assert.equal(record.error, null);
+
+        assert.deepEqual(runTotals("ok", stats), {
+            sourcesFinished: 1,
+            sourcesFailed: 0,
+            sourcesZeroYield: 0,
+            sourcesSkipped: 0,
+            cacheHits: 0,
+            totalTokens: 1200,
+            costUsd: 0.0002,
+            eventsExtracted: 5,
+            eventsAdded: 3,
+            eventsRejected: 1,
+            eventsQuarantined: 0,
+        });
+    });
+});
+
+describe("token budget", () => {
+    it("prices Gemini usage", () => {
+        const usage = normalizeUsage({ promptTokenCount: 1_000_000, candidatesTokenCount: 100_000 });
+        assert.deepEqual(usage, { promptTokens: 1_000_000, outputTokens: 100_000, totalTokens: 1_100_000 });
+        assert.equal(estimateCostUsd("gemini-2.0-flash", usage), 0.14);
+    });
+
+    it("stops allowing calls once the day's tokens or cost are spent", async () => {
+        const db = fakeDb();
+        const now = () => Date.parse("2025-03-04T18:00:00Z");
+        const budget = createTokenBudget({ db, tokenLimit: 1000, costLimitUsd: () => 0.5, now });
+
+        assert.equal(await budget.remaining(), true);
+        await budget.record({ promptTokens: 600, outputTokens: 100, totalTokens: 700 }, 0.1);
+        assert.equal(await budget.remaining(), true);
+        await budget.record({ promptTokens: 300, outputTokens: 100, totalTokens: 400 }, 0.1);
+        assert.equal(await budget.remaining(), false);
+        assert.equal(db.docs.get("llm_budget/2025-03-04").calls, 2);
+
+        const costOnly = createTokenBudget({ db: fakeDb(), tokenLimit: 0, costLimitUsd: 0.05, now });
+        await costOnly.record({ promptTokens: 10, outputTokens: 10, totalTokens: 20 }, 0.06);
+        assert.equal(await costOnly.remaining(), false);
+    });
+});
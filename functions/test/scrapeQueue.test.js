@@ -0,0 +1,172 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    DEAD_LETTERED,
+    DISABLED,
+    PermanentScrapeError,
+    RateLimitExceededError,
+    isPermanentFailure,
+    shouldDeadLetter,
+    taskIdFor,
+    enqueueSources,
+    buildDeadLetter,
+    createRateLimiter,
+} = require("../src/scrapeQueue");
+
+const httpError = (status) => Object.assign(new Error(`${status}`), { status });
+
+const registryDoc = (id, data) => ({ id, data: () => data });
+
+// Minimal Firestore with a single-document transaction
+const fakeDb = () => {
+    const docs = new Map();
+    return {
+        docs,
+        collection: (name) => ({
+            doc: (id) => ({ path: `${name}/${id}` }),
+        }),
+        runTransaction: async (fn) =>
+            fn({
+                get: async (ref) => ({
+                    exists: docs.has(ref.path),
+                    data: () => docs.get(ref.path),
+                }),
+                set: (ref, data) => docs.set(ref.path, data),
+            }),
+    };
+};
+
+describe("isPermanentFailure / shouldDeadLetter", () => {
+    it("treats missing pages and denied access as permanent", () => {
+        assert.equal(isPermanentFailure(httpError(404)), true);
+        assert.equal(isPermanentFailure(httpError(410)), true);
+        assert.equal(isPermanentFailure(new PermanentScrapeError("gone")), true);
+        assert.equal(isPermanentFailure(httpError(429)), false);
+        assert.equal(isPermanentFailure(httpError(503)), false);
+        assert.equal(isPermanentFailure(new Error("socket hang up")), false);
+        assert.equal(isPermanentFailure(new RateLimitExceededError("gemini")), false);
+    });
+
+    it("dead-letters permanent failures at once and transient ones on the last attempt", () => {
+        assert.equal(shouldDeadLetter(httpError(404), 0), true);
+        assert.equal(shouldDeadLetter(httpError(503), 0, 5), false);
+        assert.equal(shouldDeadLetter(httpError(503), 3, 5), false);
+        assert.equal(shouldDeadLetter(httpError(503), 4, 5), true);
+    });
+});
+
+describe("taskIdFor", () => {
+    it("is stable per source and day and valid as a task id", () => {
+        const id = taskIdFor("https%3A%2F%2Faclibrary.org%2Fevents", "2025-03-04");
+        assert.equal(id, taskIdFor("https%3A%2F%2Faclibrary.org%2Fevents", "2025-03-04"));
+        assert.notEqual(id, taskIdFor("https%3A%2F%2Faclibrary.org%2Fevents", "2025-03-05"));
+        assert.match(taskIdFor("a", "2025-03-04", "calendar"), /^calendar-20250304-/);
+        assert.match(id, /^scrape-20250304-[0-9a-f]{32}$/);
+    });
+});
+
+describe("enqueueSources", () => {
+    it("enqueues runnable sources and counts skips and duplicates", async () => {
+        const enqueued = [];
+        const queue = {
+            enqueue: async (data, opts) => {
+                if (data.registryId === "dup") {
+                    throw Object.assign(new Error("exists"), { code: "functions/task-already-exists" });
+                }
+                if (data.registryId === "broken") throw new Error("unavailable");
+                enqueued.push({ data, opts });
+            },
+        };
+        const counts = await enqueueSources(
+            queue,
+            [
+                registryDoc("a", { url_hash: "https://a.example/events" }),
+                registryDoc("b", { url_hash: "https://b.example/events", scrape_status: DEAD_LETTERED }),
+                registryDoc("c", { url_hash: "" }),
+                registryDoc("p", { url_hash: "https://p.example/events", scrape_status: "paused" }),
+                registryDoc("off", { url_hash: "https://off.example/events", scrape_status: DISABLED }),
+                registryDoc("park", { url_hash: "https://park.example/", relevance: "none" }),
+                registryDoc("dup", { url_hash: "https://dup.example/events" }),
+                registryDoc("broken", { url_hash: "https://broken.example/events" }),
+            ],
+            { date: "2025-03-04" },
+        );
+
+        assert.deepEqual(counts, { enqueued: 1, duplicates: 1, failed: 1, skipped: 5 });
+        assert.deepEqual(enqueued, [
+            { data: { registryId: "a", runId: "2025-03-04" }, opts: { id: taskIdFor("a", "2025-03-04") } },
+        ]);
+    });
+});
+
+describe("buildDeadLetter", () => {
+    it("records the failure and pauses the source", () => {
+        const { record, registryFields } = buildDeadLetter({
+            registryId: "a",
+            libraryData: { url_hash: "https://a.example/events", venue_name: "Fremont Main Library" },
+            error: httpError(404),
+            attempts: 1,
+            nowSeconds: 1000,
+        });
+        assert.deepEqual(record, {
+            registryId: "a",
+            url: "https://a.example/events",
+            venueName: "Fremont Main Library",
+            error: "404",
+            status: 404,
+            permanent: true,
+            attempts: 1,
+            deadLetteredAt: 1000,
+        });
+        assert.deepEqual(registryFields, {
+            scrape_status: DEAD_LETTERED,
+            last_scrape_error: "404",
+            dead_lettered_at: 1000,
+        });
+    });
+});
+
+describe("createRateLimiter", () => {
+    it("grants slots up to the limit, then waits for the next window", async () => {
+        const db = fakeDb();
+        let clock = 60_000;
+        const sleeps = [];
+        const limiter = createRateLimiter({
+            db,
+            name: "gemini",
+            limit: () => 2,
+            now: () => clock,
+            sleep: async (ms) => {
+                sleeps.push(ms);
+                clock += ms;
+            },
+        });
+
+        await limiter.acquire();
+        await limiter.acquire();
+        assert.deepEqual(sleeps, []);
+        assert.deepEqual(db.docs.get("rate_limits/gemini"), { windowStart: 60_000, count: 2 });
+
+        clock += 10_000;
+        await limiter.acquire();
+        assert.equal(sleeps.length, 1);
+        assert.ok(sleeps[0] >= 50_000 && sleeps[0] < 51_000);
+        assert.deepEqual(db.docs.get("rate_limits/gemini"), { windowStart: 120_000, count: 1 });
+    });
+
+    it("gives up when the wait exceeds maxWaitSeconds", async () => {
+        const db = fakeDb();
+        const limiter = createRateLimiter({
+            db,
+            name: "maps",
+            limit: 1,
+            windowSeconds: 600,
+            maxWaitSeconds: 60,
+            now: () => 0,
+            sleep: async () => assert.fail("should not wait"),
+        });
+        await limiter.acquire();
+        await assert.rejects(limiter.acquire(), RateLimitExceededError);
+    });
+});
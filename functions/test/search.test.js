@@ -0,0 +1,255 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    SearchParamError,
+    parseSearchParams,
+    filterAndPaginate,
+    searchActivities,
+} = require("../src/search");
+
+const NOW = 1741000000; // 2025-03-03T11:06:40Z
+const FREMONT = { lat: 37.5485, lng: -121.9886 };
+
+const activity = (id, overrides = {}) => ({
+    id,
+    data: {
+        title: id,
+        venue: "Fremont Main Library",
+        startTime: NOW + 3600,
+        ageRange: "18-36 months",
+        isFree: true,
+        requiresBooking: false,
+        latitude: FREMONT.lat,
+        longitude: FREMONT.lng,
+        geohash: "9q9nf",
+        expireAt: new Date(),
+        ...overrides,
+    },
+});
+
+const params = (query = {}) =>
+    parseSearchParams({ lat: String(FREMONT.lat), lng: String(FREMONT.lng), ...query }, NOW);
+
+describe("parseSearchParams", () => {
+    it("applies defaults", () => {
+        const parsed = params();
+        assert.deepEqual(parsed.center, [FREMONT.lat, FREMONT.lng]);
+        assert.equal(parsed.radiusKm, 10);
+        assert.equal(parsed.from, NOW);
+        assert.equal(parsed.to, NOW + 14 * 24 * 60 * 60);
+        assert.equal(parsed.sort, "time");
+        assert.equal(parsed.limit, 20);
+        assert.equal(parsed.requiresBooking, null);
+        assert.equal(parsed.includePredicted, false);
+        assert.equal(parsed.cursor, null);
+    });
+
+    it("opts in to predicted entries", () => {
+        assert.equal(params({ includePredicted: "true" }).includePredicted, true);
+        assert.throws(() => params({ includePredicted: "yes" }), /includePredicted/);
+    });
+
+    it("accepts ISO dates, filters and lists", () => {
+        const parsed = params({
+            from: "2025-03-08T00:00:00Z",
+            to: "1741564800",
+            ageRange: "0-18 months, 18-36 months",
+            requiresBooking: "false",
+            isFree: "true",
+            sort: "distance",
+            limit: "5",
+        });
+        assert.equal(parsed.from, 1741392000);
+        assert.equal(parsed.to, 1741564800);
+        assert.deepEqual(parsed.ageRanges, ["0-18 months", "18-36 months"]);
+        assert.equal(parsed.requiresBooking, false);
+        assert.equal(parsed.isFree, true);
+        assert.equal(parsed.sort, "distance");
+        assert.equal(parsed.limit, 5);
+    });
+
+    const invalid = [
+        [{ lat: "" }, /"lat"/],
+        [{ lat: "95" }, /out of range/],
+        [{ radiusKm: "500" }, /"radiusKm"/],
+        [{ from: "yesterday" }, /"from"/],
+        [{ from: "1741000000", to: "1740000000" }, /"to" must be after/],
+        [{ to: String(NOW + 200 * 24 * 60 * 60) }, /90 days/],
+        [{ sort: "popularity" }, /"sort"/],
+        [{ limit: "0" }, /"limit"/],
+        [{ isFree: "yes" }, /"isFree"/],
+        [{ setting: "mixed" }, /"setting"/],
+        [{ ageMonths: "-1" }, /"ageMonths"/],
+        [{ ageMonths: "twenty" }, /"ageMonths"/],
+        [{ category: "story,karaoke" }, /"category"/],
+        [{ accessibility: "ramps" }, /"accessibility"/],
+        [{ cursor: "not-a-cursor" }, /"cursor"/],
+    ];
+
+    for (const [query, message] of invalid) {
+        it(`rejects ${JSON.stringify(query)}`, () => {
+            assert.throws(() => params(query), (error) => {
+                assert.ok(error instanceof SearchParamError);
+                assert.match(error.message, message);
+                return true;
+            });
+        });
+    }
+});
+
+describe("filterAndPaginate", () => {
+    it("drops geohash false positives, out-of-window and filtered events", () => {
+        const candidates = [
+            activity("near"),
+            activity("near"), // duplicate from an overlapping geohash range
+            activity("far", { latitude: 37.87, longitude: -122.27 }), // Berkeley
+            activity("past", { startTime: NOW - 60 }),
+            activity("adults", { ageRange: "18-99 years" }),
+            activity("all-ages", { ageRange: "All" }),
+            activity("booking", { requiresBooking: true }),
+            activity("no-coords", { latitude: null }),
+            activity("cancelled", { status: "cancelled" }),
+        ];
+
+        const { results, nextCursor } = filterAndPaginate(
+            candidates,
+            params({ ageRange: "18-36 months", requiresBooking: "false" }),
+        );
+
+        assert.deepEqual(results.map((r) => r.id).sort(), ["all-ages", "near"]);
+        assert.equal(results[0].expireAt, undefined);
+        assert.equal(results[0].distanceKm, 0);
+        assert.equal(nextCursor, null);
+    });
+
+    it("sorts by distance and pages with a stable cursor", () => {
+        const candidates = [0, 1, 2, 3, 4].map((i) =>
+            activity(`a${i}`, { latitude: FREMONT.lat + (4 - i) * 0.01 }),
+        );
+
+        const first = filterAndPaginate(candidates, params({ sort: "distance", limit: "2" }));
+        assert.deepEqual(first.results.map((r) => r.id), ["a4", "a3"]);
+        assert.ok(first.nextCursor);
+
+        const second = filterAndPaginate(
+            candidates,
+            params({ sort: "distance", limit: "2", cursor: first.nextCursor }),
+        );
+        assert.deepEqual(second.results.map((r) => r.id), ["a2", "a1"]);
+
+        const third = filterAndPaginate(
+            candidates,
+            params({ sort: "distance", limit: "2", cursor: second.nextCursor }),
+        );
+        assert.deepEqual(third.results.map((r) => r.id), ["a0"]);
+        assert.equal(third.nextCursor, null);
+    });
+
+    it("filters by a child's age in months", () => {
+        const candidates = [
+            activity("babies", { minAgeMonths: 0, maxAgeMonths: 18 }),
+            activity("toddlers", { minAgeMonths: 18, maxAgeMonths: 36 }),
+            activity("two-plus", { minAgeMonths: 24, maxAgeMonths: null }),
+            activity("all-ages", { ageRange: "All", minAgeMonths: null, maxAgeMonths: null }),
+        ];
+        const ids = (ageMonths) =>
+            filterAndPaginate(candidates, params({ ageMonths })).results.map((r) => r.id).sort();
+
+        assert.deepEqual(ids("20"), ["all-ages", "toddlers"]);
+        assert.deepEqual(ids("18"), ["all-ages", "babies", "toddlers"]);
+        assert.deepEqual(ids("40"), ["all-ages", "two-plus"]);
+    });
+
+    it("filters by cost, setting, category, language and accessibility", () => {
+        const candidates = [
+            activity("story", { setting: "indoor", categories: ["story", "music"], languages: ["en", "es"] }),
+            activity("park", { setting: "outdoor", categories: ["outdoor_play"], accessibility: ["stroller_friendly"] }),
+            activity("festival", { setting: "mixed", categories: ["music"], accessibility: ["stroller_friendly", "sensory_friendly"] }),
+            activity("unknown-cost", { isFree: null, setting: null }),
+        ];
+        const ids = (query) => filterAndPaginate(candidates, params(query)).results.map((r) => r.id);
+
+        assert.deepEqual(ids({ isFree: "true" }), ["festival", "park", "story"]);
+        assert.deepEqual(ids({ isFree: "false" }), []);
+        assert.deepEqual(ids({ setting: "outdoor" }), ["festival", "park"]);
+        assert.deepEqual(ids({ category: "music,stem" }), ["festival", "story"]);
+        assert.deepEqual(ids({ language: "ES" }), ["story"]);
+        assert.deepEqual(ids({ accessibility: "stroller_friendly,sensory_friendly" }), ["festival"]);
+    });
+
+    it("sorts by start time, breaking ties by id", () => {
+        const candidates = [
+            activity("b", { startTime: NOW + 100 }),
+            activity("c", { startTime: NOW + 50 }),
+            activity("a", { startTime: NOW + 100 }),
+        ];
+        const { results } = filterAndPaginate(candidates, params());
+        assert.deepEqual(results.map((r) => r.id), ["c", "a", "b"]);
+    });
+});
+
+describe("searchActivities", () => {
+    it("runs one geohash range query per bound", async () => {
+        const queries = [];
+        const db = {
+            collection: (name) => {
+                const query = { name, ops: [] };
+                queries.push(query);
+                const chain = {
+                    where: (...clause) => (query.ops.push(["where", ...clause]), chain),
+                    orderBy: (field) => (query.ops.push(["orderBy", field]), chain),
+                    startAt: (value) => (query.ops.push(["startAt", value]), chain),
+                    endAt: (value) => (query.ops.push(["endAt", value]), chain),
+                    get: async () => ({
+                        docs: [activity("near")].map(({ id, data }) => ({
+                            id,
+                            data: () => data,
+                        })),
+                    }),
+                };
+                return chain;
+            },
+        };
+
+        const { results } = await searchActivities(db, params());
+
+        assert.ok(queries.length >= 1);
+        assert.ok(queries.every((q) => q.name === "activities"));
+        assert.deepEqual(queries[0].ops.slice(0, 3), [
+            ["where", "startTime", ">=", NOW],
+            ["where", "startTime", "<=", NOW + 14 * 24 * 60 * 60],
+            ["orderBy", "geohash"],
+        ]);
+        assert.deepEqual(results.map((r) => r.id), ["near"]);
+    });
+
+    it("doesn't return cancelled activities, but keeps ones without a status", async () => {
+        const db = {
+            collection: () => {
+                const chain = {
+                    where: () => chain,
+                    orderBy: () => chain,
+                    startAt: () => chain,
+                    endAt: () => chain,
+                    get: async () => ({
+                        docs: [
+                            activity("near", { status: "scheduled" }),
+                            activity("called-off", { status: "cancelled" }),
+                            // Stored before activities had a status
+                            activity("legacy", { status: undefined }),
+                        ].map(({ id, data }) => ({
+                            id,
+                            data: () => data,
+                        })),
+                    }),
+                };
+                return chain;
+            },
+        };
+
+        const { results } = await searchActivities(db, params());
+
+        assert.deepEqual(results.map((r) => r.id), ["legacy", "near"]);
+    });
+});
@@ -0,0 +1,223 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    parseRRule,
+    expandSeries,
+    describeRecurrence,
+    recognizeRecurrence,
+    normalizeSeriesEntry,
+    groupIntoSeries,
+    collectSeries,
+    expandToEvents,
+} = require("../src/series");
+
+const babyBounce = {
+    title: "Baby Bounce",
+    venue: "Fremont Main Library",
+    rrule: "FREQ=WEEKLY;BYDAY=TU",
+    startDate: "2025-03-04",
+    startTime: "10:30",
+    endTime: "11:00",
+    exceptions: ["2025-03-18"],
+};
+
+const dates = (occurrences) => occurrences.map((o) => o.date);
+
+describe("parseRRule", () => {
+    it("parses the supported subset", () => {
+        assert.deepEqual(parseRRule("RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;UNTIL=20250601T000000Z"), {
+            freq: "WEEKLY",
+            interval: 2,
+            byDay: [{ weekday: 2, ordinal: null }, { weekday: 4, ordinal: null }],
+            until: "2025-06-01",
+            count: null,
+        });
+        assert.deepEqual(parseRRule("FREQ=MONTHLY;BYDAY=-1FR").byDay, [{ weekday: 5, ordinal: -1 }]);
+    });
+
+    it("rejects unsupported rules", () => {
+        assert.equal(parseRRule("FREQ=YEARLY"), null);
+        assert.equal(parseRRule("FREQ=WEEKLY;BYDAY=XX"), null);
+        assert.equal(parseRRule(""), null);
+    });
+});
+
+describe("expandSeries", () => {
+    it("expands weekly occurrences and skips exceptions", () => {
+        const occurrences = expandSeries(babyBounce, { from: "2025-03-01", to: "2025-03-31" });
+        assert.deepEqual(dates(occurrences), ["2025-03-04", "2025-03-11", "2025-03-25"]);
+        assert.deepEqual(occurrences[0], {
+            date: "2025-03-04",
+            isoDate: "2025-03-04T10:30:00",
+            endTime: "2025-03-04T11:00:00",
+        });
+    });
+
+    it("keeps wall-clock times across the DST change", () => {
+        const occurrences = expandSeries(
+            { ...babyBounce, rrule: "FREQ=WEEKLY;BYDAY=SU", startDate: "2025-03-02", exceptions: [] },
+            { from: "2025-03-01", to: "2025-03-16" },
+        );
+        assert.deepEqual(occurrences.map((o) => o.isoDate), [
+            "2025-03-02T10:30:00",
+            "2025-03-09T10:30:00",
+            "2025-03-16T10:30:00",
+        ]);
+    });
+
+    it("honors INTERVAL, UNTIL, COUNT and the series end date", () => {
+        const window = { from: "2025-03-01", to: "2025-04-30" };
+        assert.deepEqual(
+            dates(expandSeries({ ...babyBounce, rrule: "FREQ=WEEKLY;INTERVAL=2;BYDAY=TU", exceptions: [] }, window)),
+            ["2025-03-04", "2025-03-18", "2025-04-01", "2025-04-15", "2025-04-29"],
+        );
+        assert.deepEqual(
+            dates(expandSeries({ ...babyBounce, rrule: "FREQ=WEEKLY;BYDAY=TU;UNTIL=20250315" }, window)),
+            ["2025-03-04", "2025-03-11"],
+        );
+        assert.deepEqual(
+            dates(expandSeries({ ...babyBounce, rrule: "FREQ=WEEKLY;BYDAY=TU;COUNT=2" }, { from: "2025-03-10", to: "2025-04-30" })),
+            ["2025-03-11"],
+        );
+        assert.deepEqual(
+            dates(expandSeries({ ...babyBounce, endDate: "2025-03-12", exceptions: [] }, window)),
+            ["2025-03-04", "2025-03-11"],
+        );
+    });
+
+    it("expands monthly ordinal weekdays across a year boundary", () => {
+        const series = { ...babyBounce, rrule: "FREQ=MONTHLY;BYDAY=1SA,-1FR", startDate: "2025-11-01", exceptions: [] };
+        assert.deepEqual(dates(expandSeries(series, { from: "2025-11-01", to: "2026-01-31" })), [
+            "2025-11-01",
+            "2025-11-28",
+            "2025-12-06",
+            "2025-12-26",
+            "2026-01-03",
+            "2026-01-30",
+        ]);
+    });
+});
+
+describe("describeRecurrence", () => {
+    const cases = [
+        ["FREQ=WEEKLY;BYDAY=TU", "Weekly on Tuesday"],
+        ["FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE", "Every other week on Monday & Wednesday"],
+        ["FREQ=MONTHLY;BYDAY=1SA", "Monthly on first Saturday"],
+        ["FREQ=DAILY", "Daily"],
+    ];
+    for (const [rrule, label] of cases) {
+        it(`describes ${rrule}`, () => assert.equal(describeRecurrence(rrule), label));
+    }
+});
+
+describe("recognizeRecurrence", () => {
+    const cases = [
+        ["Join us every Tuesday at 10:30 for songs", { rrule: "FREQ=WEEKLY;BYDAY=TU", startTime: "10:30", endTime: null }],
+        ["Every other Wednesday, 10-10:45am", { rrule: "FREQ=WEEKLY;INTERVAL=2;BYDAY=WE", startTime: "10:00", endTime: "10:45" }],
+        ["Tuesdays and Thursdays at 11 a.m.", { rrule: "FREQ=WEEKLY;BYDAY=TU,TH", startTime: "11:00", endTime: null }],
+        ["First Saturday of the month at 2pm", { rrule: "FREQ=MONTHLY;BYDAY=1SA", startTime: "14:00", endTime: null }],
+        ["Meets each Fri 3:30 - 4:15", { rrule: "FREQ=WEEKLY;BYDAY=FR", startTime: "15:30", endTime: "16:15" }],
+        ["Toddler Storytime on March 4 at 10:30", null],
+        ["Every Tuesday! Bring 3 friends", null],
+    ];
+    for (const [text, expected] of cases) {
+        it(`reads "${text}"`, () => assert.deepEqual(recognizeRecurrence(text), expected));
+    }
+});
+
+describe("normalizeSeriesEntry", () => {
+    it("fills the start date and drops invalid exceptions", () => {
+        const series = normalizeSeriesEntry(
+            {
+                title: "Baby Bounce",
+                venue: "Fremont Main Library",
+                rrule: "rrule:freq=weekly;byday=tu",
+                startTime: "10:30",
+                endTime: "nope",
+                exceptions: ["2025-03-18", "Spring break"],
+            },
+            "2025-03-01",
+        );
+        assert.equal(series.rrule, "FREQ=WEEKLY;BYDAY=TU");
+        assert.equal(series.startDate, "2025-03-01");
+        assert.equal(series.endTime, null);
+        assert.deepEqual(series.exceptions, ["2025-03-18"]);
+        assert.equal(series.recurrence, "Weekly on Tuesday");
+        assert.match(series.id, /^[0-9a-f]{32}$/);
+    });
+
+    it("rejects entries without a usable rule or time", () => {
+        assert.equal(normalizeSeriesEntry({ ...babyBounce, rrule: "whenever" }, "2025-03-01"), null);
+        assert.equal(normalizeSeriesEntry({ ...babyBounce, startTime: "10.30am" }, "2025-03-01"), null);
+    });
+});
+
+describe("groupIntoSeries", () => {
+    const event = (date, overrides = {}) => ({
+        title: "Toddler Storytime",
+        venue: "Fremont Main Library",
+        isoDate: `${date}T10:30:00`,
+        endTime: `${date}T11:00:00`,
+        ...overrides,
+    });
+
+    it("turns a weekly run into a series with the missing week as an exception", () => {
+        const [series] = groupIntoSeries([
+            event("2025-03-04"),
+            event("2025-03-11"),
+            event("2025-03-25"),
+            event("2025-04-01"),
+            event("2025-03-05", { title: "Baby Bounce" }),
+        ]);
+        assert.equal(series.rrule, "FREQ=WEEKLY;BYDAY=TU");
+        assert.equal(series.startDate, "2025-03-04");
+        assert.equal(series.startTime, "10:30");
+        assert.equal(series.endTime, "11:00");
+        assert.deepEqual(series.exceptions, ["2025-03-18"]);
+    });
+
+    it("ignores short or irregular runs", () => {
+        assert.deepEqual(groupIntoSeries([event("2025-03-04"), event("2025-03-11")]), []);
+        assert.deepEqual(groupIntoSeries([event("2025-03-04"), event("2025-03-11"), event("2025-03-13")]), []);
+    });
+});
+
+describe("collectSeries / expandToEvents", () => {
+    it("dedupes series found by the model and in event text", () => {
+        const seriesList = collectSeries(
+            [{ ...babyBounce, startDate: null, exceptions: [] }],
+            [
+                {
+                    title: "Baby Bounce",
+                    venue: "Fremont Main Library",
+                    description: "Every Tuesday at 10:30",
+                    isoDate: "2025-03-04T10:30:00",
+                },
+            ],
+            "2025-03-01",
+        );
+        assert.equal(seriesList.length, 1);
+
+        const events = expandToEvents(seriesList, "2025-03-01", 14);
+        assert.deepEqual(events.map((e) => e.isoDate), ["2025-03-04T10:30:00", "2025-03-11T10:30:00"]);
+        assert.equal(events[0].seriesId, seriesList[0].id);
+        assert.equal(events[0].recurrence, "Weekly on Tuesday");
+    });
+
+    it("needs dated listings on the rule before trusting a recurrence phrase", () => {
+        const listing = (isoDate) => ({
+            title: "Baby Bounce",
+            venue: "Fremont Main Library",
+            description: "Every Tuesday at 10:30",
+            isoDate,
+        });
+        assert.deepEqual(collectSeries([], [listing("2025-03-04T10:30:00")], "2025-03-01"), []);
+        assert.deepEqual(collectSeries([], [listing("2025-03-04T10:30:00"), listing("2025-03-06T10:30:00")], "2025-03-01"), []);
+
+        const [series, ...rest] = collectSeries([], [listing("2025-03-11T10:30:00"), listing("2025-03-04T10:30:00")], "2025-03-01");
+        assert.deepEqual(rest, []);
+        assert.equal(series.rrule, "FREQ=WEEKLY;BYDAY=TU");
+        assert.equal(series.startDate, "2025-03-04");
+    });
+});
@@ -0,0 +1,126 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const cheerio = require("cheerio");
+
+const {
+    extractStructuredEvents,
+    extractJsonLdEvents,
+    findFeedLinks,
+    parseICalendar,
+    parseFeed,
+} = require("../src/structuredData");
+
+const fixture = (name) =>
+    fs.readFileSync(path.join(__dirname, "fixtures", "structured", name), "utf8");
+
+describe("extractStructuredEvents", () => {
+    it("maps schema.org Event JSON-LD to the extraction shape", async () => {
+        const { events, method } = await extractStructuredEvents(
+            fixture("jsonld-events.html"),
+            "https://library.example.org/events",
+        );
+
+        assert.equal(method, "json-ld");
+        assert.equal(events.length, 2);
+        assert.deepEqual(events[0], {
+            title: "Toddler Storytime",
+            venue: "Fremont Main Library, 2400 Stevenson Blvd, Fremont, CA",
+            description: "Songs, rhymes and bubbles for ages 18-36 months.",
+            isoDate: "2025-03-04T10:30:00-08:00",
+            endTime: "2025-03-04T11:00:00-08:00",
+            ageRange: "18-36 months",
+            isRegistrationRequired: true,
+            registrationUrl: "https://library.example.org/register/123",
+        });
+        assert.equal(events[1].venue, "Fremont Main Library");
+    });
+
+    it("follows a linked feed when the page has no JSON-LD", async () => {
+        const fetched = [];
+        const { events, method } = await extractStructuredEvents(
+            fixture("feed-links.html"),
+            "https://library.example.org/events",
+            {
+                defaultVenue: "Example Library",
+                fetchText: async (url) => {
+                    fetched.push(url);
+                    return fixture("events.rss");
+                },
+            },
+        );
+
+        assert.equal(method, "rss");
+        assert.deepEqual(fetched, ["https://library.example.org/events/feed.rss"]);
+        assert.equal(events.length, 1);
+        assert.equal(events[0].title, "Music & Movement");
+    });
+
+    it("reports no structured data without a fetcher or feeds", async () => {
+        const result = await extractStructuredEvents("<html></html>", "https://a.example");
+        assert.deepEqual(result, { events: [], method: null });
+    });
+});
+
+describe("extractJsonLdEvents", () => {
+    it("keeps the offer price and free flag the page publishes", () => {
+        const node = {
+            "@type": "Event",
+            name: "Music Together",
+            location: "Fremont Community Center",
+            startDate: "2025-03-04T10:30:00",
+            isAccessibleForFree: "False",
+            offers: { "@type": "Offer", price: "12", priceCurrency: "USD" },
+        };
+        const $ = cheerio.load(`<script type="application/ld+json">${JSON.stringify(node)}</script>`);
+        const [event] = extractJsonLdEvents($, "https://fremont.example/events");
+        assert.equal(event.cost, "USD 12");
+        assert.equal(event.isFree, false);
+    });
+});
+
+describe("findFeedLinks", () => {
+    it("collects alternate feeds and .ics / webcal links", () => {
+        const $ = cheerio.load(fixture("feed-links.html"));
+        assert.deepEqual(findFeedLinks($, "https://library.example.org/events"), [
+            { url: "https://library.example.org/events/feed.rss", kind: "rss" },
+            { url: "https://library.example.org/atom.xml", kind: "atom" },
+            { url: "https://library.example.org/calendar.ics", kind: "ical" },
+            { url: "https://library.example.org/files/kids.ics?branch=main", kind: "ical" },
+        ]);
+    });
+});
+
+describe("parseICalendar", () => {
+    it("unfolds lines, unescapes text and skips cancelled events", () => {
+        const events = parseICalendar(fixture("events.ics"), { defaultVenue: "Fallback" });
+
+        assert.equal(events.length, 2);
+        assert.equal(events[0].title, "Baby Bounce");
+        assert.equal(events[0].venue, "Centerville Library, 3801 Nicolet Ave");
+        assert.equal(events[0].isoDate, "2025-03-11T10:30:00");
+        assert.equal(events[0].endTime, "2025-03-11T11:00:00");
+        assert.equal(
+            events[0].description,
+            "Lap rhymes and songs for babies 0-18 months. No registration required.",
+        );
+        assert.equal(events[0].registrationUrl, "https://library.example.org/events/baby-bounce");
+
+        assert.equal(events[1].venue, "Fallback");
+        assert.equal(events[1].isoDate, "2025-03-14T00:00:00");
+    });
+});
+
+describe("parseFeed", () => {
+    it("only keeps RSS items with an explicit event start date", () => {
+        const events = parseFeed(fixture("events.rss"));
+
+        assert.equal(events.length, 1);
+        assert.equal(events[0].venue, "Union City Branch");
+        assert.equal(events[0].isoDate, "2025-03-06T10:00:00-08:00");
+        assert.equal(events[0].endTime, "2025-03-06T10:45:00-08:00");
+        assert.equal(events[0].description, "Dance and sing with your toddler.");
+        assert.equal(events[0].registrationUrl, "https://library.example.org/events/456");
+    });
+});
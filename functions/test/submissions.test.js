@@ -0,0 +1,138 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    requireSubmitter,
+    validateSubmission,
+    normalizeSubmission,
+    screenSubmission,
+    takeSubmissionSlot,
+    submissionSourceUrl,
+    buildSubmissionEntry,
+} = require("../src/submissions");
+
+const event = {
+    title: "Baby  Music Morning",
+    venue: "St. Mark's Church Hall",
+    address: "12 Elm St, Fremont",
+    isoDate: "2026-03-07T10:00",
+    endTime: "11:00",
+    ageRange: "0-3 years",
+    description: "Songs and instruments for babies and toddlers.\n\n\n\nBring a blanket.",
+    isFree: true,
+};
+
+describe("requireSubmitter", () => {
+    it("accepts signed-in parents and venue accounts", () => {
+        assert.deepEqual(requireSubmitter({ uid: "u1", token: {} }), { uid: "u1", role: "parent", venueId: null });
+        assert.deepEqual(requireSubmitter({ uid: "u2", token: { venueId: "fremont-main" } }), {
+            uid: "u2",
+            role: "venue",
+            venueId: "fremont-main",
+        });
+    });
+
+    it("turns away signed-out and anonymous users", () => {
+        assert.throws(() => requireSubmitter(undefined), (error) => error.code === "unauthenticated");
+        assert.throws(
+            () => requireSubmitter({ uid: "u3", token: { firebase: { sign_in_provider: "anonymous" } } }),
+            (error) => error.code === "permission-denied",
+        );
+    });
+});
+
+describe("validateSubmission", () => {
+    it("accepts a complete event", () => {
+        assert.deepEqual(validateSubmission(event), []);
+    });
+
+    it("lists missing, malformed and unknown fields", () => {
+        const problems = validateSubmission({ title: "Playgroup", isoDate: "next Tuesday", price: 5, categories: [1] });
+        assert.deepEqual(problems, [
+            "unknown field \"price\"",
+            "venue is required",
+            "isoDate must be a local date and time (YYYY-MM-DDTHH:mm)",
+            "categories must be up to 10 strings",
+        ]);
+    });
+
+    it("lets venue accounts leave out the venue", () => {
+        const { venue, ...rest } = event;
+        assert.deepEqual(validateSubmission(rest, { role: "venue" }), []);
+        assert.deepEqual(validateSubmission(rest), ["venue is required"]);
+    });
+});
+
+describe("normalizeSubmission", () => {
+    it("tidies whitespace and keeps the extraction shape", () => {
+        const act = normalizeSubmission(event);
+        assert.equal(act.title, "Baby Music Morning");
+        assert.equal(act.description, "Songs and instruments for babies and toddlers.\n\nBring a blanket.");
+        assert.equal(act.address, undefined);
+        assert.equal(act.isFree, true);
+    });
+
+    it("names a venue account's events after its venue", () => {
+        assert.equal(normalizeSubmission({ ...event, venue: "Our place" }, { name: "Fremont Main Library" }).venue, "Fremont Main Library");
+    });
+});
+
+describe("screenSubmission", () => {
+    const screen = (fields) => screenSubmission(normalizeSubmission({ ...event, ...fields }));
+
+    it("passes ordinary events", () => {
+        assert.deepEqual(screen({}), { blocked: [], flags: [] });
+        assert.deepEqual(screen({ title: "Shiitake sensory play for toddlers" }), { blocked: [], flags: [] });
+    });
+
+    it("blocks profanity, even spelled around", () => {
+        assert.deepEqual(screen({ description: "what the f.u.c.k" }).blocked, ["profanity"]);
+        assert.deepEqual(screen({ title: "Sh1t show for toddlers" }).blocked, ["profanity"]);
+    });
+
+    it("blocks spam terms", () => {
+        assert.deepEqual(screen({ description: "Make money from home with crypto!" }).blocked, ["spam_terms"]);
+    });
+
+    it("flags spammy patterns for moderators", () => {
+        const { blocked, flags } = screen({
+            title: "FREE BABY CLASS CALL 555-123-4567",
+            description: "https://a.example https://b.example https://c.example!!!",
+            registrationUrl: "https://bit.ly/abc",
+        });
+        assert.deepEqual(blocked, []);
+        assert.deepEqual(flags, ["many_links", "shouting", "repeated_characters", "contact_in_title", "short_link"]);
+    });
+});
+
+describe("takeSubmissionSlot", () => {
+    it("counts submissions per day", () => {
+        const first = takeSubmissionSlot(null, { day: "2026-03-01", maxPerDay: 2 });
+        const second = takeSubmissionSlot(first, { day: "2026-03-01", maxPerDay: 2 });
+        assert.deepEqual(second, { day: "2026-03-01", count: 2 });
+        assert.equal(takeSubmissionSlot(second, { day: "2026-03-01", maxPerDay: 2 }), null);
+        assert.deepEqual(takeSubmissionSlot(second, { day: "2026-03-02", maxPerDay: 2 }), { day: "2026-03-02", count: 1 });
+    });
+});
+
+describe("buildSubmissionEntry", () => {
+    it("keeps what approval needs, with the submitter's trust", () => {
+        const entry = buildSubmissionEntry({
+            act: normalizeSubmission(event),
+            times: { startTime: 1772906400, endTime: 1772910000 },
+            submitter: { uid: "u2", role: "venue", venueId: "fremont-main" },
+            coordinates: { lat: 37.55, lng: -121.98, address: "12 Elm St", venueId: "fremont-main" },
+            timing: { timeZone: "America/Los_Angeles", referenceDate: "2026-03-01" },
+            regionId: "bay_area",
+            activityId: "abc",
+            flags: [],
+            nowSeconds: 1772400000,
+        });
+        assert.equal(entry.status, "pending");
+        assert.equal(entry.submittedBy, "u2");
+        assert.deepEqual(entry.provenance, { method: "community", trust: 0.9 });
+        assert.equal(entry.coordinates.venueId, "fremont-main");
+        assert.equal(entry.expireAt.getTime(), (1772910000 + 30 * 24 * 60 * 60) * 1000);
+        assert.equal(submissionSourceUrl("s1"), "community:s1");
+    });
+});
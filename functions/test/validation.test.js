@@ -0,0 +1,90 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { validateEvent, scoreConfidence } = require("../src/validation");
+
+const timing = { timeZone: "America/Los_Angeles", referenceDate: "2025-03-04" };
+
+const storytime = {
+    title: "Toddler Storytime",
+    venue: "Alameda County Library - Fremont Main",
+    description: "Songs, rhymes and stories for toddlers.",
+    isoDate: "2025-03-05T10:30:00",
+    endTime: "2025-03-05T11:00:00",
+    ageRange: "18-36 months",
+    confidence: 0.9,
+};
+
+const context = (act) => ({
+    times: validateEvent(act, timing).times,
+    today: "2025-03-04",
+    timeZone: "America/Los_Angeles",
+    horizonDays: 60,
+    registryVenue: "Fremont Main Library",
+});
+
+describe("validateEvent", () => {
+    it("accepts a complete event and resolves its times", () => {
+        const { reasons, times } = validateEvent(storytime, timing);
+        assert.deepEqual(reasons, []);
+        assert.equal(times.isoDate, "2025-03-05T10:30:00");
+        assert.equal(times.endTimeEstimated, false);
+    });
+
+    it("explains every problem", () => {
+        assert.deepEqual(validateEvent({ title: " ", isoDate: "" }, timing).reasons, [
+            "missing_title",
+            "missing_venue",
+            "missing_date",
+        ]);
+        assert.deepEqual(validateEvent({ ...storytime, isoDate: "next Tuesday" }, timing).reasons, ["invalid_date"]);
+        assert.deepEqual(validateEvent({ ...storytime, isoDate: "2028-06-01T10:30:00" }, timing).reasons, ["date_too_far"]);
+        assert.deepEqual(validateEvent({ ...storytime, title: "x".repeat(201) }, timing).reasons, ["title_too_long"]);
+        assert.deepEqual(validateEvent(null, timing).reasons, ["not_an_object"]);
+    });
+
+    it("rejects events for older audiences, unless little ones are named", () => {
+        assert.deepEqual(validateEvent({ ...storytime, title: "Adult Book Club", ageRange: "Adults" }, timing).reasons, [
+            "adult_audience",
+        ]);
+        assert.deepEqual(validateEvent({ ...storytime, title: "Lego Club", ageRange: "Grades K-5" }, timing).reasons, [
+            "adult_audience",
+        ]);
+        assert.deepEqual(validateEvent({ ...storytime, title: "Teens Read to Toddlers", ageRange: null }, timing).reasons, []);
+    });
+});
+
+describe("scoreConfidence", () => {
+    it("trusts a self-assured, well-placed toddler event", () => {
+        const { confidence, signals } = scoreConfidence(storytime, context(storytime));
+        assert.deepEqual(signals, { model: 0.9, date: 1, venue: 1, age: 1 });
+        assert.equal(confidence, 0.96);
+    });
+
+    it("doubts a hallucinated venue with no toddler wording", () => {
+        const act = { ...storytime, title: "Craft Hour", venue: "Sunnyvale Community Center", description: null, ageRange: null, confidence: 0.6 };
+        const { confidence, signals } = scoreConfidence(act, context(act));
+        assert.equal(signals.venue, 0);
+        assert.equal(signals.age, 0);
+        assert.ok(confidence < 0.6);
+    });
+
+    it("marks down dates past the crawl window or with a corrected year", () => {
+        const later = { ...storytime, isoDate: "2025-06-20T10:30:00", endTime: null };
+        assert.equal(scoreConfidence(later, context(later)).signals.date, 0.5);
+
+        // Fetched late December, the model kept the old year for a January date
+        const december = { ...timing, referenceDate: "2025-12-20" };
+        const january = { ...storytime, isoDate: "2025-01-06T10:30:00", endTime: null };
+        const times = validateEvent(january, december).times;
+        assert.equal(times.isoDate, "2026-01-06T10:30:00");
+        const { signals } = scoreConfidence(january, { ...context(january), times, today: "2025-12-20" });
+        assert.equal(signals.date, 0.5);
+    });
+
+    it("assumes more of structured sources when the model reported nothing", () => {
+        const act = { ...storytime, confidence: undefined };
+        assert.equal(scoreConfidence(act, context(act)).signals.model, 0.5);
+        assert.equal(scoreConfidence(act, { ...context(act), structured: true }).signals.model, 0.9);
+    });
+});
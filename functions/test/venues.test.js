@@ -0,0 +1,316 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    normalizeVenueName,
+    isSameVenue,
+    matchVenue,
+    hoursFromPlacePeriods,
+    validateVenue,
+    validateLibrarySystem,
+    buildVenueDoc,
+    geocodeCacheId,
+    createVenueDirectory,
+    GeocodingError,
+    createGeocoder,
+    createGeocodeCache,
+} = require("../src/venues");
+const { DEFAULT_REGION } = require("../src/regions");
+const { RateLimitExceededError } = require("../src/scrapeQueue");
+
+const SYSTEMS = [
+    { id: "aclibrary", name: "Alameda County Library", aliases: ["ACL", "AC Library"] },
+    { id: "sjpl", name: "San Jose Public Library", aliases: ["SJPL"] },
+];
+
+const VENUES = [
+    { id: "acl-fremont", name: "Fremont Main Library", systemId: "aclibrary", aliases: ["Fremont Library"], latitude: 37.5485, longitude: -121.9886 },
+    { id: "acl-union-city", name: "Union City Library", systemId: "aclibrary", latitude: 37.5934, longitude: -122.0438 },
+    { id: "acl-centerville", name: "Centerville Library", systemId: "aclibrary", latitude: 37.5575, longitude: -122.0107 },
+    { id: "sjpl-king", name: "Dr. Martin Luther King Jr. Library", systemId: "sjpl", aliases: ["King Library"], latitude: 37.3353, longitude: -121.885 },
+    { id: "sjpl-union", name: "Union Branch", systemId: "sjpl", latitude: 37.25, longitude: -121.9 },
+];
+
+// Minimal Firestore stand-in: collections of docs by id, with equality where() and counted reads/writes
+const fakeDb = (collections) => {
+    const reads = [];
+    const writes = [];
+    const docsOf = (name) => collections[name] || (collections[name] = {});
+    return {
+        reads,
+        writes,
+        collection: (name) => ({
+            where: (field, op, value) => ({
+                get: async () => {
+                    reads.push(`${name}?${field}=${value}`);
+                    const docs = Object.entries(docsOf(name))
+                        .filter(([, data]) => data[field] === value)
+                        .map(([id, data]) => ({ id, data: () => data }));
+                    return { docs };
+                },
+            }),
+            doc: (id) => ({
+                get: async () => {
+                    reads.push(`${name}/${id}`);
+                    return { exists: id in docsOf(name), data: () => docsOf(name)[id] };
+                },
+                set: async (data) => {
+                    writes.push(`${name}/${id}`);
+                    docsOf(name)[id] = data;
+                },
+            }),
+        }),
+    };
+};
+
+describe("normalizeVenueName", () => {
+    it("keeps lowercase ASCII words", () => {
+        assert.equal(normalizeVenueName("Biblioteca Pública – Centro"), "biblioteca publica centro");
+        assert.equal(normalizeVenueName("Parks & Rec: Room 2"), "parks and rec room 2");
+        assert.equal(normalizeVenueName(null), "");
+    });
+});
+
+describe("isSameVenue", () => {
+    it("tells a building from the branches of its system", () => {
+        assert.ok(isSameVenue("Fremont Main Library", "Fremont Library"));
+        assert.ok(isSameVenue("Alameda County Library", "alameda county library"));
+        assert.ok(!isSameVenue("Alameda County Library - Union City Branch", "Alameda County Library"));
+    });
+});
+
+describe("matchVenue", () => {
+    const match = (text, options) => matchVenue(text, VENUES, SYSTEMS, options)?.venue.id ?? null;
+
+    it("finds the branch a system-wide source names", () => {
+        assert.equal(match("Alameda County Library - Union City Branch"), "acl-union-city");
+        assert.equal(match("ACL Centerville"), "acl-centerville");
+        assert.equal(match("Fremont Library"), "acl-fremont");
+        assert.equal(match("King Library"), "sjpl-king");
+    });
+
+    it("tolerates a typo", () => {
+        assert.equal(match("Centervile Branch Library"), "acl-centerville");
+    });
+
+    it("stays inside the named or the source's system", () => {
+        assert.equal(match("SJPL Union Branch"), "sjpl-union");
+        assert.equal(match("Union Branch", { systemId: "sjpl" }), "sjpl-union");
+        assert.equal(match("Union City Branch", { systemId: "aclibrary" }), "acl-union-city");
+    });
+
+    it("matches nothing when unsure", () => {
+        assert.equal(match("Union"), null);
+        assert.equal(match("Alameda County Library"), null);
+        assert.equal(match("Newark Library"), null);
+        assert.equal(match(""), null);
+    });
+});
+
+describe("hoursFromPlacePeriods", () => {
+    it("maps Places periods to weekday hours", () => {
+        const hours = hoursFromPlacePeriods([
+            { open: { day: 1, time: "1000" }, close: { day: 1, time: "2000" } },
+            { open: { day: 6, time: "0900" }, close: { day: 6, time: "1200" } },
+            { open: { day: 6, time: "1300" }, close: { day: 6, time: "1700" } },
+            { open: { day: 5, time: "1800" }, close: { day: 6, time: "0100" } },
+        ]);
+        assert.deepEqual(hours, {
+            sun: null,
+            mon: "10:00-20:00",
+            tue: null,
+            wed: null,
+            thu: null,
+            fri: "18:00-23:59",
+            sat: "09:00-12:00,13:00-17:00",
+        });
+        assert.equal(hoursFromPlacePeriods([{ open: { day: 0, time: "0000" } }]).wed, "00:00-23:59");
+        assert.equal(hoursFromPlacePeriods(undefined), null);
+    });
+});
+
+describe("validateVenue", () => {
+    it("accepts an address or coordinates", () => {
+        assert.deepEqual(validateVenue({ name: "Union City Library", address: "34007 Alvarado-Niles Rd, Union City, CA" }), []);
+        assert.deepEqual(
+            validateVenue({ name: "Union City Library", latitude: 37.59, longitude: -122.04, hours: { mon: "10:00-20:00", sun: null } }),
+            [],
+        );
+    });
+
+    it("lists every problem", () => {
+        assert.deepEqual(validateVenue(null), ["venue must be an object"]);
+        const problems = validateVenue({ name: "", aliases: [""], latitude: 95, systemId: "a/b", hours: { monday: "10-8" } });
+        assert.equal(problems.length, 6);
+        assert.match(problems.join("\n"), /latitude and longitude go together/);
+        assert.match(problems.join("\n"), /hours/);
+    });
+});
+
+describe("validateLibrarySystem", () => {
+    it("checks names and the website", () => {
+        assert.deepEqual(validateLibrarySystem({ name: "Alameda County Library", aliases: ["ACL"], website: "https://aclibrary.org" }), []);
+        assert.deepEqual(validateLibrarySystem({ name: "x", website: "aclibrary.org" }), ["website must be an http(s) URL"]);
+    });
+});
+
+describe("buildVenueDoc", () => {
+    it("stores the pin with its geohash", () => {
+        const doc = buildVenueDoc(
+            { name: " Union City Library ", aliases: ["UC Library "], systemId: "aclibrary" },
+            { lat: 37.5934, lng: -122.0438, address: "34007 Alvarado-Niles Rd" },
+            "ca",
+        );
+        assert.equal(doc.name, "Union City Library");
+        assert.deepEqual(doc.aliases, ["UC Library"]);
+        assert.equal(doc.geohash.slice(0, 4), "9q9j");
+        assert.equal(doc.hours, null);
+    });
+});
+
+describe("geocodeCacheId", () => {
+    it("keys by region and normalized name", () => {
+        assert.equal(geocodeCacheId("Union City  Library!", "ca"), "ca_union_city_library");
+        assert.equal(geocodeCacheId(" - ", "ca"), null);
+    });
+});
+
+describe("createVenueDirectory", () => {
+    it("loads a region's venues once in a while", async () => {
+        let now = 0;
+        const db = fakeDb({
+            venues: Object.fromEntries(VENUES.map(({ id, ...venue }) => [id, { ...venue, region: "ca" }])),
+            library_systems: Object.fromEntries(SYSTEMS.map(({ id, ...system }) => [id, { ...system, region: "ca" }])),
+        });
+        const directory = createVenueDirectory({ db, now: () => now });
+        const venue = await directory.match("Alameda County Library - Union City Branch", { regionId: "ca" });
+        assert.equal(venue.id, "acl-union-city");
+        assert.equal(venue.latitude, 37.5934);
+        assert.equal(await directory.match("Newark Library", { regionId: "ca" }), null);
+        assert.equal(db.reads.length, 2);
+        now = 11 * 60 * 1000;
+        await directory.match("King Library", { regionId: "ca" });
+        assert.equal(db.reads.length, 4);
+    });
+});
+
+describe("createGeocoder", () => {
+    const NEWARK = { formatted_address: "Newark, CA", geometry: { location: { lat: 37.53, lng: -122.0 } } };
+
+    // Maps client answering each address from a table, recording what was asked
+    const fakeClient = (answers) => {
+        const addresses = [];
+        return {
+            addresses,
+            geocode: async ({ params }) => {
+                addresses.push(params.address);
+                return { data: { status: "OK", results: answers[params.address] || [] } };
+            },
+        };
+    };
+
+    it("retries without the region suffix, taking a slot for each request", async () => {
+        let slots = 0;
+        const client = fakeClient({ "Newark Library": [NEWARK] });
+        const geocode = createGeocoder({ client, limiter: { acquire: async () => slots++ } });
+        assert.deepEqual(await geocode("Newark Library", "key", DEFAULT_REGION), {
+            lat: 37.53,
+            lng: -122.0,
+            address: "Newark, CA",
+        });
+        assert.deepEqual(client.addresses, ["Newark Library, California", "Newark Library"]);
+        assert.equal(slots, 2);
+    });
+
+    it("throws when the quota runs out before the fallback request", async () => {
+        let slots = 0;
+        const client = fakeClient({ "Newark Library": [NEWARK] });
+        const limiter = {
+            acquire: async () => {
+                if (++slots > 1) throw new RateLimitExceededError("maps");
+            },
+        };
+        const geocode = createGeocoder({ client, limiter });
+        await assert.rejects(geocode("Newark Library", "key", DEFAULT_REGION), RateLimitExceededError);
+        assert.deepEqual(client.addresses, ["Newark Library, California"]);
+    });
+
+    it("finds nothing only on ZERO_RESULTS", async () => {
+        const geocode = createGeocoder({ client: fakeClient({}), limiter: { acquire: async () => {} } });
+        assert.deepEqual(await geocode("Storytime Room", "key", DEFAULT_REGION), { lat: null, lng: null, address: null });
+    });
+
+    for (const [name, client] of [
+        ["a network error", { geocode: async () => Promise.reject(new Error("socket hang up")) }],
+        ["a server error", { geocode: async () => Promise.reject(Object.assign(new Error("Request failed with status code 503"), { status: 503 })) }],
+        ["an over-quota answer", { geocode: async () => ({ data: { status: "OVER_QUERY_LIMIT", results: [] } }) }],
+    ]) {
+        it(`throws on ${name}`, async () => {
+            const geocode = createGeocoder({ client, limiter: { acquire: async () => {} } });
+            await assert.rejects(geocode("Newark Library", "key", DEFAULT_REGION), GeocodingError);
+        });
+    }
+});
+
+describe("createGeocodeCache", () => {
+    const region = { id: "ca", name: "California" };
+
+    it("geocodes each name once", async () => {
+        const calls = [];
+        const db = fakeDb({});
+        const cache = createGeocodeCache({
+            db,
+            geocode: async (text) => {
+                calls.push(text);
+                return { lat: 37.53, lng: -122.0, address: "Newark, CA" };
+            },
+        });
+        const [first, second] = await Promise.all([
+            cache.geocode("Newark Library", region),
+            cache.geocode("Newark Library", region),
+        ]);
+        assert.deepEqual(first, { lat: 37.53, lng: -122.0, address: "Newark, CA" });
+        assert.deepEqual(second, first);
+        assert.deepEqual(await cache.geocode("NEWARK library!", region), first);
+        assert.deepEqual(calls, ["Newark Library"]);
+        assert.deepEqual(db.writes, ["geocode_cache/ca_newark_library"]);
+
+        const restarted = createGeocodeCache({ db, geocode: async () => assert.fail("geocoded again") });
+        assert.deepEqual(await restarted.geocode("Newark Library", region), first);
+    });
+
+    it("doesn't remember a failed lookup", async () => {
+        const db = fakeDb({});
+        let calls = 0;
+        const cache = createGeocodeCache({
+            db,
+            geocode: async () => {
+                if (++calls === 1) throw new GeocodingError("Newark Library", new Error("socket hang up"));
+                return { lat: 37.53, lng: -122.0, address: "Newark, CA" };
+            },
+        });
+        await assert.rejects(cache.geocode("Newark Library", region), GeocodingError);
+        assert.deepEqual(db.writes, []);
+        assert.deepEqual(await cache.geocode("Newark Library", region), { lat: 37.53, lng: -122.0, address: "Newark, CA" });
+        assert.equal(calls, 2);
+    });
+
+    it("retries names that found nothing after a while", async () => {
+        let now = Date.parse("2026-01-01T00:00:00Z");
+        let calls = 0;
+        const cache = createGeocodeCache({
+            db: fakeDb({}),
+            now: () => now,
+            geocode: async () => {
+                calls++;
+                return { lat: null, lng: null, address: null };
+            },
+        });
+        await cache.geocode("Storytime Room", region);
+        await cache.geocode("Storytime Room", region);
+        assert.equal(calls, 1);
+        now += 31 * 24 * 60 * 60 * 1000;
+        await cache.geocode("Storytime Room", region);
+        assert.equal(calls, 2);
+    });
+});
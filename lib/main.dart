@@ -244,11 +244,26 @@ class ActivityCard extends StatelessWidget {
                       activity.title,
                       style: theme.textTheme.titleLarge?.copyWith(
                         fontWeight: FontWeight.bold,
+                        // Cancelled events stay listed so parents see they're off
+                        decoration: activity.isCancelled
+                            ? TextDecoration.lineThrough
+                            : null,
+                        color: activity.isCancelled
+                            ? theme.colorScheme.outline
+                            : null,
                       ),
                     ),
                   ),
                   const SizedBox(width: 8),
-                  if (activity.isFree)
+                  if (activity.isCancelled)
+                    _buildBadge('CANCELLED', Colors.red, Icons.event_busy)
+                  else if (activity.isPredicted)
+                    _buildBadge(
+                      (activity.label ?? 'Usually happens').toUpperCase(),
+                      Colors.blueGrey,
+                      Icons.history,
+                    )
+                  else if (activity.isFree == true)
                     _buildBadge('FREE', Colors.green, Icons.attach_money),
                 ],
               ),
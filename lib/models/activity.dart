@@ -5,14 +5,39 @@ class Activity {
   final String? description;
   final int startTime; // Unix timestamp
   final int endTime;
-  final String ageRange; // "0-2", "2-4", or "All"
+  final bool endTimeEstimated; // True when the source gave no end time
+  final String ageRange; // Display label, e.g. "18-36 months", "3-5 years", "2+ years" or "All"
+  final int? minAgeMonths; // Inclusive; null when unbounded
+  final int? maxAgeMonths; // Inclusive ("3-5 years" is 71); null when unbounded
   final bool isIndoor;
+  final String? setting; // "indoor", "outdoor", "mixed", or null when unknown
   final String sourceUrl;
-  final bool isFree;
+  final String? source; // "community" for events submitted by parents and venues; null when scraped
+  final String? submittedBy; // Submitter's uid for community events
+  final bool? isFree; // Null when the source doesn't say
+  final ActivityPrice? price;
+  final List<String> languages; // ISO 639-1 codes, e.g. ["en", "es"]; empty when not stated
+  final List<String> accessibility; // e.g. "sensory_friendly", "stroller_friendly", "caregiver_required"
+  final List<String> categories; // "story", "music", "movement", "stem", "art", "sensory_play", "open_play", "outdoor_play"
   final bool requiresBooking;
   final String? registrationUrl;
   final double latitude;
   final double longitude;
+  final String? venueId; // `venues` doc with the branch's canonical address and hours
+  final String? seriesId; // Set when the event is one occurrence of a recurring series
+  final String? recurrence; // e.g. "Weekly on Tuesday"
+  final String status; // "scheduled", "cancelled", or "predicted" for "usually happens" entries
+  final String? label; // Shown on predicted entries, e.g. "Usually happens"
+  final int? cancelledAt; // Unix timestamp
+  final List<ActivityChange> history; // Oldest first
+
+  bool get isCancelled => status == 'cancelled';
+  bool get isPredicted => status == 'predicted';
+
+  // Whether the activity suits a child of this age in months
+  bool suitsAgeMonths(int months) =>
+      (minAgeMonths ?? 0) <= months &&
+      (maxAgeMonths == null || months <= maxAgeMonths!);
 
   Activity({
     required this.id,
@@ -21,14 +46,31 @@ class Activity {
     this.description,
     required this.startTime,
     required this.endTime,
+    this.endTimeEstimated = false,
     required this.ageRange,
+    this.minAgeMonths,
+    this.maxAgeMonths,
     required this.isIndoor,
+    this.setting,
     required this.sourceUrl,
-    required this.isFree,
+    this.source,
+    this.submittedBy,
+    this.isFree,
+    this.price,
+    this.languages = const [],
+    this.accessibility = const [],
+    this.categories = const [],
     required this.requiresBooking,
     this.registrationUrl,
     required this.latitude,
     required this.longitude,
+    this.venueId,
+    this.seriesId,
+    this.recurrence,
+    this.status = 'scheduled',
+    this.label,
+    this.cancelledAt,
+    this.history = const [],
   });
 
   // Convert Firestore document to Activity object
@@ -40,14 +82,83 @@ class Activity {
       description: data['description'],
       startTime: data['startTime'] ?? 0,
       endTime: data['endTime'] ?? 0,
+      endTimeEstimated: data['endTimeEstimated'] ?? false,
       ageRange: data['ageRange'] ?? 'All',
+      minAgeMonths: data['minAgeMonths'],
+      maxAgeMonths: data['maxAgeMonths'],
       isIndoor: data['isIndoor'] ?? true,
+      setting: data['setting'],
       sourceUrl: data['sourceUrl'] ?? '',
-      isFree: data['isFree'] ?? true,
+      source: data['source'],
+      submittedBy: data['submittedBy'],
+      isFree: data['isFree'],
+      price: data['price'] == null
+          ? null
+          : ActivityPrice.fromMap(Map<String, dynamic>.from(data['price'])),
+      languages: List<String>.from(data['languages'] ?? []),
+      accessibility: List<String>.from(data['accessibility'] ?? []),
+      categories: List<String>.from(data['categories'] ?? []),
       requiresBooking: data['requiresBooking'] ?? false,
       registrationUrl: data['registrationUrl'],
       latitude: (data['latitude'] as num?)?.toDouble() ?? 0.0,
       longitude: (data['longitude'] as num?)?.toDouble() ?? 0.0,
+      venueId: data['venueId'],
+      seriesId: data['seriesId'],
+      recurrence: data['recurrence'],
+      status: data['status'] ?? 'scheduled',
+      label: data['label'],
+      cancelledAt: data['cancelledAt'],
+      history: (data['history'] as List<dynamic>? ?? [])
+          .map((entry) => ActivityChange.fromMap(Map<String, dynamic>.from(entry)))
+          .toList(),
+    );
+  }
+}
+
+// Price as the source states it; amounts are in major units (5.0 = $5)
+class ActivityPrice {
+  final double min;
+  final double max;
+  final String? currency; // ISO 4217, e.g. "USD"
+  final String? text; // As printed, e.g. "$5 per child"
+
+  ActivityPrice({
+    required this.min,
+    required this.max,
+    this.currency,
+    this.text,
+  });
+
+  factory ActivityPrice.fromMap(Map<String, dynamic> data) {
+    return ActivityPrice(
+      min: (data['min'] as num?)?.toDouble() ?? 0.0,
+      max: (data['max'] as num?)?.toDouble() ?? 0.0,
+      currency: data['currency'],
+      text: data['text'],
+    );
+  }
+}
+
+// One entry of an activity's change history, written by the scraper on re-scrape
+class ActivityChange {
+  final int at; // Unix timestamp
+  final String type; // "changed", "cancelled" or "reinstated"
+  final String? sourceUrl;
+  final Map<String, dynamic> changes; // field -> { from, to }
+
+  ActivityChange({
+    required this.at,
+    required this.type,
+    this.sourceUrl,
+    this.changes = const {},
+  });
+
+  factory ActivityChange.fromMap(Map<String, dynamic> data) {
+    return ActivityChange(
+      at: data['at'] ?? 0,
+      type: data['type'] ?? 'changed',
+      sourceUrl: data['sourceUrl'],
+      changes: Map<String, dynamic>.from(data['changes'] ?? {}),
     );
   }
 }
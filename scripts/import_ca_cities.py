@@ -1,7 +1,8 @@
 #!/usr/bin/env python3
 """
 Import California Cities to Firestore
-Fetches official CA city data and uploads to 'config_cities' collection
+Fetches official CA city data and uploads to 'config_cities' collection,
+and seeds the California region in 'config_regions'
 Run once locally to seed the database for the discovery function
 """
 
@@ -15,6 +16,19 @@ import time
 import requests
 import certifi
 
+# Region config the cities belong to (see functions/src/regions.js)
+REGION_ID = "ca"
+REGION = {
+    "name": "California",
+    "countryCode": "US",
+    "geocodeSuffix": "California",
+    "bounds": {"south": 32.5, "west": -124, "north": 42, "east": -114},
+    "timeZone": "America/Los_Angeles",
+    "locale": "en-US",
+    "language": "English",
+    "discoveryQueries": ["public library in {city}", "park in {city}"],
+}
+
 
 def import_ca_cities():
     """Download CA cities from official data source and upload to Firestore"""
@@ -113,7 +127,11 @@ def import_ca_cities():
     cities = df["CITY"].unique().tolist()
     print(f"✅ Found {len(cities)} California cities")
 
-    # 2. Batch Upload (Firestore limit is 500 per batch)
+    # 2. Seed the region the cities belong to
+    db.collection("config_regions").document(REGION_ID).set(REGION)
+    print(f"✅ Seeded region '{REGION_ID}' ({REGION['name']})")
+
+    # 3. Batch Upload (Firestore limit is 500 per batch)
     print("📦 Starting batch upload to Firestore...")
     batch = db.batch()
     count = 0
@@ -128,6 +146,7 @@ def import_ca_cities():
             doc_ref,
             {
                 "name": f"{city_name}, CA",
+                "region": REGION_ID,
                 "status": "pending",
                 "last_scanned": None,
             },